@@ -0,0 +1,9 @@
+#!/usr/bin/env node
+/**
+ * trimesh-boolean command-line tool. See src/cli.js or `trimesh-boolean --help`.
+ */
+import { runCli } from "../src/cli.js";
+
+runCli(process.argv.slice(2)).then(function (code) {
+	process.exitCode = code;
+});
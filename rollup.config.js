@@ -55,5 +55,25 @@ export default [
 		],
 		plugins: [resolve()],
 		external: ["three"]
+	},
+	// Kirra KAP adapter
+	{
+		input: "src/kap.js",
+		output: [
+			{
+				file: "build/trimesh-boolean-kap.esm.js",
+				format: "es",
+				sourcemap: true
+			},
+			{
+				file: "build/trimesh-boolean-kap.umd.cjs",
+				format: "umd",
+				name: "TrimeshBooleanKap",
+				sourcemap: true,
+				globals: { jszip: "JSZip" }
+			}
+		],
+		plugins: [resolve()],
+		external: ["jszip"]
 	}
 ];
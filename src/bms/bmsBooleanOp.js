@@ -18,14 +18,17 @@ import { bmsClosePolylines } from "./bmsClose.js";
 import { bmsClassify } from "./bmsClassify.js";
 import { heffalumpClassify, shouldUseHeffalump } from "./heffalumpClassify.js";
 import { estimateAvgEdge } from "../intersect/spatialGrid.js";
-import { soupCentroid, translateSoup } from "../util/math.js";
+import { soupCentroid, translateSoup, tagSource } from "../util/math.js";
 import { resolveTJunctions } from "../repair/resolveTJunctions.js";
 import { weldBoundaryVertices } from "../repair/weldBoundary.js";
 import { weldVertices } from "../repair/weldVertices.js";
 import { deduplicateSeamVertices } from "../repair/deduplicateVertices.js";
+import { isTypedMesh, asSoup, soupToTypedMesh, groupsToTypedMeshes } from "../util/typedMesh.js";
+import { copyVertex, interpolateAttributes } from "../util/attributes.js";
 
 /**
- * Flip the winding order of all triangles in a soup.
+ * Flip the winding order of all triangles in a soup, negating any
+ * `normal` vertex attribute.
  * @param {Array} tris
  * @returns {Array}
  */
@@ -33,21 +36,47 @@ function flipSoup(tris) {
 	var result = [];
 	for (var i = 0; i < tris.length; i++) {
 		var t = tris[i];
-		result.push({
-			v0: { x: t.v0.x, y: t.v0.y, z: t.v0.z },
-			v1: { x: t.v2.x, y: t.v2.y, z: t.v2.z },
-			v2: { x: t.v1.x, y: t.v1.y, z: t.v1.z }
-		});
+		var flipped = {
+			v0: copyVertex(t.v0, true),
+			v1: copyVertex(t.v2, true),
+			v2: copyVertex(t.v1, true)
+		};
+		if (t.source) flipped.source = t.source;
+		result.push(flipped);
 	}
 	return result;
 }
 
+/**
+ * Concatenate the split groups for an operation, inside groups flipped.
+ * @param {{ aInside: Array, aOutside: Array, bInside: Array, bOutside: Array }} groups
+ * @param {string} operation
+ * @returns {Array} Combined soup (empty for an unknown operation)
+ */
+function combineBmsGroups(groups, operation) {
+	if (operation === "subtract") return groups.aOutside.concat(flipSoup(groups.bInside));
+	if (operation === "union") return groups.aOutside.concat(groups.bOutside);
+	if (operation === "intersect") return groups.aInside.concat(groups.bInside);
+	if (operation === "reverseSubtract") return groups.bOutside.concat(flipSoup(groups.aInside));
+	if (operation === "xor") return groups.aOutside.concat(flipSoup(groups.bInside), groups.bOutside, flipSoup(groups.aInside));
+	return [];
+}
+
 /**
  * Run the full BMS boolean pipeline.
  *
- * @param {Array<{ v0: {x,y,z}, v1: {x,y,z}, v2: {x,y,z} }>} soupA
- * @param {Array<{ v0: {x,y,z}, v1: {x,y,z}, v2: {x,y,z} }>} soupB
- * @param {"subtract"|"union"|"intersect"} [operation] - If omitted, returns split groups only
+ * Group and result triangles carry `source: { mesh: "A"|"B", index }`,
+ * the input triangle they came from (see bmsSplit), and vertex attribute
+ * channels are interpolated from that triangle as in splitMeshPair.
+ *
+ * Typed-array meshes { positions, indices } are accepted for either input;
+ * `groups` and `result` are then typed-array meshes too. The pipeline
+ * itself runs on object soup; the typed result is indexed straight from
+ * the combined soup, without the weld (see util/typedMesh).
+ *
+ * @param {Array<{ v0: {x,y,z}, v1: {x,y,z}, v2: {x,y,z} }>|{ positions: Float64Array, indices: Uint32Array }} soupA
+ * @param {Array<{ v0: {x,y,z}, v1: {x,y,z}, v2: {x,y,z} }>|{ positions: Float64Array, indices: Uint32Array }} soupB
+ * @param {"subtract"|"reverseSubtract"|"union"|"intersect"|"xor"} [operation] - If omitted, returns split groups only
  * @param {Object} [options]
  * @param {boolean} [options.preRepair] - Resolve T-junctions + weld boundary before splitting
  * @param {number} [options.tolerance] - Vertex pool tolerance
@@ -60,17 +89,31 @@ function flipSoup(tris) {
  * }|null}
  */
 export function bmsBooleanOp(soupA, soupB, operation, options) {
+	// Typed-array meshes in → typed-array groups / result out
+	if (isTypedMesh(soupA) || isTypedMesh(soupB)) {
+		var typedOut = bmsBooleanOp(asSoup(soupA), asSoup(soupB), null, options);
+		if (!typedOut) return null;
+		if (operation) {
+			var typedCombined = combineBmsGroups(typedOut.groups, operation);
+			typedOut.result = typedCombined.length > 0 ? soupToTypedMesh(typedCombined) : null;
+		}
+		typedOut.groups = groupsToTypedMeshes(typedOut.groups);
+		return typedOut;
+	}
+
 	if (!soupA || !soupB || soupA.length === 0 || soupB.length === 0) {
 		return null;
 	}
 
 	var opts = options || {};
 
-	// Step 0) Translate to origin for floating-point precision (UTM, mine coords)
+	// Step 0) Translate to origin for floating-point precision (UTM, mine coords),
+	// recording provenance so pre-repair and split sub-triangles inherit it
 	var centroid = soupCentroid(soupA, soupB);
 	var cx = centroid.x, cy = centroid.y, cz = centroid.z;
-	soupA = translateSoup(soupA, -cx, -cy, -cz);
-	soupB = translateSoup(soupB, -cx, -cy, -cz);
+	var inputs = [tagSource(soupA, "A"), tagSource(soupB, "B")];
+	soupA = translateSoup(inputs[0], -cx, -cy, -cz);
+	soupB = translateSoup(inputs[1], -cx, -cy, -cz);
 
 	// Step 1) Optional pre-repair
 	if (opts.preRepair) {
@@ -90,9 +133,9 @@ export function bmsBooleanOp(soupA, soupB, operation, options) {
 		return {
 			groups: {
 				aInside: [],
-				aOutside: translateSoup(soupA, cx, cy, cz),
+				aOutside: interpolateAttributes(translateSoup(soupA, cx, cy, cz), inputs),
 				bInside: [],
-				bOutside: translateSoup(soupB, cx, cy, cz)
+				bOutside: interpolateAttributes(translateSoup(soupB, cx, cy, cz), inputs)
 			},
 			segments: [],
 			polylines: [],
@@ -142,11 +185,12 @@ export function bmsBooleanOp(soupA, soupB, operation, options) {
 		bOutside: classifyResult.bOutside
 	};
 
-	// Step 7) Deduplicate seam vertices, then translate back to original coordinates
-	if (groups.aInside.length > 0) groups.aInside = translateSoup(deduplicateSeamVertices(groups.aInside, 1e-4), cx, cy, cz);
-	if (groups.aOutside.length > 0) groups.aOutside = translateSoup(deduplicateSeamVertices(groups.aOutside, 1e-4), cx, cy, cz);
-	if (groups.bInside.length > 0) groups.bInside = translateSoup(deduplicateSeamVertices(groups.bInside, 1e-4), cx, cy, cz);
-	if (groups.bOutside.length > 0) groups.bOutside = translateSoup(deduplicateSeamVertices(groups.bOutside, 1e-4), cx, cy, cz);
+	// Step 7) Deduplicate seam vertices, translate back to original coordinates,
+	// then interpolate vertex attributes from each triangle's parent
+	if (groups.aInside.length > 0) groups.aInside = interpolateAttributes(translateSoup(deduplicateSeamVertices(groups.aInside, 1e-4), cx, cy, cz), inputs);
+	if (groups.aOutside.length > 0) groups.aOutside = interpolateAttributes(translateSoup(deduplicateSeamVertices(groups.aOutside, 1e-4), cx, cy, cz), inputs);
+	if (groups.bInside.length > 0) groups.bInside = interpolateAttributes(translateSoup(deduplicateSeamVertices(groups.bInside, 1e-4), cx, cy, cz), inputs);
+	if (groups.bOutside.length > 0) groups.bOutside = interpolateAttributes(translateSoup(deduplicateSeamVertices(groups.bOutside, 1e-4), cx, cy, cz), inputs);
 
 	// Translate meshEdgePolys and componentWalks verts back to original coordinates
 	function translatePolyVerts(meshEps) {
@@ -208,15 +252,7 @@ export function bmsBooleanOp(soupA, soupB, operation, options) {
 
 	// Step 8) If operation specified, combine groups
 	if (operation) {
-		var combined = [];
-
-		if (operation === "subtract") {
-			combined = groups.aOutside.concat(flipSoup(groups.bInside));
-		} else if (operation === "union") {
-			combined = groups.aOutside.concat(groups.bOutside);
-		} else if (operation === "intersect") {
-			combined = groups.aInside.concat(groups.bInside);
-		}
+		var combined = combineBmsGroups(groups, operation);
 
 		if (combined.length > 0) {
 			var welded = weldVertices(combined, 1e-4);
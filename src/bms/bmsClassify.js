@@ -465,7 +465,7 @@ export function bmsClassify(megaSoup, closedPolylines, segments, trisA, trisB, m
 
 		for (var oi = 0; oi < comp.triIndices.length; oi++) {
 			var ot = megaSoup[comp.triIndices[oi]];
-			target.push({ v0: ot.v0, v1: ot.v1, v2: ot.v2 });
+			target.push({ v0: ot.v0, v1: ot.v1, v2: ot.v2, source: ot.source });
 		}
 
 		// Extract boundary walk for this component
@@ -263,7 +263,8 @@ function bmsRetriangulate(tri, segments) {
  * appear as edges in the output — no CDT constraint needed.
  *
  * Falls back to bmsRetriangulate for multi-chain, same-edge entry/exit,
- * or vertex-hit cases.
+ * or vertex-hit cases, and when the fans fold over a chain that turns a
+ * corner inside the triangle.
  */
 function bmsFanTriangulate(tri, segments) {
 	if (!segments || segments.length === 0) return [tri];
@@ -395,10 +396,12 @@ function bmsFanTriangulate(tri, segments) {
 		result.push(makeTri(vB, chain[bi], chain[bi + 1]));
 	}
 
-	// Step 7: Validate — remove degenerates
+	// Step 7: Validate — remove degenerates; fans folded over a concave
+	// chain cover more than the parent, so leave those to the CDT
 	var triArea = lnLen * 0.5;
 	var MIN_AREA = triArea * 1e-8;
 	var validated = [];
+	var fanArea = 0;
 	for (var vli = 0; vli < result.length; vli++) {
 		var t = result[vli];
 		var te1x = t.v1.x - t.v0.x, te1y = t.v1.y - t.v0.y, te1z = t.v1.z - t.v0.z;
@@ -407,20 +410,25 @@ function bmsFanTriangulate(tri, segments) {
 		var tcy = te1z * te2x - te1x * te2z;
 		var tcz = te1x * te2y - te1y * te2x;
 		var subArea = Math.sqrt(tcx * tcx + tcy * tcy + tcz * tcz) * 0.5;
+		fanArea += subArea;
 		if (subArea > MIN_AREA) validated.push(t);
 	}
 
-	return validated.length > 0 ? validated : bmsRetriangulate(tri, segments);
+	return validated.length > 0 && fanArea <= triArea * (1 + 1e-6) ? validated : bmsRetriangulate(tri, segments);
 }
 
 /**
  * Split both meshes and produce a unified mega soup where Steiner point
  * vertices are shared pool vertex objects.
  *
+ * Every mega-soup triangle records its parent as `source` ({ mesh, index });
+ * sub-triangles of a crossed triangle share their parent's. A parent that
+ * already carries a `source` passes it on unchanged.
+ *
  * @param {Array<{ v0: Object, v1: Object, v2: Object }>} trisA
  * @param {Array<{ v0: Object, v1: Object, v2: Object }>} trisB
  * @param {{ segments: Array, crossedSetA: Object, crossedSetB: Object, pool: Object }} intersectResult
- * @returns {Array<{ v0: Object, v1: Object, v2: Object, mesh: string, origIdx: number }>}
+ * @returns {Array<{ v0: Object, v1: Object, v2: Object, mesh: string, origIdx: number, source: { mesh: string, index: number } }>}
  */
 export function bmsSplit(trisA, trisB, intersectResult) {
 	var crossedSetA = intersectResult.crossedSetA;
@@ -429,6 +437,7 @@ export function bmsSplit(trisA, trisB, intersectResult) {
 
 	// Process mesh A
 	for (var i = 0; i < trisA.length; i++) {
+		var srcA = trisA[i].source || { mesh: "A", index: i };
 		if (!crossedSetA[i]) {
 			// Non-crossed: pass through directly
 			megaSoup.push({
@@ -436,7 +445,8 @@ export function bmsSplit(trisA, trisB, intersectResult) {
 				v1: trisA[i].v1,
 				v2: trisA[i].v2,
 				mesh: "A",
-				origIdx: i
+				origIdx: i,
+				source: srcA
 			});
 		} else {
 			// Crossed: re-triangulate with pool vertices
@@ -447,7 +457,8 @@ export function bmsSplit(trisA, trisB, intersectResult) {
 					v1: subTris[si].v1,
 					v2: subTris[si].v2,
 					mesh: "A",
-					origIdx: i
+					origIdx: i,
+					source: srcA
 				});
 			}
 		}
@@ -455,13 +466,15 @@ export function bmsSplit(trisA, trisB, intersectResult) {
 
 	// Process mesh B
 	for (var j = 0; j < trisB.length; j++) {
+		var srcB = trisB[j].source || { mesh: "B", index: j };
 		if (!crossedSetB[j]) {
 			megaSoup.push({
 				v0: trisB[j].v0,
 				v1: trisB[j].v1,
 				v2: trisB[j].v2,
 				mesh: "B",
-				origIdx: j
+				origIdx: j,
+				source: srcB
 			});
 		} else {
 			var subTrisB = bmsFanTriangulate(trisB[j], crossedSetB[j]);
@@ -471,7 +484,8 @@ export function bmsSplit(trisA, trisB, intersectResult) {
 					v1: subTrisB[sj].v1,
 					v2: subTrisB[sj].v2,
 					mesh: "B",
-					origIdx: j
+					origIdx: j,
+					source: srcB
 				});
 			}
 		}
@@ -432,9 +432,9 @@ export function heffalumpClassify(megaSoup, segments, trisA, trisB, opts) {
 				var py = (rt.v0.y + rt.v1.y + rt.v2.y) / 3;
 				var pz = (rt.v0.z + rt.v1.z + rt.v2.z) / 3;
 				if (isPointInsideClosedMesh(px, py, pz, otherTris)) {
-					insideArr.push({ v0: rt.v0, v1: rt.v1, v2: rt.v2 });
+					insideArr.push({ v0: rt.v0, v1: rt.v1, v2: rt.v2, source: rt.source });
 				} else {
-					outsideArr.push({ v0: rt.v0, v1: rt.v1, v2: rt.v2 });
+					outsideArr.push({ v0: rt.v0, v1: rt.v1, v2: rt.v2, source: rt.source });
 				}
 			}
 			// Component walk — still useful for visualization
@@ -454,9 +454,9 @@ export function heffalumpClassify(megaSoup, segments, trisA, trisB, opts) {
 				var opy = (ot.v0.y + ot.v1.y + ot.v2.y) / 3;
 				var opz = (ot.v0.z + ot.v1.z + ot.v2.z) / 3;
 				if (isPointInsideOpenSurface(opx, opy, opz, otherTris)) {
-					insideArr.push({ v0: ot.v0, v1: ot.v1, v2: ot.v2 });
+					insideArr.push({ v0: ot.v0, v1: ot.v1, v2: ot.v2, source: ot.source });
 				} else {
-					outsideArr.push({ v0: ot.v0, v1: ot.v1, v2: ot.v2 });
+					outsideArr.push({ v0: ot.v0, v1: ot.v1, v2: ot.v2, source: ot.source });
 				}
 			}
 
@@ -0,0 +1,182 @@
+/**
+ * @module bms/imprint
+ *
+ * Imprint (split-only) mode: re-triangulate mesh A along its intersection
+ * with mesh B and keep every triangle of A. No inside/outside
+ * classification is run — B only supplies the cutting seams.
+ *
+ * Pipeline:
+ *   1. bmsIntersect  — shared vertex pool + spatial grid
+ *   2. bmsSplit      — fan triangulation with pool vertices (A part only)
+ *   3. bmsChain      — seams as identity-chained polylines
+ *   4. Flood fill A's triangles across non-seam edges → regions
+ *   5. Side of each region from the crossing B face normals
+ */
+
+import { bmsIntersect } from "./bmsIntersect.js";
+import { bmsSplit } from "./bmsSplit.js";
+import { bmsChain } from "./bmsChain.js";
+import { soupCentroid, translateSoup, tagSource, vKey, edgeKey } from "../util/math.js";
+import { asSoup } from "../util/typedMesh.js";
+import { interpolateAttributes } from "../util/attributes.js";
+
+/**
+ * Imprint mesh B's intersection seams onto mesh A.
+ *
+ * Returns all of A, re-triangulated so every intersection segment is a
+ * triangle edge. Each triangle carries:
+ *   source  { mesh: "A", index }  parent triangle in soupA (kept if already set)
+ *   region  number                connected patch of A bounded by seams
+ *   side    "front"|"back"|null   side of the seam the region lies on:
+ *                                 "front" is the side B's face normals point
+ *                                 to, null for regions no seam touches
+ *
+ * `faces` indexes `points` per soup triangle, and `seams` lists the chained
+ * seam edges as point-index polylines (closed loops do not repeat their
+ * first index). Vertex attributes on A are interpolated as in boolean().
+ *
+ * Example — stamp a pit outline onto topo and keep the patch inside it:
+ *   var imp = imprint(topo, pitShell);
+ *   var inside = imp.soup.filter(function (t) { return t.side === "back"; });
+ *
+ * @param {Array<{ v0: {x,y,z}, v1: {x,y,z}, v2: {x,y,z} }>|{ positions: Float64Array, indices: Uint32Array }} soupA - Mesh to cut
+ * @param {Array<{ v0: {x,y,z}, v1: {x,y,z}, v2: {x,y,z} }>|{ positions: Float64Array, indices: Uint32Array }} soupB - Cutting mesh
+ * @param {Object} [options]
+ * @param {number} [options.tolerance] - Vertex pool merge tolerance (see bmsIntersect)
+ * @returns {{
+ *   soup: Array<{ v0, v1, v2, source: Object, region: number, side: string|null }>,
+ *   points: Array<{x,y,z}>,
+ *   faces: Array<number[]>,
+ *   seams: Array<{ indices: number[], closed: boolean }>,
+ *   regionCount: number
+ * }|null}
+ */
+export function imprint(soupA, soupB, options) {
+	soupA = asSoup(soupA);
+	soupB = asSoup(soupB);
+	if (!soupA || !soupB || soupA.length === 0 || soupB.length === 0) {
+		return null;
+	}
+
+	var opts = options || {};
+
+	// Step 0) Translate to origin for floating-point precision, recording provenance
+	var centroid = soupCentroid(soupA, soupB);
+	var cx = centroid.x, cy = centroid.y, cz = centroid.z;
+	var inputA = tagSource(soupA, "A");
+	var trisA = translateSoup(inputA, -cx, -cy, -cz);
+	var trisB = translateSoup(soupB, -cx, -cy, -cz);
+
+	// Step 1) Intersect with shared vertex pool
+	var isect = bmsIntersect(trisA, trisB, { tolerance: opts.tolerance });
+
+	// Step 2) Split, keeping only A's part of the mega soup
+	var megaSoup = isect.segments.length > 0 ? bmsSplit(trisA, trisB, isect) : trisA;
+	var cut = [];
+	for (var m = 0; m < megaSoup.length; m++) {
+		if (megaSoup[m].mesh === "B") continue;
+		cut.push({ v0: megaSoup[m].v0, v1: megaSoup[m].v1, v2: megaSoup[m].v2, source: megaSoup[m].source });
+	}
+
+	// Step 3) Shared points + faces (keys taken in the centred frame)
+	var points = [];
+	var keyToIdx = {};
+	function pointIndex(v) {
+		var k = vKey(v);
+		if (keyToIdx[k] === undefined) {
+			keyToIdx[k] = points.length;
+			points.push({ x: v.x + cx, y: v.y + cy, z: v.z + cz });
+		}
+		return keyToIdx[k];
+	}
+	var faces = new Array(cut.length);
+	for (var f = 0; f < cut.length; f++) {
+		faces[f] = [pointIndex(cut[f].v0), pointIndex(cut[f].v1), pointIndex(cut[f].v2)];
+	}
+
+	// Step 4) Seam edges → crossing B triangle
+	var seamEdges = {};
+	for (var s = 0; s < isect.segments.length; s++) {
+		var seg = isect.segments[s];
+		seamEdges[edgeKey(pointIndex(seg.p0), pointIndex(seg.p1))] = seg.idxB;
+	}
+
+	// Step 5) Flood fill regions across non-seam edges
+	var edgeToFaces = {};
+	for (var e = 0; e < faces.length; e++) {
+		for (var c = 0; c < 3; c++) {
+			var ek = edgeKey(faces[e][c], faces[e][(c + 1) % 3]);
+			if (!edgeToFaces[ek]) edgeToFaces[ek] = [];
+			edgeToFaces[ek].push(e);
+		}
+	}
+	var region = new Int32Array(faces.length).fill(-1);
+	var regionCount = 0;
+	for (var seed = 0; seed < faces.length; seed++) {
+		if (region[seed] !== -1) continue;
+		region[seed] = regionCount;
+		var queue = [seed];
+		for (var head = 0; head < queue.length; head++) {
+			var cur = faces[queue[head]];
+			for (var ce = 0; ce < 3; ce++) {
+				var key = edgeKey(cur[ce], cur[(ce + 1) % 3]);
+				if (seamEdges[key] !== undefined) continue;
+				var nbrs = edgeToFaces[key];
+				for (var n = 0; n < nbrs.length; n++) {
+					if (region[nbrs[n]] !== -1) continue;
+					region[nbrs[n]] = regionCount;
+					queue.push(nbrs[n]);
+				}
+			}
+		}
+		regionCount++;
+	}
+
+	// Step 6) Vote each region's side: triangle centroid vs the B face it borders
+	var votes = new Float64Array(regionCount);
+	for (var vi = 0; vi < faces.length; vi++) {
+		var t = cut[vi];
+		var verts = [t.v0, t.v1, t.v2];
+		var gx = (t.v0.x + t.v1.x + t.v2.x) / 3;
+		var gy = (t.v0.y + t.v1.y + t.v2.y) / 3;
+		var gz = (t.v0.z + t.v1.z + t.v2.z) / 3;
+		for (var se = 0; se < 3; se++) {
+			var idxB = seamEdges[edgeKey(faces[vi][se], faces[vi][(se + 1) % 3])];
+			if (idxB === undefined) continue;
+			var tb = trisB[idxB];
+			var e1x = tb.v1.x - tb.v0.x, e1y = tb.v1.y - tb.v0.y, e1z = tb.v1.z - tb.v0.z;
+			var e2x = tb.v2.x - tb.v0.x, e2y = tb.v2.y - tb.v0.y, e2z = tb.v2.z - tb.v0.z;
+			var nx = e1y * e2z - e1z * e2y;
+			var ny = e1z * e2x - e1x * e2z;
+			var nz = e1x * e2y - e1y * e2x;
+			var nLen = Math.sqrt(nx * nx + ny * ny + nz * nz);
+			if (nLen < 1e-15) continue;
+			var p = verts[se], q = verts[(se + 1) % 3];
+			var d = ((gx - (p.x + q.x) / 2) * nx + (gy - (p.y + q.y) / 2) * ny + (gz - (p.z + q.z) / 2) * nz) / nLen;
+			votes[region[vi]] += d > 0 ? 1 : (d < 0 ? -1 : 0);
+		}
+	}
+
+	// Step 7) Translate back, interpolate attributes, attach tags
+	var soup = interpolateAttributes(translateSoup(cut, cx, cy, cz), [inputA]);
+	for (var oi = 0; oi < soup.length; oi++) {
+		var r = region[oi];
+		soup[oi].region = r;
+		soup[oi].side = votes[r] > 0 ? "front" : (votes[r] < 0 ? "back" : null);
+	}
+
+	// Step 8) Seams as point-index polylines
+	var chains = bmsChain(isect.segments);
+	var seams = [];
+	for (var pi = 0; pi < chains.length; pi++) {
+		var chain = chains[pi];
+		var closed = chain.length > 2 && chain[0] === chain[chain.length - 1];
+		var indices = [];
+		for (var pj = 0; pj < (closed ? chain.length - 1 : chain.length); pj++) {
+			indices.push(pointIndex(chain[pj]));
+		}
+		seams.push({ indices: indices, closed: closed });
+	}
+
+	return { soup: soup, points: points, faces: faces, seams: seams, regionCount: regionCount };
+}
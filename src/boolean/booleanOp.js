@@ -2,8 +2,8 @@
  * @module boolean/booleanOp
  *
  * Main boolean operation entry point. Computes the union, intersection,
- * or subtraction of two triangle meshes using a classify-then-split
- * algorithm:
+ * subtraction (either way round) or symmetric difference of two triangle
+ * meshes using a classify-then-split algorithm:
  *
  * 1. Find tagged intersection segments between mesh A and mesh B
  * 2. Build crossed-triangle sets from segment tags
@@ -22,12 +22,14 @@ import { classifyByFloodFill, splitStraddlingAndClassify } from "./classifyTrian
 import { deduplicateSeamVertices } from "../repair/deduplicateVertices.js";
 import { weldVertices, weldedToSoup } from "../repair/weldVertices.js";
 import { ensureZUpNormals } from "../normals/alignNormals.js";
-import { vKey, soupCentroid, translateSoup } from "../util/math.js";
+import { vKey, soupCentroid, translateSoup, tagSource } from "../util/math.js";
 import { resolveTJunctions } from "../repair/resolveTJunctions.js";
 import { weldBoundaryVertices } from "../repair/weldBoundary.js";
 import { fillOpenEdgeLoops } from "../repair/fillOpenLoops.js";
 import { findConnectedComponents } from "../util/connectedComponents.js";
-import { forceCloseIndexedMesh } from "../repair/forceClose.js";
+import { forceCloseIndexedMesh, forceCloseTypedMesh } from "../repair/forceClose.js";
+import { isTypedMesh, asSoup, soupToTypedMesh, groupsToTypedMeshes } from "../util/typedMesh.js";
+import { copyVertex, interpolateAttributes, hasVertexAttributes } from "../util/attributes.js";
 
 
 /**
@@ -141,19 +143,22 @@ function propagateNormals(tris) {
 	var result = [];
 	for (var ri = 0; ri < tris.length; ri++) {
 		var t = tris[ri];
+		var out;
 		if (flipped[ri]) {
-			result.push({
+			out = {
 				v0: { x: t.v0.x, y: t.v0.y, z: t.v0.z },
 				v1: { x: t.v2.x, y: t.v2.y, z: t.v2.z },
 				v2: { x: t.v1.x, y: t.v1.y, z: t.v1.z }
-			});
+			};
 		} else {
-			result.push({
+			out = {
 				v0: { x: t.v0.x, y: t.v0.y, z: t.v0.z },
 				v1: { x: t.v1.x, y: t.v1.y, z: t.v1.z },
 				v2: { x: t.v2.x, y: t.v2.y, z: t.v2.z }
-			});
+			};
 		}
+		if (t.source) out.source = t.source;
+		result.push(out);
 	}
 
 	return result;
@@ -161,6 +166,7 @@ function propagateNormals(tris) {
 
 /**
  * Flip the winding order of all triangles in a soup (reverses normals).
+ * Vertex attributes are kept, with any `normal` channel negated.
  *
  * @param {Array<{ v0: {x,y,z}, v1: {x,y,z}, v2: {x,y,z} }>} tris
  * @returns {Array<{ v0: {x,y,z}, v1: {x,y,z}, v2: {x,y,z} }>}
@@ -169,11 +175,13 @@ function flipSoup(tris) {
 	var result = [];
 	for (var i = 0; i < tris.length; i++) {
 		var t = tris[i];
-		result.push({
-			v0: { x: t.v0.x, y: t.v0.y, z: t.v0.z },
-			v1: { x: t.v2.x, y: t.v2.y, z: t.v2.z },
-			v2: { x: t.v1.x, y: t.v1.y, z: t.v1.z }
-		});
+		var flipped = {
+			v0: copyVertex(t.v0, true),
+			v1: copyVertex(t.v2, true),
+			v2: copyVertex(t.v1, true)
+		};
+		if (t.source) flipped.source = t.source;
+		result.push(flipped);
 	}
 	return result;
 }
@@ -185,32 +193,133 @@ function flipSoup(tris) {
  * (A-inside-B, A-outside-B, B-inside-A, B-outside-A), then the caller
  * decides which groups to keep. Mirrors Kirra's computeSplits pattern.
  *
- * @param {Array<{ v0: {x,y,z}, v1: {x,y,z}, v2: {x,y,z} }>} soupA - First mesh
- * @param {Array<{ v0: {x,y,z}, v1: {x,y,z}, v2: {x,y,z} }>} soupB - Second mesh
+ * Every output triangle carries `source: { mesh: "A"|"B", index }` naming
+ * the input triangle it came from; sub-triangles of a split triangle share
+ * their parent's. A `source` an input triangle already carries (e.g. from
+ * an earlier boolean) moves to `source.parent`, so chaining keeps the
+ * lineage while `mesh` / `index` always refer to this call's inputs.
+ *
+ * Vertex attribute channels (`v.attributes`, e.g. uv / color / normal) are
+ * interpolated onto every output corner from its parent triangle, so
+ * Steiner points on the intersection line get barycentric values.
+ *
+ * Either mesh may be a typed-array mesh { positions, indices }; the groups
+ * are then returned as typed-array meshes too (a convenience conversion
+ * around the soup pipeline, see util/typedMesh).
+ *
+ * @param {Array<{ v0: {x,y,z}, v1: {x,y,z}, v2: {x,y,z} }>|{ positions: Float64Array, indices: Uint32Array }} soupA - First mesh
+ * @param {Array<{ v0: {x,y,z}, v1: {x,y,z}, v2: {x,y,z} }>|{ positions: Float64Array, indices: Uint32Array }} soupB - Second mesh
  * @returns {{ groups: { aInside: Array, aOutside: Array, bInside: Array, bOutside: Array }, segments: Array }|null}
  */
 export function splitMeshPair(soupA, soupB) {
+	// Typed-array meshes in → typed-array groups out
+	if (isTypedMesh(soupA) || isTypedMesh(soupB)) {
+		var typedSplit = splitMeshPair(asSoup(soupA), asSoup(soupB));
+		if (typedSplit) typedSplit.groups = groupsToTypedMeshes(typedSplit.groups);
+		return typedSplit;
+	}
+
 	if (!soupA || !soupB || soupA.length === 0 || soupB.length === 0) {
 		return null;
 	}
 
+	return splitTaggedPair(tagSource(soupA, "A"), tagSource(soupB, "B"));
+}
+
+/**
+ * splitMeshPair on soups whose provenance is already recorded (see
+ * tagSource), e.g. boolean()'s pre-repaired inputs.
+ *
+ * @param {Array} soupA - Tagged first mesh
+ * @param {Array} soupB - Tagged second mesh
+ * @returns {{ groups: { aInside: Array, aOutside: Array, bInside: Array, bOutside: Array }, segments: Array }}
+ */
+function splitTaggedPair(soupA, soupB) {
 	// Step 0) Translate to origin for floating-point precision
+	var inputs = [soupA, soupB];
 	var centroid = soupCentroid(soupA, soupB);
 	var cx = centroid.x, cy = centroid.y, cz = centroid.z;
 	soupA = translateSoup(soupA, -cx, -cy, -cz);
 	soupB = translateSoup(soupB, -cx, -cy, -cz);
 
+	var split = splitCentred(soupA, soupB, null);
+
+	// Step 8) Translate results back to original coordinates and
+	// interpolate vertex attributes from each triangle's parent
+	return {
+		groups: {
+			aInside: interpolateAttributes(translateSoup(split.groups.aInside, cx, cy, cz), inputs),
+			aOutside: interpolateAttributes(translateSoup(split.groups.aOutside, cx, cy, cz), inputs),
+			bInside: interpolateAttributes(translateSoup(split.groups.bInside, cx, cy, cz), inputs),
+			bOutside: interpolateAttributes(translateSoup(split.groups.bOutside, cx, cy, cz), inputs)
+		},
+		segments: split.segments
+	};
+}
+
+/**
+ * Look up (or create) the spatial-grid entry for a soup. The XY grid is
+ * built straight away (intersection needs it); the YZ / XZ grids used for
+ * ray-cast classification are added by {@link classificationGrids}.
+ *
+ * @param {Array} soup
+ * @param {Array<{ soup: Array, cellSize: number, xy: Object, yz?: Object, xz?: Object }>} cache
+ * @returns {{ soup: Array, cellSize: number, xy: Object, yz?: Object, xz?: Object }}
+ */
+function gridEntry(soup, cache) {
+	for (var i = 0; i < cache.length; i++) {
+		if (cache[i].soup === soup) return cache[i];
+	}
+	var cellSize = Math.max(estimateAvgEdge(soup) * 2, 0.1);
+	var entry = { soup: soup, cellSize: cellSize, xy: buildSpatialGrid(soup, cellSize) };
+	cache.push(entry);
+	return entry;
+}
+
+/**
+ * Multi-axis grids of a soup for classifyPointMultiAxis, built once per entry.
+ *
+ * @param {{ soup: Array, cellSize: number, xy: Object, yz?: Object, xz?: Object }} entry
+ * @returns {{ xy: {grid, cellSize}, yz: {grid, cellSize}, xz: {grid, cellSize} }}
+ */
+function classificationGrids(entry) {
+	var cs = entry.cellSize;
+	if (!entry.yz) {
+		entry.yz = buildSpatialGridOnAxes(entry.soup, cs, function (v) { return v.y; }, function (v) { return v.z; });
+		entry.xz = buildSpatialGridOnAxes(entry.soup, cs, function (v) { return v.x; }, function (v) { return v.z; });
+	}
+	return {
+		xy: { grid: entry.xy, cellSize: cs },
+		yz: { grid: entry.yz, cellSize: cs },
+		xz: { grid: entry.xz, cellSize: cs }
+	};
+}
+
+/**
+ * Steps 1-7 of splitMeshPair on two soups already translated near the
+ * origin. Groups and segments stay in those coordinates.
+ *
+ * `gridCache` is an array shared across calls (see evaluateCSG), keyed by
+ * soup identity: the same soup array taking part in several splits has
+ * its spatial grids built once. Pass null for a one-off split. Mesh B's
+ * XY grid is shared between the intersection search and classification
+ * either way.
+ *
+ * @param {Array} soupA - Centred mesh A
+ * @param {Array} soupB - Centred mesh B
+ * @param {Array|null} gridCache
+ * @returns {{ groups: { aInside: Array, aOutside: Array, bInside: Array, bOutside: Array }, segments: Array }}
+ */
+export function splitCentred(soupA, soupB, gridCache) {
+	var cache = gridCache || [];
+
 	// Step 1) Get tagged intersection segments
-	var taggedSegments = intersectMeshPairTagged(soupA, soupB);
+	var entryB = gridEntry(soupB, cache);
+	var taggedSegments = intersectMeshPairTagged(soupA, soupB, { grid: entryB.xy, cellSize: entryB.cellSize });
 
 	if (taggedSegments.length === 0) {
 		return {
-			groups: {
-				aInside: [],
-				aOutside: translateSoup(soupA, cx, cy, cz),
-				bInside: [],
-				bOutside: translateSoup(soupB, cx, cy, cz)
-			},
+			groups: { aInside: [], aOutside: soupA, bInside: [], bOutside: soupB },
 			segments: []
 		};
 	}
@@ -226,22 +335,9 @@ export function splitMeshPair(soupA, soupB) {
 		crossedSetB[seg.idxB].push(seg);
 	}
 
-	// Step 3) Build spatial grids for ray-cast classification
-	var avgEdgeA = estimateAvgEdge(soupA);
-	var avgEdgeB = estimateAvgEdge(soupB);
-	var cellSizeA = Math.max(avgEdgeA * 2, 0.1);
-	var cellSizeB = Math.max(avgEdgeB * 2, 0.1);
-
-	var gridsA = {
-		xy: { grid: buildSpatialGrid(soupA, cellSizeA), cellSize: cellSizeA },
-		yz: { grid: buildSpatialGridOnAxes(soupA, cellSizeA, function (v) { return v.y; }, function (v) { return v.z; }), cellSize: cellSizeA },
-		xz: { grid: buildSpatialGridOnAxes(soupA, cellSizeA, function (v) { return v.x; }, function (v) { return v.z; }), cellSize: cellSizeA }
-	};
-	var gridsB = {
-		xy: { grid: buildSpatialGrid(soupB, cellSizeB), cellSize: cellSizeB },
-		yz: { grid: buildSpatialGridOnAxes(soupB, cellSizeB, function (v) { return v.y; }, function (v) { return v.z; }), cellSize: cellSizeB },
-		xz: { grid: buildSpatialGridOnAxes(soupB, cellSizeB, function (v) { return v.x; }, function (v) { return v.z; }), cellSize: cellSizeB }
-	};
+	// Step 3) Build (or reuse) spatial grids for ray-cast classification
+	var gridsA = classificationGrids(gridEntry(soupA, cache));
+	var gridsB = classificationGrids(entryB);
 
 	// Step 4) Flood-fill classify
 	var classA = classifyByFloodFill(soupA, crossedSetA, soupB, gridsB);
@@ -271,13 +367,12 @@ export function splitMeshPair(soupA, soupB) {
 	if (groupsB.inside.length > 0) groupsB.inside = propagateNormals(groupsB.inside);
 	if (groupsB.outside.length > 0) groupsB.outside = propagateNormals(groupsB.outside);
 
-	// Translate results back to original coordinates
 	return {
 		groups: {
-			aInside: translateSoup(groupsA.inside, cx, cy, cz),
-			aOutside: translateSoup(groupsA.outside, cx, cy, cz),
-			bInside: translateSoup(groupsB.inside, cx, cy, cz),
-			bOutside: translateSoup(groupsB.outside, cx, cy, cz)
+			aInside: groupsA.inside,
+			aOutside: groupsA.outside,
+			bInside: groupsB.inside,
+			bOutside: groupsB.outside
 		},
 		segments: taggedSegments
 	};
@@ -285,13 +380,56 @@ export function splitMeshPair(soupA, soupB) {
 
 /**
  * Merge split groups into a single result soup based on the operation type,
- * then weld and return the combined mesh.
+ * then weld and return the combined mesh. Typed-array groups (from a typed
+ * splitMeshPair) give a typed-array { positions, indices } result, indexed
+ * directly without the weld.
+ *
+ *   subtract         A \ B   aOutside + bInside (flipped)
+ *   reverseSubtract  B \ A   bOutside + aInside (flipped)
+ *   union            A ∪ B   aOutside + bOutside
+ *   intersect        A ∩ B   aInside + bInside
+ *   xor              A △ B   subtract + reverseSubtract
+ *
+ * Inside groups are reversed with flipSoup so they face out of the
+ * result, for closed and open inputs alike.
  *
  * @param {{ aInside: Array, aOutside: Array, bInside: Array, bOutside: Array }} groups
- * @param {"subtract"|"union"|"intersect"} operation
- * @returns {{ soup: Array, points: Array, triangles: Array }|null}
+ * @param {"subtract"|"reverseSubtract"|"union"|"intersect"|"xor"} operation
+ * @returns {{ soup: Array, points: Array, triangles: Array }|{ positions: Float64Array, indices: Uint32Array }|null}
  */
 export function mergeSplitGroups(groups, operation) {
+	// Typed-array groups in → typed-array mesh out
+	if (isTypedMesh(groups.aInside) || isTypedMesh(groups.aOutside) || isTypedMesh(groups.bInside) || isTypedMesh(groups.bOutside)) {
+		var typedCombined = combineGroups({
+			aInside: asSoup(groups.aInside),
+			aOutside: asSoup(groups.aOutside),
+			bInside: asSoup(groups.bInside),
+			bOutside: asSoup(groups.bOutside)
+		}, operation);
+		return typedCombined ? soupToTypedMesh(typedCombined) : null;
+	}
+
+	var combined = combineGroups(groups, operation);
+	if (!combined) return null;
+
+	var finalWelded = weldVertices(combined, 1e-4);
+	return {
+		soup: combined,
+		points: finalWelded.points,
+		triangles: finalWelded.triangles
+	};
+}
+
+/**
+ * Pick and concatenate the split groups for an operation, then fix
+ * non-manifold edges. Shared by mergeSplitGroups and evaluateCSG, which
+ * skips the weld for intermediate results.
+ *
+ * @param {{ aInside: Array, aOutside: Array, bInside: Array, bOutside: Array }} groups
+ * @param {"subtract"|"reverseSubtract"|"union"|"intersect"|"xor"} operation
+ * @returns {Array|null} Combined soup, or null for an unknown operation / empty result
+ */
+export function combineGroups(groups, operation) {
 	var combined = [];
 
 	if (operation === "subtract") {
@@ -316,6 +454,21 @@ export function mergeSplitGroups(groups, operation) {
 		for (var bii = 0; bii < groups.bInside.length; bii++) {
 			combined.push(groups.bInside[bii]);
 		}
+	} else if (operation === "reverseSubtract") {
+		for (var rb = 0; rb < groups.bOutside.length; rb++) {
+			combined.push(groups.bOutside[rb]);
+		}
+		var flippedAInside = flipSoup(groups.aInside);
+		for (var ra = 0; ra < flippedAInside.length; ra++) {
+			combined.push(flippedAInside[ra]);
+		}
+	} else if (operation === "xor") {
+		// (A \ B) + (B \ A). The halves touch along the seam, where each edge
+		// is legitimately shared by four triangles, so fix them separately.
+		var aMinusB = combineGroups(groups, "subtract");
+		var bMinusA = combineGroups(groups, "reverseSubtract");
+		if (!aMinusB) return bMinusA;
+		return bMinusA ? aMinusB.concat(bMinusA) : aMinusB;
 	} else {
 		return null;
 	}
@@ -326,14 +479,7 @@ export function mergeSplitGroups(groups, operation) {
 
 	// Step: Fix non-manifold edges in the combined mesh by removing the
 	// triangle that causes the least damage (fewest new open edges).
-	combined = fixMergedNonManifold(combined);
-
-	var finalWelded = weldVertices(combined, 1e-4);
-	return {
-		soup: combined,
-		points: finalWelded.points,
-		triangles: finalWelded.triangles
-	};
+	return fixMergedNonManifold(combined);
 }
 
 /**
@@ -684,53 +830,162 @@ function fixMergedNonManifold(soup) {
  *                          Default: estimateAvgEdge * 0.01.
  *   tjunctionPasses {number} Max T-junction resolution passes. Default: 3.
  *
- * @param {Array<{ v0: {x,y,z}, v1: {x,y,z}, v2: {x,y,z} }>} soupA
- * @param {Array<{ v0: {x,y,z}, v1: {x,y,z}, v2: {x,y,z} }>} soupB
- * @param {"subtract"|"union"|"intersect"} operation
+ * Result triangles carry `source: { mesh: "A"|"B", index }` as described
+ * for splitMeshPair (also on the welded `triangles`); gap-fill triangles
+ * have none. Vertex attribute channels are interpolated onto the result
+ * soup the same way, and onto the corners of the welded `triangles`.
+ *
+ * Either input may be a typed-array mesh { positions, indices }; the
+ * result is then a typed-array mesh as well, with provenance and
+ * attributes as parallel arrays. Split and classification still expand
+ * the inputs to object soup; the result skips the welded points /
+ * triangles and is force-closed over its indices (see util/typedMesh).
+ *
+ * @param {Array<{ v0: {x,y,z}, v1: {x,y,z}, v2: {x,y,z} }>|{ positions: Float64Array, indices: Uint32Array }} soupA
+ * @param {Array<{ v0: {x,y,z}, v1: {x,y,z}, v2: {x,y,z} }>|{ positions: Float64Array, indices: Uint32Array }} soupB
+ * @param {"subtract"|"reverseSubtract"|"union"|"intersect"|"xor"} operation
  * @param {Object} [options]
- * @returns {{ soup: Array, points: Array, triangles: Array }|null}
+ * @returns {{ soup: Array, points: Array, triangles: Array }|{ positions: Float64Array, indices: Uint32Array }|null}
  */
 export function boolean(soupA, soupB, operation, options) {
+	// Typed-array meshes in → typed-array mesh out
+	if (isTypedMesh(soupA) || isTypedMesh(soupB)) {
+		return typedBoolean(asSoup(soupA), asSoup(soupB), operation, options || {});
+	}
+
+	var opts = options || {};
+	var prepared = prepareBoolean(soupA, soupB, operation, opts);
+	if (!prepared) return null;
+	if (prepared.soup) {
+		var welded = weldVertices(prepared.soup, 0);
+		return { soup: prepared.soup, points: welded.points, triangles: welded.triangles };
+	}
+
+	// Step 4) Merge groups based on operation
+	var result = mergeSplitGroups(prepared.groups, operation);
+	if (!result) return null;
+
+	// Step 5) Optional post-repair (fillGaps / forceClose)
+	postRepair(result, opts);
+
+	// Step 6) Re-attribute the final soup from the unrepaired inputs
+	reattributeResult(result, prepared.inputs);
+
+	return result;
+}
+
+/**
+ * boolean() steps 0-3, shared by the soup and typed-array paths: tag
+ * provenance, optional pre-repair, split, and the untouched result when
+ * the meshes do not intersect.
+ *
+ * @param {Array} soupA
+ * @param {Array} soupB
+ * @param {string} operation
+ * @param {Object} opts - boolean() options
+ * @returns {{ soup: Array }|{ groups: Object, inputs: Array<Array> }|null}
+ *   `soup` when nothing intersects, else the split groups and tagged inputs
+ */
+function prepareBoolean(soupA, soupB, operation, opts) {
 	if (!soupA || !soupB || soupA.length === 0 || soupB.length === 0) {
 		return null;
 	}
 
-	var opts = options || {};
+	// Step 0) Record provenance up front so pre-repair sub-triangles inherit it
+	soupA = tagSource(soupA, "A");
+	soupB = tagSource(soupB, "B");
+	var inputs = [soupA, soupB];
 
 	// Step 1) Optional pre-repair: resolve T-junctions + weld boundary
 	if (opts.preRepair) {
-		var tolA = opts.tolerance !== undefined ? opts.tolerance : estimateAvgEdge(soupA) * 0.01;
-		var tolB = opts.tolerance !== undefined ? opts.tolerance : estimateAvgEdge(soupB) * 0.01;
-		var passes = opts.tjunctionPasses !== undefined ? opts.tjunctionPasses : 3;
-		soupA = resolveTJunctions(soupA, tolA, passes);
-		soupA = weldBoundaryVertices(soupA, tolA);
-		soupB = resolveTJunctions(soupB, tolB, passes);
-		soupB = weldBoundaryVertices(soupB, tolB);
+		soupA = preRepairSoup(soupA, opts);
+		soupB = preRepairSoup(soupB, opts);
 	}
 
-	// Step 2) Split meshes into inside/outside groups
-	var split = splitMeshPair(soupA, soupB);
-	if (!split) return null;
+	// Step 2) Split meshes into inside/outside groups (already tagged)
+	if (soupA.length === 0 || soupB.length === 0) return null;
+	var split = splitTaggedPair(soupA, soupB);
 
 	// Step 3) Handle no-intersection case
 	if (split.segments.length === 0) {
-		var resultSoup;
-		if (operation === "union") {
-			resultSoup = soupA.concat(soupB);
-		} else if (operation === "intersect") {
-			return null;
-		} else {
-			resultSoup = soupA.slice();
-		}
-		var welded = weldVertices(resultSoup, 0);
-		return { soup: resultSoup, points: welded.points, triangles: welded.triangles };
+		if (operation === "union" || operation === "xor") return { soup: soupA.concat(soupB) };
+		if (operation === "intersect") return null;
+		if (operation === "reverseSubtract") return { soup: soupB.slice() };
+		return { soup: soupA.slice() };
 	}
 
-	// Step 4) Merge groups based on operation
-	var result = mergeSplitGroups(split.groups, operation);
-	if (!result) return null;
+	return { groups: split.groups, inputs: inputs };
+}
 
-	// Step 5) Optional post-repair: fill open-edge loops with fan triangles
+/**
+ * boolean() for typed-array meshes. Split and classification run on the
+ * object soup as for soup inputs; from there the result goes straight to
+ * a typed mesh: no welded points / triangles are built, the soup is
+ * indexed once and forceClose runs on the indices (forceCloseTypedMesh).
+ *
+ * @param {Array} soupA
+ * @param {Array} soupB
+ * @param {string} operation
+ * @param {Object} opts - boolean() options
+ * @returns {{ positions: Float64Array, indices: Uint32Array }|null}
+ */
+function typedBoolean(soupA, soupB, operation, opts) {
+	var prepared = prepareBoolean(soupA, soupB, operation, opts);
+	if (!prepared) return null;
+	if (prepared.soup) return soupToTypedMesh(prepared.soup);
+
+	// Step 1) Combined soup, gap fill and attributes, as in boolean()
+	var soup = combineGroups(prepared.groups, operation);
+	if (!soup) return null;
+	if (opts.fillGaps) soup = fillOpenEdgeLoops(soup, opts.tolerance !== undefined ? opts.tolerance : 1e-6);
+	if (hasVertexAttributes(prepared.inputs)) soup = interpolateAttributes(soup, prepared.inputs);
+
+	// Step 2) Index once, then close over the indices
+	var mesh = soupToTypedMesh(soup);
+	return opts.forceClose ? forceCloseTypedMesh(mesh, 1e-4) : mesh;
+}
+
+/**
+ * Re-attribute a welded result, in place, from the tagged inputs, then
+ * re-weld so `points` / `triangles` match the attributed soup. A no-op
+ * when the inputs carry no vertex attributes.
+ *
+ * @param {{ soup: Array, points: Array, triangles: Array }} result
+ * @param {Array<Array>} inputs - Tagged input soups (see tagSource)
+ */
+export function reattributeResult(result, inputs) {
+	if (!hasVertexAttributes(inputs)) return;
+	result.soup = interpolateAttributes(result.soup, inputs);
+	var rw = weldVertices(result.soup, 1e-4);
+	result.points = rw.points;
+	result.triangles = rw.triangles;
+}
+
+/**
+ * boolean() pre-repair of one input: resolve T-junctions, then weld
+ * boundary vertices. Uses opts.tolerance (default estimateAvgEdge * 0.01)
+ * and opts.tjunctionPasses (default 3).
+ *
+ * @param {Array} soup
+ * @param {Object} opts - boolean() options
+ * @returns {Array} Repaired soup
+ */
+export function preRepairSoup(soup, opts) {
+	var tol = opts.tolerance !== undefined ? opts.tolerance : estimateAvgEdge(soup) * 0.01;
+	var passes = opts.tjunctionPasses !== undefined ? opts.tjunctionPasses : 3;
+	return weldBoundaryVertices(resolveTJunctions(soup, tol, passes), tol);
+}
+
+/**
+ * boolean() post-repair of a welded result, in place: opts.fillGaps fills
+ * open-edge loops with fan triangles, opts.forceClose closes the rest with
+ * forceCloseIndexedMesh. `points` / `triangles` are re-welded after each.
+ *
+ * @param {{ soup: Array, points: Array, triangles: Array }} result
+ * @param {Object} opts - boolean() options
+ */
+export function postRepair(result, opts) {
+	// Step 1) Fill open-edge loops with fan triangles
 	if (opts.fillGaps && result.soup) {
 		var fillTol = opts.tolerance !== undefined ? opts.tolerance : 1e-6;
 		result.soup = fillOpenEdgeLoops(result.soup, fillTol);
@@ -739,24 +994,24 @@ export function boolean(soupA, soupB, operation, options) {
 		result.triangles = rw1.triangles;
 	}
 
-	// Step 6) Optional post-repair: force-close via indexed spatial fill
+	// Step 2) Force-close via indexed spatial fill
 	if (opts.forceClose && result.soup) {
 		var w = weldVertices(result.soup, 0.0001);
 		var closed = forceCloseIndexedMesh(w.points, w.triangles);
 		var newSoup = [];
 		for (var ci = 0; ci < closed.triangles.length; ci++) {
 			var cv = closed.triangles[ci].vertices;
-			newSoup.push({
+			var closedTri = {
 				v0: { x: cv[0].x, y: cv[0].y, z: cv[0].z },
 				v1: { x: cv[1].x, y: cv[1].y, z: cv[1].z },
 				v2: { x: cv[2].x, y: cv[2].y, z: cv[2].z }
-			});
+			};
+			if (closed.triangles[ci].source) closedTri.source = closed.triangles[ci].source;
+			newSoup.push(closedTri);
 		}
 		result.soup = newSoup;
 		var rw2 = weldVertices(result.soup, 1e-4);
 		result.points = rw2.points;
 		result.triangles = rw2.triangles;
 	}
-
-	return result;
 }
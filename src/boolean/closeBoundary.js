@@ -5,8 +5,9 @@
  * strategies:
  *
  * 1. **buildCurtainAndCap** -- Extrude boundary edges vertically down to a
- *    floor plane, then triangulate the bottom cap. Useful for creating
- *    watertight solids from open surfaces.
+ *    floor plane, then triangulate the bottom cap, or to a floor surface
+ *    capped with the matching piece of it. Useful for creating watertight
+ *    solids from open surfaces.
  *
  * 2. **generateClosingTriangles** -- Iteratively fill boundary gaps by
  *    finding the nearest vertex to each boundary edge and forming a closing
@@ -14,7 +15,46 @@
  */
 
 import { extractBoundaryLoops, triangulateLoop } from "../repair/boundaryLoops.js";
+import { imprint } from "../bms/imprint.js";
+import { computeBBox, estimateAvgEdge } from "../intersect/spatialGrid.js";
+import { verticalCurtain, pointInPolygonXY, surfaceSampler, zipRings } from "../util/planGeometry.js";
 import { vKey, edgeKey } from "../util/math.js";
+import { asSoup } from "../util/typedMesh.js";
+
+/**
+ * Twice the signed plan area of a closed ring (positive counter-clockwise).
+ * @param {Array<{x,y}>} ring
+ * @returns {number}
+ */
+function planArea2(ring) {
+	var a = 0;
+	for (var i = 0; i < ring.length; i++) {
+		var p = ring[i], q = ring[(i + 1) % ring.length];
+		a += p.x * q.y - q.x * p.y;
+	}
+	return a;
+}
+
+/**
+ * Plan direction of a closed ring: 1 counter-clockwise, -1 clockwise.
+ * @param {Array<{x,y}>} ring
+ * @returns {number}
+ */
+function planSign(ring) {
+	return planArea2(ring) >= 0 ? 1 : -1;
+}
+
+/**
+ * Copy of a triangle wound counter-clockwise in plan for sign 1 and
+ * clockwise for -1.
+ * @param {{ v0, v1, v2 }} t
+ * @param {number} sign
+ * @returns {{ v0, v1, v2 }}
+ */
+function orientInPlan(t, sign) {
+	var area2 = (t.v1.x - t.v0.x) * (t.v2.y - t.v0.y) - (t.v1.y - t.v0.y) * (t.v2.x - t.v0.x);
+	return area2 * sign < 0 ? { v0: t.v0, v1: t.v2, v2: t.v1 } : { v0: t.v0, v1: t.v1, v2: t.v2 };
+}
 
 /**
  * Extrude remaining open boundary edges vertically down to a floor plane,
@@ -22,17 +62,30 @@ import { vKey, edgeKey } from "../util/math.js";
  *
  * For each boundary loop:
  * - Creates curtain wall quads (2 triangles per boundary edge)
- * - Triangulates the floor polygon with reversed winding (normals face down)
+ * - Triangulates the floor polygon, wound with the loop in plan so it
+ *   closes against the walls (normals face down for an upward-facing mesh)
+ *
+ * When `floor` is a surface instead of a number, the walls run vertically
+ * from the boundary to where it projects onto that surface, above or
+ * below, and the cap is the piece of the surface cut out by the boundary
+ * polygon (see curtainToSurface). The floor must cover the boundary in plan.
+ *
+ * Example — close a pit shell down to the base-of-weathering DTM:
+ *   var solid = shell.concat(buildCurtainAndCap(shell, weatheringBase));
  *
  * @param {Array<{ v0: {x,y,z}, v1: {x,y,z}, v2: {x,y,z} }>} tris - Triangle soup
- * @param {number} floorOffset - Metres below the minimum Z of the mesh (default 10)
+ * @param {number|Array<{ v0: {x,y,z}, v1: {x,y,z}, v2: {x,y,z} }>|{ positions: Float64Array, indices: Uint32Array }} [floor] -
+ *   Metres below the minimum Z of the mesh (default 10), or a 2.5D surface to extrude to
  * @returns {Array<{ v0: {x,y,z}, v1: {x,y,z}, v2: {x,y,z} }>} Additional triangles (curtain walls + bottom cap)
  */
-export function buildCurtainAndCap(tris, floorOffset) {
+export function buildCurtainAndCap(tris, floor) {
 	var result = extractBoundaryLoops(tris);
 	if (result.loops.length === 0) {
 		return [];
 	}
+	if (floor && typeof floor === "object") {
+		return curtainToSurface(tris, result.loops, floor);
+	}
 
 	// Compute floorZ from all triangle vertices
 	var minZ = Infinity;
@@ -42,7 +95,7 @@ export function buildCurtainAndCap(tris, floorOffset) {
 		if (tri.v1.z < minZ) minZ = tri.v1.z;
 		if (tri.v2.z < minZ) minZ = tri.v2.z;
 	}
-	var floorZ = minZ - (floorOffset || 10);
+	var floorZ = minZ - (floor || 10);
 
 	var extraTris = [];
 
@@ -72,19 +125,95 @@ export function buildCurtainAndCap(tris, floorOffset) {
 		// Bottom cap: triangulate the floor polygon using Constrained Delaunay
 		// Floor is flat at floorZ, so use triangulateLoop which projects to best-fit plane
 		var capTris = triangulateLoop(floorVerts);
+		var sign = planSign(loop);
 		for (var ci = 0; ci < capTris.length; ci++) {
-			// Reverse winding so normals face downward
-			extraTris.push({
-				v0: capTris[ci].v2,
-				v1: capTris[ci].v1,
-				v2: capTris[ci].v0
-			});
+			// Wind with the loop in plan so the cap closes against the walls
+			// (normals face down for an upward-facing mesh)
+			extraTris.push(orientInPlan(capTris[ci], sign));
 		}
 	}
 
 	return extraTris;
 }
 
+/**
+ * Curtain walls and cap from a mesh's boundary loops to a floor surface.
+ *
+ * The floor is imprinted with vertical curtains through the loops, so it
+ * gains a vertex wherever a boundary vertex projects onto it and an edge
+ * along every boundary edge. Floor pieces inside the boundary (even-odd
+ * over all loops, so holes stay open) form the cap, wound so its edge runs
+ * against the walls, and each boundary loop is zipped to the cap loop
+ * beneath (or above) it.
+ *
+ * @param {Array} tris - Triangle soup
+ * @param {Array<Array<{x,y,z}>>} loops - Boundary loops of tris (extractBoundaryLoops)
+ * @param {Array|{ positions: Float64Array, indices: Uint32Array }} floor - Floor surface
+ * @returns {Array<{ v0, v1, v2 }>} Curtain walls + cap
+ */
+function curtainToSurface(tris, loops, floor) {
+	var floorSoup = asSoup(floor);
+	if (!floorSoup || floorSoup.length === 0) {
+		throw new Error("buildCurtainAndCap: floor surface is empty");
+	}
+
+	// Step 1) Every boundary vertex must project onto the floor
+	var sample = surfaceSampler(floorSoup);
+	for (var li = 0; li < loops.length; li++) {
+		for (var vi = 0; vi < loops[li].length; vi++) {
+			if (sample(loops[li][vi].x, loops[li][vi].y) === null) {
+				throw new Error("buildCurtainAndCap: boundary does not project onto the floor surface");
+			}
+		}
+	}
+
+	// Step 2) Cut the floor along the boundary
+	var bb = computeBBox(tris), bbF = computeBBox(floorSoup);
+	var z0 = Math.min(bb.minZ, bbF.minZ) - 1;
+	var z1 = Math.max(bb.maxZ, bbF.maxZ) + 1;
+	var cutter = [];
+	for (var ci = 0; ci < loops.length; ci++) cutter = cutter.concat(verticalCurtain(loops[ci], z0, z1));
+	// The tall curtains would inflate imprint's default merge tolerance
+	// enough to snap boundary vertices onto nearby floor edges, so scale
+	// it from the floor alone
+	var imp = imprint(floorSoup, cutter, { tolerance: estimateAvgEdge(floorSoup) * 1e-4 });
+
+	// Step 3) Cap: floor pieces inside the boundary, wound the way the
+	// loops run in plan so the cap's open edges oppose the walls' bottoms
+	var outer = loops[0];
+	for (var ai = 1; ai < loops.length; ai++) {
+		if (Math.abs(planArea2(loops[ai])) > Math.abs(planArea2(outer))) outer = loops[ai];
+	}
+	var sign = planSign(outer);
+	var cap = [];
+	for (var t = 0; t < imp.soup.length; t++) {
+		var tri = imp.soup[t];
+		var gx = (tri.v0.x + tri.v1.x + tri.v2.x) / 3;
+		var gy = (tri.v0.y + tri.v1.y + tri.v2.y) / 3;
+		var inside = false;
+		for (var pi = 0; pi < loops.length; pi++) {
+			if (pointInPolygonXY(gx, gy, loops[pi])) inside = !inside;
+		}
+		if (!inside) continue;
+		cap.push(orientInPlan(tri, sign));
+	}
+
+	// Step 4) Walls: boundary loops run against the mesh's own half-edges
+	// and cap loops against the cap's, so reverse the former to match
+	var upRings = [];
+	for (var ri = 0; ri < loops.length; ri++) upRings.push(loops[ri].slice().reverse());
+	var walls = [];
+	zipRings(upRings, extractBoundaryLoops(cap).loops, walls);
+
+	// Step 5) Drop walls collapsed where the boundary touches the floor
+	var extraTris = [];
+	for (var w = 0; w < walls.length; w++) {
+		var ka = vKey(walls[w].v0), kb = vKey(walls[w].v1), kc = vKey(walls[w].v2);
+		if (ka !== kb && kb !== kc && ka !== kc) extraTris.push(walls[w]);
+	}
+	return extraTris.concat(cap);
+}
+
 /**
  * For each boundary edge, find the nearest vertex (not already connected)
  * that can form a valid closing triangle. Iterates until no more gaps can
@@ -0,0 +1,223 @@
+/**
+ * @module boolean/csg
+ *
+ * N-ary booleans: evaluate a CSG expression tree such as
+ *
+ *   { op: "subtract", a: topo, b: { op: "union", of: [s1, s2, s3] } }
+ *
+ * as a chain of binary splits in one call. Every leaf is translated to a
+ * single common origin once, and intermediate results stay centred and
+ * unwelded.
+ *
+ * Spatial grids are cached by soup identity, which only saves work when
+ * the same leaf is a direct operand of several nodes (e.g. one pit shell
+ * cut from two surfaces). Each intermediate result is a new soup: its
+ * grids are built when it is split and dropped once it is consumed. In
+ * the example above every soup is split once, so nothing is shared.
+ *
+ * Each node follows boolean() semantics, so open surfaces behave exactly
+ * as in a chain of boolean() calls: nothing is closed or capped between
+ * nodes, and a node whose operands do not touch falls back to
+ * union / xor → both, intersect → nothing, subtract → A,
+ * reverseSubtract → B.
+ */
+
+import { splitCentred, combineGroups, preRepairSoup, postRepair, reattributeResult } from "./booleanOp.js";
+import { computeBBox, bboxOverlap } from "../intersect/spatialGrid.js";
+import { weldVertices } from "../repair/weldVertices.js";
+import { soupCentroid, translateSoup, tagSource } from "../util/math.js";
+import { isTypedMesh, asSoup, soupToTypedMesh } from "../util/typedMesh.js";
+
+var OPS = { union: true, intersect: true, subtract: true, reverseSubtract: true, xor: true };
+
+/**
+ * True when `node` is an operation node rather than a leaf mesh.
+ * @param {*} node
+ * @returns {boolean}
+ */
+function isOpNode(node) {
+	return !!node && !Array.isArray(node) && !isTypedMesh(node) && node.op !== undefined;
+}
+
+/**
+ * Operands of an operation node, validated.
+ * @param {Object} node
+ * @returns {Array}
+ */
+function operands(node) {
+	if (!OPS[node.op]) {
+		throw new Error("evaluateCSG: unknown op \"" + node.op + "\" (expected union, intersect, subtract, reverseSubtract or xor)");
+	}
+	var list = node.of !== undefined ? node.of : [node.a, node.b];
+	if (!Array.isArray(list) || list.length === 0) {
+		throw new Error("evaluateCSG: \"" + node.op + "\" node needs `a` and `b` or a non-empty `of` array");
+	}
+	for (var i = 0; i < list.length; i++) {
+		if (!list[i]) throw new Error("evaluateCSG: \"" + node.op + "\" node has a missing operand");
+	}
+	return list;
+}
+
+/**
+ * Collect the distinct leaves of a tree in depth-first order.
+ *
+ * @param {*} node
+ * @param {Array} leaves - Accumulator of leaf nodes (deduplicated by identity)
+ * @param {Array} stack - Op nodes on the current path (cycle check)
+ */
+function collectLeaves(node, leaves, stack) {
+	if (!isOpNode(node)) {
+		if (leaves.indexOf(node) === -1) leaves.push(node);
+		return;
+	}
+	if (stack.indexOf(node) !== -1) throw new Error("evaluateCSG: tree contains a cycle");
+	stack.push(node);
+	var list = operands(node);
+	for (var i = 0; i < list.length; i++) collectLeaves(list[i], leaves, stack);
+	stack.pop();
+}
+
+/**
+ * Default provenance label for the i-th leaf: "A", "B", ... "Z", then "L26", ...
+ * @param {number} i
+ * @returns {string}
+ */
+function leafLabel(i) {
+	return i < 26 ? String.fromCharCode(65 + i) : "L" + i;
+}
+
+/**
+ * One binary boolean on centred soups, with boolean()'s fallbacks for
+ * empty and non-touching operands.
+ *
+ * @param {Array} a
+ * @param {Array} b
+ * @param {"union"|"intersect"|"subtract"|"reverseSubtract"|"xor"} op
+ * @param {Array} gridCache
+ * @returns {Array} Result soup (possibly empty)
+ */
+function combinePair(a, b, op, gridCache) {
+	// Step 1) Empty operands
+	if (a.length === 0) return op === "union" || op === "xor" || op === "reverseSubtract" ? b : [];
+	if (b.length === 0) return op === "intersect" || op === "reverseSubtract" ? [] : a;
+
+	// Step 2) Disjoint bounding boxes cannot intersect -- skip the grids
+	var split = bboxOverlap(computeBBox(a), computeBBox(b))
+		? splitCentred(a, b, gridCache)
+		: null;
+
+	// Step 3) No intersection: boolean() semantics
+	if (!split || split.segments.length === 0) {
+		if (op === "union" || op === "xor") return a.concat(b);
+		if (op === "intersect") return [];
+		if (op === "reverseSubtract") return b;
+		return a;
+	}
+
+	// Step 4) Combine the split groups
+	return combineGroups(split.groups, op) || [];
+}
+
+/**
+ * Evaluate a CSG expression tree.
+ *
+ * A node is either a leaf mesh — a triangle soup, a typed-array mesh
+ * { positions, indices }, or { name, mesh } to label its provenance — or
+ * an operation:
+ *
+ *   { op, a, b }     binary
+ *   { op, of: [] }   n-ary: subtract takes the first operand minus all
+ *                    the rest, the other ops fold left to right
+ *
+ * with op one of "union", "intersect", "subtract", "reverseSubtract" or
+ * "xor" (see mergeSplitGroups). The same leaf object may appear under
+ * several nodes.
+ *
+ * Output triangles carry `source: { mesh, index }` with `mesh` the leaf's
+ * name, or "A", "B", "C", ... in depth-first order of first appearance.
+ * Vertex attribute channels are interpolated as in boolean().
+ *
+ * Options match boolean(): `preRepair` applies to every leaf before the
+ * first split, `fillGaps` / `forceClose` apply once to the final result.
+ *
+ * Example — subtract three pit shells from a topography surface:
+ *   var result = evaluateCSG({ op: "subtract", a: topo, b: { op: "union", of: [s1, s2, s3] } });
+ *
+ * @param {Object|Array} tree - Root node
+ * @param {Object} [options] - Same options as boolean()
+ * @returns {{ soup: Array, points: Array, triangles: Array }|{ positions: Float64Array, indices: Uint32Array }|null}
+ */
+export function evaluateCSG(tree, options) {
+	if (!tree) throw new Error("evaluateCSG: tree is required");
+	var opts = options || {};
+
+	// Step 1) Collect distinct leaves, tag provenance, optional pre-repair
+	var leaves = [];
+	collectLeaves(tree, leaves, []);
+	var anyTyped = false;
+	var tagged = new Array(leaves.length);
+	for (var i = 0; i < leaves.length; i++) {
+		var leaf = leaves[i];
+		var named = !Array.isArray(leaf) && !isTypedMesh(leaf) && leaf.mesh !== undefined;
+		var mesh = named ? leaf.mesh : leaf;
+		if (!Array.isArray(mesh) && !isTypedMesh(mesh)) {
+			throw new Error("evaluateCSG: leaf " + i + " is not a triangle soup or typed mesh");
+		}
+		if (isTypedMesh(mesh)) anyTyped = true;
+		tagged[i] = tagSource(asSoup(mesh), named && leaf.name !== undefined ? String(leaf.name) : leafLabel(i));
+	}
+	var inputs = tagged.slice();
+	if (opts.preRepair) {
+		for (var r = 0; r < tagged.length; r++) {
+			if (tagged[r].length > 0) tagged[r] = preRepairSoup(tagged[r], opts);
+		}
+	}
+
+	// Step 2) Translate every leaf to one common origin
+	var all = [];
+	for (var c = 0; c < tagged.length; c++) all = all.concat(tagged[c]);
+	if (all.length === 0) return null;
+	var centroid = soupCentroid(all, []);
+	var centred = new Array(tagged.length);
+	for (var t = 0; t < tagged.length; t++) {
+		centred[t] = translateSoup(tagged[t], -centroid.x, -centroid.y, -centroid.z);
+	}
+
+	// Step 3) Evaluate bottom-up, sharing the spatial-grid cache
+	var gridCache = [];
+	function release(soup, result) {
+		if (soup === result || centred.indexOf(soup) !== -1) return;
+		for (var e = 0; e < gridCache.length; e++) {
+			if (gridCache[e].soup === soup) {
+				gridCache.splice(e, 1);
+				return;
+			}
+		}
+	}
+	function evaluate(node) {
+		if (!isOpNode(node)) return centred[leaves.indexOf(node)];
+		var list = operands(node);
+		var acc = evaluate(list[0]);
+		for (var k = 1; k < list.length; k++) {
+			// A - B - C = A - (B ∪ C) for subtract; the others fold.
+			// Intermediate operands are not split again, drop their grids
+			var rhs = evaluate(list[k]);
+			var next = combinePair(acc, rhs, node.op, gridCache);
+			release(acc, next);
+			release(rhs, next);
+			acc = next;
+		}
+		return acc;
+	}
+	var soup = evaluate(tree);
+	if (soup.length === 0) return null;
+
+	// Step 4) Translate back once, post-repair, re-attribute
+	soup = translateSoup(soup, centroid.x, centroid.y, centroid.z);
+	var welded = weldVertices(soup, 1e-4);
+	var result = { soup: soup, points: welded.points, triangles: welded.triangles };
+	postRepair(result, opts);
+	reattributeResult(result, inputs);
+
+	return anyTyped ? soupToTypedMesh(result.soup) : result;
+}
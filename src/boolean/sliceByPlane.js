@@ -0,0 +1,351 @@
+/**
+ * @module boolean/sliceByPlane
+ *
+ * Cut a mesh with an infinite plane — cross-sections and bench-level
+ * cuts without building a cutting quad and running boolean().
+ *
+ * Vertices are classified against the plane with robust orient3d (as in
+ * triTriIntersection), so a vertex is above, below or exactly on the
+ * plane with no tolerance band. Crossing edges are cut at one shared
+ * point per edge, so the two parts and the section polylines meet
+ * exactly. Open surfaces slice the same way as closed solids; only
+ * capping needs a closed section loop.
+ *
+ * Exports:
+ *  - sliceByPlane(soup, point, normal, options)
+ */
+
+import Delaunator from "delaunator";
+import Constrainautor from "@kninnug/constrainautor";
+import { orient3d } from "robust-predicates";
+import { translateSoup, tagSource, vKey, edgeKey } from "../util/math.js";
+import { chainSegments } from "../intersect/chainSegments.js";
+import { pointInPolygonXY } from "../util/planGeometry.js";
+import { isTypedMesh, asSoup, soupToTypedMesh } from "../util/typedMesh.js";
+import { interpolateAttributes } from "../util/attributes.js";
+
+/** Section segments share their end points exactly; chain them as such. */
+var CHAIN_TOLERANCE = 1e-9;
+
+/**
+ * Two in-plane axes u, v with u × v = n. Axis-aligned normals give exact
+ * unit axes, so orient3d sees the plane exactly.
+ *
+ * @param {{x,y,z}} n - Unit normal
+ * @returns {{ u: {x,y,z}, v: {x,y,z} }}
+ */
+function planeAxes(n) {
+	var ax = Math.abs(n.x), ay = Math.abs(n.y), az = Math.abs(n.z);
+	var h = ax <= ay && ax <= az ? { x: 1, y: 0, z: 0 } : (ay <= az ? { x: 0, y: 1, z: 0 } : { x: 0, y: 0, z: 1 });
+	var ux = h.y * n.z - h.z * n.y;
+	var uy = h.z * n.x - h.x * n.z;
+	var uz = h.x * n.y - h.y * n.x;
+	var len = Math.sqrt(ux * ux + uy * uy + uz * uz);
+	var u = { x: ux / len, y: uy / len, z: uz / len };
+	var v = {
+		x: n.y * u.z - n.z * u.y,
+		y: n.z * u.x - n.x * u.z,
+		z: n.x * u.y - n.y * u.x
+	};
+	return { u: u, v: v };
+}
+
+/**
+ * Triangulate closed section loops, subtracting holes. Loops are nested
+ * by containment: a loop inside an even number of others is an outer
+ * boundary, one inside an odd number a hole in the loop directly around
+ * it. Each outer loop and its holes are triangulated together with a
+ * constrained Delaunay triangulation in plane coordinates.
+ *
+ * @param {Array<Array<{x,y,z}>>} loops - Closed loops in the plane
+ * @param {{x,y,z}} u - In-plane axis
+ * @param {{x,y,z}} v - In-plane axis
+ * @returns {Array<{ v0: {x,y,z}, v1: {x,y,z}, v2: {x,y,z} }>}
+ */
+function capLoops(loops, u, v) {
+	// Step 1) Plane coordinates and nesting depth of every loop
+	var flat = loops.map(function (loop) {
+		return loop.map(function (p) {
+			return { x: p.x * u.x + p.y * u.y + p.z * u.z, y: p.x * v.x + p.y * v.y + p.z * v.z };
+		});
+	});
+	var depth = flat.map(function (poly, i) {
+		var d = 0;
+		for (var j = 0; j < flat.length; j++) {
+			if (j !== i && pointInPolygonXY(poly[0].x, poly[0].y, flat[j])) d++;
+		}
+		return d;
+	});
+
+	var caps = [];
+	for (var o = 0; o < loops.length; o++) {
+		if (depth[o] % 2 === 1) continue;
+
+		// Step 2) This outer loop and the holes directly inside it
+		var group = [o];
+		for (var h = 0; h < loops.length; h++) {
+			if (depth[h] === depth[o] + 1 && pointInPolygonXY(flat[h][0].x, flat[h][0].y, flat[o])) group.push(h);
+		}
+
+		// Step 3) Constrained Delaunay over every loop edge of the group
+		var pts = [], coords = [], keyToIndex = {}, edges = [];
+		for (var g = 0; g < group.length; g++) {
+			var loop = loops[group[g]];
+			var ids = [];
+			for (var k = 0; k < loop.length; k++) {
+				var key = vKey(loop[k]);
+				if (keyToIndex[key] === undefined) {
+					keyToIndex[key] = pts.length;
+					pts.push(loop[k]);
+					coords.push(flat[group[g]][k].x, flat[group[g]][k].y);
+				}
+				ids.push(keyToIndex[key]);
+			}
+			for (var e = 0; e < ids.length; e++) edges.push([ids[e], ids[(e + 1) % ids.length]]);
+		}
+		var del = new Delaunator(coords);
+		var con = new Constrainautor(del);
+		for (var ce = 0; ce < edges.length; ce++) {
+			try {
+				con.constrainOne(edges[ce][0], edges[ce][1]);
+			} catch (err) {
+				throw new Error("sliceByPlane: section loops cross or touch, cannot cap (" + err.message + ")");
+			}
+		}
+
+		// Step 4) Keep triangles inside the outer loop and outside its holes
+		var tri = del.triangles;
+		for (var t = 0; t < tri.length; t += 3) {
+			var cu = (coords[tri[t] * 2] + coords[tri[t + 1] * 2] + coords[tri[t + 2] * 2]) / 3;
+			var cv = (coords[tri[t] * 2 + 1] + coords[tri[t + 1] * 2 + 1] + coords[tri[t + 2] * 2 + 1]) / 3;
+			var inside = false;
+			for (var gi = 0; gi < group.length; gi++) {
+				if (pointInPolygonXY(cu, cv, flat[group[gi]])) inside = !inside;
+			}
+			if (inside) caps.push({ v0: pts[tri[t]], v1: pts[tri[t + 1]], v2: pts[tri[t + 2]] });
+		}
+	}
+	return caps;
+}
+
+/**
+ * Slice a mesh with the plane through `point` with normal `normal`.
+ *
+ * `above` holds the part on the normal side, `below` the rest; straddling
+ * triangles are split along the plane, and triangles lying in the plane
+ * go to the part they face away from (a solid's face on the plane closes
+ * that part). `polylines` are the chained section lines; closed loops run
+ * counter-clockwise seen from the normal side and do not repeat their
+ * first point. Edges lying in the plane are section lines whichever side
+ * their triangles are on; of faces lying in the plane only the outline
+ * counts.
+ *
+ * With `cap: true` the closed section loops are triangulated and added to
+ * both parts (facing +normal on `below`, -normal on `above`), so a closed
+ * solid slices into two closed solids. Nested loops are capped as
+ * outlines with holes (a hollow shell gives a ring-shaped cap). Loops
+ * already filled by faces lying in the plane are not capped again. Loops
+ * that cross or touch cannot be capped and throw.
+ *
+ * Split triangles carry `source: { mesh: "A", index }` and interpolated
+ * vertex attributes as in boolean(); caps have neither. A typed-array
+ * input gives typed-array `above` / `below`.
+ *
+ * Example — cut a pit shell at the 280 m bench:
+ *   var cut = sliceByPlane(pit, { x: 0, y: 0, z: 280 }, { x: 0, y: 0, z: 1 }, { cap: true });
+ *
+ * @param {Array<{ v0: {x,y,z}, v1: {x,y,z}, v2: {x,y,z} }>|{ positions: Float64Array, indices: Uint32Array }} soup
+ * @param {{x,y,z}} point - Any point on the plane
+ * @param {{x,y,z}} normal - Plane normal (need not be unit length)
+ * @param {Object} [options]
+ * @param {boolean} [options.cap=false] - Cap closed section loops on both parts
+ * @returns {{ above: Array, below: Array, polylines: Array<{ points: Array<{x,y,z}>, closed: boolean }> }}
+ */
+export function sliceByPlane(soup, point, normal, options) {
+	var opts = options || {};
+	var typed = isTypedMesh(soup);
+	soup = asSoup(soup);
+	if (!soup) throw new Error("sliceByPlane: soup is required");
+
+	var nLen = Math.sqrt(normal.x * normal.x + normal.y * normal.y + normal.z * normal.z);
+	if (!(nLen > 0)) throw new Error("sliceByPlane: normal must be a non-zero vector");
+	var n = { x: normal.x / nLen, y: normal.y / nLen, z: normal.z / nLen };
+	var axes = planeAxes(n);
+	var u = axes.u, v = axes.v;
+
+	// Step 0) Work relative to the plane point (UTM precision), keep provenance
+	var input = tagSource(soup, "A");
+	var tris = translateSoup(input, -point.x, -point.y, -point.z);
+
+	// orient3d(o, u, v, q) = -(q · n) for the plane through the origin;
+	// its sign is exact, so it decides the side and the cut parameter alike
+	function height(q) {
+		return -orient3d(0, 0, 0, u.x, u.y, u.z, v.x, v.y, v.z, q.x, q.y, q.z);
+	}
+
+	function side(q) {
+		var h = height(q);
+		return h > 0 ? 1 : (h < 0 ? -1 : 0);
+	}
+
+	// Shared cut point per edge: endpoints in canonical order, projected onto the plane
+	var cutCache = {};
+	function cutPoint(p, q) {
+		var kp = vKey(p), kq = vKey(q);
+		var key = kp < kq ? kp + "|" + kq : kq + "|" + kp;
+		if (cutCache[key]) return cutCache[key];
+		var a = kp < kq ? p : q, b = kp < kq ? q : p;
+		// Heights of opposite sign: the denominator is never zero and
+		// t stays within (0, 1), however close the ends are to the plane
+		var da = height(a), db = height(b);
+		var t = da / (da - db);
+		var c = { x: a.x + t * (b.x - a.x), y: a.y + t * (b.y - a.y), z: a.z + t * (b.z - a.z) };
+		var dc = c.x * n.x + c.y * n.y + c.z * n.z;
+		c = { x: c.x - dc * n.x, y: c.y - dc * n.y, z: c.z - dc * n.z };
+		cutCache[key] = c;
+		return c;
+	}
+
+	function copy(p) {
+		return { x: p.x, y: p.y, z: p.z };
+	}
+
+	function emit(list, a, b, c, src) {
+		list.push({ v0: copy(a), v1: copy(b), v2: copy(c), source: src });
+	}
+
+	var above = [];
+	var below = [];
+	var segments = [];
+	var coplanarEdges = {};
+	var inPlaneEdges = {};
+
+	// In-plane edges are collected by key, so an edge shared by two
+	// triangles is reported once
+	function inPlaneEdge(p, q) {
+		var key = edgeKey(vKey(p), vKey(q));
+		if (!inPlaneEdges[key]) inPlaneEdges[key] = { p0: p, p1: q };
+	}
+
+	// Step 1) Classify and split every triangle
+	for (var i = 0; i < tris.length; i++) {
+		var t = tris[i];
+		var pv = [t.v0, t.v1, t.v2];
+		var sv = [side(t.v0), side(t.v1), side(t.v2)];
+		var nPos = (sv[0] > 0) + (sv[1] > 0) + (sv[2] > 0);
+		var nNeg = (sv[0] < 0) + (sv[1] < 0) + (sv[2] < 0);
+
+		// Coplanar: the part it faces away from
+		if (nPos === 0 && nNeg === 0) {
+			var e1x = t.v1.x - t.v0.x, e1y = t.v1.y - t.v0.y, e1z = t.v1.z - t.v0.z;
+			var e2x = t.v2.x - t.v0.x, e2y = t.v2.y - t.v0.y, e2z = t.v2.z - t.v0.z;
+			var fd = (e1y * e2z - e1z * e2y) * n.x + (e1z * e2x - e1x * e2z) * n.y + (e1x * e2y - e1y * e2x) * n.z;
+			emit(fd > 0 ? below : above, t.v0, t.v1, t.v2, t.source);
+			for (var ce = 0; ce < 3; ce++) {
+				var cKey = edgeKey(vKey(pv[ce]), vKey(pv[(ce + 1) % 3]));
+				coplanarEdges[cKey] = (coplanarEdges[cKey] || 0) + 1;
+				inPlaneEdge(pv[ce], pv[(ce + 1) % 3]);
+			}
+			continue;
+		}
+
+		// Entirely on one side (possibly touching the plane along an edge)
+		if (nNeg === 0 || nPos === 0) {
+			emit(nNeg === 0 ? above : below, t.v0, t.v1, t.v2, t.source);
+			if (nPos + nNeg === 1) {
+				for (var z = 0; z < 3; z++) {
+					if (sv[z] === 0 && sv[(z + 1) % 3] === 0) inPlaneEdge(pv[z], pv[(z + 1) % 3]);
+				}
+			}
+			continue;
+		}
+
+		// Straddling: rotate so the lone vertex (or the on-plane vertex) is first
+		var k = 0;
+		if (nPos + nNeg === 2) {
+			// One vertex on the plane, the other two on opposite sides
+			while (sv[k] !== 0) k++;
+			var a0 = pv[k], a1 = pv[(k + 1) % 3], a2 = pv[(k + 2) % 3];
+			var m = cutPoint(a1, a2);
+			var s1 = sv[(k + 1) % 3];
+			emit(s1 > 0 ? above : below, a0, a1, m, t.source);
+			emit(s1 > 0 ? below : above, a0, m, a2, t.source);
+			segments.push({ p0: a0, p1: m });
+			continue;
+		}
+		var lone = nPos === 1 ? 1 : -1;
+		while (sv[k] !== lone) k++;
+		var b0 = pv[k], b1 = pv[(k + 1) % 3], b2 = pv[(k + 2) % 3];
+		var m1 = cutPoint(b0, b1);
+		var m2 = cutPoint(b0, b2);
+		var loneList = lone > 0 ? above : below;
+		var pairList = lone > 0 ? below : above;
+		emit(loneList, b0, m1, m2, t.source);
+		emit(pairList, m1, b1, b2, t.source);
+		emit(pairList, m1, b2, m2, t.source);
+		segments.push({ p0: m1, p1: m2 });
+	}
+
+	// Step 2) Add in-plane edges, except those inside a patch of in-plane
+	// faces; chain, closed loops counter-clockwise about n
+	for (var ek in inPlaneEdges) {
+		if (coplanarEdges[ek] > 1) continue;
+		segments.push(inPlaneEdges[ek]);
+	}
+	var polylines = chainSegments(segments, CHAIN_TOLERANCE).map(function (chain) {
+		var closed = chain.length > 3 && vKey(chain[0]) === vKey(chain[chain.length - 1]);
+		return { points: closed ? chain.slice(0, -1) : chain, closed: closed };
+	});
+	for (var pl = 0; pl < polylines.length; pl++) {
+		if (!polylines[pl].closed) continue;
+		var pts = polylines[pl].points;
+		var nx = 0, ny = 0, nz = 0;
+		for (var pi = 0; pi < pts.length; pi++) {
+			var cur = pts[pi], nxt = pts[(pi + 1) % pts.length];
+			nx += (cur.y - nxt.y) * (cur.z + nxt.z);
+			ny += (cur.z - nxt.z) * (cur.x + nxt.x);
+			nz += (cur.x - nxt.x) * (cur.y + nxt.y);
+		}
+		if (nx * n.x + ny * n.y + nz * n.z < 0) pts.reverse();
+	}
+
+	// Step 3) Optional caps on closed loops not already closed by in-plane faces
+	if (opts.cap) {
+		var capLoopList = [];
+		for (var cl = 0; cl < polylines.length; cl++) {
+			if (!polylines[cl].closed || polylines[cl].points.length < 3) continue;
+			var loop = polylines[cl].points;
+			var faced = true;
+			for (var le = 0; le < loop.length && faced; le++) {
+				faced = !!coplanarEdges[edgeKey(vKey(loop[le]), vKey(loop[(le + 1) % loop.length]))];
+			}
+			if (!faced) capLoopList.push(loop);
+		}
+		var capTris = capLoops(capLoopList, u, v);
+		for (var ct = 0; ct < capTris.length; ct++) {
+			var c = capTris[ct];
+			var ux = c.v1.x - c.v0.x, uy = c.v1.y - c.v0.y, uz = c.v1.z - c.v0.z;
+			var vx = c.v2.x - c.v0.x, vy = c.v2.y - c.v0.y, vz = c.v2.z - c.v0.z;
+			var up = (uy * vz - uz * vy) * n.x + (uz * vx - ux * vz) * n.y + (ux * vy - uy * vx) * n.z > 0;
+			var lo = up ? c.v1 : c.v2, hi = up ? c.v2 : c.v1;
+			below.push({ v0: copy(c.v0), v1: copy(lo), v2: copy(hi) });
+			above.push({ v0: copy(c.v0), v1: copy(hi), v2: copy(lo) });
+		}
+	}
+
+	// Step 4) Translate back and re-attribute
+	above = interpolateAttributes(translateSoup(above, point.x, point.y, point.z), [input]);
+	below = interpolateAttributes(translateSoup(below, point.x, point.y, point.z), [input]);
+	for (var tp = 0; tp < polylines.length; tp++) {
+		var lpts = polylines[tp].points;
+		for (var tq = 0; tq < lpts.length; tq++) {
+			lpts[tq] = { x: lpts[tq].x + point.x, y: lpts[tq].y + point.y, z: lpts[tq].z + point.z };
+		}
+	}
+
+	return {
+		above: typed ? soupToTypedMesh(above) : above,
+		below: typed ? soupToTypedMesh(below) : below,
+		polylines: polylines
+	};
+}
@@ -207,11 +207,14 @@ export function retriangulateWithSteinerPoints(tri, segments) {
 		var subArea = Math.abs((bu - au) * (cv - av) - (cu - au) * (bv - av)) * 0.5;
 		if (subArea < triArea2D * MIN_AREA_RATIO) continue;
 
-		result.push({
+		var subTri = {
 			v0: pts[a],
 			v1: pts[b],
 			v2: pts[c]
-		});
+		};
+		// Sub-triangles inherit the parent's provenance
+		if (tri.source) subTri.source = tri.source;
+		result.push(subTri);
 	}
 
 	if (result.length === 0) {
@@ -238,6 +241,8 @@ export function retriangulateWithSteinerPoints(tri, segments) {
  *   - Multiple disconnected polylines
  *   - Entry/exit on the same edge
  *   - Chaining failure
+ *   - Fans folding over a chain that turns a corner inside the triangle
+ *     (their areas add up to more than the parent's)
  *
  * @param {{ v0: {x,y,z}, v1: {x,y,z}, v2: {x,y,z} }} tri - Parent triangle
  * @param {Array<{ p0: {x,y,z}, p1: {x,y,z} }>} segments - Intersection segments
@@ -403,10 +408,13 @@ export function fanTriangulate(tri, segments) {
 		result.push(makeTri(vB, chain[bi], chain[bi + 1]));
 	}
 
-	// Step 9) Validate: check no degenerate (near-zero area) sub-triangles
+	// Step 9) Validate: check no degenerate (near-zero area) sub-triangles,
+	// and that the fans do not fold over a concave chain (areas must tile
+	// the parent exactly)
 	var triArea = lnLen * 0.5;
 	var MIN_AREA = triArea * 1e-8;
 	var validated = [];
+	var fanArea = 0;
 	for (var vli = 0; vli < result.length; vli++) {
 		var t = result[vli];
 		var te1x = t.v1.x - t.v0.x, te1y = t.v1.y - t.v0.y, te1z = t.v1.z - t.v0.z;
@@ -415,12 +423,15 @@ export function fanTriangulate(tri, segments) {
 		var tcy = te1z * te2x - te1x * te2z;
 		var tcz = te1x * te2y - te1y * te2x;
 		var subArea = Math.sqrt(tcx * tcx + tcy * tcy + tcz * tcz) * 0.5;
+		fanArea += subArea;
 		if (subArea > MIN_AREA) {
+			// Sub-triangles inherit the parent's provenance
+			if (tri.source) t.source = tri.source;
 			validated.push(t);
 		}
 	}
 
-	if (validated.length === 0) {
+	if (validated.length === 0 || fanArea > triArea * (1 + 1e-6)) {
 		return retriangulateWithSteinerPoints(tri, segments);
 	}
 
@@ -0,0 +1,422 @@
+/**
+ * @module cli
+ *
+ * Command-line front end for the `trimesh-boolean` bin (Node only — not
+ * part of the browser entry points).
+ *
+ *   trimesh-boolean boolean A.stl B.stl --op subtract -o out.stl
+ *   trimesh-boolean split A.obj B.obj -o groups.obj
+ *   trimesh-boolean repair in.ply --close-mode stitch -o fixed.ply
+ *   trimesh-boolean intersect A.dxf B.dxf -o lines.dxf
+ *
+ * Every option of boolean() and every RepairConfig field maps to a
+ * kebab-case flag (preRepair → --pre-repair, boolean flags also take
+ * --no-<flag>). Input and output formats follow the file extension.
+ *
+ * Exports:
+ *  - runCli(argv, io)
+ */
+
+import { readFileSync, writeFileSync } from "node:fs";
+import { boolean, splitMeshPair } from "./boolean/booleanOp.js";
+import { repairMesh } from "./repair/repairMesh.js";
+import { intersectMeshPairTagged } from "./intersect/intersectMeshPair.js";
+import { chainSegments } from "./intersect/chainSegments.js";
+import { parseSTL, writeSTL } from "./io/stl.js";
+import { parseOBJ, writeOBJ } from "./io/obj.js";
+import { parseLandXML, writeLandXML } from "./io/landxml.js";
+import { parseSurpacDTM, writeSurpacSTR, writeSurpacDTM } from "./io/surpac.js";
+import { parseDXF, writeDXF } from "./io/dxf.js";
+import { parsePLY, writePLY } from "./io/ply.js";
+import { parseOFF, writeOFF } from "./io/off.js";
+import { parseESRIGrid } from "./io/grid.js";
+import { writeGLTF } from "./io/gltf.js";
+import { gridToSoup } from "./terrain/gridTerrain.js";
+import { soupCentroid, translateSoup } from "./util/math.js";
+
+var SPLIT_GROUPS = ["aInside", "aOutside", "bInside", "bOutside"];
+
+var BOOLEAN_OPS = ["subtract", "reverseSubtract", "union", "intersect", "xor"];
+
+var CLOSE_MODES = ["none", "weld", "stitch"];
+
+/** Flags shared by every command */
+var COMMON_FLAGS = {
+	output: "string",
+	binary: "boolean",
+	help: "boolean"
+};
+
+/** Per-command flags: camelCase option name → "boolean" | "number" | "string" */
+var COMMANDS = {
+	boolean: {
+		inputs: 2,
+		flags: {
+			op: "string",
+			preRepair: "boolean",
+			fillGaps: "boolean",
+			forceClose: "boolean",
+			tolerance: "number",
+			tjunctionPasses: "number"
+		}
+	},
+	split: { inputs: 2, flags: {} },
+	repair: {
+		inputs: 1,
+		flags: {
+			closeMode: "string",
+			snapTolerance: "number",
+			stitchTolerance: "number",
+			removeDegenerate: "boolean",
+			sliverRatio: "number",
+			cleanCrossings: "boolean",
+			removeOverlapping: "boolean",
+			overlapTolerance: "number"
+		}
+	},
+	intersect: {
+		inputs: 2,
+		flags: {
+			chainTolerance: "number"
+		}
+	}
+};
+
+var USAGE = [
+	"Usage: trimesh-boolean <command> <inputs...> -o <output> [flags]",
+	"",
+	"Commands:",
+	"  boolean A B --op <op>                        Boolean of A and B",
+	"      --op subtract|reverseSubtract|union|intersect|xor",
+	"      --pre-repair --fill-gaps --force-close --tolerance <n> --tjunction-passes <n>",
+	"  split A B                                    Write the aInside/aOutside/bInside/bOutside groups",
+	"  repair IN                                    Repair one mesh",
+	"      --close-mode none|weld|stitch --snap-tolerance <n> --stitch-tolerance <n>",
+	"      --[no-]remove-degenerate --sliver-ratio <n> --[no-]clean-crossings",
+	"      --[no-]remove-overlapping --overlap-tolerance <n>",
+	"  intersect A B                                Write chained intersection polylines",
+	"      --chain-tolerance <n> (default 1e-3)",
+	"",
+	"Common flags:",
+	"  -o, --output <file>   Output file (format from extension)",
+	"  --binary              Binary STL / PLY output",
+	"",
+	"Mesh formats: .stl .obj .ply .off .xml (LandXML) .dxf .dtm (+ .str) .kap .asc (read) .glb .gltf (write)",
+	"Polyline formats: .dxf .str",
+	"",
+	"split writes every group into one file for .obj .xml .dxf .glb .gltf .kap,",
+	"otherwise one file per group: <output>-aInside.<ext>, ..."
+].join("\n");
+
+/**
+ * camelCase → kebab-case.
+ * @param {string} name
+ * @returns {string}
+ */
+function toKebab(name) {
+	return name.replace(/[A-Z]/g, function (m) { return "-" + m.toLowerCase(); });
+}
+
+/**
+ * Parse argv into { command, inputs, options } against the command's flag table.
+ *
+ * @param {string[]} argv
+ * @returns {{ command: string, inputs: string[], options: Object }}
+ */
+function parseArgs(argv) {
+	var command = argv[0];
+	var spec = COMMANDS[command];
+	if (!spec) throw new Error("Unknown command '" + command + "'");
+
+	// Step 1) kebab flag → [camelName, type]
+	var lookup = {};
+	var tables = [COMMON_FLAGS, spec.flags];
+	for (var t = 0; t < tables.length; t++) {
+		for (var name in tables[t]) lookup[toKebab(name)] = [name, tables[t][name]];
+	}
+
+	// Step 2) Walk arguments
+	var inputs = [];
+	var options = {};
+	for (var i = 1; i < argv.length; i++) {
+		var arg = argv[i];
+		if (arg === "-o") arg = "--output";
+		if (arg === "-h") arg = "--help";
+		if (arg.indexOf("--") !== 0) {
+			inputs.push(arg);
+			continue;
+		}
+
+		var key = arg.slice(2);
+		var value = null;
+		var eq = key.indexOf("=");
+		if (eq >= 0) {
+			value = key.slice(eq + 1);
+			key = key.slice(0, eq);
+		}
+		var negated = false;
+		if (!lookup[key] && key.indexOf("no-") === 0 && lookup[key.slice(3)]) {
+			key = key.slice(3);
+			negated = true;
+		}
+		var entry = lookup[key];
+		if (!entry) throw new Error("Unknown flag --" + key + " for '" + command + "'");
+
+		if (entry[1] === "boolean") {
+			options[entry[0]] = negated ? false : (value === null ? true : value !== "false");
+			continue;
+		}
+		if (value === null) {
+			if (i + 1 >= argv.length) throw new Error("Flag --" + key + " needs a value");
+			value = argv[++i];
+		}
+		if (entry[1] === "number") {
+			var num = parseFloat(value);
+			if (isNaN(num)) throw new Error("Flag --" + key + " expects a number, got '" + value + "'");
+			options[entry[0]] = num;
+		} else {
+			options[entry[0]] = value;
+		}
+	}
+
+	return { command: command, inputs: inputs, options: options };
+}
+
+/**
+ * Lower-case extension including the dot ("" if none).
+ * @param {string} path
+ * @returns {string}
+ */
+function extOf(path) {
+	var m = /\.[^./\\]+$/.exec(path);
+	return m ? m[0].toLowerCase() : "";
+}
+
+/**
+ * Concatenate the soups of named entries.
+ * @param {Array<{ soup: Array }>} list
+ * @returns {Array}
+ */
+function concatSoups(list) {
+	var out = [];
+	for (var i = 0; i < list.length; i++) out = out.concat(list[i].soup);
+	return out;
+}
+
+/**
+ * Read a mesh file as one triangle soup (multi-object files are merged).
+ *
+ * @param {string} path
+ * @param {Object} io
+ * @returns {Promise<Array>}
+ */
+async function readMesh(path, io) {
+	var ext = extOf(path);
+	var data = io.readFile(path);
+	var soup;
+	if (ext === ".stl") soup = parseSTL(data);
+	else if (ext === ".obj") soup = concatSoups(parseOBJ(data));
+	else if (ext === ".ply") soup = parsePLY(data).soup;
+	else if (ext === ".off") soup = parseOFF(data).soup;
+	else if (ext === ".xml" || ext === ".landxml") soup = concatSoups(parseLandXML(data));
+	else if (ext === ".dxf") soup = concatSoups(parseDXF(data));
+	else if (ext === ".dtm") soup = concatSoups(parseSurpacDTM(data, io.readFile(path.slice(0, -4) + ".str")));
+	else if (ext === ".asc") soup = gridToSoup(parseESRIGrid(data));
+	else if (ext === ".kap") {
+		var kap = await import("./kap.js");
+		soup = concatSoups((await kap.parseKapSurfaces(data)).surfaces);
+	} else {
+		throw new Error("Unsupported input format '" + ext + "' (" + path + ")");
+	}
+	if (soup.length === 0) throw new Error("No triangles read from " + path);
+	return soup;
+}
+
+/**
+ * Write named soups. Formats that hold several objects get one file;
+ * single-object formats get one file per entry unless there is only one.
+ *
+ * @param {string} path
+ * @param {Array<{ name: string, soup: Array }>} named
+ * @param {Object} options - Parsed CLI options (binary)
+ * @param {Object} io
+ * @returns {Promise<string[]>} Paths written
+ */
+async function writeMeshes(path, named, options, io) {
+	var ext = extOf(path);
+
+	// Step 1) Multi-object formats
+	if (ext === ".obj") io.writeFile(path, writeOBJ(named));
+	else if (ext === ".xml" || ext === ".landxml") io.writeFile(path, writeLandXML(named));
+	else if (ext === ".dxf") io.writeFile(path, writeDXF(named));
+	else if (ext === ".glb") io.writeFile(path, new Uint8Array(writeGLTF(named)));
+	else if (ext === ".gltf") io.writeFile(path, writeGLTF(named, { binary: false }));
+	else if (ext === ".kap") {
+		var kap = await import("./kap.js");
+		io.writeFile(path, await kap.writeKap({ surfaces: named, type: "uint8array" }));
+	} else {
+		// Step 2) Single-object formats
+		var written = [];
+		for (var i = 0; i < named.length; i++) {
+			var out = named.length === 1 ? path : path.slice(0, -ext.length) + "-" + named[i].name + ext;
+			writeSingle(out, ext, named[i], options, io);
+			written.push(out);
+			if (ext === ".dtm") written.push(out.slice(0, -4) + ".str");
+		}
+		return written;
+	}
+	return [path];
+}
+
+/**
+ * Write one soup in a single-object format.
+ * @param {string} path
+ * @param {string} ext
+ * @param {{ name: string, soup: Array }} entry
+ * @param {Object} options
+ * @param {Object} io
+ */
+function writeSingle(path, ext, entry, options, io) {
+	if (ext === ".stl") {
+		var stl = writeSTL(entry.soup, { binary: !!options.binary, name: entry.name });
+		io.writeFile(path, options.binary ? new Uint8Array(stl) : stl);
+	} else if (ext === ".ply") {
+		var ply = writePLY(entry.soup, { binary: !!options.binary });
+		io.writeFile(path, options.binary ? new Uint8Array(ply) : ply);
+	} else if (ext === ".off") {
+		io.writeFile(path, writeOFF(entry.soup));
+	} else if (ext === ".dtm") {
+		var base = path.slice(0, -4);
+		var pair = writeSurpacDTM(entry.soup, { name: base.replace(/^.*[\\/]/, "") });
+		io.writeFile(path, pair.dtm);
+		io.writeFile(base + ".str", pair.str);
+	} else {
+		throw new Error("Unsupported output format '" + ext + "' (" + path + ")");
+	}
+}
+
+/**
+ * Write polylines (.dxf or .str).
+ * @param {string} path
+ * @param {Array<Array<{x,y,z}>>} polylines
+ * @param {Object} io
+ */
+function writePolylines(path, polylines, io) {
+	var ext = extOf(path);
+	if (ext === ".dxf") io.writeFile(path, writeDXF([{ name: "INTERSECTION", polylines: polylines }]));
+	else if (ext === ".str") io.writeFile(path, writeSurpacSTR(polylines));
+	else throw new Error("Unsupported polyline output format '" + ext + "' (use .dxf or .str)");
+}
+
+/**
+ * Run the CLI.
+ *
+ * @param {string[]} argv - Arguments after the executable (process.argv.slice(2))
+ * @param {Object} [io] - I/O hooks, defaulting to node:fs and the console
+ * @param {function(string): Uint8Array} [io.readFile]
+ * @param {function(string, string|Uint8Array): void} [io.writeFile]
+ * @param {function(string): void} [io.log]
+ * @param {function(string): void} [io.error]
+ * @returns {Promise<number>} Exit code (0 = success)
+ */
+export async function runCli(argv, io) {
+	var sys = {
+		readFile: function (p) { return readFileSync(p); },
+		writeFile: function (p, d) { writeFileSync(p, d); },
+		log: function (s) { console.log(s); },
+		error: function (s) { console.error(s); }
+	};
+	if (io) {
+		for (var k in io) sys[k] = io[k];
+	}
+
+	if (argv.length === 0 || argv[0] === "--help" || argv[0] === "-h") {
+		sys.log(USAGE);
+		return argv.length === 0 ? 1 : 0;
+	}
+
+	try {
+		var args = parseArgs(argv);
+		var opts = args.options;
+		if (opts.help) {
+			sys.log(USAGE);
+			return 0;
+		}
+
+		// Step 1) Validate inputs / output
+		var spec = COMMANDS[args.command];
+		if (args.inputs.length !== spec.inputs) {
+			throw new Error("'" + args.command + "' expects " + spec.inputs + " input file(s), got " + args.inputs.length);
+		}
+		if (!opts.output) throw new Error("Missing output file (-o <file>)");
+
+		var soups = [];
+		for (var i = 0; i < args.inputs.length; i++) soups.push(await readMesh(args.inputs[i], sys));
+
+		// Step 2) Run the command
+		var written;
+		if (args.command === "boolean") {
+			if (!opts.op) throw new Error("Missing --op (" + BOOLEAN_OPS.join(" | ") + ")");
+			if (BOOLEAN_OPS.indexOf(opts.op) < 0) {
+				throw new Error("Unknown --op '" + opts.op + "' (" + BOOLEAN_OPS.join(" | ") + ")");
+			}
+			var result = boolean(soups[0], soups[1], opts.op, {
+				preRepair: opts.preRepair,
+				fillGaps: opts.fillGaps,
+				forceClose: opts.forceClose,
+				tolerance: opts.tolerance,
+				tjunctionPasses: opts.tjunctionPasses
+			});
+			if (!result || result.soup.length === 0) throw new Error("Boolean '" + opts.op + "' produced no triangles");
+			written = await writeMeshes(opts.output, [{ name: opts.op, soup: result.soup }], opts, sys);
+			sys.log(opts.op + ": " + result.soup.length + " triangles");
+		} else if (args.command === "split") {
+			var split = splitMeshPair(soups[0], soups[1]);
+			if (!split) throw new Error("Split failed: both meshes need triangles");
+			var named = [];
+			for (var g = 0; g < SPLIT_GROUPS.length; g++) {
+				var group = split.groups[SPLIT_GROUPS[g]];
+				if (group.length > 0) named.push({ name: SPLIT_GROUPS[g], soup: group });
+				sys.log(SPLIT_GROUPS[g] + ": " + group.length + " triangles");
+			}
+			if (named.length === 0) throw new Error("Split produced no triangles");
+			written = await writeMeshes(opts.output, named, opts, sys);
+		} else if (args.command === "repair") {
+			if (opts.closeMode !== undefined && CLOSE_MODES.indexOf(opts.closeMode) < 0) {
+				throw new Error("Unknown --close-mode '" + opts.closeMode + "' (" + CLOSE_MODES.join(" | ") + ")");
+			}
+			var config = {};
+			for (var key in COMMANDS.repair.flags) {
+				if (opts[key] !== undefined) config[key] = opts[key];
+			}
+			var repaired = await repairMesh(soups[0], config);
+			written = await writeMeshes(opts.output, [{ name: "repaired", soup: repaired.soup }], opts, sys);
+			sys.log("repair: " + repaired.soup.length + " triangles");
+		} else {
+			// Intersect about the common centroid, as boolean() does, so
+			// UTM-sized coordinates keep their precision
+			var c = soupCentroid(soups[0], soups[1]);
+			var segments = intersectMeshPairTagged(translateSoup(soups[0], -c.x, -c.y, -c.z), translateSoup(soups[1], -c.x, -c.y, -c.z));
+			if (!segments || segments.length === 0) throw new Error("Meshes do not intersect");
+			segments = segments.map(function (seg) {
+				return {
+					p0: { x: seg.p0.x + c.x, y: seg.p0.y + c.y, z: seg.p0.z + c.z },
+					p1: { x: seg.p1.x + c.x, y: seg.p1.y + c.y, z: seg.p1.z + c.z },
+					idxA: seg.idxA,
+					idxB: seg.idxB
+				};
+			});
+			var polylines = chainSegments(segments, opts.chainTolerance !== undefined ? opts.chainTolerance : 1e-3);
+			if (polylines.length === 0) throw new Error("Meshes do not intersect");
+			writePolylines(opts.output, polylines, sys);
+			written = [opts.output];
+			sys.log("intersect: " + segments.length + " segments, " + polylines.length + " polylines");
+		}
+
+		for (var w = 0; w < written.length; w++) sys.log("Wrote " + written[w]);
+		return 0;
+	} catch (e) {
+		sys.error("trimesh-boolean: " + e.message);
+		return 1;
+	}
+}
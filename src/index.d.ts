@@ -4,22 +4,38 @@
 
 // ── Core Types ──
 
+/** Named per-vertex channels, e.g. { uv: [u, v], color: [r, g, b], normal: [nx, ny, nz] } */
+export type VertexAttributes = Record<string, number[]>;
+
 export interface Vertex {
 	x: number;
 	y: number;
 	z: number;
+	/** Interpolated onto boolean / split output corners */
+	attributes?: VertexAttributes;
+}
+
+/** Provenance of an output triangle: input mesh and triangle index within it */
+export interface TriangleSource {
+	mesh: "A" | "B" | string;
+	index: number;
+	/** Provenance the input triangle carried from an earlier operation */
+	parent?: TriangleSource;
 }
 
 export interface Triangle {
 	v0: Vertex;
 	v1: Vertex;
 	v2: Vertex;
+	/** Set on boolean / split output; sub-triangles share their parent's */
+	source?: TriangleSource;
 }
 
 export type TriangleSoup = Triangle[];
 
 export interface WeldedTriangle {
 	vertices: [Vertex, Vertex, Vertex];
+	source?: TriangleSource;
 }
 
 export interface WeldedMesh {
@@ -27,6 +43,18 @@ export interface WeldedMesh {
 	triangles: WeldedTriangle[];
 }
 
+/** Typed-array indexed mesh: x,y,z per vertex, three vertex indices per triangle */
+export interface TypedMesh {
+	positions: Float64Array;
+	indices: Uint32Array;
+	/** Provenance mesh label per triangle (null = none) */
+	sourceMesh?: Array<string | null>;
+	/** Provenance triangle index per triangle (-1 = none) */
+	sourceIndex?: Int32Array;
+	/** Vertex attribute channels, itemSize values per vertex (NaN = channel missing) */
+	attributes?: Record<string, { itemSize: number; array: Float64Array }>;
+}
+
 export interface AABB {
 	minX: number;
 	maxX: number;
@@ -93,6 +121,9 @@ export interface SplitResult {
 	segments: TaggedSegment[];
 }
 
+/** subtract = A − B, reverseSubtract = B − A, xor = symmetric difference */
+export type BooleanOperation = "subtract" | "reverseSubtract" | "union" | "intersect" | "xor";
+
 export interface BooleanOptions {
 	/** Resolve T-junctions and weld boundary vertices on inputs before splitting */
 	preRepair?: boolean;
@@ -106,22 +137,70 @@ export interface BooleanOptions {
 	tjunctionPasses?: number;
 }
 
+export interface TypedSplitResult {
+	groups: {
+		aInside: TypedMesh;
+		aOutside: TypedMesh;
+		bInside: TypedMesh;
+		bOutside: TypedMesh;
+	};
+	segments: TaggedSegment[];
+}
+
 export function boolean(
 	soupA: TriangleSoup,
 	soupB: TriangleSoup,
-	operation: "subtract" | "union" | "intersect",
+	operation: BooleanOperation,
 	options?: BooleanOptions
 ): BooleanResult | null;
+export function boolean(
+	soupA: TypedMesh | TriangleSoup,
+	soupB: TypedMesh | TriangleSoup,
+	operation: BooleanOperation,
+	options?: BooleanOptions
+): TypedMesh | null;
 
 export function splitMeshPair(
 	soupA: TriangleSoup,
 	soupB: TriangleSoup
 ): SplitResult | null;
+export function splitMeshPair(
+	soupA: TypedMesh | TriangleSoup,
+	soupB: TypedMesh | TriangleSoup
+): TypedSplitResult | null;
 
 export function mergeSplitGroups(
 	groups: SplitResult["groups"],
-	operation: "subtract" | "union" | "intersect"
+	operation: BooleanOperation
 ): BooleanResult | null;
+export function mergeSplitGroups(
+	groups: TypedSplitResult["groups"],
+	operation: BooleanOperation
+): TypedMesh | null;
+
+/** Leaf of a CSG tree; `name` labels its triangles' `source.mesh` */
+export type CSGLeaf = TriangleSoup | TypedMesh | { name?: string; mesh: TriangleSoup | TypedMesh };
+
+/** Operation node: binary `a`/`b`, or n-ary `of` (subtract = first minus the rest) */
+export type CSGNode =
+	| CSGLeaf
+	| { op: BooleanOperation; a: CSGNode; b: CSGNode }
+	| { op: BooleanOperation; of: CSGNode[] };
+
+/** Returns a TypedMesh when any leaf is a TypedMesh */
+export function evaluateCSG(tree: CSGNode, options?: BooleanOptions): BooleanResult | TypedMesh | null;
+
+export interface SliceResult<T = TriangleSoup> {
+	/** Part on the normal side */
+	above: T;
+	below: T;
+	/** Section lines; closed loops run counter-clockwise seen from the normal side */
+	polylines: Array<{ points: Vertex[]; closed: boolean }>;
+}
+
+/** Cut a mesh with the infinite plane through `point` with normal `normal` */
+export function sliceByPlane(soup: TriangleSoup, point: Vertex, normal: Vertex, options?: { cap?: boolean }): SliceResult;
+export function sliceByPlane(soup: TypedMesh, point: Vertex, normal: Vertex, options?: { cap?: boolean }): SliceResult<TypedMesh>;
 
 export interface SplitSelection {
 	/** Include A-inside-B triangles; "flip" reverses normals */
@@ -165,10 +244,40 @@ export function mergeComponents(
 	picks: Array<{ soup: TriangleSoup; flip?: boolean }>
 ): BooleanResult | null;
 
+export interface ImprintTriangle extends Triangle {
+	source: TriangleSource;
+	/** Connected patch of A bounded by seams */
+	region: number;
+	/** "front" = side B's face normals point to; null when no seam touches the region */
+	side: "front" | "back" | null;
+}
+
+export interface ImprintResult {
+	/** All of A, re-triangulated along the seams */
+	soup: ImprintTriangle[];
+	points: Vertex[];
+	/** Point indices per soup triangle */
+	faces: Array<[number, number, number]>;
+	/** Seam edges as point-index polylines (closed loops do not repeat the first index) */
+	seams: Array<{ indices: number[]; closed: boolean }>;
+	regionCount: number;
+}
+
+/** Cut A along its intersection with B, keeping every triangle of A (no classification) */
+export function imprint(
+	soupA: TriangleSoup | TypedMesh,
+	soupB: TriangleSoup | TypedMesh,
+	options?: { tolerance?: number }
+): ImprintResult | null;
+
 // ── Intersection ──
 
 export function intersectMeshPair(trisA: TriangleSoup, trisB: TriangleSoup): Segment[];
-export function intersectMeshPairTagged(trisA: TriangleSoup, trisB: TriangleSoup): TaggedSegment[];
+export function intersectMeshPairTagged(
+	trisA: TriangleSoup,
+	trisB: TriangleSoup,
+	prebuiltGridB?: { grid: Record<string, number[]>; cellSize: number }
+): TaggedSegment[];
 export function triTriIntersection(triA: Triangle, triB: Triangle): Segment | null;
 export function triTriIntersectionDetailed(triA: Triangle, triB: Triangle): { dA: [number, number, number]; dB: [number, number, number]; segLen: number } | null;
 export function chainSegments(segments: Segment[], threshold: number): Vertex[][];
@@ -185,9 +294,11 @@ export function estimateAvgEdge(tris: TriangleSoup): number;
 // ── Repair ──
 
 export function repairMesh(soup: TriangleSoup, config?: RepairConfig, onProgress?: (msg: string) => void): Promise<RepairResult>;
+export function repairMesh(soup: TypedMesh, config?: RepairConfig, onProgress?: (msg: string) => void): Promise<TypedMesh>;
 export function deduplicateSeamVertices(tris: TriangleSoup, tolerance?: number): TriangleSoup;
 export function resolveTJunctions(soup: TriangleSoup, tolerance?: number, maxPasses?: number): TriangleSoup;
 export function weldVertices(tris: TriangleSoup, tolerance: number): WeldedMesh;
+export function weldPositions(positions: ArrayLike<number>, tolerance: number): { remap: Uint32Array; count: number };
 export function weldedToSoup(weldedTriangles: WeldedTriangle[]): TriangleSoup;
 export function removeDegenerateTriangles(tris: TriangleSoup, minArea?: number, sliverRatio?: number): TriangleSoup;
 export function extractBoundaryLoops(tris: TriangleSoup): BoundaryLoopResult;
@@ -198,6 +309,7 @@ export function stitchByProximity(tris: TriangleSoup, stitchTolerance?: number):
 export function cleanCrossingTriangles(tris: TriangleSoup): TriangleSoup;
 export function removeOverlappingTriangles(tris: TriangleSoup, tolerance?: number): TriangleSoup;
 export function forceCloseIndexedMesh(points: Vertex[], triangles: WeldedTriangle[]): WeldedMesh;
+export function forceCloseTypedMesh(mesh: TypedMesh, tolerance?: number): TypedMesh;
 export function fillOpenEdgeLoops(soup: TriangleSoup, tolerance?: number): TriangleSoup;
 export function weldBoundaryVertices(tris: TriangleSoup, tolerance: number): TriangleSoup;
 
@@ -228,9 +340,360 @@ export interface MultiAxisGrids {
 export function classifyPointMultiAxis(point: Vertex, otherTris: TriangleSoup, grids: MultiAxisGrids): 1 | -1;
 export function classifyByFloodFill(tris: TriangleSoup, crossedMap: Record<number, TaggedSegment[]>, otherTris: TriangleSoup, otherGrids: MultiAxisGrids): Int8Array;
 export function retriangulateWithSteinerPoints(tri: Triangle, segments: Segment[]): TriangleSoup;
-export function buildCurtainAndCap(tris: TriangleSoup, floorOffset?: number): TriangleSoup;
+/** Walls + cap down to minZ - floorOffset (default 10), or to a floor surface covering the boundary in plan */
+export function buildCurtainAndCap(tris: TriangleSoup, floor?: number | TriangleSoup | TypedMesh): TriangleSoup;
 export function generateClosingTriangles(tris: TriangleSoup, maxDist: number): TriangleSoup;
 
+// ── Terrain ──
+
+/** Polyline as a point array or { points, closed } */
+export type Polyline = Vertex[] | { points: Vertex[]; closed?: boolean };
+
+export interface BuildTINOptions {
+	/** Polylines honoured as triangle edges. Lines are split where they cross (taking the first line's Z) or pass through a point */
+	breaklines?: Polyline[];
+	/** Closed trimming polygon in XY. With Z on every vertex its edges are also constrained */
+	boundary?: Array<{ x: number; y: number; z?: number }>;
+	/** Peel hull triangles with a plan edge longer than this */
+	maxEdgeLength?: number;
+}
+
+export function buildTIN(points: Vertex[], options?: BuildTINOptions): TriangleSoup;
+
+/** Regular elevation grid. Node (c, r) at (originX + c * cellSize, originY + r * cellSize), row 0 south */
+export interface ElevationGrid {
+	cols: number;
+	rows: number;
+	originX: number;
+	originY: number;
+	cellSize: number;
+	/** cols * rows elevations indexed r * cols + c; NaN = NODATA */
+	values: Float64Array;
+}
+
+export interface GridToSoupOptions {
+	/** Cell split diagonal: "ne" (SW-NE) or "nw" (SE-NW). Default: "ne" */
+	diagonal?: "ne" | "nw";
+	/** Vertical tolerance for flat-area decimation. Default: 0 (off) */
+	decimate?: number;
+}
+
+export interface SoupToGridOptions {
+	cellSize: number;
+	originX?: number;
+	originY?: number;
+	cols?: number;
+	rows?: number;
+	/** Keep the highest or lowest surface where triangles overlap. Default: "max" */
+	mode?: "max" | "min";
+}
+
+export function gridToSoup(grid: ElevationGrid, options?: GridToSoupOptions): TriangleSoup;
+export function soupToGrid(soup: TriangleSoup, options: SoupToGridOptions): ElevationGrid;
+
+export interface ContourOptions {
+	/** Vertical spacing between levels (> 0) */
+	interval: number;
+	/** Elevation of one level; the others are offset by multiples of interval. Default: 0 */
+	base?: number;
+	/** Lowest level to generate */
+	min?: number;
+	/** Highest level to generate */
+	max?: number;
+	/** Flag every n-th level (counted from base) as an index contour; 0 = none. Default: 5 */
+	indexEvery?: number;
+	/** Chaikin smoothing passes in plan. Default: 0 */
+	smooth?: number;
+	/** Minimum vertex spacing after smoothing (simplifyPolyline). Default: 0 (keep all) */
+	spacing?: number;
+}
+
+/** One contour line, directed with higher ground on the left. Closed loops do not repeat their first point */
+export interface Contour {
+	elevation: number;
+	points: Vertex[];
+	closed: boolean;
+	index: boolean;
+}
+
+export function contours(soup: TriangleSoup | TypedMesh, options: ContourOptions): Contour[];
+
+export interface CutFillOptions {
+	/** Closed polygon in XY limiting the zones */
+	boundary?: Array<{ x: number; y: number }> | { points: Array<{ x: number; y: number }> };
+	/** Vertex pool merge tolerance (see imprint) */
+	tolerance?: number;
+}
+
+export interface CutFillZone {
+	/** "cut" where surface A lies above surface B, "fill" where below */
+	type: "cut" | "fill";
+	/** Positive volume between the surfaces over the zone */
+	volume: number;
+	/** Plan area of the zone where both surfaces exist */
+	area: number;
+	/** Boundary loops of the zone on surface A */
+	outlines: Array<{ points: Vertex[]; closed: boolean }>;
+}
+
+export interface CutFillResult {
+	cut: number;
+	fill: number;
+	/** cut - fill */
+	net: number;
+	cutArea: number;
+	fillArea: number;
+	zones: CutFillZone[];
+}
+
+export function cutFillVolume(surfaceA: TriangleSoup | TypedMesh, surfaceB: TriangleSoup | TypedMesh, options?: CutFillOptions): CutFillResult;
+
+/** Closed solid between two surfaces: upper faces up, lower faces down, vertical walls between */
+export interface SolidBetweenResult extends BooleanResult {
+	volume: number;
+	/** Edges the walls could not close; 0 for a closed solid (volume is only meaningful then) */
+	openEdges: number;
+}
+
+export function solidBetweenSurfaces(upper: TriangleSoup, lower: TriangleSoup): SolidBetweenResult | null;
+export function solidBetweenSurfaces(upper: TriangleSoup | TypedMesh, lower: TriangleSoup | TypedMesh): (TypedMesh & { volume: number; openEdges: number }) | null;
+
+/** Closed polygon in XY: point array or { points }; a repeated closing point is ignored */
+export type PolygonXY = Array<{ x: number; y: number }> | { points: Array<{ x: number; y: number }> };
+
+export interface ClipByPolygonOptions {
+	/** Part of the surface to return. Default: "inside" */
+	keep?: "inside" | "outside";
+	/** Polygons cut out of the inside */
+	holes?: PolygonXY[];
+}
+
+export interface ClipByPolygonResult<M> {
+	soup: M;
+	/** Polygon edges draped on the surface, outer ring first. A ring wholly over the surface is one closed polyline */
+	polylines: Array<{ points: Vertex[]; closed: boolean }>;
+}
+
+export function clipByPolygon(soup: TriangleSoup, polygonXY: PolygonXY, options?: ClipByPolygonOptions): ClipByPolygonResult<TriangleSoup>;
+export function clipByPolygon(soup: TypedMesh, polygonXY: PolygonXY, options?: ClipByPolygonOptions): ClipByPolygonResult<TypedMesh>;
+
+export interface DrapeOptions {
+	/** Add a vertex wherever the line crosses a triangle edge. Default: true */
+	densify?: boolean;
+}
+
+export interface DrapeResult {
+	/** Draped runs in line order; the line is broken where it leaves the surface */
+	polylines: Array<{ points: Vertex[]; closed: boolean }>;
+	/** Indices of input vertices lying off the surface in plan */
+	offSurface: number[];
+}
+
+export function drapePolyline(soup: TriangleSoup | TypedMesh, polyline: Array<{ x: number; y: number }> | { points: Array<{ x: number; y: number }>; closed?: boolean }, options?: DrapeOptions): DrapeResult;
+
+/** Section point: plan position, elevation and plan distance along the section line */
+export interface ProfilePoint extends Vertex {
+	chainage: number;
+}
+
+export interface SurfaceProfile {
+	/** Runs of increasing chainage, sorted by start */
+	runs: ProfilePoint[][];
+	/** Chainage intervals where the section does not cut the surface */
+	gaps: Array<{ from: number; to: number }>;
+}
+
+export interface SectionProfileResult {
+	/** Plan length of the section line */
+	length: number;
+	/** One per input surface, in order */
+	profiles: SurfaceProfile[];
+}
+
+export function sectionProfile(surfaces: Array<TriangleSoup | TypedMesh>, polyline: Array<{ x: number; y: number }> | { points: Array<{ x: number; y: number }>; closed?: boolean }): SectionProfileResult;
+
+// ── File Formats ──
+
+export interface STLWriteOptions {
+	/** Write binary STL (returns ArrayBuffer). Default: false (ASCII string) */
+	binary?: boolean;
+	/** Solid name / binary header text (default: "trimesh-boolean") */
+	name?: string;
+}
+
+export function parseSTL(data: ArrayBuffer | ArrayBufferView | string): TriangleSoup;
+export function writeSTL(soup: TriangleSoup, options: STLWriteOptions & { binary: true }): ArrayBuffer;
+export function writeSTL(soup: TriangleSoup, options?: STLWriteOptions): string;
+
+export interface NamedSoup {
+	name: string;
+	soup: TriangleSoup;
+}
+
+/** A named mesh for the multi-object writers: soup or welded mesh */
+export type NamedMesh = { name?: string } & ({ soup: TriangleSoup } | WeldedMesh);
+
+/** Array of named meshes, or an object keyed by name (e.g. SplitResult["groups"]) */
+export type NamedMeshes = NamedMesh[] | Record<string, TriangleSoup | WeldedMesh>;
+
+export interface WeldWriteOptions {
+	/** Weld tolerance applied to soups before indexing (default: 1e-4) */
+	tolerance?: number;
+}
+
+export function parseOBJ(data: ArrayBuffer | ArrayBufferView | string): NamedSoup[];
+export function writeOBJ(objects: NamedMeshes, options?: WeldWriteOptions): string;
+
+export interface LandXMLSurface extends NamedSoup {
+	/** Faces skipped because they referenced a missing point id */
+	skippedFaces: number;
+}
+
+export interface LandXMLWriteOptions extends WeldWriteOptions {
+	/** "meter" (Metric, default) or "foot" (Imperial) */
+	units?: "meter" | "foot";
+	projectName?: string;
+}
+
+export function parseLandXML(data: ArrayBuffer | ArrayBufferView | string): LandXMLSurface[];
+export function writeLandXML(surfaces: NamedMeshes, options?: LandXMLWriteOptions): string;
+
+export interface SurpacPoint extends Vertex {
+	/** Description fields D1, D2, ... */
+	d: string[];
+}
+
+export interface SurpacString {
+	stringNumber: number;
+	points: SurpacPoint[];
+	closed: boolean;
+}
+
+export interface SurpacSTRResult {
+	header: { name: string; date: string; purpose: string; memo: string };
+	strings: SurpacString[];
+	/** Every point in file order — the numbering a companion .dtm refers to */
+	points: SurpacPoint[];
+}
+
+export interface SurpacDTMObject {
+	name: string;
+	object: number;
+	trisolation: number;
+	soup: TriangleSoup;
+	skippedTriangles: number;
+}
+
+export interface SurpacPolyline {
+	stringNumber?: number;
+	points: Vertex[];
+	description?: string;
+	closed?: boolean;
+}
+
+export interface SurpacWriteOptions {
+	/** String number for plain point arrays (1-32000, default: 1) */
+	stringNumber?: number;
+	name?: string;
+	purpose?: string;
+	/** Coordinate decimals (default: 3) */
+	decimals?: number;
+}
+
+export function parseSurpacSTR(data: ArrayBuffer | ArrayBufferView | string): SurpacSTRResult;
+export function parseSurpacDTM(dtmData: ArrayBuffer | ArrayBufferView | string, strData: ArrayBuffer | ArrayBufferView | string): SurpacDTMObject[];
+export function writeSurpacSTR(polylines: Array<Vertex[] | SurpacPolyline>, options?: SurpacWriteOptions): string;
+export function writeSurpacDTM(mesh: TriangleSoup | WeldedMesh, options?: Omit<SurpacWriteOptions, "purpose"> & WeldWriteOptions): { str: string; dtm: string };
+
+export interface DXFPolyline {
+	points: Vertex[];
+	closed: boolean;
+}
+
+export interface DXFLayer {
+	name: string;
+	soup: TriangleSoup;
+	polylines: DXFPolyline[];
+}
+
+export interface DXFLayerInput {
+	/** Layer name (default: "0") */
+	name?: string;
+	soup?: TriangleSoup;
+	points?: Vertex[];
+	triangles?: WeldedTriangle[];
+	/** Point arrays (e.g. chainSegments output) or { points, closed } */
+	polylines?: Array<Vertex[] | { points: Vertex[]; closed?: boolean }>;
+}
+
+export interface DXFWriteOptions {
+	/** "POLYLINE" (3D, default) or "LWPOLYLINE" (planar, elevation from first point) */
+	polylineType?: "POLYLINE" | "LWPOLYLINE";
+}
+
+export function parseDXF(data: ArrayBuffer | ArrayBufferView | string): DXFLayer[];
+export function writeDXF(layers: DXFLayerInput[] | Record<string, TriangleSoup | WeldedMesh>, options?: DXFWriteOptions): string;
+
+export interface VertexColor {
+	r: number;
+	g: number;
+	b: number;
+	a?: number;
+}
+
+/** Indexed mesh read from PLY / OFF: soup, welded and index forms together */
+export interface IndexedFileMesh extends WeldedMesh {
+	soup: TriangleSoup;
+	/** Triangle point-index triples (polygons fan-triangulated) */
+	faces: Array<[number, number, number]>;
+	/** Per-vertex colours parallel to points, or null */
+	colors: VertexColor[] | null;
+}
+
+export interface PLYWriteOptions extends WeldWriteOptions {
+	/** Binary little-endian (returns ArrayBuffer). Default: false */
+	binary?: boolean;
+	/** Colours (0-255) parallel to the written points */
+	colors?: VertexColor[];
+	/** Colour lookup by exact vertex position, e.g. the parsePLY result before repair */
+	colorSource?: { points: Vertex[]; colors: VertexColor[] | null };
+}
+
+export function parsePLY(data: ArrayBuffer | ArrayBufferView | string): IndexedFileMesh;
+export function writePLY(mesh: TriangleSoup | WeldedMesh | IndexedFileMesh, options: PLYWriteOptions & { binary: true }): ArrayBuffer;
+export function writePLY(mesh: TriangleSoup | WeldedMesh | IndexedFileMesh, options?: PLYWriteOptions): string;
+export function parseOFF(data: ArrayBuffer | ArrayBufferView | string): IndexedFileMesh;
+export function writeOFF(mesh: TriangleSoup | WeldedMesh | IndexedFileMesh, options?: WeldWriteOptions & { colors?: VertexColor[] }): string;
+export function parseESRIGrid(data: ArrayBuffer | ArrayBufferView | string): ElevationGrid;
+export function writeESRIGrid(grid: ElevationGrid, options?: { noData?: number; decimals?: number }): string;
+export function parseXYZGrid(data: ArrayBuffer | ArrayBufferView | string, options?: { cellSize?: number }): ElevationGrid;
+export function writeXYZGrid(grid: ElevationGrid, options?: { delimiter?: string; decimals?: number }): string;
+
+export interface GLTFMaterialOptions {
+	/** "#RRGGBB", 0xRRGGBB (sRGB) or linear [r, g, b, a?] */
+	color?: string | number | number[];
+	/** Default: 1. Below 1 writes alphaMode "BLEND" */
+	opacity?: number;
+	/** Default: true */
+	doubleSided?: boolean;
+}
+
+export interface GLTFWriteOptions extends WeldWriteOptions {
+	/** GLB ArrayBuffer (default) or .gltf JSON text with an embedded buffer */
+	binary?: boolean;
+	/** Material overrides keyed by group name */
+	materials?: Record<string, GLTFMaterialOptions>;
+	/** Local origin subtracted from positions. Default: bounding-box centre */
+	origin?: Vertex;
+	/** Omit node translations so the model sits at 0,0,0. Default: false */
+	recenter?: boolean;
+	/** Skip the Z-up to Y-up rotation. Default: false */
+	zUp?: boolean;
+}
+
+export function writeGLTF(groups: NamedMeshes, options: GLTFWriteOptions & { binary: false }): string;
+export function writeGLTF(groups: NamedMeshes, options?: GLTFWriteOptions): ArrayBuffer;
+
 // ── Utilities ──
 
 export function dist3(a: Vertex, b: Vertex): number;
@@ -243,3 +706,12 @@ export function vKey(v: Vertex): string;
 export function edgeKey(ka: string, kb: string): string;
 export function countOpenEdges(tris: TriangleSoup): EdgeStats;
 export function findConnectedComponents(soup: TriangleSoup): TriangleSoup[];
+export function isTypedMesh(mesh: unknown): mesh is TypedMesh;
+export function typedMeshToSoup(mesh: {
+	positions: ArrayLike<number>;
+	indices: ArrayLike<number> | null;
+	sourceMesh?: Array<string | null>;
+	sourceIndex?: ArrayLike<number>;
+	attributes?: Record<string, { itemSize: number; array: ArrayLike<number> }>;
+}): TriangleSoup;
+export function soupToTypedMesh(soup: TriangleSoup, tolerance?: number): TypedMesh;
@@ -10,6 +10,8 @@
 
 // ── Core Boolean API ──
 export { boolean, splitMeshPair, mergeSplitGroups, selectSplits, splitToComponents, mergeSmallComponents, mergeComponents } from "./boolean/booleanOp.js";
+export { evaluateCSG } from "./boolean/csg.js";
+export { sliceByPlane } from "./boolean/sliceByPlane.js";
 
 // ── Intersection ──
 export { intersectMeshPair, intersectMeshPairTagged } from "./intersect/intersectMeshPair.js";
@@ -30,7 +32,7 @@ export {
 export { repairMesh } from "./repair/repairMesh.js";
 export { deduplicateSeamVertices } from "./repair/deduplicateVertices.js";
 export { resolveTJunctions } from "./repair/resolveTJunctions.js";
-export { weldVertices, weldedToSoup } from "./repair/weldVertices.js";
+export { weldVertices, weldPositions, weldedToSoup } from "./repair/weldVertices.js";
 
 // ── Mesh format conversion aliases ──
 export { weldVertices as soupToIndexed } from "./repair/weldVertices.js";
@@ -40,7 +42,7 @@ export { extractBoundaryLoops, triangulateLoop, capBoundaryLoops, capBoundaryLoo
 export { stitchByProximity } from "./repair/stitchEdges.js";
 export { cleanCrossingTriangles } from "./repair/cleanCrossing.js";
 export { removeOverlappingTriangles } from "./repair/removeOverlapping.js";
-export { forceCloseIndexedMesh } from "./repair/forceClose.js";
+export { forceCloseIndexedMesh, forceCloseTypedMesh } from "./repair/forceClose.js";
 export { fillOpenEdgeLoops } from "./repair/fillOpenLoops.js";
 export { weldBoundaryVertices } from "./repair/weldBoundary.js";
 
@@ -68,7 +70,30 @@ export { bmsClosePolylines, chainedOpenEdge } from "./bms/bmsClose.js";
 export { bmsClassify } from "./bms/bmsClassify.js";
 export { heffalumpClassify, shouldUseHeffalump, reclassifyTriangles, reclassifyAtPoint, reclassifyRegion } from "./bms/heffalumpClassify.js";
 export { bmsBooleanOp } from "./bms/bmsBooleanOp.js";
+export { imprint } from "./bms/imprint.js";
+
+// ── Terrain ──
+export { buildTIN } from "./terrain/buildTIN.js";
+export { gridToSoup, soupToGrid } from "./terrain/gridTerrain.js";
+export { contours } from "./terrain/contours.js";
+export { cutFillVolume } from "./terrain/cutFill.js";
+export { solidBetweenSurfaces } from "./terrain/solidBetween.js";
+export { clipByPolygon } from "./terrain/clipByPolygon.js";
+export { drapePolyline } from "./terrain/drape.js";
+export { sectionProfile } from "./terrain/sectionProfile.js";
+
+// ── File Formats ──
+export { parseSTL, writeSTL } from "./io/stl.js";
+export { parseOBJ, writeOBJ } from "./io/obj.js";
+export { parseLandXML, writeLandXML } from "./io/landxml.js";
+export { parseSurpacSTR, parseSurpacDTM, writeSurpacSTR, writeSurpacDTM } from "./io/surpac.js";
+export { parseDXF, writeDXF } from "./io/dxf.js";
+export { parsePLY, writePLY } from "./io/ply.js";
+export { parseOFF, writeOFF } from "./io/off.js";
+export { parseESRIGrid, writeESRIGrid, parseXYZGrid, writeXYZGrid } from "./io/grid.js";
+export { writeGLTF } from "./io/gltf.js";
 
 // ── Utilities ──
 export { dist3, distSq3, triangleArea3D, computeBounds, cross, lerpVert, vKey, edgeKey, countOpenEdges } from "./util/math.js";
 export { findConnectedComponents } from "./util/connectedComponents.js";
+export { isTypedMesh, typedMeshToSoup, soupToTypedMesh } from "./util/typedMesh.js";
@@ -64,15 +64,21 @@ export function intersectMeshPair(trisA, trisB) {
  *
  * @param {Array<{ v0: Object, v1: Object, v2: Object }>} trisA - First mesh triangles
  * @param {Array<{ v0: Object, v1: Object, v2: Object }>} trisB - Second mesh triangles
+ * @param {{ grid: Object, cellSize: number }} [prebuiltGridB] - XY grid of trisB to reuse instead of building one
  * @returns {Array<{ p0: {x:number,y:number,z:number}, p1: {x:number,y:number,z:number}, idxA: number, idxB: number }>}
  *          Tagged intersection segments (may be empty)
  */
-export function intersectMeshPairTagged(trisA, trisB) {
+export function intersectMeshPairTagged(trisA, trisB, prebuiltGridB) {
     var segments = [];
 
-    var avgEdge = estimateAvgEdge(trisB);
-    var cellSize = Math.max(avgEdge * 2, 0.1);
-    var gridB = buildSpatialGrid(trisB, cellSize);
+    var cellSize, gridB;
+    if (prebuiltGridB) {
+        cellSize = prebuiltGridB.cellSize;
+        gridB = prebuiltGridB.grid;
+    } else {
+        cellSize = Math.max(estimateAvgEdge(trisB) * 2, 0.1);
+        gridB = buildSpatialGrid(trisB, cellSize);
+    }
 
     for (var i = 0; i < trisA.length; i++) {
         var triA = trisA[i];
@@ -0,0 +1,303 @@
+/**
+ * @module io/dxf
+ *
+ * Read and write ASCII DXF meshes and polylines.
+ *
+ * Reader: 3DFACE entities and POLYLINE polyface meshes are collected per
+ * layer into triangle soups; 3D POLYLINE and LWPOLYLINE entities are
+ * returned as point arrays. Only the ENTITIES section is read (block
+ * definitions referenced by INSERT are not expanded).
+ *
+ * Writer: soups go out as 3DFACE entities and polylines as 3D POLYLINE
+ * (default) or LWPOLYLINE, each on its own layer.
+ *
+ * Exports:
+ *  - parseDXF(data)
+ *  - writeDXF(layers, options)
+ */
+
+import { decodeText, toNamedMeshes } from "./ioUtil.js";
+
+/**
+ * Split DXF text into entity records within the ENTITIES section.
+ * Each record is { type, codes: [[code, value], ...] }.
+ *
+ * @param {string} text
+ * @returns {Array<{ type: string, codes: Array }>}
+ */
+function readEntities(text) {
+	var lines = text.split(/\r?\n/);
+	var entities = [];
+	var inEntities = false;
+	var current = null;
+
+	for (var i = 0; i + 1 < lines.length; i += 2) {
+		var code = parseInt(lines[i], 10);
+		var value = lines[i + 1].trim();
+		if (isNaN(code)) {
+			throw new Error("DXF line " + (i + 1) + ": invalid group code '" + lines[i] + "'");
+		}
+
+		if (code === 0) {
+			if (current) entities.push(current);
+			current = null;
+			if (value === "SECTION") {
+				// Section name follows as group code 2
+				inEntities = lines[i + 3] !== undefined && lines[i + 3].trim() === "ENTITIES";
+				continue;
+			}
+			if (value === "ENDSEC") {
+				inEntities = false;
+				continue;
+			}
+			if (value === "EOF") break;
+			if (inEntities) current = { type: value, codes: [] };
+			continue;
+		}
+		if (current) current.codes.push([code, value]);
+	}
+	if (current) entities.push(current);
+	return entities;
+}
+
+/**
+ * Get the first value for a group code, or a default.
+ * @param {{ codes: Array }} ent
+ * @param {number} code
+ * @param {*} def
+ * @returns {*}
+ */
+function codeValue(ent, code, def) {
+	for (var i = 0; i < ent.codes.length; i++) {
+		if (ent.codes[i][0] === code) return ent.codes[i][1];
+	}
+	return def;
+}
+
+/**
+ * Read the point stored under codes (base, base+10, base+20).
+ * @param {{ codes: Array }} ent
+ * @param {number} base - 10, 11, 12 or 13
+ * @returns {{x,y,z}}
+ */
+function codePoint(ent, base) {
+	return {
+		x: parseFloat(codeValue(ent, base, 0)),
+		y: parseFloat(codeValue(ent, base + 10, 0)),
+		z: parseFloat(codeValue(ent, base + 20, 0))
+	};
+}
+
+/**
+ * @param {{x,y,z}} a
+ * @param {{x,y,z}} b
+ * @returns {boolean}
+ */
+function samePoint(a, b) {
+	return a.x === b.x && a.y === b.y && a.z === b.z;
+}
+
+/**
+ * Parse an ASCII DXF file into per-layer soups and polylines.
+ *
+ * - 3DFACE: triangle, or two triangles when the 4th corner differs from the 3rd
+ * - POLYLINE with flag 64 (polyface mesh): face records are fan-triangulated;
+ *   negative vertex indices (invisible edges) are read as positive
+ * - POLYLINE (3D) / LWPOLYLINE: returned in `polylines`, with `closed` from flag 1
+ *
+ * @param {ArrayBuffer|Uint8Array|string} data - File contents
+ * @returns {Array<{ name: string, soup: Array<{ v0: {x,y,z}, v1: {x,y,z}, v2: {x,y,z} }>, polylines: Array<{ points: Array<{x,y,z}>, closed: boolean }> }>}
+ */
+export function parseDXF(data) {
+	var entities = readEntities(decodeText(data));
+	var layers = [];
+	var byName = {};
+
+	function layer(name) {
+		if (!byName[name]) {
+			byName[name] = { name: name, soup: [], polylines: [] };
+			layers.push(byName[name]);
+		}
+		return byName[name];
+	}
+
+	function pushTri(soup, a, b, c) {
+		soup.push({
+			v0: { x: a.x, y: a.y, z: a.z },
+			v1: { x: b.x, y: b.y, z: b.z },
+			v2: { x: c.x, y: c.y, z: c.z }
+		});
+	}
+
+	for (var e = 0; e < entities.length; e++) {
+		var ent = entities[e];
+		var lname = codeValue(ent, 8, "0");
+
+		if (ent.type === "3DFACE") {
+			var p0 = codePoint(ent, 10), p1 = codePoint(ent, 11);
+			var p2 = codePoint(ent, 12), p3 = codePoint(ent, 13);
+			var target = layer(lname).soup;
+			pushTri(target, p0, p1, p2);
+			if (!samePoint(p2, p3)) pushTri(target, p0, p2, p3);
+		} else if (ent.type === "POLYLINE") {
+			var flags = parseInt(codeValue(ent, 70, "0"), 10);
+
+			// Step 1) Gather the VERTEX records up to SEQEND
+			var verts = [];
+			while (e + 1 < entities.length && entities[e + 1].type === "VERTEX") {
+				verts.push(entities[++e]);
+			}
+			if (e + 1 < entities.length && entities[e + 1].type === "SEQEND") e++;
+
+			if (flags & 64) {
+				// Step 2a) Polyface mesh — position vertices, then face records
+				var positions = [];
+				var faceSoup = layer(lname).soup;
+				for (var v = 0; v < verts.length; v++) {
+					var vflags = parseInt(codeValue(verts[v], 70, "0"), 10);
+					if (vflags & 64) {
+						positions.push(codePoint(verts[v], 10));
+					} else if (vflags & 128) {
+						var idx = [];
+						var codesF = [71, 72, 73, 74];
+						for (var c = 0; c < 4; c++) {
+							var n = Math.abs(parseInt(codeValue(verts[v], codesF[c], "0"), 10));
+							if (n > 0 && n <= positions.length) idx.push(n - 1);
+						}
+						for (var f = 1; f + 1 < idx.length; f++) {
+							pushTri(faceSoup, positions[idx[0]], positions[idx[f]], positions[idx[f + 1]]);
+						}
+					}
+				}
+			} else if (!(flags & 16)) {
+				// Step 2b) 2D / 3D polyline (polygon meshes, flag 16, are not read)
+				var pts = [];
+				for (var pv = 0; pv < verts.length; pv++) pts.push(codePoint(verts[pv], 10));
+				if (pts.length > 0) layer(lname).polylines.push({ points: pts, closed: (flags & 1) === 1 });
+			}
+		} else if (ent.type === "LWPOLYLINE") {
+			var elev = parseFloat(codeValue(ent, 38, "0"));
+			var lw = [];
+			for (var k = 0; k < ent.codes.length; k++) {
+				if (ent.codes[k][0] === 10) lw.push({ x: parseFloat(ent.codes[k][1]), y: 0, z: elev });
+				else if (ent.codes[k][0] === 20 && lw.length > 0) lw[lw.length - 1].y = parseFloat(ent.codes[k][1]);
+			}
+			if (lw.length > 0) {
+				layer(lname).polylines.push({ points: lw, closed: (parseInt(codeValue(ent, 70, "0"), 10) & 1) === 1 });
+			}
+		}
+	}
+
+	return layers;
+}
+
+/**
+ * Normalise a polyline entry: strip a repeated closing point and report closure.
+ * @param {Array<{x,y,z}>|{ points: Array<{x,y,z}>, closed?: boolean }} entry
+ * @returns {{ points: Array<{x,y,z}>, closed: boolean }}
+ */
+function normalisePolyline(entry) {
+	var pts = Array.isArray(entry) ? entry : entry.points;
+	var closed = !Array.isArray(entry) && !!entry.closed;
+	if (pts.length > 2 && samePoint(pts[0], pts[pts.length - 1])) {
+		pts = pts.slice(0, -1);
+		closed = true;
+	}
+	return { points: pts, closed: closed };
+}
+
+/**
+ * Write meshes and polylines to an ASCII DXF file (ENTITIES section only).
+ *
+ * `layers` is an array of { name, soup?, points?, triangles?, polylines? },
+ * or an object keyed by layer name whose values are soups / welded meshes
+ * (e.g. splitMeshPair groups). Triangles go out as 3DFACE; polylines
+ * (point arrays such as chainSegments output, or { points, closed }) go
+ * out as POLYLINE or LWPOLYLINE. A polyline whose last point repeats the
+ * first is written closed.
+ *
+ * LWPOLYLINE is planar: Z is taken from the first point as the elevation.
+ * Use the default 3D POLYLINE for intersection lines that vary in Z.
+ *
+ * Example — mesh plus crest line on its own layer:
+ *   writeDXF([{ name: "PIT", soup: pit }, { name: "CREST", polylines: chainSegments(segs, 1e-3) }])
+ *
+ * @param {Array<{ name?: string, soup?: Array, polylines?: Array }>|Object<string, Array|Object>} layers
+ * @param {Object} [options]
+ * @param {string} [options.polylineType="POLYLINE"] - "POLYLINE" (3D) | "LWPOLYLINE"
+ * @returns {string} DXF text
+ */
+export function writeDXF(layers, options) {
+	var opts = options || {};
+	var lw = opts.polylineType === "LWPOLYLINE";
+	var out = ["0", "SECTION", "2", "ENTITIES"];
+
+	function pair(code, value) {
+		out.push(String(code), String(value));
+	}
+
+	function point(base, p) {
+		pair(base, p.x);
+		pair(base + 10, p.y);
+		pair(base + 20, p.z);
+	}
+
+	var entries = Array.isArray(layers) ? layers : toNamedMeshes(layers).map(function (nm) {
+		return Array.isArray(nm.mesh) ? { name: nm.name, soup: nm.mesh } : { name: nm.name, points: nm.mesh.points, triangles: nm.mesh.triangles };
+	});
+
+	for (var l = 0; l < entries.length; l++) {
+		var entry = entries[l];
+		var lname = entry.name || "0";
+
+		// Step 1) Triangles as 3DFACE (4th corner repeats the 3rd)
+		var tris = entry.soup || [];
+		if (!entry.soup && entry.triangles) {
+			tris = entry.triangles.map(function (t) { return { v0: t.vertices[0], v1: t.vertices[1], v2: t.vertices[2] }; });
+		}
+		for (var t = 0; t < tris.length; t++) {
+			pair(0, "3DFACE");
+			pair(8, lname);
+			point(10, tris[t].v0);
+			point(11, tris[t].v1);
+			point(12, tris[t].v2);
+			point(13, tris[t].v2);
+		}
+
+		// Step 2) Polylines
+		var polys = entry.polylines || [];
+		for (var p = 0; p < polys.length; p++) {
+			var pl = normalisePolyline(polys[p]);
+			if (pl.points.length < 2) continue;
+
+			if (lw) {
+				pair(0, "LWPOLYLINE");
+				pair(8, lname);
+				pair(90, pl.points.length);
+				pair(70, pl.closed ? 1 : 0);
+				pair(38, pl.points[0].z);
+				for (var q = 0; q < pl.points.length; q++) {
+					pair(10, pl.points[q].x);
+					pair(20, pl.points[q].y);
+				}
+			} else {
+				pair(0, "POLYLINE");
+				pair(8, lname);
+				pair(66, 1);
+				point(10, { x: 0, y: 0, z: 0 });
+				pair(70, 8 | (pl.closed ? 1 : 0));
+				for (var r = 0; r < pl.points.length; r++) {
+					pair(0, "VERTEX");
+					pair(8, lname);
+					point(10, pl.points[r]);
+					pair(70, 32);
+				}
+				pair(0, "SEQEND");
+				pair(8, lname);
+			}
+		}
+	}
+
+	out.push("0", "ENDSEC", "0", "EOF");
+	return out.join("\n") + "\n";
+}
@@ -0,0 +1,255 @@
+/**
+ * @module io/gltf
+ *
+ * Write glTF 2.0 (.gltf JSON or binary .glb) without Three.js, so split
+ * and boolean results can be shared as files any browser viewer opens.
+ *
+ * Each named mesh (e.g. the aInside / aOutside / bInside / bOutside groups
+ * from splitMeshPair or bmsBooleanOp) becomes one node + one mesh with its
+ * own named material. Geometry is indexed via weldVertices.
+ *
+ * Exports:
+ *  - writeGLTF(groups, options)
+ */
+
+import { toIndexedFaces, toNamedMeshes } from "./ioUtil.js";
+
+/** Default colours for the split groups (matches the demo viewer) */
+var GROUP_COLORS = {
+	aInside: "#E6192C",
+	aOutside: "#F47920",
+	bInside: "#4472C4",
+	bOutside: "#00B7C2"
+};
+var DEFAULT_COLOR = "#4488FF";
+
+var GL_FLOAT = 5126;
+var GL_UNSIGNED_INT = 5125;
+var GL_ARRAY_BUFFER = 34962;
+var GL_ELEMENT_ARRAY_BUFFER = 34963;
+
+/**
+ * Convert a colour to a linear RGBA baseColorFactor.
+ * Accepts "#RRGGBB", 0xRRGGBB or [r, g, b, a?] (0-1, already linear).
+ *
+ * @param {string|number|number[]} color
+ * @param {number} opacity
+ * @returns {number[]}
+ */
+function toColorFactor(color, opacity) {
+	if (Array.isArray(color)) {
+		return [color[0], color[1], color[2], color.length > 3 ? color[3] : opacity];
+	}
+	var hex = typeof color === "number" ? color : parseInt(String(color).replace("#", ""), 16);
+	var srgb = [(hex >> 16) & 255, (hex >> 8) & 255, hex & 255];
+	var out = [];
+	for (var i = 0; i < 3; i++) {
+		var c = srgb[i] / 255;
+		out.push(c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4));
+	}
+	out.push(opacity);
+	return out;
+}
+
+/**
+ * Base64-encode bytes (works in Node and the browser).
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function toBase64(bytes) {
+	var s = "";
+	var CHUNK = 0x8000;
+	for (var i = 0; i < bytes.length; i += CHUNK) {
+		s += String.fromCharCode.apply(null, bytes.subarray(i, i + CHUNK));
+	}
+	return btoa(s);
+}
+
+/**
+ * Write named meshes as glTF 2.0.
+ *
+ * `groups` is an object keyed by name (e.g. `split.groups`) or an array of
+ * { name, soup } / { name, points, triangles }. Empty groups are skipped.
+ *
+ * Positions are stored as 32-bit floats relative to `origin` (default: the
+ * bounding-box centre of all groups), and each node carries the origin as
+ * its translation, so UTM-scale models keep sub-millimetre precision. Set
+ * `recenter: true` to drop the translation and sit the model at 0,0,0.
+ *
+ * glTF is Y-up: Z-up input is rotated (x, y, z) → (x, z, -y) unless
+ * `zUp: true` is given. No normals are written — viewers shade flat.
+ *
+ * Materials default to the demo group colours (aInside red, aOutside
+ * orange, bInside blue, bOutside cyan) and are double-sided so open
+ * surfaces render from both sides.
+ *
+ * Example:
+ *   var split = splitMeshPair(terrain, pit);
+ *   fs.writeFileSync("review.glb", Buffer.from(writeGLTF(split.groups)));
+ *
+ * @param {Object<string, Array|Object>|Array<{ name?: string, soup?: Array, points?: Array, triangles?: Array }>} groups
+ * @param {Object} [options]
+ * @param {boolean} [options.binary=true] - GLB ArrayBuffer; false for .gltf JSON text with an embedded buffer
+ * @param {Object<string, { color?: string|number|number[], opacity?: number, doubleSided?: boolean }>} [options.materials] - Per-group material overrides
+ * @param {{x,y,z}} [options.origin] - Local origin subtracted from positions
+ * @param {boolean} [options.recenter=false] - Omit node translations
+ * @param {boolean} [options.zUp=false] - Write coordinates unrotated
+ * @param {number} [options.tolerance=1e-4] - Weld tolerance applied to soups
+ * @returns {ArrayBuffer|string}
+ */
+export function writeGLTF(groups, options) {
+	var opts = options || {};
+	var binary = opts.binary !== false;
+	var tol = opts.tolerance !== undefined ? opts.tolerance : 1e-4;
+	var materials = opts.materials || {};
+
+	// Step 1) Index every non-empty group
+	var named = toNamedMeshes(groups);
+	var entries = [];
+	var minX = Infinity, minY = Infinity, minZ = Infinity;
+	var maxX = -Infinity, maxY = -Infinity, maxZ = -Infinity;
+	for (var n = 0; n < named.length; n++) {
+		var indexed = toIndexedFaces(named[n].mesh, tol);
+		if (indexed.faces.length === 0) continue;
+		entries.push({ name: named[n].name, points: indexed.points, faces: indexed.faces });
+		for (var p = 0; p < indexed.points.length; p++) {
+			var pt = indexed.points[p];
+			if (pt.x < minX) minX = pt.x;
+			if (pt.y < minY) minY = pt.y;
+			if (pt.z < minZ) minZ = pt.z;
+			if (pt.x > maxX) maxX = pt.x;
+			if (pt.y > maxY) maxY = pt.y;
+			if (pt.z > maxZ) maxZ = pt.z;
+		}
+	}
+
+	var origin = opts.origin || (entries.length > 0
+		? { x: (minX + maxX) / 2, y: (minY + maxY) / 2, z: (minZ + maxZ) / 2 }
+		: { x: 0, y: 0, z: 0 });
+
+	// Z-up → Y-up unless the caller wants raw axes
+	var axes = opts.zUp
+		? function (x, y, z) { return [x, y, z]; }
+		: function (x, y, z) { return [x, z, -y]; };
+
+	// Step 2) Binary layout: per group, positions then indices (both 4-byte aligned)
+	var byteLength = 0;
+	for (var e = 0; e < entries.length; e++) {
+		byteLength += entries[e].points.length * 12 + entries[e].faces.length * 12;
+	}
+	var bin = new ArrayBuffer(byteLength);
+	var view = new DataView(bin);
+	var offset = 0;
+
+	var gltf = {
+		asset: { version: "2.0", generator: "trimesh-boolean" },
+		scene: 0,
+		scenes: [{ nodes: [] }],
+		nodes: [],
+		meshes: [],
+		materials: [],
+		accessors: [],
+		bufferViews: [],
+		buffers: [{ byteLength: byteLength }]
+	};
+	var translation = axes(origin.x, origin.y, origin.z);
+
+	for (var g = 0; g < entries.length; g++) {
+		var entry = entries[g];
+		var pts = entry.points;
+		var faces = entry.faces;
+
+		// Step 3) Positions (float32, relative to origin) with min/max
+		var posOffset = offset;
+		var lo = [Infinity, Infinity, Infinity];
+		var hi = [-Infinity, -Infinity, -Infinity];
+		for (var i = 0; i < pts.length; i++) {
+			var v = axes(pts[i].x - origin.x, pts[i].y - origin.y, pts[i].z - origin.z);
+			for (var k = 0; k < 3; k++) {
+				var f = Math.fround(v[k]);
+				view.setFloat32(offset, f, true);
+				offset += 4;
+				if (f < lo[k]) lo[k] = f;
+				if (f > hi[k]) hi[k] = f;
+			}
+		}
+
+		// Step 4) Indices (uint32)
+		var idxOffset = offset;
+		for (var t = 0; t < faces.length; t++) {
+			view.setUint32(offset, faces[t][0], true);
+			view.setUint32(offset + 4, faces[t][1], true);
+			view.setUint32(offset + 8, faces[t][2], true);
+			offset += 12;
+		}
+
+		// Step 5) JSON records
+		var bvPos = gltf.bufferViews.length;
+		gltf.bufferViews.push({ buffer: 0, byteOffset: posOffset, byteLength: pts.length * 12, target: GL_ARRAY_BUFFER });
+		gltf.bufferViews.push({ buffer: 0, byteOffset: idxOffset, byteLength: faces.length * 12, target: GL_ELEMENT_ARRAY_BUFFER });
+
+		var accPos = gltf.accessors.length;
+		gltf.accessors.push({ bufferView: bvPos, componentType: GL_FLOAT, count: pts.length, type: "VEC3", min: lo, max: hi });
+		gltf.accessors.push({ bufferView: bvPos + 1, componentType: GL_UNSIGNED_INT, count: faces.length * 3, type: "SCALAR" });
+
+		var mat = materials[entry.name] || {};
+		var opacity = mat.opacity !== undefined ? mat.opacity : 1;
+		var factor = toColorFactor(mat.color !== undefined ? mat.color : (GROUP_COLORS[entry.name] || DEFAULT_COLOR), opacity);
+		var material = {
+			name: entry.name,
+			pbrMetallicRoughness: { baseColorFactor: factor, metallicFactor: 0, roughnessFactor: 1 },
+			doubleSided: mat.doubleSided !== false
+		};
+		if (factor[3] < 1) material.alphaMode = "BLEND";
+		gltf.materials.push(material);
+
+		gltf.meshes.push({
+			name: entry.name,
+			primitives: [{ attributes: { POSITION: accPos }, indices: accPos + 1, material: g, mode: 4 }]
+		});
+
+		var node = { name: entry.name, mesh: g };
+		if (!opts.recenter) node.translation = translation;
+		gltf.scenes[0].nodes.push(gltf.nodes.length);
+		gltf.nodes.push(node);
+	}
+
+	// glTF arrays must not be empty -- drop them when every group was empty
+	if (entries.length === 0) {
+		gltf = { asset: gltf.asset };
+	}
+
+	var binBytes = new Uint8Array(bin);
+
+	// Step 6a) .gltf — buffer embedded as a data URI
+	if (!binary) {
+		if (gltf.buffers) gltf.buffers[0].uri = "data:application/octet-stream;base64," + toBase64(binBytes);
+		return JSON.stringify(gltf);
+	}
+
+	// Step 6b) .glb — 12-byte header, JSON chunk (space padded), BIN chunk (zero padded)
+	var jsonBytes = new TextEncoder().encode(JSON.stringify(gltf));
+	var jsonPadded = (jsonBytes.length + 3) & ~3;
+	var binPadded = (byteLength + 3) & ~3;
+	var total = 12 + 8 + jsonPadded + (byteLength > 0 ? 8 + binPadded : 0);
+
+	var glb = new ArrayBuffer(total);
+	var out = new DataView(glb);
+	var bytes = new Uint8Array(glb);
+	out.setUint32(0, 0x46546C67, true); // "glTF"
+	out.setUint32(4, 2, true);
+	out.setUint32(8, total, true);
+
+	out.setUint32(12, jsonPadded, true);
+	out.setUint32(16, 0x4E4F534A, true); // "JSON"
+	bytes.set(jsonBytes, 20);
+	for (var sp = 20 + jsonBytes.length; sp < 20 + jsonPadded; sp++) bytes[sp] = 0x20;
+
+	if (byteLength > 0) {
+		var binStart = 20 + jsonPadded;
+		out.setUint32(binStart, binPadded, true);
+		out.setUint32(binStart + 4, 0x004E4942, true); // "BIN\0"
+		bytes.set(binBytes, binStart + 8);
+	}
+	return glb;
+}
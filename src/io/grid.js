@@ -0,0 +1,196 @@
+/**
+ * @module io/grid
+ *
+ * Read and write regular elevation grids (DEMs): ESRI ASCII grid (.asc)
+ * and gridded XYZ text.
+ *
+ * Both readers return the same grid object:
+ *   { cols, rows, originX, originY, cellSize, values }
+ * Node (c, r) sits at (originX + c * cellSize, originY + r * cellSize),
+ * with row 0 at the south edge. `values` is a Float64Array of
+ * cols * rows elevations indexed r * cols + c; NaN marks NODATA.
+ * Use gridToSoup / soupToGrid to convert to and from terrain soups.
+ *
+ * Exports:
+ *  - parseESRIGrid(data)
+ *  - writeESRIGrid(grid, options)
+ *  - parseXYZGrid(data, options)
+ *  - writeXYZGrid(grid, options)
+ */
+
+import { decodeText } from "./ioUtil.js";
+
+/**
+ * Parse an ESRI ASCII grid.
+ *
+ * Header keys are case-insensitive. Both xllcorner/yllcorner and
+ * xllcenter/yllcenter are accepted; nodes are placed at cell centres.
+ * Data rows run north to south as stored in the file.
+ *
+ * @param {ArrayBuffer|Uint8Array|string} data - File contents
+ * @returns {{ cols: number, rows: number, originX: number, originY: number, cellSize: number, values: Float64Array }}
+ */
+export function parseESRIGrid(data) {
+	var tokens = decodeText(data).trim().split(/\s+/);
+	var header = {};
+	var t = 0;
+
+	// Step 1) Header: key/value pairs until the first numeric token
+	while (t + 1 < tokens.length && isNaN(parseFloat(tokens[t]))) {
+		header[tokens[t].toLowerCase()] = parseFloat(tokens[t + 1]);
+		t += 2;
+	}
+
+	var cols = header.ncols;
+	var rows = header.nrows;
+	var cs = header.cellsize;
+	if (!(cols > 0) || !(rows > 0) || !(cs > 0)) {
+		throw new Error("ESRI grid: header must define ncols, nrows and cellsize");
+	}
+	var originX, originY;
+	if (header.xllcenter !== undefined) originX = header.xllcenter;
+	else if (header.xllcorner !== undefined) originX = header.xllcorner + cs / 2;
+	if (header.yllcenter !== undefined) originY = header.yllcenter;
+	else if (header.yllcorner !== undefined) originY = header.yllcorner + cs / 2;
+	if (originX === undefined || originY === undefined) {
+		throw new Error("ESRI grid: header must define xllcorner/yllcorner or xllcenter/yllcenter");
+	}
+	var noData = header.nodata_value;
+
+	// Step 2) Values, north row first
+	if (tokens.length - t < cols * rows) {
+		throw new Error("ESRI grid: expected " + (cols * rows) + " values, found " + (tokens.length - t));
+	}
+	var values = new Float64Array(cols * rows);
+	for (var k = 0; k < rows; k++) {
+		var r = rows - 1 - k;
+		for (var c = 0; c < cols; c++) {
+			var v = parseFloat(tokens[t++]);
+			values[r * cols + c] = v === noData ? NaN : v;
+		}
+	}
+
+	return { cols: cols, rows: rows, originX: originX, originY: originY, cellSize: cs, values: values };
+}
+
+/**
+ * Write a grid as ESRI ASCII (.asc), with an xllcorner/yllcorner header.
+ *
+ * @param {{ cols: number, rows: number, originX: number, originY: number, cellSize: number, values: ArrayLike<number> }} grid
+ * @param {Object} [options]
+ * @param {number} [options.noData=-9999] - Value written for NaN nodes
+ * @param {number} [options.decimals=3] - Elevation decimals
+ * @returns {string} .asc text
+ */
+export function writeESRIGrid(grid, options) {
+	var opts = options || {};
+	var noData = opts.noData !== undefined ? opts.noData : -9999;
+	var decimals = opts.decimals !== undefined ? opts.decimals : 3;
+	var cs = grid.cellSize;
+
+	var lines = [
+		"ncols " + grid.cols,
+		"nrows " + grid.rows,
+		"xllcorner " + (grid.originX - cs / 2),
+		"yllcorner " + (grid.originY - cs / 2),
+		"cellsize " + cs,
+		"NODATA_value " + noData
+	];
+	for (var r = grid.rows - 1; r >= 0; r--) {
+		var row = new Array(grid.cols);
+		for (var c = 0; c < grid.cols; c++) {
+			var v = grid.values[r * grid.cols + c];
+			row[c] = isNaN(v) ? String(noData) : v.toFixed(decimals);
+		}
+		lines.push(row.join(" "));
+	}
+	return lines.join("\n") + "\n";
+}
+
+/**
+ * Parse gridded XYZ text (one "x y z" point per line; space, tab, comma
+ * or semicolon separated) into a grid. Non-numeric lines (headers) are
+ * skipped. Nodes with no point are NaN.
+ *
+ * The cell size is taken as the smallest spacing between distinct X or Y
+ * values unless given.
+ *
+ * @param {ArrayBuffer|Uint8Array|string} data - File contents
+ * @param {Object} [options]
+ * @param {number} [options.cellSize] - Grid spacing (default: inferred)
+ * @returns {{ cols: number, rows: number, originX: number, originY: number, cellSize: number, values: Float64Array }}
+ */
+export function parseXYZGrid(data, options) {
+	var opts = options || {};
+	var lines = decodeText(data).split(/\r?\n/);
+	var pts = [];
+	var minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+
+	// Step 1) Read points
+	for (var i = 0; i < lines.length; i++) {
+		var f = lines[i].trim().split(/[\s,;]+/);
+		if (f.length < 3) continue;
+		var x = parseFloat(f[0]), y = parseFloat(f[1]), z = parseFloat(f[2]);
+		if (isNaN(x) || isNaN(y) || isNaN(z)) continue;
+		pts.push(x, y, z);
+		if (x < minX) minX = x;
+		if (x > maxX) maxX = x;
+		if (y < minY) minY = y;
+		if (y > maxY) maxY = y;
+	}
+	if (pts.length === 0) throw new Error("XYZ grid: no points found");
+
+	// Step 2) Cell size: smallest gap between distinct sorted coordinates
+	var cs = opts.cellSize;
+	if (!(cs > 0)) {
+		cs = Infinity;
+		for (var axis = 0; axis < 2; axis++) {
+			var vals = [];
+			for (var p = axis; p < pts.length; p += 3) vals.push(pts[p]);
+			vals.sort(function (a, b) { return a - b; });
+			for (var s = 1; s < vals.length; s++) {
+				var gap = vals[s] - vals[s - 1];
+				if (gap > 1e-9 && gap < cs) cs = gap;
+			}
+		}
+		if (cs === Infinity) throw new Error("XYZ grid: cannot infer cell size from a single point");
+	}
+
+	// Step 3) Fill nodes
+	var cols = Math.round((maxX - minX) / cs) + 1;
+	var rows = Math.round((maxY - minY) / cs) + 1;
+	var values = new Float64Array(cols * rows).fill(NaN);
+	for (var q = 0; q < pts.length; q += 3) {
+		var c = Math.round((pts[q] - minX) / cs);
+		var r = Math.round((pts[q + 1] - minY) / cs);
+		values[r * cols + c] = pts[q + 2];
+	}
+
+	return { cols: cols, rows: rows, originX: minX, originY: minY, cellSize: cs, values: values };
+}
+
+/**
+ * Write a grid as XYZ text, one "x y z" line per node with data.
+ * Rows run north to south, west to east within a row.
+ *
+ * @param {{ cols: number, rows: number, originX: number, originY: number, cellSize: number, values: ArrayLike<number> }} grid
+ * @param {Object} [options]
+ * @param {string} [options.delimiter=" "] - Field separator
+ * @param {number} [options.decimals=3] - Coordinate decimals
+ * @returns {string} XYZ text
+ */
+export function writeXYZGrid(grid, options) {
+	var opts = options || {};
+	var sep = opts.delimiter !== undefined ? opts.delimiter : " ";
+	var decimals = opts.decimals !== undefined ? opts.decimals : 3;
+	var lines = [];
+	for (var r = grid.rows - 1; r >= 0; r--) {
+		var y = (grid.originY + r * grid.cellSize).toFixed(decimals);
+		for (var c = 0; c < grid.cols; c++) {
+			var v = grid.values[r * grid.cols + c];
+			if (isNaN(v)) continue;
+			lines.push((grid.originX + c * grid.cellSize).toFixed(decimals) + sep + y + sep + v.toFixed(decimals));
+		}
+	}
+	return lines.join("\n") + "\n";
+}
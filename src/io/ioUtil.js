@@ -0,0 +1,141 @@
+/**
+ * @module io/ioUtil
+ *
+ * Shared helpers for the file format readers and writers.
+ * Internal — not part of the public API.
+ */
+
+import { weldVertices } from "../repair/weldVertices.js";
+import { vKey } from "../util/math.js";
+
+/**
+ * Normalise ArrayBuffer / typed array / Node Buffer input to a Uint8Array
+ * view (no copy).
+ *
+ * @param {ArrayBuffer|ArrayBufferView} data
+ * @returns {Uint8Array}
+ */
+export function toUint8Array(data) {
+	if (data instanceof Uint8Array) return data;
+	if (data instanceof ArrayBuffer) return new Uint8Array(data);
+	if (data && data.buffer instanceof ArrayBuffer) {
+		return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+	}
+	throw new Error("Expected ArrayBuffer, typed array or string");
+}
+
+/**
+ * Decode bytes (or pass through a string) as UTF-8 text.
+ *
+ * @param {ArrayBuffer|ArrayBufferView|string} data
+ * @returns {string}
+ */
+export function decodeText(data) {
+	if (typeof data === "string") return data;
+	return new TextDecoder("utf-8").decode(toUint8Array(data));
+}
+
+/**
+ * Turn a soup or welded mesh into shared points + integer face indices.
+ *
+ * Welded triangles from weldVertices carry vertex copies rather than
+ * indices, so each corner is matched back to its point by vKey.
+ *
+ * @param {Array|{ points: Array, triangles: Array }} mesh - Triangle soup or WeldedMesh
+ * @param {number} tolerance - Weld tolerance used when mesh is a soup
+ * @returns {{ points: Array<{x,y,z}>, faces: Array<number[]> }}
+ */
+export function toIndexedFaces(mesh, tolerance) {
+	var welded = Array.isArray(mesh) ? weldVertices(mesh, tolerance) : mesh;
+	var points = welded.points.slice();
+	var faces = [];
+
+	// Step 1) Point lookup by key — first occurrence wins for exact duplicates
+	var keyToIdx = {};
+	for (var i = 0; i < points.length; i++) {
+		var k = vKey(points[i]);
+		if (keyToIdx[k] === undefined) keyToIdx[k] = i;
+	}
+
+	// Step 2) Map each triangle corner back to a point index
+	for (var t = 0; t < welded.triangles.length; t++) {
+		var verts = welded.triangles[t].vertices;
+		var face = [];
+		for (var c = 0; c < 3; c++) {
+			var idx = keyToIdx[vKey(verts[c])];
+			if (idx === undefined) {
+				idx = points.length;
+				points.push({ x: verts[c].x, y: verts[c].y, z: verts[c].z });
+				keyToIdx[vKey(verts[c])] = idx;
+			}
+			face.push(idx);
+		}
+		faces.push(face);
+	}
+
+	return { points: points, faces: faces };
+}
+
+/**
+ * Normalise a named-mesh collection to an array of { name, mesh }.
+ *
+ * Accepts either an array of { name, soup } / { name, points, triangles }
+ * entries, or a plain object keyed by name (e.g. splitMeshPair groups).
+ *
+ * @param {Array|Object} objects
+ * @returns {Array<{ name: string, mesh: Array|Object }>}
+ */
+export function toNamedMeshes(objects) {
+	var out = [];
+	if (Array.isArray(objects)) {
+		for (var i = 0; i < objects.length; i++) {
+			var o = objects[i];
+			out.push({ name: o.name || ("object" + (i + 1)), mesh: o.soup || o });
+		}
+		return out;
+	}
+	for (var name in objects) {
+		if (objects[name]) out.push({ name: name, mesh: objects[name] });
+	}
+	return out;
+}
+
+/**
+ * Build soup + welded triangles from shared points and polygon faces.
+ * Polygons with more than 3 corners are fan-triangulated; `faces` in the
+ * result holds the resulting triangle index triples.
+ *
+ * @param {Array<{x,y,z}>} points
+ * @param {Array<number[]>} polygons - Point index lists (0-based)
+ * @returns {{ soup: Array, points: Array<{x,y,z}>, triangles: Array<{ vertices: Array }>, faces: Array<number[]> }}
+ */
+export function fromIndexedFaces(points, polygons) {
+	var soup = [];
+	var triangles = [];
+	var faces = [];
+
+	for (var i = 0; i < polygons.length; i++) {
+		var poly = polygons[i];
+		for (var f = 1; f + 1 < poly.length; f++) {
+			var a = points[poly[0]], b = points[poly[f]], c = points[poly[f + 1]];
+			if (!a || !b || !c) {
+				throw new Error("Face " + i + " references a missing vertex");
+			}
+			faces.push([poly[0], poly[f], poly[f + 1]]);
+			soup.push({
+				v0: { x: a.x, y: a.y, z: a.z },
+				v1: { x: b.x, y: b.y, z: b.z },
+				v2: { x: c.x, y: c.y, z: c.z }
+			});
+			triangles.push({
+				vertices: [
+					{ x: a.x, y: a.y, z: a.z },
+					{ x: b.x, y: b.y, z: b.z },
+					{ x: c.x, y: c.y, z: c.z }
+				]
+			});
+		}
+	}
+
+	return { soup: soup, points: points, triangles: triangles, faces: faces };
+}
@@ -0,0 +1,167 @@
+/**
+ * @module io/landxml
+ *
+ * Read and write LandXML TIN surfaces (<Surface><Definition><Pnts>/<Faces>).
+ *
+ * LandXML stores points as "northing easting elevation", i.e. Y X Z.
+ * Both directions swap to and from the library's {x: easting, y: northing}.
+ *
+ * Exports:
+ *  - parseLandXML(data)
+ *  - writeLandXML(surfaces, options)
+ */
+
+import { decodeText, toIndexedFaces, toNamedMeshes } from "./ioUtil.js";
+
+/**
+ * Read one attribute value from an XML start-tag attribute string.
+ * @param {string} attrs
+ * @param {string} name
+ * @returns {string|null}
+ */
+function readAttr(attrs, name) {
+	var m = new RegExp("\\b" + name + "\\s*=\\s*(\"([^\"]*)\"|'([^']*)')").exec(attrs);
+	if (!m) return null;
+	return unescapeXml(m[2] !== undefined ? m[2] : m[3]);
+}
+
+/**
+ * @param {string} s
+ * @returns {string}
+ */
+function unescapeXml(s) {
+	return s.replace(/&lt;/g, "<").replace(/&gt;/g, ">").replace(/&quot;/g, "\"")
+		.replace(/&apos;/g, "'").replace(/&amp;/g, "&");
+}
+
+/**
+ * @param {string} s
+ * @returns {string}
+ */
+function escapeXml(s) {
+	return String(s).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;")
+		.replace(/"/g, "&quot;");
+}
+
+/**
+ * Parse LandXML TIN surfaces into named triangle soups, one per <Surface>.
+ *
+ * Faces flagged invisible (i="1") are skipped. Faces that reference a
+ * missing point id are skipped and counted in `skippedFaces`.
+ *
+ * @param {ArrayBuffer|Uint8Array|string} data - File contents
+ * @returns {Array<{ name: string, soup: Array<{ v0: {x,y,z}, v1: {x,y,z}, v2: {x,y,z} }>, skippedFaces: number }>}
+ */
+export function parseLandXML(data) {
+	var text = decodeText(data);
+	var out = [];
+	var surfRe = /<Surface\b([^>]*)>([\s\S]*?)<\/Surface>/g;
+	var sm;
+
+	while ((sm = surfRe.exec(text)) !== null) {
+		var name = readAttr(sm[1], "name") || ("Surface" + (out.length + 1));
+		var body = sm[2];
+
+		// Step 1) Points by id — "N E Z" → { x: E, y: N, z: Z }
+		var pts = {};
+		var pRe = /<P\b([^>]*)>([^<]*)<\/P>/g;
+		var pm;
+		while ((pm = pRe.exec(body)) !== null) {
+			var id = readAttr(pm[1], "id");
+			var c = pm[2].trim().split(/\s+/);
+			if (id === null || c.length < 2) continue;
+			pts[id] = { x: parseFloat(c[1]), y: parseFloat(c[0]), z: c.length > 2 ? parseFloat(c[2]) : 0 };
+		}
+
+		// Step 2) Faces — point id triples
+		var soup = [];
+		var skipped = 0;
+		var fRe = /<F\b([^>]*)>([^<]*)<\/F>/g;
+		var fm;
+		while ((fm = fRe.exec(body)) !== null) {
+			if (readAttr(fm[1], "i") === "1") continue;
+			var ids = fm[2].trim().split(/\s+/);
+			var a = pts[ids[0]], b = pts[ids[1]], d = pts[ids[2]];
+			if (!a || !b || !d) {
+				skipped++;
+				continue;
+			}
+			soup.push({
+				v0: { x: a.x, y: a.y, z: a.z },
+				v1: { x: b.x, y: b.y, z: b.z },
+				v2: { x: d.x, y: d.y, z: d.z }
+			});
+		}
+
+		out.push({ name: name, soup: soup, skippedFaces: skipped });
+	}
+
+	return out;
+}
+
+/**
+ * Write one or more meshes as LandXML TIN surfaces.
+ *
+ * Each mesh becomes a <Surface> with shared indexed <Pnts> and <Faces>.
+ * Soups are welded first with weldVertices; welded meshes
+ * ({ points, triangles }) are written as given.
+ *
+ * @param {Array<{ name?: string, soup?: Array, points?: Array, triangles?: Array }>|Object<string, Array|Object>} surfaces
+ *        Array of named meshes, or an object keyed by surface name
+ * @param {Object} [options]
+ * @param {number} [options.tolerance=1e-4] - Weld tolerance applied to soups
+ * @param {string} [options.units="meter"] - "meter" (Metric) or "foot" (Imperial)
+ * @param {string} [options.projectName] - Optional <Project name>
+ * @returns {string} LandXML text
+ */
+export function writeLandXML(surfaces, options) {
+	var opts = options || {};
+	var tol = opts.tolerance !== undefined ? opts.tolerance : 1e-4;
+	var imperial = opts.units === "foot";
+	var named = toNamedMeshes(surfaces);
+	var now = new Date().toISOString();
+
+	var lines = [
+		"<?xml version=\"1.0\" encoding=\"UTF-8\"?>",
+		"<LandXML xmlns=\"http://www.landxml.org/schema/LandXML-1.2\" version=\"1.2\" date=\"" + now.slice(0, 10) + "\" time=\"" + now.slice(11, 19) + "\">",
+		"  <Units>",
+		imperial
+			? "    <Imperial areaUnit=\"squareFoot\" linearUnit=\"foot\" volumeUnit=\"cubicYard\" temperatureUnit=\"fahrenheit\" pressureUnit=\"inHG\"/>"
+			: "    <Metric areaUnit=\"squareMeter\" linearUnit=\"meter\" volumeUnit=\"cubicMeter\" temperatureUnit=\"celsius\" pressureUnit=\"milliBars\"/>",
+		"  </Units>"
+	];
+	if (opts.projectName) lines.push("  <Project name=\"" + escapeXml(opts.projectName) + "\"/>");
+	lines.push("  <Application name=\"trimesh-boolean\" manufacturer=\"trimesh-boolean\"/>");
+	lines.push("  <Surfaces>");
+
+	for (var s = 0; s < named.length; s++) {
+		var indexed = toIndexedFaces(named[s].mesh, tol);
+		if (indexed.faces.length === 0) continue;
+
+		lines.push("    <Surface name=\"" + escapeXml(named[s].name) + "\">");
+		lines.push("      <Definition surfType=\"TIN\">");
+
+		// Step 1) Points — 1-based ids, "N E Z" order
+		lines.push("        <Pnts>");
+		for (var p = 0; p < indexed.points.length; p++) {
+			var pt = indexed.points[p];
+			lines.push("          <P id=\"" + (p + 1) + "\">" + pt.y + " " + pt.x + " " + pt.z + "</P>");
+		}
+		lines.push("        </Pnts>");
+
+		// Step 2) Faces
+		lines.push("        <Faces>");
+		for (var f = 0; f < indexed.faces.length; f++) {
+			var face = indexed.faces[f];
+			lines.push("          <F>" + (face[0] + 1) + " " + (face[1] + 1) + " " + (face[2] + 1) + "</F>");
+		}
+		lines.push("        </Faces>");
+
+		lines.push("      </Definition>");
+		lines.push("    </Surface>");
+	}
+
+	lines.push("  </Surfaces>");
+	lines.push("</LandXML>");
+	return lines.join("\n") + "\n";
+}
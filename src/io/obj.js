@@ -0,0 +1,138 @@
+/**
+ * @module io/obj
+ *
+ * Read and write Wavefront OBJ files, keeping object / group names.
+ *
+ * Exports:
+ *  - parseOBJ(data)
+ *  - writeOBJ(objects, options)
+ */
+
+import { decodeText, toIndexedFaces, toNamedMeshes } from "./ioUtil.js";
+
+/**
+ * Parse an OBJ file into named triangle soups, one per `o` / `g` block.
+ *
+ * - Negative (relative) indices are resolved against the vertices read so far
+ * - Quads and n-gons are fan-triangulated from their first vertex
+ * - Texture / normal references (`v/vt/vn`) are ignored
+ * - Faces before any `o` / `g` line go into a block named "default"
+ * - Repeated names append to the existing block
+ *
+ * @param {ArrayBuffer|Uint8Array|string} data - File contents
+ * @returns {Array<{ name: string, soup: Array<{ v0: {x,y,z}, v1: {x,y,z}, v2: {x,y,z} }> }>}
+ */
+export function parseOBJ(data) {
+	var text = decodeText(data);
+	var lines = text.split(/\r?\n/);
+	var verts = [];
+	var objects = [];
+	var byName = {};
+	var current = null;
+
+	function useBlock(name) {
+		if (!byName[name]) {
+			byName[name] = { name: name, soup: [] };
+			objects.push(byName[name]);
+		}
+		current = byName[name];
+	}
+
+	function resolveIndex(token, lineNo) {
+		var idx = parseInt(token.split("/")[0], 10);
+		if (isNaN(idx) || idx === 0) {
+			throw new Error("OBJ line " + lineNo + ": invalid face index '" + token + "'");
+		}
+		var resolved = idx > 0 ? idx - 1 : verts.length + idx;
+		if (resolved < 0 || resolved >= verts.length) {
+			throw new Error("OBJ line " + lineNo + ": face index " + idx + " out of range");
+		}
+		return verts[resolved];
+	}
+
+	for (var li = 0; li < lines.length; li++) {
+		var line = lines[li].trim();
+		if (line.length === 0 || line.charAt(0) === "#") continue;
+
+		// Line continuation
+		while (line.charAt(line.length - 1) === "\\" && li + 1 < lines.length) {
+			line = line.slice(0, -1) + " " + lines[++li].trim();
+		}
+
+		var parts = line.split(/\s+/);
+		var tag = parts[0];
+
+		if (tag === "v") {
+			verts.push({ x: parseFloat(parts[1]), y: parseFloat(parts[2]), z: parseFloat(parts[3]) });
+		} else if (tag === "o" || tag === "g") {
+			useBlock(parts.slice(1).join(" ") || "default");
+		} else if (tag === "f") {
+			if (parts.length < 4) continue;
+			if (!current) useBlock("default");
+
+			// Step 1) Resolve the polygon corners
+			var poly = [];
+			for (var p = 1; p < parts.length; p++) {
+				poly.push(resolveIndex(parts[p], li + 1));
+			}
+
+			// Step 2) Fan-triangulate from the first corner
+			for (var f = 1; f < poly.length - 1; f++) {
+				current.soup.push({
+					v0: { x: poly[0].x, y: poly[0].y, z: poly[0].z },
+					v1: { x: poly[f].x, y: poly[f].y, z: poly[f].z },
+					v2: { x: poly[f + 1].x, y: poly[f + 1].y, z: poly[f + 1].z }
+				});
+			}
+		}
+	}
+
+	// Drop blocks that only named a group without faces
+	var out = [];
+	for (var o = 0; o < objects.length; o++) {
+		if (objects[o].soup.length > 0) out.push(objects[o]);
+	}
+	return out;
+}
+
+/**
+ * Write one or more named meshes to a single OBJ file.
+ *
+ * Each entry is written as an `o` block with shared indexed vertices.
+ * Soups are welded first with weldVertices; welded meshes
+ * ({ points, triangles }) are written as given.
+ *
+ * Example — save the four split groups as four named objects:
+ *   writeOBJ(splitMeshPair(a, b).groups)
+ *
+ * @param {Array<{ name?: string, soup?: Array, points?: Array, triangles?: Array }>|Object<string, Array|Object>} objects
+ *        Array of named meshes, or an object keyed by name
+ * @param {Object} [options]
+ * @param {number} [options.tolerance=1e-4] - Weld tolerance applied to soups
+ * @returns {string} OBJ text
+ */
+export function writeOBJ(objects, options) {
+	var opts = options || {};
+	var tol = opts.tolerance !== undefined ? opts.tolerance : 1e-4;
+	var named = toNamedMeshes(objects);
+	var lines = ["# trimesh-boolean OBJ export"];
+	var offset = 1;
+
+	for (var i = 0; i < named.length; i++) {
+		var indexed = toIndexedFaces(named[i].mesh, tol);
+		if (indexed.faces.length === 0) continue;
+
+		lines.push("o " + named[i].name);
+		for (var p = 0; p < indexed.points.length; p++) {
+			var pt = indexed.points[p];
+			lines.push("v " + pt.x + " " + pt.y + " " + pt.z);
+		}
+		for (var f = 0; f < indexed.faces.length; f++) {
+			var face = indexed.faces[f];
+			lines.push("f " + (face[0] + offset) + " " + (face[1] + offset) + " " + (face[2] + offset));
+		}
+		offset += indexed.points.length;
+	}
+
+	return lines.join("\n") + "\n";
+}
@@ -0,0 +1,113 @@
+/**
+ * @module io/off
+ *
+ * Read and write Object File Format (OFF / COFF) meshes.
+ *
+ * Exports:
+ *  - parseOFF(data)
+ *  - writeOFF(mesh, options)
+ */
+
+import { decodeText, toIndexedFaces, fromIndexedFaces } from "./ioUtil.js";
+
+/**
+ * Parse an OFF file into soup and welded/indexed forms.
+ *
+ * Supports the "OFF" and "COFF" (per-vertex colour) headers, comments,
+ * and counts on the header line. Polygons are fan-triangulated; trailing
+ * per-face colour values are ignored. For COFF, `colors` is parallel to
+ * `points` with values as stored in the file.
+ *
+ * @param {ArrayBuffer|Uint8Array|string} data - File contents
+ * @returns {{ soup: Array, points: Array<{x,y,z}>, triangles: Array<{ vertices: Array }>, faces: Array<number[]>, colors: Array<{r,g,b,a?}>|null }}
+ */
+export function parseOFF(data) {
+	var lines = decodeText(data).split(/\r?\n/);
+	var tokens = [];
+	for (var i = 0; i < lines.length; i++) {
+		var line = lines[i];
+		var hash = line.indexOf("#");
+		if (hash >= 0) line = line.slice(0, hash);
+		line = line.trim();
+		if (line.length > 0) tokens.push(line.split(/\s+/));
+	}
+	if (tokens.length === 0) throw new Error("OFF: empty file");
+
+	// Step 1) Header keyword, counts may share its line
+	var head = tokens[0];
+	var keyword = head[0];
+	if (!/^C?OFF$/.test(keyword)) throw new Error("OFF: unsupported header '" + keyword + "'");
+	var hasColor = keyword === "COFF";
+	var counts = head.length >= 3 ? head.slice(1) : tokens[1];
+	var row = head.length >= 3 ? 1 : 2;
+	var nv = parseInt(counts[0], 10);
+	var nf = parseInt(counts[1], 10);
+	if (isNaN(nv) || isNaN(nf)) throw new Error("OFF: invalid vertex/face counts");
+
+	// Step 2) Vertices
+	var points = [];
+	var colors = hasColor ? [] : null;
+	for (var v = 0; v < nv; v++, row++) {
+		var t = tokens[row];
+		if (!t) throw new Error("OFF: expected " + nv + " vertices, found " + v);
+		points.push({ x: parseFloat(t[0]), y: parseFloat(t[1]), z: parseFloat(t[2]) });
+		if (hasColor) {
+			var col = { r: parseFloat(t[3]), g: parseFloat(t[4]), b: parseFloat(t[5]) };
+			if (t.length > 6) col.a = parseFloat(t[6]);
+			colors.push(col);
+		}
+	}
+
+	// Step 3) Faces: n i0 i1 ... [colour]
+	var polygons = [];
+	for (var f = 0; f < nf; f++, row++) {
+		var ft = tokens[row];
+		if (!ft) throw new Error("OFF: expected " + nf + " faces, found " + f);
+		var n = parseInt(ft[0], 10);
+		var poly = [];
+		for (var k = 1; k <= n; k++) poly.push(parseInt(ft[k], 10));
+		if (poly.length >= 3) polygons.push(poly);
+	}
+
+	var mesh = fromIndexedFaces(points, polygons);
+	mesh.colors = colors;
+	return mesh;
+}
+
+/**
+ * Write a mesh as an OFF file.
+ *
+ * Input can be a soup, a welded mesh, or a parseOFF / parsePLY result
+ * (which keeps its vertex order). Soups are welded first with weldVertices.
+ * When the input carries `colors` (or `options.colors` is given) a COFF
+ * file is written.
+ *
+ * @param {Array|{ points: Array, triangles?: Array, faces?: Array, colors?: Array }} mesh
+ * @param {Object} [options]
+ * @param {Array<{r,g,b,a?}>} [options.colors] - Colours parallel to the written points
+ * @param {number} [options.tolerance=1e-4] - Weld tolerance applied to soups
+ * @returns {string} OFF text
+ */
+export function writeOFF(mesh, options) {
+	var opts = options || {};
+	var tol = opts.tolerance !== undefined ? opts.tolerance : 1e-4;
+	var hasFaces = !Array.isArray(mesh) && mesh.faces && mesh.points;
+	var indexed = hasFaces ? { points: mesh.points, faces: mesh.faces } : toIndexedFaces(mesh, tol);
+	var colors = opts.colors || (hasFaces && mesh.colors) || null;
+
+	var lines = [colors ? "COFF" : "OFF", indexed.points.length + " " + indexed.faces.length + " 0"];
+	for (var i = 0; i < indexed.points.length; i++) {
+		var p = indexed.points[i];
+		var line = p.x + " " + p.y + " " + p.z;
+		if (colors) {
+			var c = colors[i] || { r: 255, g: 255, b: 255 };
+			line += " " + c.r + " " + c.g + " " + c.b + " " + (c.a !== undefined ? c.a : 255);
+		}
+		lines.push(line);
+	}
+	for (var f = 0; f < indexed.faces.length; f++) {
+		var face = indexed.faces[f];
+		lines.push("3 " + face[0] + " " + face[1] + " " + face[2]);
+	}
+	return lines.join("\n") + "\n";
+}
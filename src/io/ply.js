@@ -0,0 +1,318 @@
+/**
+ * @module io/ply
+ *
+ * Read and write Stanford PLY meshes (ASCII, binary little- and big-endian).
+ * Per-vertex colours (red/green/blue[/alpha]) are carried through.
+ *
+ * Exports:
+ *  - parsePLY(data)
+ *  - writePLY(mesh, options)
+ */
+
+import { decodeText, toUint8Array, toIndexedFaces, fromIndexedFaces } from "./ioUtil.js";
+import { vKey } from "../util/math.js";
+
+/** PLY scalar type name -> [byte size, DataView getter] */
+var PLY_TYPES = {
+	char: [1, "getInt8"], int8: [1, "getInt8"],
+	uchar: [1, "getUint8"], uint8: [1, "getUint8"],
+	short: [2, "getInt16"], int16: [2, "getInt16"],
+	ushort: [2, "getUint16"], uint16: [2, "getUint16"],
+	int: [4, "getInt32"], int32: [4, "getInt32"],
+	uint: [4, "getUint32"], uint32: [4, "getUint32"],
+	float: [4, "getFloat32"], float32: [4, "getFloat32"],
+	double: [8, "getFloat64"], float64: [8, "getFloat64"]
+};
+
+/** Colour property names, first match wins */
+var COLOR_NAMES = {
+	r: ["red", "diffuse_red", "r"],
+	g: ["green", "diffuse_green", "g"],
+	b: ["blue", "diffuse_blue", "b"],
+	a: ["alpha", "diffuse_alpha", "a"]
+};
+
+/**
+ * Parse the PLY header.
+ *
+ * @param {string} headerText - Text up to and including "end_header"
+ * @returns {{ format: string, elements: Array<{ name: string, count: number, props: Array }> }}
+ */
+function parseHeader(headerText) {
+	var lines = headerText.split(/\r?\n/);
+	if (lines[0].trim() !== "ply") throw new Error("PLY: missing 'ply' magic");
+
+	var format = null;
+	var elements = [];
+	for (var i = 1; i < lines.length; i++) {
+		var parts = lines[i].trim().split(/\s+/);
+		if (parts[0] === "format") {
+			format = parts[1];
+		} else if (parts[0] === "element") {
+			elements.push({ name: parts[1], count: parseInt(parts[2], 10), props: [] });
+		} else if (parts[0] === "property" && elements.length > 0) {
+			var el = elements[elements.length - 1];
+			if (parts[1] === "list") {
+				el.props.push({ name: parts[4], list: true, countType: parts[2], type: parts[3] });
+			} else {
+				el.props.push({ name: parts[2], list: false, type: parts[1] });
+			}
+		}
+	}
+	if (format !== "ascii" && format !== "binary_little_endian" && format !== "binary_big_endian") {
+		throw new Error("PLY: unsupported format '" + format + "'");
+	}
+	return { format: format, elements: elements };
+}
+
+/**
+ * Find the index of the first property whose name is in `names`.
+ * @param {Array} props
+ * @param {string[]} names
+ * @returns {number}
+ */
+function propIndex(props, names) {
+	for (var n = 0; n < names.length; n++) {
+		for (var i = 0; i < props.length; i++) {
+			if (props[i].name === names[n]) return i;
+		}
+	}
+	return -1;
+}
+
+/**
+ * Whether a PLY property type is floating point.
+ * @param {string} type
+ * @returns {boolean}
+ */
+function isFloatType(type) {
+	return type === "float" || type === "float32" || type === "double" || type === "float64";
+}
+
+/**
+ * Parse a PLY file into soup and welded/indexed forms.
+ *
+ * `colors` is parallel to `points` and holds 0-255 colour values, or null
+ * when the vertex element has no colour properties. Float colour
+ * properties (0-1 by convention) are scaled to 0-255 so that every file
+ * round-trips through writePLY's uchar colours. Faces are fan-triangulated.
+ *
+ * @param {ArrayBuffer|Uint8Array|string} data - File contents
+ * @returns {{ soup: Array, points: Array<{x,y,z}>, triangles: Array<{ vertices: Array }>, faces: Array<number[]>, colors: Array<{r,g,b,a?}>|null }}
+ */
+export function parsePLY(data) {
+	var bytes = typeof data === "string" ? new TextEncoder().encode(data) : toUint8Array(data);
+
+	// Step 1) Locate end of header
+	var probe = decodeText(bytes.subarray(0, Math.min(bytes.length, 65536)));
+	var endIdx = probe.indexOf("end_header");
+	if (endIdx < 0) throw new Error("PLY: missing end_header");
+	var nl = probe.indexOf("\n", endIdx);
+	var headerText = probe.slice(0, nl < 0 ? probe.length : nl);
+	var bodyStart = new TextEncoder().encode(headerText).length + 1;
+	var header = parseHeader(headerText);
+
+	var points = [];
+	var colors = null;
+	var polygons = [];
+
+	// Step 2) Read elements in order. Each reader returns one row of values.
+	var nextRow;
+	if (header.format === "ascii") {
+		var tokens = decodeText(bytes.subarray(bodyStart)).trim().split(/\s+/);
+		var tp = 0;
+		nextRow = function (props) {
+			var row = [];
+			for (var p = 0; p < props.length; p++) {
+				if (props[p].list) {
+					var cnt = parseInt(tokens[tp++], 10);
+					var list = [];
+					for (var c = 0; c < cnt; c++) list.push(parseFloat(tokens[tp++]));
+					row.push(list);
+				} else {
+					row.push(parseFloat(tokens[tp++]));
+				}
+			}
+			return row;
+		};
+	} else {
+		var view = new DataView(bytes.buffer, bytes.byteOffset + bodyStart, bytes.byteLength - bodyStart);
+		var little = header.format === "binary_little_endian";
+		var off = 0;
+		var read = function (type) {
+			var t = PLY_TYPES[type];
+			if (!t) throw new Error("PLY: unknown property type '" + type + "'");
+			var v = view[t[1]](off, little);
+			off += t[0];
+			return v;
+		};
+		nextRow = function (props) {
+			var row = [];
+			for (var p = 0; p < props.length; p++) {
+				if (props[p].list) {
+					var cnt = read(props[p].countType);
+					var list = [];
+					for (var c = 0; c < cnt; c++) list.push(read(props[p].type));
+					row.push(list);
+				} else {
+					row.push(read(props[p].type));
+				}
+			}
+			return row;
+		};
+	}
+
+	for (var e = 0; e < header.elements.length; e++) {
+		var el = header.elements[e];
+		var props = el.props;
+
+		if (el.name === "vertex") {
+			var ix = propIndex(props, ["x"]), iy = propIndex(props, ["y"]), iz = propIndex(props, ["z"]);
+			var ir = propIndex(props, COLOR_NAMES.r), ig = propIndex(props, COLOR_NAMES.g);
+			var ib = propIndex(props, COLOR_NAMES.b), ia = propIndex(props, COLOR_NAMES.a);
+			var hasColor = ir >= 0 && ig >= 0 && ib >= 0;
+			if (hasColor) colors = [];
+			var scale = hasColor && isFloatType(props[ir].type) ? 255 : 1;
+			var aScale = ia >= 0 && isFloatType(props[ia].type) ? 255 : 1;
+			for (var v = 0; v < el.count; v++) {
+				var row = nextRow(props);
+				points.push({ x: row[ix], y: row[iy], z: iz >= 0 ? row[iz] : 0 });
+				if (hasColor) {
+					var col = { r: row[ir] * scale, g: row[ig] * scale, b: row[ib] * scale };
+					if (ia >= 0) col.a = row[ia] * aScale;
+					colors.push(col);
+				}
+			}
+		} else if (el.name === "face") {
+			var iv = propIndex(props, ["vertex_indices", "vertex_index"]);
+			for (var f = 0; f < el.count; f++) {
+				var frow = nextRow(props);
+				if (iv >= 0 && frow[iv].length >= 3) polygons.push(frow[iv]);
+			}
+		} else {
+			// Skip other elements (edge, material, ...)
+			for (var s = 0; s < el.count; s++) nextRow(props);
+		}
+	}
+
+	var mesh = fromIndexedFaces(points, polygons);
+	mesh.colors = colors;
+	return mesh;
+}
+
+/**
+ * Write a mesh as a PLY file.
+ *
+ * Input can be a soup, a welded mesh, or a parsePLY result. Results of
+ * parsePLY (or anything with `points` + `faces`) keep their vertex order
+ * and colours. Otherwise the mesh is indexed via weldVertices and colours
+ * come from `options.colors` (parallel to the written points) or from
+ * `options.colorSource` — a parsePLY result whose colours are matched by
+ * exact vertex position. This carries scan colours through repairMesh:
+ *
+ *   var scan = parsePLY(buf);
+ *   var fixed = await repairMesh(scan.soup, { closeMode: "stitch" });
+ *   writePLY(fixed, { colorSource: scan, binary: true });
+ *
+ * Vertices with no colour match are written white. Coordinates are
+ * written as doubles so UTM-scale data keeps full precision.
+ *
+ * @param {Array|{ points: Array, triangles?: Array, faces?: Array, colors?: Array }} mesh
+ * @param {Object} [options]
+ * @param {boolean} [options.binary=false] - Binary little-endian (returns ArrayBuffer)
+ * @param {Array<{r,g,b,a?}>} [options.colors] - Colours (0-255) parallel to the written points
+ * @param {{ points: Array, colors: Array }} [options.colorSource] - Colour lookup by vertex position
+ * @param {number} [options.tolerance=1e-4] - Weld tolerance applied to soups
+ * @returns {string|ArrayBuffer}
+ */
+export function writePLY(mesh, options) {
+	var opts = options || {};
+	var tol = opts.tolerance !== undefined ? opts.tolerance : 1e-4;
+
+	// Step 1) Indexed points + triangle faces
+	var indexed = !Array.isArray(mesh) && mesh.faces && mesh.points
+		? { points: mesh.points, faces: mesh.faces }
+		: toIndexedFaces(mesh, tol);
+	var points = indexed.points;
+	var faces = indexed.faces;
+
+	// Step 2) Resolve colours
+	var colors = opts.colors || null;
+	if (!colors && !Array.isArray(mesh) && mesh.faces && mesh.colors) colors = mesh.colors;
+	if (!colors && opts.colorSource && opts.colorSource.colors) {
+		var lookup = {};
+		for (var s = 0; s < opts.colorSource.points.length; s++) {
+			lookup[vKey(opts.colorSource.points[s])] = opts.colorSource.colors[s];
+		}
+		colors = [];
+		for (var p = 0; p < points.length; p++) {
+			colors.push(lookup[vKey(points[p])] || { r: 255, g: 255, b: 255 });
+		}
+	}
+	var hasAlpha = !!(colors && colors.length > 0 && colors[0].a !== undefined);
+
+	// Step 3) Header
+	var header = [
+		"ply",
+		"format " + (opts.binary ? "binary_little_endian" : "ascii") + " 1.0",
+		"comment trimesh-boolean",
+		"element vertex " + points.length,
+		"property double x",
+		"property double y",
+		"property double z"
+	];
+	if (colors) {
+		header.push("property uchar red", "property uchar green", "property uchar blue");
+		if (hasAlpha) header.push("property uchar alpha");
+	}
+	header.push("element face " + faces.length, "property list uchar int vertex_indices", "end_header");
+
+	function channel(col, k) {
+		var v = col && col[k] !== undefined ? col[k] : 255;
+		return Math.max(0, Math.min(255, Math.round(v)));
+	}
+
+	if (!opts.binary) {
+		var lines = header.slice();
+		for (var i = 0; i < points.length; i++) {
+			var line = points[i].x + " " + points[i].y + " " + points[i].z;
+			if (colors) {
+				line += " " + channel(colors[i], "r") + " " + channel(colors[i], "g") + " " + channel(colors[i], "b");
+				if (hasAlpha) line += " " + channel(colors[i], "a");
+			}
+			lines.push(line);
+		}
+		for (var f = 0; f < faces.length; f++) {
+			lines.push("3 " + faces[f][0] + " " + faces[f][1] + " " + faces[f][2]);
+		}
+		return lines.join("\n") + "\n";
+	}
+
+	// Step 4) Binary body
+	var headBytes = new TextEncoder().encode(header.join("\n") + "\n");
+	var vSize = 24 + (colors ? (hasAlpha ? 4 : 3) : 0);
+	var buffer = new ArrayBuffer(headBytes.length + points.length * vSize + faces.length * 13);
+	new Uint8Array(buffer).set(headBytes, 0);
+	var view = new DataView(buffer);
+	var o = headBytes.length;
+	for (var bi = 0; bi < points.length; bi++) {
+		view.setFloat64(o, points[bi].x, true);
+		view.setFloat64(o + 8, points[bi].y, true);
+		view.setFloat64(o + 16, points[bi].z, true);
+		o += 24;
+		if (colors) {
+			view.setUint8(o++, channel(colors[bi], "r"));
+			view.setUint8(o++, channel(colors[bi], "g"));
+			view.setUint8(o++, channel(colors[bi], "b"));
+			if (hasAlpha) view.setUint8(o++, channel(colors[bi], "a"));
+		}
+	}
+	for (var bf = 0; bf < faces.length; bf++) {
+		view.setUint8(o, 3);
+		view.setInt32(o + 1, faces[bf][0], true);
+		view.setInt32(o + 5, faces[bf][1], true);
+		view.setInt32(o + 9, faces[bf][2], true);
+		o += 13;
+	}
+	return buffer;
+}
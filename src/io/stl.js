@@ -0,0 +1,187 @@
+/**
+ * @module io/stl
+ *
+ * Read and write STL files (ASCII and binary) as triangle soup.
+ * No Three.js dependency — works in Node and the browser.
+ *
+ * Exports:
+ *  - parseSTL(data)
+ *  - writeSTL(soup, options)
+ */
+
+import { triNormal } from "../normals/triNormal.js";
+import { decodeText, toUint8Array } from "./ioUtil.js";
+
+/**
+ * Decide whether an STL byte buffer is binary.
+ *
+ * Many exporters write "solid" at the start of the 80-byte binary header,
+ * and some pad the file after the last record, so neither the keyword nor
+ * an exact size is enough. The binary layout is fully determined by the
+ * triangle count at byte 80: whenever 84 + count * 50 fits in the buffer
+ * the file is read as binary. ASCII text cannot pass that test — its bytes
+ * 80..83 read as a count of hundreds of millions.
+ *
+ * @param {Uint8Array} bytes
+ * @returns {boolean}
+ */
+function isBinarySTL(bytes) {
+	if (bytes.length < 84) return false;
+	var view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+	var count = view.getUint32(80, true);
+	// Size matching the facet count exactly is binary whatever the header
+	// says (an empty binary file is exactly 84 bytes)
+	if (84 + count * 50 === bytes.length) return true;
+	var solid = /^\s*solid/i.test(decodeText(bytes.subarray(0, 84)));
+	if (84 + count * 50 < bytes.length && (count > 0 || !solid)) return true;
+
+	// Does not fit as binary — ASCII if it starts with "solid"
+	return !solid;
+}
+
+/**
+ * Parse ASCII STL text into a triangle soup.
+ * Facet normals are ignored — winding order defines the normal.
+ *
+ * @param {string} text
+ * @returns {Array<{ v0: {x,y,z}, v1: {x,y,z}, v2: {x,y,z} }>}
+ */
+function parseAsciiSTL(text) {
+	var soup = [];
+	var verts = [];
+	var re = /vertex\s+([^\s]+)\s+([^\s]+)\s+([^\s]+)/gi;
+	var m;
+
+	while ((m = re.exec(text)) !== null) {
+		var x = parseFloat(m[1]), y = parseFloat(m[2]), z = parseFloat(m[3]);
+		if (!isFinite(x) || !isFinite(y) || !isFinite(z)) {
+			throw new Error("STL: invalid vertex '" + m[0] + "'");
+		}
+		verts.push({ x: x, y: y, z: z });
+		if (verts.length === 3) {
+			soup.push({ v0: verts[0], v1: verts[1], v2: verts[2] });
+			verts = [];
+		}
+	}
+
+	if (verts.length !== 0) {
+		throw new Error("STL: facet with " + verts.length + " vertices (expected 3)");
+	}
+	// Only an explicit empty solid may yield no facets; anything else is
+	// not ASCII STL (e.g. a binary file misread as text)
+	if (soup.length === 0 && !/^\s*solid[^\n]*\n\s*endsolid/i.test(text)) {
+		throw new Error("STL: no facets found in ASCII STL");
+	}
+	return soup;
+}
+
+/**
+ * Parse binary STL bytes into a triangle soup.
+ *
+ * @param {Uint8Array} bytes
+ * @returns {Array<{ v0: {x,y,z}, v1: {x,y,z}, v2: {x,y,z} }>}
+ */
+function parseBinarySTL(bytes) {
+	var view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+	var count = view.getUint32(80, true);
+	if (84 + count * 50 > bytes.length) {
+		throw new Error("STL: binary file truncated (" + count + " facets declared, " + bytes.length + " bytes)");
+	}
+
+	var soup = new Array(count);
+	for (var i = 0; i < count; i++) {
+		// Each record: normal (12) + 3 vertices (36) + attribute byte count (2)
+		var o = 84 + i * 50 + 12;
+		soup[i] = {
+			v0: { x: view.getFloat32(o, true), y: view.getFloat32(o + 4, true), z: view.getFloat32(o + 8, true) },
+			v1: { x: view.getFloat32(o + 12, true), y: view.getFloat32(o + 16, true), z: view.getFloat32(o + 20, true) },
+			v2: { x: view.getFloat32(o + 24, true), y: view.getFloat32(o + 28, true), z: view.getFloat32(o + 32, true) }
+		};
+	}
+	return soup;
+}
+
+/**
+ * Parse an STL file into a triangle soup.
+ *
+ * ASCII vs binary is auto-detected. Binary files whose header starts with
+ * "solid" (common from CAD exporters) are recognised by their size, with
+ * or without trailing bytes. Text without any facet throws, unless it is
+ * an empty "solid ... endsolid".
+ *
+ * Binary STL stores 32-bit floats, so large UTM coordinates lose precision
+ * (roughly 0.5 m at 6,000,000). Use ASCII STL for georeferenced data.
+ *
+ * @param {ArrayBuffer|Uint8Array|string} data - File contents
+ * @returns {Array<{ v0: {x,y,z}, v1: {x,y,z}, v2: {x,y,z} }>} Triangle soup
+ */
+export function parseSTL(data) {
+	if (typeof data === "string") return parseAsciiSTL(data);
+
+	var bytes = toUint8Array(data);
+	if (isBinarySTL(bytes)) return parseBinarySTL(bytes);
+	return parseAsciiSTL(decodeText(bytes));
+}
+
+/**
+ * Write a triangle soup as an STL file.
+ *
+ * Facet normals are computed with triNormal, so they always agree with
+ * the triangle winding.
+ *
+ * @param {Array<{ v0: {x,y,z}, v1: {x,y,z}, v2: {x,y,z} }>} soup - Triangle soup
+ * @param {Object} [options]
+ * @param {boolean} [options.binary=false] - Write binary STL (returns ArrayBuffer)
+ * @param {string} [options.name="trimesh-boolean"] - Solid name / binary header text
+ * @returns {string|ArrayBuffer} ASCII text, or ArrayBuffer when binary
+ */
+export function writeSTL(soup, options) {
+	var opts = options || {};
+	var name = opts.name || "trimesh-boolean";
+
+	if (opts.binary) {
+		var buffer = new ArrayBuffer(84 + soup.length * 50);
+		var view = new DataView(buffer);
+
+		// Step 1) 80-byte header. Must not start with "solid" or naive
+		// readers will try to parse the file as ASCII.
+		var header = "binary STL " + name;
+		for (var h = 0; h < 80; h++) {
+			view.setUint8(h, h < header.length ? header.charCodeAt(h) & 0x7f : 0x20);
+		}
+		view.setUint32(80, soup.length, true);
+
+		// Step 2) Facet records
+		for (var i = 0; i < soup.length; i++) {
+			var tri = soup[i];
+			var n = triNormal(tri);
+			var o = 84 + i * 50;
+			var vals = [
+				n.x, n.y, n.z,
+				tri.v0.x, tri.v0.y, tri.v0.z,
+				tri.v1.x, tri.v1.y, tri.v1.z,
+				tri.v2.x, tri.v2.y, tri.v2.z
+			];
+			for (var k = 0; k < 12; k++) {
+				view.setFloat32(o + k * 4, vals[k], true);
+			}
+			view.setUint16(o + 48, 0, true);
+		}
+		return buffer;
+	}
+
+	var lines = ["solid " + name];
+	for (var j = 0; j < soup.length; j++) {
+		var t = soup[j];
+		var tn = triNormal(t);
+		lines.push("  facet normal " + tn.x + " " + tn.y + " " + tn.z);
+		lines.push("    outer loop");
+		lines.push("      vertex " + t.v0.x + " " + t.v0.y + " " + t.v0.z);
+		lines.push("      vertex " + t.v1.x + " " + t.v1.y + " " + t.v1.z);
+		lines.push("      vertex " + t.v2.x + " " + t.v2.y + " " + t.v2.z);
+		lines.push("    endloop");
+		lines.push("  endfacet");
+	}
+	lines.push("endsolid " + name);
+	return lines.join("\n") + "\n";
+}
@@ -0,0 +1,293 @@
+/**
+ * @module io/surpac
+ *
+ * Read and write Surpac string (.str) and DTM (.dtm) files.
+ *
+ * A .str file holds numbered strings of points, one record per line:
+ *   stringNumber, Y, X, Z, D1, D2, ...
+ * Segments end at a null record (string number 0) and the file ends with
+ * "0, 0.000, 0.000, 0.000, END". Surpac stores northing first, so Y and X
+ * swap to and from the library's {x: easting, y: northing}.
+ *
+ * A .dtm file triangulates the points of its companion .str file. Point
+ * numbers are 1-based ordinals over all non-null records in the .str.
+ *
+ * Exports:
+ *  - parseSurpacSTR(data)
+ *  - parseSurpacDTM(dtmData, strData)
+ *  - writeSurpacSTR(polylines, options)
+ *  - writeSurpacDTM(mesh, options)
+ */
+
+import { decodeText, toIndexedFaces } from "./ioUtil.js";
+
+var MONTHS = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+
+/**
+ * Surpac header date, e.g. "19-Oct-26".
+ * @returns {string}
+ */
+function surpacDate() {
+	var d = new Date();
+	var dd = d.getDate() < 10 ? "0" + d.getDate() : String(d.getDate());
+	var yy = String(d.getFullYear()).slice(-2);
+	return dd + "-" + MONTHS[d.getMonth()] + "-" + yy;
+}
+
+/**
+ * Split a comma-separated record and trim each field.
+ * @param {string} line
+ * @returns {string[]}
+ */
+function splitRecord(line) {
+	var parts = line.split(",");
+	for (var i = 0; i < parts.length; i++) parts[i] = parts[i].trim();
+	return parts;
+}
+
+/**
+ * Parse a Surpac string file.
+ *
+ * Each segment (run of records between null records) becomes one entry.
+ * `closed` is true when the first and last points coincide. Description
+ * fields (D1, D2, ...) are kept per point as `d`.
+ *
+ * `points` lists every point in file order — the numbering that a
+ * companion .dtm refers to.
+ *
+ * @param {ArrayBuffer|Uint8Array|string} data - File contents
+ * @returns {{ header: { name: string, date: string, purpose: string, memo: string }, strings: Array<{ stringNumber: number, points: Array<{x,y,z,d:string[]}>, closed: boolean }>, points: Array<{x,y,z}> }}
+ */
+export function parseSurpacSTR(data) {
+	var lines = decodeText(data).split(/\r?\n/);
+	var h = splitRecord(lines[0] || "");
+	var header = { name: h[0] || "", date: h[1] || "", purpose: h[2] || "", memo: h.slice(3).join(",") };
+	var strings = [];
+	var allPoints = [];
+	var current = null;
+
+	function endSegment() {
+		if (current && current.points.length > 0) {
+			var p0 = current.points[0];
+			var pn = current.points[current.points.length - 1];
+			current.closed = current.points.length > 2 && p0.x === pn.x && p0.y === pn.y && p0.z === pn.z;
+			strings.push(current);
+		}
+		current = null;
+	}
+
+	// Line 2 is the axis record — data starts on line 3
+	for (var i = 2; i < lines.length; i++) {
+		var line = lines[i].trim();
+		if (line.length === 0) continue;
+		var f = splitRecord(line);
+		var sn = parseInt(f[0], 10);
+		if (isNaN(sn)) {
+			throw new Error("Surpac STR line " + (i + 1) + ": invalid string number '" + f[0] + "'");
+		}
+
+		if (sn === 0) {
+			endSegment();
+			if (f[4] === "END") break;
+			continue;
+		}
+
+		var pt = { x: parseFloat(f[2]), y: parseFloat(f[1]), z: parseFloat(f[3]), d: f.slice(4) };
+		if (!current || current.stringNumber !== sn) {
+			endSegment();
+			current = { stringNumber: sn, points: [], closed: false };
+		}
+		current.points.push(pt);
+		allPoints.push(pt);
+	}
+	endSegment();
+
+	return { header: header, strings: strings, points: allPoints };
+}
+
+/**
+ * Parse a Surpac DTM file against its companion string file.
+ *
+ * Returns one soup per OBJECT / TRISOLATION block. Triangles that refer
+ * to a point number missing from the .str are skipped and counted.
+ *
+ * @param {ArrayBuffer|Uint8Array|string} dtmData - .dtm file contents
+ * @param {ArrayBuffer|Uint8Array|string} strData - Companion .str file contents
+ * @returns {Array<{ name: string, object: number, trisolation: number, soup: Array<{ v0: {x,y,z}, v1: {x,y,z}, v2: {x,y,z} }>, skippedTriangles: number }>}
+ */
+export function parseSurpacDTM(dtmData, strData) {
+	var pts = parseSurpacSTR(strData).points;
+	var lines = decodeText(dtmData).split(/\r?\n/);
+	var out = [];
+	var objectId = 1;
+	var current = null;
+
+	function vert(n) {
+		var p = pts[n - 1];
+		return p ? { x: p.x, y: p.y, z: p.z } : null;
+	}
+
+	for (var i = 1; i < lines.length; i++) {
+		var line = lines[i].trim();
+		if (line.length === 0) continue;
+		var f = splitRecord(line);
+		var tag = f[0].toUpperCase();
+
+		if (tag === "END") break;
+		if (tag === "OBJECT") {
+			objectId = parseInt(f[1], 10);
+			continue;
+		}
+		if (tag === "TRISOLATION") {
+			current = {
+				name: "Object " + objectId + " Trisolation " + parseInt(f[1], 10),
+				object: objectId,
+				trisolation: parseInt(f[1], 10),
+				soup: [],
+				skippedTriangles: 0
+			};
+			out.push(current);
+			continue;
+		}
+		// Axis / header records before the first trisolation
+		if (!current) continue;
+
+		// Triangle: id, p1, p2, p3 [, n1, n2, n3]
+		var a = vert(parseInt(f[1], 10));
+		var b = vert(parseInt(f[2], 10));
+		var c = vert(parseInt(f[3], 10));
+		if (!a || !b || !c) {
+			current.skippedTriangles++;
+			continue;
+		}
+		current.soup.push({ v0: a, v1: b, v2: c });
+	}
+
+	return out;
+}
+
+/**
+ * Format one .str point record.
+ * @param {number} sn - String number
+ * @param {{x,y,z}} p
+ * @param {number} decimals
+ * @param {string[]} [d] - Description fields
+ * @returns {string}
+ */
+function pointRecord(sn, p, decimals, d) {
+	var rec = sn + ", " + p.y.toFixed(decimals) + ", " + p.x.toFixed(decimals) + ", " + p.z.toFixed(decimals);
+	if (d && d.length > 0) rec += ", " + d.join(", ");
+	return rec;
+}
+
+/**
+ * Header + axis lines shared by both writers.
+ * @param {string} name
+ * @param {string} purpose
+ * @returns {string[]}
+ */
+function headerLines(name, purpose) {
+	return [
+		name + "," + surpacDate() + "," + (purpose || "") + ",",
+		"0, 0.000, 0.000, 0.000, 0.000, 0.000, 0.000"
+	];
+}
+
+/**
+ * Write polylines as a Surpac string file.
+ *
+ * Accepts plain point arrays (e.g. chainSegments / bmsChain output), which
+ * all go out under `options.stringNumber`, or entries of the form
+ * { stringNumber, points, description } to set the number per line.
+ * Each polyline becomes one segment. Closed polylines are written with
+ * their first point repeated at the end.
+ *
+ * Example — intersection lines as string 5:
+ *   writeSurpacSTR(chainSegments(intersectMeshPairTagged(a, b), 1e-3), { stringNumber: 5 })
+ *
+ * @param {Array<Array<{x,y,z}>|{ stringNumber?: number, points: Array<{x,y,z}>, description?: string, closed?: boolean }>} polylines
+ * @param {Object} [options]
+ * @param {number} [options.stringNumber=1] - String number for plain point arrays (1-32000)
+ * @param {string} [options.name="trimesh-boolean"] - Header file name
+ * @param {string} [options.purpose=""] - Header purpose field
+ * @param {number} [options.decimals=3] - Coordinate decimals
+ * @returns {string} .str text
+ */
+export function writeSurpacSTR(polylines, options) {
+	var opts = options || {};
+	var defaultSn = opts.stringNumber !== undefined ? opts.stringNumber : 1;
+	var decimals = opts.decimals !== undefined ? opts.decimals : 3;
+	if (defaultSn < 1 || defaultSn > 32000) {
+		throw new Error("Surpac string number must be 1-32000, got " + defaultSn);
+	}
+	var lines = headerLines(opts.name || "trimesh-boolean", opts.purpose);
+	var nullRecord = "0, 0.000, 0.000, 0.000,";
+
+	for (var i = 0; i < polylines.length; i++) {
+		var entry = polylines[i];
+		var pts = Array.isArray(entry) ? entry : entry.points;
+		var sn = !Array.isArray(entry) && entry.stringNumber !== undefined ? entry.stringNumber : defaultSn;
+		var desc = !Array.isArray(entry) && entry.description !== undefined ? [entry.description] : null;
+		if (!pts || pts.length === 0) continue;
+
+		for (var p = 0; p < pts.length; p++) {
+			lines.push(pointRecord(sn, pts[p], decimals, desc || pts[p].d));
+		}
+		// Explicitly closed entries repeat the first point
+		if (!Array.isArray(entry) && entry.closed) {
+			var first = pts[0], last = pts[pts.length - 1];
+			if (first.x !== last.x || first.y !== last.y || first.z !== last.z) {
+				lines.push(pointRecord(sn, first, decimals, desc || first.d));
+			}
+		}
+		lines.push(nullRecord);
+	}
+
+	lines.push("0, 0.000, 0.000, 0.000, END");
+	return lines.join("\n") + "\n";
+}
+
+/**
+ * Write a triangle mesh as a Surpac .str + .dtm pair.
+ *
+ * The mesh points are written as one string (`options.stringNumber`),
+ * and the .dtm triangulates them by point ordinal. Soups are welded first
+ * with weldVertices; welded meshes ({ points, triangles }) are written as given.
+ *
+ * @param {Array|{ points: Array, triangles: Array }} mesh - Triangle soup or WeldedMesh
+ * @param {Object} [options]
+ * @param {string} [options.name="trimesh-boolean"] - Base file name (without extension)
+ * @param {number} [options.stringNumber=1] - String number for the points
+ * @param {number} [options.tolerance=1e-4] - Weld tolerance applied to soups
+ * @param {number} [options.decimals=3] - Coordinate decimals
+ * @returns {{ str: string, dtm: string }}
+ */
+export function writeSurpacDTM(mesh, options) {
+	var opts = options || {};
+	var name = opts.name || "trimesh-boolean";
+	var tol = opts.tolerance !== undefined ? opts.tolerance : 1e-4;
+	var indexed = toIndexedFaces(mesh, tol);
+
+	// Step 1) All points as a single segment
+	var str = writeSurpacSTR([{ stringNumber: opts.stringNumber, points: indexed.points }], {
+		name: name,
+		stringNumber: opts.stringNumber,
+		decimals: opts.decimals,
+		purpose: "dtm"
+	});
+
+	// Step 2) Triangles reference 1-based point ordinals
+	var lines = [
+		name + ".str," + surpacDate() + ",,",
+		"0, 0.000, 0.000, 0.000, END",
+		"OBJECT, 1,",
+		"TRISOLATION, 1, neighbours=no,validated=true,closed=no"
+	];
+	for (var t = 0; t < indexed.faces.length; t++) {
+		var face = indexed.faces[t];
+		lines.push((t + 1) + ", " + (face[0] + 1) + ", " + (face[1] + 1) + ", " + (face[2] + 1));
+	}
+	lines.push("END");
+
+	return { str: str, dtm: lines.join("\n") + "\n" };
+}
@@ -0,0 +1,67 @@
+/**
+ * trimesh-boolean/kap — TypeScript declarations for the Kirra KAP adapter
+ */
+
+import type JSZip from "jszip";
+import type { TriangleSoup } from "./index";
+
+export interface KapWarning {
+	code: "manifest-invalid" | "textured-no-triangles" | "no-triangles";
+	/** Surface id (or name) the warning refers to, null for archive-level warnings */
+	surfaceId: string | null;
+	/** Index in surfaces.json, -1 for archive-level warnings */
+	index: number;
+	message: string;
+}
+
+export interface KapSurface {
+	id: string;
+	name: string;
+	soup: TriangleSoup;
+	closed: boolean;
+	label: string;
+	/** Every field of the Kirra surface record except points/triangles */
+	props: Record<string, unknown>;
+}
+
+export interface KapReadResult {
+	surfaces: KapSurface[];
+	warnings: KapWarning[];
+	manifest: Record<string, unknown> | null;
+	archive: JSZip;
+}
+
+export interface KapSurfaceEntry {
+	id?: string;
+	name?: string;
+	soup: TriangleSoup;
+	/** Merged into the Kirra surface record (e.g. { hillshadeColor: "#FF0000" }) */
+	props?: Record<string, unknown>;
+}
+
+export type KapInput = Blob | ArrayBuffer | Uint8Array | JSZip;
+
+export interface KapWriteOptions {
+	surfaces: KapSurfaceEntry[];
+	/** Archive to update — every other entry is carried over */
+	source?: KapInput | KapReadResult;
+	/** Drop source surfaces not listed in `surfaces` (default: false) */
+	replaceSurfaces?: boolean;
+	projectName?: string;
+	/** JSZip output type (default: "blob") */
+	type?: "blob" | "uint8array" | "arraybuffer" | "nodebuffer";
+}
+
+export function estimateClosedFromSoup(soup: TriangleSoup): boolean;
+export function kirraSurfaceToSoup(surface: Record<string, unknown>): TriangleSoup;
+export function soupToKirraTriangles(soup: TriangleSoup): Array<{ vertices: [{ x: number; y: number; z: number }, { x: number; y: number; z: number }, { x: number; y: number; z: number }] }>;
+export function parseKapSurfaces(file: KapInput): Promise<KapReadResult>;
+export function writeKap(options: KapWriteOptions): Promise<Blob | Uint8Array | ArrayBuffer>;
+export function buildMinimalKapBlob(opts: {
+	soupA: TriangleSoup;
+	soupB: TriangleSoup;
+	nameA?: string;
+	nameB?: string;
+	projectName?: string;
+	type?: KapWriteOptions["type"];
+}): Promise<Blob | Uint8Array | ArrayBuffer>;
@@ -0,0 +1,345 @@
+/**
+ * trimesh-boolean/kap
+ *
+ * Optional Kirra KAP (ZIP) adapter. Reads triangulated surfaces from a
+ * Kirra project archive into triangle soups and writes soups back,
+ * preserving surface ids, colours and every other archive entry.
+ *
+ * Requires the optional peer dependency `jszip`.
+ *
+ * @module trimesh-boolean/kap
+ */
+
+import JSZip from "jszip";
+import { computeSignedVolume } from "./normals/classifyDirection.js";
+
+/**
+ * Guess whether a soup is a closed solid from its signed volume.
+ *
+ * @param {Array} soup - triangle soup { v0, v1, v2 }
+ * @returns {boolean}
+ */
+export function estimateClosedFromSoup(soup) {
+	if (!soup || soup.length === 0) return false;
+	try {
+		var v = Math.abs(computeSignedVolume(soup));
+		return v > 1e-9;
+	} catch (e) {
+		return false;
+	}
+}
+
+/**
+ * @param {Object} p - point { x, y, z }
+ * @returns {{ x: number, y: number, z: number }}
+ */
+function copyPoint(p) {
+	return { x: Number(p.x), y: Number(p.y), z: Number(p.z) };
+}
+
+/**
+ * Kirra surface record -> triangle soup. Skips textured-only surfaces without triangles.
+ *
+ * Handles both triangle storage forms Kirra has used:
+ * `{ vertices: [{x,y,z} x3] }` and index triples into `surface.points`.
+ *
+ * @param {Object} surface
+ * @returns {Array}
+ */
+export function kirraSurfaceToSoup(surface) {
+	var soup = [];
+	var tris = surface.triangles;
+	var pts = surface.points;
+	if (!tris || !tris.length) return soup;
+
+	for (var i = 0; i < tris.length; i++) {
+		var t = tris[i];
+		var v0, v1, v2;
+		if (t && t.vertices && t.vertices.length >= 3) {
+			v0 = copyPoint(t.vertices[0]);
+			v1 = copyPoint(t.vertices[1]);
+			v2 = copyPoint(t.vertices[2]);
+		} else if (pts && t && (typeof t[0] === "number" || typeof t.a === "number")) {
+			var i0 = t[0] !== undefined ? t[0] : t.a;
+			var i1 = t[1] !== undefined ? t[1] : t.b;
+			var i2 = t[2] !== undefined ? t[2] : t.c;
+			if (i0 >= 0 && i1 >= 0 && i2 >= 0 && i0 < pts.length && i1 < pts.length && i2 < pts.length) {
+				v0 = copyPoint(pts[i0]);
+				v1 = copyPoint(pts[i1]);
+				v2 = copyPoint(pts[i2]);
+			}
+		}
+		if (v0 && v1 && v2) {
+			soup.push({ v0: v0, v1: v1, v2: v2 });
+		}
+	}
+	return soup;
+}
+
+/**
+ * Triangle soup -> Kirra-style triangles array
+ * @param {Array} soup
+ * @returns {Array}
+ */
+export function soupToKirraTriangles(soup) {
+	var triangles = [];
+	for (var i = 0; i < soup.length; i++) {
+		var tri = soup[i];
+		triangles.push({
+			vertices: [
+				{ x: tri.v0.x, y: tri.v0.y, z: tri.v0.z },
+				{ x: tri.v1.x, y: tri.v1.y, z: tri.v1.z },
+				{ x: tri.v2.x, y: tri.v2.y, z: tri.v2.z }
+			]
+		});
+	}
+	return triangles;
+}
+
+/**
+ * Copy every field of a surface record except the bulky geometry arrays.
+ * @param {Object} record
+ * @returns {Object}
+ */
+function surfaceProps(record) {
+	var props = {};
+	for (var k in record) {
+		if (k === "triangles" || k === "points") continue;
+		props[k] = record[k];
+	}
+	return props;
+}
+
+/**
+ * Read triangulated surfaces from a Kirra .kap archive.
+ *
+ * Problems that do not prevent reading (unparseable manifest, textured
+ * surfaces without triangles, surfaces with no usable triangles) are
+ * returned as structured warnings instead of being logged:
+ *   { code: "manifest-invalid"|"textured-no-triangles"|"no-triangles",
+ *     surfaceId: string|null, index: number, message: string }
+ *
+ * Each surface carries `props` — every field of the Kirra record except
+ * points/triangles (id, name, colours, layerId, metadata, ...).
+ *
+ * @param {Blob|ArrayBuffer|Uint8Array|JSZip} file
+ * @returns {Promise<{ surfaces: Array<{ id: string, name: string, soup: Array, closed: boolean, label: string, props: Object }>, warnings: Array<Object>, manifest: Object|null, archive: JSZip }>}
+ */
+export async function parseKapSurfaces(file) {
+	var zip = file instanceof JSZip ? file : await JSZip.loadAsync(file);
+	var warnings = [];
+	var manifest = null;
+	var mf = zip.file("manifest.json");
+	if (mf) {
+		try {
+			manifest = JSON.parse(await mf.async("string"));
+		} catch (e) {
+			warnings.push({ code: "manifest-invalid", surfaceId: null, index: -1, message: "manifest.json: " + e.message });
+		}
+	}
+
+	var sf = zip.file("surfaces.json");
+	if (!sf) {
+		throw new Error("No surfaces.json in KAP (not a Kirra project export or missing surfaces)");
+	}
+
+	var surfacesData = JSON.parse(await sf.async("string"));
+	if (!Array.isArray(surfacesData)) {
+		throw new Error("surfaces.json must be an array");
+	}
+
+	var out = [];
+	for (var si = 0; si < surfacesData.length; si++) {
+		var sd = surfacesData[si];
+		var sid = sd.id || sd.name || null;
+		if (sd.isTexturedMesh && (!sd.triangles || sd.triangles.length === 0)) {
+			warnings.push({
+				code: "textured-no-triangles",
+				surfaceId: sid,
+				index: si,
+				message: "Skipped textured surface without triangles: " + (sid || String(si))
+			});
+			continue;
+		}
+		var soup = kirraSurfaceToSoup(sd);
+		if (soup.length === 0) {
+			warnings.push({
+				code: "no-triangles",
+				surfaceId: sid,
+				index: si,
+				message: "No triangles usable: " + (sid || String(si))
+			});
+			continue;
+		}
+		var id = sd.id || ("import-" + si);
+		var name = sd.name || id;
+		out.push({
+			id: id,
+			name: name,
+			soup: soup,
+			closed: estimateClosedFromSoup(soup),
+			label: "KAP: " + name + " (" + soup.length + " tris)",
+			props: surfaceProps(sd)
+		});
+	}
+
+	if (out.length === 0) {
+		throw new Error("No triangulated surfaces found in KAP");
+	}
+
+	return { surfaces: out, warnings: warnings, manifest: manifest, archive: zip };
+}
+
+/**
+ * Build the Kirra surface record for a soup, merged over an existing record.
+ *
+ * @param {Object|null} base - Existing record (kept field-for-field) or null
+ * @param {{ id?: string, name?: string, soup: Array, props?: Object }} entry
+ * @param {string} fallbackId
+ * @returns {Object}
+ */
+function buildSurfaceRecord(base, entry, fallbackId) {
+	var record = {};
+	var k;
+	if (base) {
+		for (k in base) record[k] = base[k];
+	} else {
+		record.id = entry.id || fallbackId;
+		record.name = entry.name || record.id;
+		record.type = "triangulated";
+		record.visible = true;
+		record.metadata = { source: "trimesh-boolean" };
+	}
+	if (entry.props) {
+		for (k in entry.props) record[k] = entry.props[k];
+	}
+	if (entry.name) record.name = entry.name;
+
+	// Triangles are written in vertex form, which needs no point list; a
+	// points array left over from the base record would describe the old
+	// geometry, so it is dropped
+	delete record.points;
+	record.triangles = soupToKirraTriangles(entry.soup);
+	return record;
+}
+
+/**
+ * Write triangle soups into a Kirra .kap archive.
+ *
+ * With `options.source` (a .kap file or the result of parseKapSurfaces)
+ * every entry of the source archive is carried over: layers, textures,
+ * holes, drawings and all surfaces not being written. A surface whose id
+ * matches an existing record updates that record in place, so colours,
+ * gradient, layerId and metadata survive; only the geometry changes
+ * (triangles in vertex form, any old `points` dropped).
+ * New ids are appended. The manifest's surface count is updated.
+ *
+ * @param {Object} options
+ * @param {Array<{ id?: string, name?: string, soup: Array, props?: Object }>} options.surfaces
+ *        Surfaces to write. `props` is merged into the Kirra record (e.g. { hillshadeColor: "#FF0000" })
+ * @param {Blob|ArrayBuffer|Uint8Array|Object} [options.source] - Archive to update
+ * @param {boolean} [options.replaceSurfaces=false] - Drop source surfaces not listed in options.surfaces
+ * @param {string} [options.projectName="trimesh-boolean"] - Project name for a new manifest
+ * @param {string} [options.type="blob"] - JSZip output type ("blob" | "uint8array" | "arraybuffer" | "nodebuffer")
+ * @returns {Promise<Blob|Uint8Array|ArrayBuffer>}
+ */
+export async function writeKap(options) {
+	var opts = options || {};
+	var entries = opts.surfaces || [];
+	var zip = new JSZip();
+	var manifest = null;
+	var surfacesData = [];
+
+	// Step 1) Copy every entry of the source archive except surfaces/manifest
+	if (opts.source) {
+		var src = opts.source.archive || opts.source;
+		var srcZip = src instanceof JSZip ? src : await JSZip.loadAsync(src);
+		var names = Object.keys(srcZip.files);
+		for (var n = 0; n < names.length; n++) {
+			var zf = srcZip.files[names[n]];
+			if (zf.dir) {
+				zip.folder(zf.name);
+				continue;
+			}
+			if (zf.name === "surfaces.json") {
+				surfacesData = JSON.parse(await zf.async("string"));
+				if (!Array.isArray(surfacesData)) surfacesData = [];
+				continue;
+			}
+			if (zf.name === "manifest.json") {
+				try {
+					manifest = JSON.parse(await zf.async("string"));
+				} catch (e) {
+					manifest = null;
+				}
+				continue;
+			}
+			zip.file(zf.name, await zf.async("uint8array"), { date: zf.date });
+		}
+	}
+
+	// Step 2) Merge surfaces by id — update in place, append new
+	var byId = {};
+	for (var s = 0; s < surfacesData.length; s++) {
+		if (surfacesData[s] && surfacesData[s].id) byId[surfacesData[s].id] = s;
+	}
+	var written = {};
+	for (var e = 0; e < entries.length; e++) {
+		var entry = entries[e];
+		var existing = entry.id !== undefined && byId[entry.id] !== undefined ? byId[entry.id] : -1;
+		var record = buildSurfaceRecord(existing >= 0 ? surfacesData[existing] : null, entry, "tmb-surface-" + (e + 1));
+		if (existing >= 0) {
+			surfacesData[existing] = record;
+		} else {
+			byId[record.id] = surfacesData.length;
+			surfacesData.push(record);
+		}
+		written[record.id] = true;
+	}
+	if (opts.replaceSurfaces) {
+		surfacesData = surfacesData.filter(function (sd) { return sd && written[sd.id]; });
+	}
+
+	// Step 3) Manifest — keep the source one, refresh the surface count
+	if (!manifest) {
+		manifest = {
+			kapVersion: "1.0.0",
+			application: "trimesh-boolean",
+			created: new Date().toISOString(),
+			projectName: opts.projectName || "trimesh-boolean",
+			counts: { holes: 0, drawings: 0, surfaces: 0, images: 0, products: 0, charging: 0, configs: 0 }
+		};
+	}
+	if (!manifest.counts) manifest.counts = {};
+	manifest.counts.surfaces = surfacesData.length;
+
+	zip.file("manifest.json", JSON.stringify(manifest, null, 2));
+	zip.file("surfaces.json", JSON.stringify(surfacesData));
+
+	return zip.generateAsync({ type: opts.type || "blob", compression: "DEFLATE" });
+}
+
+/**
+ * Build a minimal .kap blob (manifest + surfaces.json) from two triangle soups (Mesh A / B).
+ *
+ * Convenience wrapper over writeKap for the demo's two-mesh export.
+ *
+ * @param {Object} opts
+ * @param {Array} opts.soupA
+ * @param {Array} opts.soupB
+ * @param {string} [opts.nameA]
+ * @param {string} [opts.nameB]
+ * @param {string} [opts.projectName]
+ * @param {string} [opts.type="blob"] - JSZip output type
+ * @returns {Promise<Blob|Uint8Array|ArrayBuffer>}
+ */
+export function buildMinimalKapBlob(opts) {
+	return writeKap({
+		projectName: opts.projectName || "trimesh-boolean-demo",
+		type: opts.type,
+		surfaces: [
+			{ id: "demo-mesh-a", name: opts.nameA || "MeshA", soup: opts.soupA, props: { metadata: { source: "trimesh-boolean-demo", role: "meshA" } } },
+			{ id: "demo-mesh-b", name: opts.nameB || "MeshB", soup: opts.soupB, props: { metadata: { source: "trimesh-boolean-demo", role: "meshB" } } }
+		]
+	});
+}
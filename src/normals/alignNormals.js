@@ -30,12 +30,15 @@ export function ensureZUpNormals(tris) {
 
 		var n = triNormal({ v0: v0, v1: v1, v2: v2 });
 
+		var out;
 		if (n.z < -0.01) {
 			// Downward-facing -- swap v1 and v2 to flip normal
-			result.push({ v0: v0, v1: v2, v2: v1 });
+			out = { v0: v0, v1: v2, v2: v1 };
 		} else {
-			result.push({ v0: v0, v1: v1, v2: v2 });
+			out = { v0: v0, v1: v1, v2: v2 };
 		}
+		if (tri.source) out.source = tri.source;
+		result.push(out);
 	}
 
 	return result;
@@ -53,11 +56,13 @@ export function flipAllNormals(tris) {
 
 	for (var i = 0; i < tris.length; i++) {
 		var tri = tris[i];
-		result.push({
+		var flipped = {
 			v0: { x: tri.v0.x, y: tri.v0.y, z: tri.v0.z },
 			v1: { x: tri.v2.x, y: tri.v2.y, z: tri.v2.z },
 			v2: { x: tri.v1.x, y: tri.v1.y, z: tri.v1.z }
-		});
+		};
+		if (tri.source) flipped.source = tri.source;
+		result.push(flipped);
 	}
 
 	return result;
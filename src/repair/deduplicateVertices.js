@@ -84,7 +84,9 @@ export function deduplicateSeamVertices(tris, tolerance) {
 			continue;
 		}
 
-		result.push({ v0: cv0, v1: cv1, v2: cv2 });
+		var deduped = { v0: cv0, v1: cv1, v2: cv2 };
+		if (tri.source) deduped.source = tri.source;
+		result.push(deduped);
 	}
 
 	return result;
@@ -4,157 +4,237 @@
  * Force-close an indexed mesh using integer point indices.
  * Operates on the indexed mesh (after weld) to find boundary edges
  * and close them with zero floating-point precision issues.
+ *
+ * The fill runs over a flat positions array and point indices, with
+ * numeric edge keys and a typed-array point grid (util/pointHash), so
+ * forceCloseTypedMesh closes a typed-array mesh without expanding it to
+ * objects. forceCloseIndexedMesh is the same fill for welded
+ * { points, triangles } meshes.
  */
 
+import { createPointHash } from "../util/pointHash.js";
+import { weldPositions } from "./weldVertices.js";
+
+var MAX_PASSES = 30;
+var CELL_SIZE = 2.0;
+
 /**
- * Force-close an indexed mesh by filling boundary edges with fan triangles.
- * Uses integer point indices to avoid floating-point precision issues.
+ * Fan-fill the boundary edges of an indexed mesh.
  *
- * @param {Array<{x: number, y: number, z: number}>} points - Vertex array
- * @param {Array<{ vertices: [{x,y,z},{x,y,z},{x,y,z}] }>} triangles - Indexed triangles
- * @returns {{ points: Array<{x,y,z}>, triangles: Array<{ vertices: [{x,y,z},{x,y,z},{x,y,z}] }> }}
+ * Each pass collects the edges used by one triangle and, for each, adds
+ * the triangle to the point nearest the edge midpoint (within one grid
+ * cell) that neither over-shares an edge nor is collinear with it.
+ * Passes repeat until no boundary edge is left or none can be filled.
+ *
+ * @param {ArrayLike<number>} positions - x,y,z per point
+ * @param {ArrayLike<number>} indices - Three point indices per triangle
+ * @param {Uint32Array|null} remap - Point each index stands for (see
+ *   weldPositions); only points mapping to themselves are fill apexes.
+ *   null uses the indices as they are.
+ * @returns {Array<number>} Fill triangles, three point indices each
  */
-export function forceCloseIndexedMesh(points, triangles) {
-	var ptIndex = {};
-	for (var pi = 0; pi < points.length; pi++) {
-		var pk = points[pi].x + "," + points[pi].y + "," + points[pi].z;
-		ptIndex[pk] = pi;
+function fanFillBoundary(positions, indices, remap) {
+	var n = Math.floor(positions.length / 3);
+	var grid = createPointHash(n, CELL_SIZE);
+	for (var gi = 0; gi < n; gi++) {
+		if (!remap || remap[gi] === gi) grid.insert(gi, positions[gi * 3], positions[gi * 3 + 1], positions[gi * 3 + 2]);
 	}
 
-	var idxTris = [];
-	for (var ti = 0; ti < triangles.length; ti++) {
-		var v = triangles[ti].vertices;
-		var i0 = ptIndex[v[0].x + "," + v[0].y + "," + v[0].z];
-		var i1 = ptIndex[v[1].x + "," + v[1].y + "," + v[1].z];
-		var i2 = ptIndex[v[2].x + "," + v[2].y + "," + v[2].z];
-		if (i0 !== undefined && i1 !== undefined && i2 !== undefined) {
-			idxTris.push([i0, i1, i2]);
-		}
+	var fill = [];
+	var edgeMap;
+	var e0, e1, mx, my, mz, bestIdx, bestDist;
+
+	function edgeKey(a, b) {
+		return a < b ? a * n + b : b * n + a;
 	}
 
-	var cellSize = 2.0;
-	var grid = {};
-	for (var gi = 0; gi < points.length; gi++) {
-		var gp = points[gi];
-		var gk = Math.floor(gp.x / cellSize) + "," + Math.floor(gp.y / cellSize) + "," + Math.floor(gp.z / cellSize);
-		if (!grid[gk]) grid[gk] = [];
-		grid[gk].push(gi);
+	function addEdge(a, b) {
+		var k = edgeKey(a, b);
+		edgeMap.set(k, (edgeMap.get(k) || 0) + 1);
 	}
 
-	var totalAdded = 0;
-	var maxPasses = 30;
-
-	for (var pass = 0; pass < maxPasses; pass++) {
-		var edgeMap = {};
-		for (var ei = 0; ei < idxTris.length; ei++) {
-			var t = idxTris[ei];
-			for (var e = 0; e < 3; e++) {
-				var a = t[e], b = t[(e + 1) % 3];
-				var ek = a < b ? a + "|" + b : b + "|" + a;
-				edgeMap[ek] = (edgeMap[ek] || 0) + 1;
-			}
+	function countEdges(list, mapped) {
+		for (var t = 0; t + 2 < list.length; t += 3) {
+			var i0 = mapped ? remap[list[t]] : list[t];
+			var i1 = mapped ? remap[list[t + 1]] : list[t + 1];
+			var i2 = mapped ? remap[list[t + 2]] : list[t + 2];
+			// Triangles collapsed by the weld bound nothing
+			if (i0 === i1 || i1 === i2 || i0 === i2) continue;
+			addEdge(i0, i1);
+			addEdge(i1, i2);
+			addEdge(i2, i0);
 		}
+	}
 
-		var boundaryEdges = [];
-		for (var bek in edgeMap) {
-			if (edgeMap[bek] === 1) {
-				var parts = bek.split("|");
-				boundaryEdges.push([parseInt(parts[0]), parseInt(parts[1])]);
-			}
-		}
+	/** Grid visitor: keep candidate c if it is the best apex so far for edge e0-e1 */
+	function consider(c) {
+		if (c === e0 || c === e1) return false;
+		var cx = positions[c * 3], cy = positions[c * 3 + 1], cz = positions[c * 3 + 2];
+		var ddx = mx - cx, ddy = my - cy, ddz = mz - cz;
+		var d2 = ddx * ddx + ddy * ddy + ddz * ddz;
+		if (d2 >= bestDist) return false;
+
+		if ((edgeMap.get(edgeKey(e0, c)) || 0) >= 2) return false;
+		if ((edgeMap.get(edgeKey(e1, c)) || 0) >= 2) return false;
+
+		var ax = positions[e0 * 3], ay = positions[e0 * 3 + 1], az = positions[e0 * 3 + 2];
+		var abx = positions[e1 * 3] - ax, aby = positions[e1 * 3 + 1] - ay, abz = positions[e1 * 3 + 2] - az;
+		var acx = cx - ax, acy = cy - ay, acz = cz - az;
+		var cx2 = aby * acz - abz * acy;
+		var cy2 = abz * acx - abx * acz;
+		var cz2 = abx * acy - aby * acx;
+		if (cx2 * cx2 + cy2 * cy2 + cz2 * cz2 < 1e-12) return false;
+
+		bestIdx = c;
+		bestDist = d2;
+		return false;
+	}
 
-		if (boundaryEdges.length === 0) {
-			break;
-		}
+	for (var pass = 0; pass < MAX_PASSES; pass++) {
+		// Step 1) Edge use counts over the mesh and the fill so far
+		edgeMap = new Map();
+		countEdges(indices, !!remap);
+		countEdges(fill, false);
 
-		var newTris = [];
-		var usedEdges = {};
+		var boundaryEdges = [];
+		edgeMap.forEach(function (count, key) {
+			if (count === 1) boundaryEdges.push(key);
+		});
+		if (boundaryEdges.length === 0) break;
 
+		// Step 2) One fan triangle per boundary edge, to the nearest usable point
+		var added = 0;
 		for (var bi = 0; bi < boundaryEdges.length; bi++) {
-			var be = boundaryEdges[bi];
-			var beKey = be[0] < be[1] ? be[0] + "|" + be[1] : be[1] + "|" + be[0];
-			if (usedEdges[beKey]) continue;
-
-			var p0 = points[be[0]];
-			var p1 = points[be[1]];
-			var mid = {
-				x: (p0.x + p1.x) / 2,
-				y: (p0.y + p1.y) / 2,
-				z: (p0.z + p1.z) / 2
-			};
-
-			var mgx = Math.floor(mid.x / cellSize);
-			var mgy = Math.floor(mid.y / cellSize);
-			var mgz = Math.floor(mid.z / cellSize);
-
-			var bestIdx = -1;
-			var bestDist = Infinity;
-
-			for (var dx = -1; dx <= 1; dx++) {
-				for (var dy = -1; dy <= 1; dy++) {
-					for (var dz = -1; dz <= 1; dz++) {
-						var cell = grid[(mgx + dx) + "," + (mgy + dy) + "," + (mgz + dz)];
-						if (!cell) continue;
-						for (var ci = 0; ci < cell.length; ci++) {
-							var cIdx = cell[ci];
-							if (cIdx === be[0] || cIdx === be[1]) continue;
-
-							var cp = points[cIdx];
-							var ddx = mid.x - cp.x, ddy = mid.y - cp.y, ddz = mid.z - cp.z;
-							var d2 = ddx * ddx + ddy * ddy + ddz * ddz;
-							if (d2 >= bestDist) continue;
-
-							var ek0 = be[0] < cIdx ? be[0] + "|" + cIdx : cIdx + "|" + be[0];
-							var ek1 = be[1] < cIdx ? be[1] + "|" + cIdx : cIdx + "|" + be[1];
-							if ((edgeMap[ek0] || 0) >= 2) continue;
-							if ((edgeMap[ek1] || 0) >= 2) continue;
-
-							var abx = p1.x - p0.x, aby = p1.y - p0.y, abz = p1.z - p0.z;
-							var acx = cp.x - p0.x, acy = cp.y - p0.y, acz = cp.z - p0.z;
-							var cx2 = aby * acz - abz * acy;
-							var cy2 = abz * acx - abx * acz;
-							var cz2 = abx * acy - aby * acx;
-							var area = cx2 * cx2 + cy2 * cy2 + cz2 * cz2;
-							if (area < 1e-12) continue;
-
-							bestIdx = cIdx;
-							bestDist = d2;
-						}
-					}
-				}
+			var key = boundaryEdges[bi];
+			e0 = Math.floor(key / n);
+			e1 = key - e0 * n;
+			if (e1 < 0) {
+				e0--;
+				e1 += n;
 			}
+			mx = (positions[e0 * 3] + positions[e1 * 3]) / 2;
+			my = (positions[e0 * 3 + 1] + positions[e1 * 3 + 1]) / 2;
+			mz = (positions[e0 * 3 + 2] + positions[e1 * 3 + 2]) / 2;
+			bestIdx = -1;
+			bestDist = Infinity;
+			grid.near(mx, my, mz, consider);
 
 			if (bestIdx >= 0) {
-				idxTris.push([be[0], be[1], bestIdx]);
-				newTris.push([be[0], be[1], bestIdx]);
-				usedEdges[beKey] = true;
-
-				var nek0 = be[0] < bestIdx ? be[0] + "|" + bestIdx : bestIdx + "|" + be[0];
-				var nek1 = be[1] < bestIdx ? be[1] + "|" + bestIdx : bestIdx + "|" + be[1];
-				edgeMap[nek0] = (edgeMap[nek0] || 0) + 1;
-				edgeMap[nek1] = (edgeMap[nek1] || 0) + 1;
-				edgeMap[beKey] = 2;
+				fill.push(e0, e1, bestIdx);
+				addEdge(e0, bestIdx);
+				addEdge(e1, bestIdx);
+				edgeMap.set(key, 2);
+				added++;
 			}
 		}
 
-		if (newTris.length === 0) {
-			break;
-		}
+		if (added === 0) break;
+	}
+
+	return fill;
+}
 
-		totalAdded += newTris.length;
+/**
+ * Force-close an indexed mesh by filling boundary edges with fan triangles.
+ * Uses integer point indices to avoid floating-point precision issues.
+ * Input triangles keep their `source`; fill triangles have none.
+ *
+ * @param {Array<{x: number, y: number, z: number}>} points - Vertex array
+ * @param {Array<{ vertices: [{x,y,z},{x,y,z},{x,y,z}] }>} triangles - Indexed triangles
+ * @returns {{ points: Array<{x,y,z}>, triangles: Array<{ vertices: [{x,y,z},{x,y,z},{x,y,z}] }> }}
+ */
+export function forceCloseIndexedMesh(points, triangles) {
+	var positions = new Float64Array(points.length * 3);
+	var lookup = createPointHash(points.length, CELL_SIZE);
+	for (var pi = 0; pi < points.length; pi++) {
+		positions[pi * 3] = points[pi].x;
+		positions[pi * 3 + 1] = points[pi].y;
+		positions[pi * 3 + 2] = points[pi].z;
+		lookup.insert(pi, points[pi].x, points[pi].y, points[pi].z);
 	}
 
+	// Corners match points by exact position; the last duplicate point wins
+	var corner, match;
+	function samePoint(id) {
+		var p = points[id];
+		if (p.x === corner.x && p.y === corner.y && p.z === corner.z) match = id;
+		return false;
+	}
+	function pointIndex(v) {
+		corner = v;
+		match = -1;
+		lookup.at(v.x, v.y, v.z, samePoint);
+		return match;
+	}
+
+	var indices = [];
+	var kept = [];
+	for (var ti = 0; ti < triangles.length; ti++) {
+		var v = triangles[ti].vertices;
+		var i0 = pointIndex(v[0]);
+		var i1 = pointIndex(v[1]);
+		var i2 = pointIndex(v[2]);
+		if (i0 !== -1 && i1 !== -1 && i2 !== -1) {
+			indices.push(i0, i1, i2);
+			kept.push(triangles[ti]);
+		}
+	}
+
+	var all = indices.concat(fanFillBoundary(positions, indices, null));
 	var outTris = [];
-	for (var oi = 0; oi < idxTris.length; oi++) {
-		var t2 = idxTris[oi];
-		outTris.push({
+	for (var oi = 0; oi * 3 < all.length; oi++) {
+		var p0 = points[all[oi * 3]], p1 = points[all[oi * 3 + 1]], p2 = points[all[oi * 3 + 2]];
+		var outTri = {
 			vertices: [
-				{ x: points[t2[0]].x, y: points[t2[0]].y, z: points[t2[0]].z },
-				{ x: points[t2[1]].x, y: points[t2[1]].y, z: points[t2[1]].z },
-				{ x: points[t2[2]].x, y: points[t2[2]].y, z: points[t2[2]].z }
+				{ x: p0.x, y: p0.y, z: p0.z },
+				{ x: p1.x, y: p1.y, z: p1.z },
+				{ x: p2.x, y: p2.y, z: p2.z }
 			]
-		});
+		};
+		// Fill triangles are appended after the inputs, so kept[oi] is undefined for them
+		if (kept[oi] && kept[oi].source) outTri.source = kept[oi].source;
+		outTris.push(outTri);
 	}
 
 	return { points: points, triangles: outTris };
 }
+
+/**
+ * Force-close a typed-array mesh { positions, indices } (see
+ * util/typedMesh) with the same fan fill as forceCloseIndexedMesh.
+ *
+ * Vertices are welded by position only (weldPositions), so attribute
+ * seams, which split one position into several vertices, do not count as
+ * open edges; the weld is used for the edge topology and nothing is
+ * moved. Fill triangles are appended to `indices` and reference existing
+ * vertices. `positions` and `attributes` are shared with the input, not
+ * copied; `sourceMesh` / `sourceIndex` are extended with null / -1. The
+ * input mesh is returned as is when nothing needs filling.
+ *
+ * @param {{ positions: ArrayLike<number>, indices: ArrayLike<number>|null, sourceMesh?: Array<string|null>, sourceIndex?: Int32Array, attributes?: Object }} mesh
+ * @param {number} [tolerance=1e-4] - Weld tolerance for finding open edges
+ * @returns {{ positions: ArrayLike<number>, indices: Uint32Array, sourceMesh?: Array<string|null>, sourceIndex?: Int32Array, attributes?: Object }}
+ */
+export function forceCloseTypedMesh(mesh, tolerance) {
+	var indices = mesh.indices;
+	if (!indices) {
+		indices = new Uint32Array(Math.floor(mesh.positions.length / 9) * 3);
+		for (var i = 0; i < indices.length; i++) indices[i] = i;
+	}
+	var weld = weldPositions(mesh.positions, tolerance !== undefined ? tolerance : 1e-4);
+	var fill = fanFillBoundary(mesh.positions, indices, weld.remap);
+	if (fill.length === 0) return mesh;
+
+	var closed = { positions: mesh.positions, indices: new Uint32Array(indices.length + fill.length) };
+	closed.indices.set(indices);
+	closed.indices.set(fill, indices.length);
+	if (mesh.sourceIndex) {
+		var nTri = indices.length / 3;
+		closed.sourceMesh = mesh.sourceMesh.slice(0, nTri);
+		closed.sourceIndex = new Int32Array(closed.indices.length / 3).fill(-1);
+		for (var t = 0; t < nTri; t++) closed.sourceIndex[t] = mesh.sourceIndex[t];
+		for (var f = 0; f < fill.length; f += 3) closed.sourceMesh.push(null);
+	}
+	if (mesh.attributes) closed.attributes = mesh.attributes;
+	return closed;
+}
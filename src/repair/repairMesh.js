@@ -19,12 +19,19 @@ import { capBoundaryLoopsSequential, extractBoundaryLoops } from "./boundaryLoop
 import { cleanCrossingTriangles } from "./cleanCrossing.js";
 import { removeOverlappingTriangles } from "./removeOverlapping.js";
 import { forceCloseIndexedMesh } from "./forceClose.js";
+import { isTypedMesh, typedMeshToSoup, soupToTypedMesh } from "../util/typedMesh.js";
 
 /**
  * High-level mesh repair entry point. Runs a configurable pipeline
  * of dedup, weld, degenerate removal, stitch, cap, and force-close.
  *
- * @param {Array<{ v0: {x,y,z}, v1: {x,y,z}, v2: {x,y,z} }>} soup - Triangle soup
+ * A typed-array mesh { positions, indices } may be passed instead of a
+ * soup; the repaired mesh is then returned in the same form. The repair
+ * stages work on object soup, so the mesh is expanded for the repair and
+ * indexed again afterwards; forceCloseTypedMesh closes a typed mesh
+ * without that round trip.
+ *
+ * @param {Array<{ v0: {x,y,z}, v1: {x,y,z}, v2: {x,y,z} }>|{ positions: Float64Array, indices: Uint32Array }} soup - Triangle soup
  * @param {Object} [config]
  * @param {string}  [config.closeMode="none"] - "none" | "weld" | "stitch"
  * @param {number}  [config.snapTolerance=0] - Weld tolerance in metres
@@ -35,9 +42,13 @@ import { forceCloseIndexedMesh } from "./forceClose.js";
  * @param {boolean} [config.removeOverlapping=false] - Remove anti-parallel internal wall triangles
  * @param {number}  [config.overlapTolerance=1e-4] - Overlap detection tolerance
  * @param {Function} [onProgress] - Called with progress string, e.g. onProgress("Welding...")
- * @returns {Promise<{ points: Array<{x,y,z}>, triangles: Array<{vertices: Array}>, soup: Array }>}
+ * @returns {Promise<{ points: Array<{x,y,z}>, triangles: Array<{vertices: Array}>, soup: Array }|{ positions: Float64Array, indices: Uint32Array }>}
  */
 export async function repairMesh(soup, config, onProgress) {
+	if (isTypedMesh(soup)) {
+		var typedRepaired = await repairMesh(typedMeshToSoup(soup), config, onProgress);
+		return soupToTypedMesh(typedRepaired.soup);
+	}
 	if (!config) config = {};
 	var closeMode = config.closeMode || "none";
 	var snapTol = config.snapTolerance || 0;
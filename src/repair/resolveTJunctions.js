@@ -108,7 +108,9 @@ function splitTriangleWithSteinerPoints(tri, steinerPoints) {
 		var subArea = Math.abs((bu - au) * (cv - av) - (cu - au) * (bv - av)) * 0.5;
 		if (subArea < triArea2D * MIN_AREA_RATIO) continue;
 
-		result.push({ v0: pts[a], v1: pts[b], v2: pts[c] });
+		var subTri = { v0: pts[a], v1: pts[b], v2: pts[c] };
+		if (tri.source) subTri.source = tri.source;
+		result.push(subTri);
 	}
 
 	if (result.length === 0) return [tri];
@@ -149,7 +149,9 @@ export function weldBoundaryVertices(tris, tolerance) {
 			continue;
 		}
 
-		result.push({ v0: rv0, v1: rv1, v2: rv2 });
+		var welded = { v0: rv0, v1: rv1, v2: rv2 };
+		if (tris[ri].source) welded.source = tris[ri].source;
+		result.push(welded);
 	}
 
 	return result;
@@ -3,10 +3,33 @@
  *
  * Weld triangle soup into indexed mesh, merging vertices within tolerance.
  * Uses spatial grid for O(n) welding instead of O(n^2).
+ *
+ * weldPositions does the same over a flat positions array and returns
+ * vertex indices only, for typed-array meshes.
  */
 
+import { copyVertex } from "../util/attributes.js";
+import { createPointHash } from "../util/pointHash.js";
+
+/**
+ * Welded triangle corner: the welded position plus the corner's own
+ * attribute channels (shared points carry geometry only, so texture seams
+ * survive on the triangles).
+ *
+ * @param {{x,y,z}} p - Welded point
+ * @param {{x,y,z,attributes?:Object}} v - Original corner
+ * @returns {{x,y,z,attributes?:Object}}
+ */
+function weldedCorner(p, v) {
+	var c = { x: p.x, y: p.y, z: p.z };
+	if (v.attributes) c.attributes = copyVertex(v).attributes;
+	return c;
+}
+
 /**
  * Weld triangle soup into indexed mesh, merging vertices within tolerance.
+ * Triangle provenance (`source`) and corner attribute channels are
+ * carried onto the welded triangles.
  *
  * @param {Array<{ v0: {x,y,z}, v1: {x,y,z}, v2: {x,y,z} }>} tris - Triangle soup
  * @param {number} tolerance - Distance tolerance for merging vertices
@@ -24,48 +47,33 @@ export function weldVertices(tris, tolerance) {
 				{ x: tri.v1.x, y: tri.v1.y, z: tri.v1.z },
 				{ x: tri.v2.x, y: tri.v2.y, z: tri.v2.z }
 			);
-			triangles.push({
-				vertices: [
-					{ x: tri.v0.x, y: tri.v0.y, z: tri.v0.z },
-					{ x: tri.v1.x, y: tri.v1.y, z: tri.v1.z },
-					{ x: tri.v2.x, y: tri.v2.y, z: tri.v2.z }
-				]
-			});
+			var raw = {
+				vertices: [weldedCorner(tri.v0, tri.v0), weldedCorner(tri.v1, tri.v1), weldedCorner(tri.v2, tri.v2)]
+			};
+			if (tri.source) raw.source = tri.source;
+			triangles.push(raw);
 		}
 		return { points: points, triangles: triangles };
 	}
 
-	var cellSize = Math.max(tolerance * 2, 0.002);
-	var grid = {};
+	var grid = createPointHash(tris.length * 3, Math.max(tolerance * 2, 0.002));
 	var tolSq = tolerance * tolerance;
+	var v;
 
-	function getOrAddPoint(v) {
-		var gx = Math.floor(v.x / cellSize);
-		var gy = Math.floor(v.y / cellSize);
-		var gz = Math.floor(v.z / cellSize);
-
-		for (var dx = -1; dx <= 1; dx++) {
-			for (var dy = -1; dy <= 1; dy++) {
-				for (var dz = -1; dz <= 1; dz++) {
-					var key = (gx + dx) + "," + (gy + dy) + "," + (gz + dz);
-					var cell = grid[key];
-					if (!cell) continue;
-					for (var c = 0; c < cell.length; c++) {
-						var p = points[cell[c]];
-						var ddx = p.x - v.x, ddy = p.y - v.y, ddz = p.z - v.z;
-						if (ddx * ddx + ddy * ddy + ddz * ddz <= tolSq) {
-							return cell[c];
-						}
-					}
-				}
-			}
-		}
+	function withinTolerance(id) {
+		var p = points[id];
+		var ddx = p.x - v.x, ddy = p.y - v.y, ddz = p.z - v.z;
+		return ddx * ddx + ddy * ddy + ddz * ddz <= tolSq;
+	}
+
+	function getOrAddPoint(corner) {
+		v = corner;
+		var found = grid.near(v.x, v.y, v.z, withinTolerance);
+		if (found !== -1) return found;
 
 		var idx = points.length;
 		points.push({ x: v.x, y: v.y, z: v.z });
-		var homeKey = gx + "," + gy + "," + gz;
-		if (!grid[homeKey]) grid[homeKey] = [];
-		grid[homeKey].push(idx);
+		grid.insert(idx, v.x, v.y, v.z);
 		return idx;
 	}
 
@@ -77,18 +85,67 @@ export function weldVertices(tris, tolerance) {
 
 		if (i0 === i1 || i1 === i22 || i0 === i22) continue;
 
-		triangles.push({
+		var welded = {
 			vertices: [
-				{ x: points[i0].x, y: points[i0].y, z: points[i0].z },
-				{ x: points[i1].x, y: points[i1].y, z: points[i1].z },
-				{ x: points[i22].x, y: points[i22].y, z: points[i22].z }
+				weldedCorner(points[i0], tri2.v0),
+				weldedCorner(points[i1], tri2.v1),
+				weldedCorner(points[i22], tri2.v2)
 			]
-		});
+		};
+		if (tri2.source) welded.source = tri2.source;
+		triangles.push(welded);
 	}
 
 	return { points: points, triangles: triangles };
 }
 
+/**
+ * Weld the vertices of a flat positions array (x,y,z per vertex)
+ * without building point or triangle objects.
+ *
+ * Each vertex maps to the first earlier vertex within `tolerance`, found
+ * through the same grid and in the same order as weldVertices, or to
+ * itself. With tolerance <= 0 only identical positions are merged.
+ * `positions` is only read, so a mesh's own Float64Array (or a three.js
+ * Float32Array) can be passed directly.
+ *
+ * @param {ArrayLike<number>} positions
+ * @param {number} tolerance - Distance tolerance for merging vertices
+ * @returns {{ remap: Uint32Array, count: number }} remap[i] is the index of
+ *   the vertex that vertex i merges into; count is the number of distinct
+ *   vertices left
+ */
+export function weldPositions(positions, tolerance) {
+	var nVerts = Math.floor(positions.length / 3);
+	var remap = new Uint32Array(nVerts);
+	var tol = tolerance > 0 ? tolerance : 0;
+	var grid = createPointHash(nVerts, Math.max(tol * 2, 0.002));
+	var tolSq = tol * tol;
+	var x, y, z;
+	var count = 0;
+
+	function withinTolerance(id) {
+		var o = id * 3;
+		var ddx = positions[o] - x, ddy = positions[o + 1] - y, ddz = positions[o + 2] - z;
+		return tol > 0 ? ddx * ddx + ddy * ddy + ddz * ddz <= tolSq : ddx === 0 && ddy === 0 && ddz === 0;
+	}
+
+	for (var i = 0; i < nVerts; i++) {
+		x = positions[i * 3];
+		y = positions[i * 3 + 1];
+		z = positions[i * 3 + 2];
+		var found = tol > 0 ? grid.near(x, y, z, withinTolerance) : grid.at(x, y, z, withinTolerance);
+		if (found !== -1) {
+			remap[i] = found;
+			continue;
+		}
+		remap[i] = i;
+		grid.insert(i, x, y, z);
+		count++;
+	}
+	return { remap: remap, count: count };
+}
+
 /**
  * Convert welded {vertices} format back to {v0, v1, v2} soup.
  *
@@ -99,11 +156,9 @@ export function weldedToSoup(weldedTriangles) {
 	var soup = [];
 	for (var i = 0; i < weldedTriangles.length; i++) {
 		var verts = weldedTriangles[i].vertices;
-		soup.push({
-			v0: { x: verts[0].x, y: verts[0].y, z: verts[0].z },
-			v1: { x: verts[1].x, y: verts[1].y, z: verts[1].z },
-			v2: { x: verts[2].x, y: verts[2].y, z: verts[2].z }
-		});
+		var tri = { v0: copyVertex(verts[0]), v1: copyVertex(verts[1]), v2: copyVertex(verts[2]) };
+		if (weldedTriangles[i].source) tri.source = weldedTriangles[i].source;
+		soup.push(tri);
 	}
 	return soup;
 }
@@ -0,0 +1,321 @@
+/**
+ * @module terrain/buildTIN
+ *
+ * Build a 2.5D terrain TIN from survey points with Delaunator, honouring
+ * breaklines as constrained edges (Constrainautor) and trimming to an
+ * optional boundary polygon and maximum edge length.
+ */
+
+import Delaunator from "delaunator";
+import Constrainautor from "@kninnug/constrainautor";
+import { buildSpatialGrid, queryGrid } from "../intersect/spatialGrid.js";
+import { pointInPolygonXY } from "../util/planGeometry.js";
+
+/** Plan distance under which a point counts as lying on a breakline (xyKey precision). */
+var ON_LINE_TOL = 1e-6;
+
+/**
+ * XY key for de-duplicating points in plan (6 decimal places, like vKey).
+ * @param {{x: number, y: number}} p
+ * @returns {string}
+ */
+function xyKey(p) {
+	return p.x.toFixed(6) + "," + p.y.toFixed(6);
+}
+
+/**
+ * Normalise a polyline entry to { points, closed }.
+ * A repeated closing point is dropped and the line marked closed.
+ * @param {Array<{x,y,z}>|{ points: Array<{x,y,z}>, closed?: boolean }} entry
+ * @returns {{ points: Array<{x,y,z}>, closed: boolean }}
+ */
+function toPolyline(entry) {
+	var pts = Array.isArray(entry) ? entry : entry.points;
+	var closed = !Array.isArray(entry) && !!entry.closed;
+	if (pts.length > 2) {
+		var a = pts[0], b = pts[pts.length - 1];
+		if (a.x === b.x && a.y === b.y) {
+			pts = pts.slice(0, -1);
+			closed = true;
+		}
+	}
+	return { points: pts, closed: closed };
+}
+
+/**
+ * Split constraint segments where they cross each other or pass through
+ * another vertex, so each piece can be constrained on its own.
+ *
+ * A crossing gets a new vertex with the Z of the earlier segment (the
+ * same precedence as duplicate points). A vertex lying on a segment keeps
+ * its own Z.
+ *
+ * @param {Array<{x,y,z}>} verts - Vertex list, extended with crossing vertices
+ * @param {Array<number[]>} constraints - Segments as [a, b] vertex index pairs
+ * @param {function({x,y,z}): number} addVertex - Adds (or finds) a vertex, returns its index
+ * @returns {Array<number[]>} Split segments, de-duplicated
+ */
+function splitConstraints(verts, constraints, addVertex) {
+	var segs = [];
+	var totalLen = 0;
+	for (var i = 0; i < constraints.length; i++) {
+		var a = verts[constraints[i][0]], b = verts[constraints[i][1]];
+		segs.push({ v0: a, v1: b, v2: b });
+		totalLen += Math.sqrt((b.x - a.x) * (b.x - a.x) + (b.y - a.y) * (b.y - a.y));
+	}
+	var cellSize = Math.max(totalLen / constraints.length, ON_LINE_TOL * 10);
+	var grid = buildSpatialGrid(segs, cellSize);
+	var splits = constraints.map(function () { return []; });
+
+	// Parameter of p along segment s, or -1 when p is not on its interior
+	function paramOn(s, p) {
+		var a = segs[s].v0, b = segs[s].v1;
+		var dx = b.x - a.x, dy = b.y - a.y;
+		var len = Math.sqrt(dx * dx + dy * dy);
+		var along = ((p.x - a.x) * dx + (p.y - a.y) * dy) / len;
+		var off = ((p.x - a.x) * dy - (p.y - a.y) * dx) / len;
+		if (Math.abs(off) > ON_LINE_TOL || along <= ON_LINE_TOL || along >= len - ON_LINE_TOL) return -1;
+		return along / len;
+	}
+
+	// Step 1) Proper crossings between segments
+	for (var s1 = 0; s1 < segs.length; s1++) {
+		var cands = queryGrid(grid, segBBoxXY(segs[s1]), cellSize);
+		for (var c = 0; c < cands.length; c++) {
+			var s2 = cands[c];
+			if (s2 <= s1) continue;
+			var ia = constraints[s1], ib = constraints[s2];
+			if (ia[0] === ib[0] || ia[0] === ib[1] || ia[1] === ib[0] || ia[1] === ib[1]) continue;
+			var p = segs[s1].v0, r = segs[s1].v1, q = segs[s2].v0, w = segs[s2].v1;
+			var rx = r.x - p.x, ry = r.y - p.y, sx = w.x - q.x, sy = w.y - q.y;
+			var den = rx * sy - ry * sx;
+			if (den === 0) continue;
+			var t = ((q.x - p.x) * sy - (q.y - p.y) * sx) / den;
+			var u = ((q.x - p.x) * ry - (q.y - p.y) * rx) / den;
+			if (t <= 0 || t >= 1 || u <= 0 || u >= 1) continue;
+			var xv = addVertex({ x: p.x + t * rx, y: p.y + t * ry, z: p.z + t * (r.z - p.z) });
+			// Endpoint-adjacent crossings are picked up as points on a segment below
+			if (xv === ia[0] || xv === ia[1] || xv === ib[0] || xv === ib[1]) continue;
+			splits[s1].push({ t: t, v: xv });
+			splits[s2].push({ t: u, v: xv });
+		}
+	}
+
+	// Step 2) Vertices lying on a segment's interior
+	for (var v = 0; v < verts.length; v++) {
+		var pt = verts[v];
+		var near = queryGrid(grid, {
+			minX: pt.x - ON_LINE_TOL, minY: pt.y - ON_LINE_TOL,
+			maxX: pt.x + ON_LINE_TOL, maxY: pt.y + ON_LINE_TOL
+		}, cellSize);
+		for (var n = 0; n < near.length; n++) {
+			var sn = near[n];
+			if (v === constraints[sn][0] || v === constraints[sn][1]) continue;
+			var tp = paramOn(sn, pt);
+			if (tp >= 0) splits[sn].push({ t: tp, v: v });
+		}
+	}
+
+	// Step 3) Emit the pieces in order along each segment
+	var out = [];
+	var seen = {};
+	for (var k = 0; k < constraints.length; k++) {
+		var list = splits[k].sort(function (m, o) { return m.t - o.t; });
+		var prev = constraints[k][0];
+		for (var j = 0; j <= list.length; j++) {
+			var next = j < list.length ? list[j].v : constraints[k][1];
+			if (next === prev) continue;
+			var key = prev < next ? prev + "," + next : next + "," + prev;
+			if (!seen[key]) {
+				seen[key] = true;
+				out.push([prev, next]);
+			}
+			prev = next;
+		}
+	}
+	return out;
+}
+
+/**
+ * Plan bounding box of a segment stored as a degenerate triangle.
+ * @param {{ v0: {x,y}, v1: {x,y} }} seg
+ * @returns {{ minX: number, minY: number, maxX: number, maxY: number }}
+ */
+function segBBoxXY(seg) {
+	return {
+		minX: Math.min(seg.v0.x, seg.v1.x), minY: Math.min(seg.v0.y, seg.v1.y),
+		maxX: Math.max(seg.v0.x, seg.v1.x), maxY: Math.max(seg.v0.y, seg.v1.y)
+	};
+}
+
+/**
+ * Build a terrain TIN (triangle soup) from scattered XYZ points.
+ *
+ * Steps:
+ *   1. Merge breakline, boundary and survey points, de-duplicated in XY
+ *      (breakline Z wins, then boundary, then survey points), and split
+ *      breakline segments where they cross or pass through a point
+ *   2. Delaunay-triangulate in XY, shifted to a local origin
+ *   3. Constrain every breakline segment (and boundary edge when the
+ *      boundary carries Z) so triangle edges follow them
+ *   4. Peel long triangles inward from the hull (maxEdgeLength)
+ *   5. Drop triangles whose centroid lies outside the boundary
+ *
+ * Crossing breaklines are joined by a vertex at the crossing, taking the
+ * Z of the line listed first; put a vertex there yourself to choose its Z.
+ * A point lying on a breakline splits it and keeps its own Z. A segment
+ * that still cannot be constrained throws rather than leaving the TIN
+ * silently unconstrained there.
+ *
+ * A boundary without Z values is used for trimming only; give it Z (e.g.
+ * a surveyed toe string) to have its edges built into the TIN.
+ *
+ * All triangles are wound counter-clockwise in plan (normals +Z).
+ *
+ * @param {Array<{x: number, y: number, z: number}>} points - Survey points
+ * @param {Object} [options]
+ * @param {Array<Array<{x,y,z}>|{ points: Array<{x,y,z}>, closed?: boolean }>} [options.breaklines] - Polylines to honour as triangle edges
+ * @param {Array<{x: number, y: number, z?: number}>} [options.boundary] - Closed trimming polygon in XY
+ * @param {number} [options.maxEdgeLength] - Peel hull triangles with a plan edge longer than this
+ * @returns {Array<{ v0: {x,y,z}, v1: {x,y,z}, v2: {x,y,z} }>} Terrain triangle soup
+ */
+export function buildTIN(points, options) {
+	var opts = options || {};
+	var breaklines = (opts.breaklines || []).map(toPolyline);
+	var boundary = opts.boundary && opts.boundary.length >= 3 ? toPolyline(opts.boundary).points : null;
+	var maxEdge = opts.maxEdgeLength > 0 ? opts.maxEdgeLength : Infinity;
+
+	// Step 1) Unique XY vertex list; constraint segments as index pairs
+	var verts = [];
+	var keyToIndex = {};
+	var constraints = [];
+
+	function addVertex(p) {
+		if (!isFinite(p.x) || !isFinite(p.y) || !isFinite(p.z)) return -1;
+		var k = xyKey(p);
+		if (keyToIndex[k] === undefined) {
+			keyToIndex[k] = verts.length;
+			verts.push({ x: p.x, y: p.y, z: p.z });
+		}
+		return keyToIndex[k];
+	}
+
+	function addConstrainedLine(pts, closed) {
+		var idx = [];
+		for (var i = 0; i < pts.length; i++) idx.push(addVertex(pts[i]));
+		var n = closed ? idx.length : idx.length - 1;
+		for (var s = 0; s < n; s++) {
+			var a = idx[s], b = idx[(s + 1) % idx.length];
+			if (a >= 0 && b >= 0 && a !== b) constraints.push([a, b]);
+		}
+	}
+
+	for (var bl = 0; bl < breaklines.length; bl++) {
+		addConstrainedLine(breaklines[bl].points, breaklines[bl].closed);
+	}
+	var boundaryHasZ = !!boundary && boundary.every(function (p) { return typeof p.z === "number"; });
+	if (boundaryHasZ) addConstrainedLine(boundary, true);
+	for (var pi = 0; pi < points.length; pi++) addVertex(points[pi]);
+	if (constraints.length > 0) constraints = splitConstraints(verts, constraints, addVertex);
+
+	if (verts.length < 3) return [];
+
+	// Step 2) Delaunay in local XY (UTM-scale coordinates lose precision)
+	var ox = verts[0].x, oy = verts[0].y;
+	var coords = new Float64Array(verts.length * 2);
+	for (var v = 0; v < verts.length; v++) {
+		coords[v * 2] = verts[v].x - ox;
+		coords[v * 2 + 1] = verts[v].y - oy;
+	}
+
+	var del;
+	try {
+		del = new Delaunator(coords);
+	} catch (de) {
+		return [];
+	}
+	if (del.triangles.length === 0) return [];
+
+	// Step 3) Constrain breaklines / boundary edges
+	if (constraints.length > 0) {
+		var con;
+		try {
+			con = new Constrainautor(del);
+		} catch (ie) {
+			throw new Error("buildTIN: cannot constrain the triangulation (" + ie.message + ")");
+		}
+		for (var c = 0; c < constraints.length; c++) {
+			try {
+				con.constrainOne(constraints[c][0], constraints[c][1]);
+			} catch (ce) {
+				var a = verts[constraints[c][0]], b = verts[constraints[c][1]];
+				throw new Error("buildTIN: breakline segment (" + a.x + ", " + a.y + ") - (" + b.x + ", " + b.y +
+					") cannot be constrained (" + ce.message + ")");
+			}
+		}
+	}
+
+	var tris = del.triangles;
+	var halfedges = del.halfedges;
+	var nTri = tris.length / 3;
+	var removed = new Uint8Array(nTri);
+
+	function edgeLength(e) {
+		var a = tris[e];
+		var b = tris[e % 3 === 2 ? e - 2 : e + 1];
+		var dx = coords[a * 2] - coords[b * 2];
+		var dy = coords[a * 2 + 1] - coords[b * 2 + 1];
+		return Math.sqrt(dx * dx + dy * dy);
+	}
+
+	// Step 4) Peel hull triangles whose exposed edge is too long
+	if (maxEdge < Infinity) {
+		var stack = [];
+		for (var he = 0; he < halfedges.length; he++) {
+			if (halfedges[he] === -1) stack.push(he);
+		}
+		while (stack.length > 0) {
+			var e = stack.pop();
+			var t = Math.floor(e / 3);
+			if (removed[t] || edgeLength(e) <= maxEdge) continue;
+			removed[t] = 1;
+			// The other two edges of t are now exposed from their neighbours' side
+			for (var k = 0; k < 3; k++) {
+				var ek = t * 3 + k;
+				if (ek === e) continue;
+				var opp = halfedges[ek];
+				if (opp !== -1 && !removed[Math.floor(opp / 3)]) stack.push(opp);
+			}
+		}
+	}
+
+	// Step 5) Emit, trimming to the boundary and winding CCW in plan
+	var soup = [];
+	for (var ti = 0; ti < nTri; ti++) {
+		if (removed[ti]) continue;
+		var i0 = tris[ti * 3], i1 = tris[ti * 3 + 1], i2 = tris[ti * 3 + 2];
+		var p0 = verts[i0], p1 = verts[i1], p2 = verts[i2];
+
+		if (boundary) {
+			var cx = (p0.x + p1.x + p2.x) / 3;
+			var cy = (p0.y + p1.y + p2.y) / 3;
+			if (!pointInPolygonXY(cx, cy, boundary)) continue;
+		}
+
+		var area2 = (coords[i1 * 2] - coords[i0 * 2]) * (coords[i2 * 2 + 1] - coords[i0 * 2 + 1]) -
+			(coords[i1 * 2 + 1] - coords[i0 * 2 + 1]) * (coords[i2 * 2] - coords[i0 * 2]);
+		if (area2 === 0) continue;
+		if (area2 < 0) {
+			var tmp = p1;
+			p1 = p2;
+			p2 = tmp;
+		}
+		soup.push({
+			v0: { x: p0.x, y: p0.y, z: p0.z },
+			v1: { x: p1.x, y: p1.y, z: p1.z },
+			v2: { x: p2.x, y: p2.y, z: p2.z }
+		});
+	}
+
+	return soup;
+}
@@ -0,0 +1,142 @@
+/**
+ * @module terrain/clipByPolygon
+ *
+ * Clip a surface to a 2D polygon (lease boundary, pit limit, survey
+ * extent) without extruding it into a prism for boolean().
+ *
+ * Every polygon edge is draped on the triangles beneath it (see
+ * terrain/drape). Crossing points on a triangle edge are identical for
+ * both triangles sharing it, so the split leaves no T-junctions.
+ * Crossed triangles are re-triangulated with the CDT of splitTriangles,
+ * the polygon pieces as constraints, and every piece is then kept or
+ * dropped by its centroid.
+ */
+
+import { retriangulateWithSteinerPoints } from "../boolean/splitTriangles.js";
+import { drapeSegments, chainDraped } from "./drape.js";
+import { buildSpatialGrid, estimateAvgEdge } from "../intersect/spatialGrid.js";
+import { triNormal } from "../normals/triNormal.js";
+import { pointInPolygonXY } from "../util/planGeometry.js";
+import { soupCentroid, translateSoup, tagSource } from "../util/math.js";
+import { isTypedMesh, asSoup, soupToTypedMesh } from "../util/typedMesh.js";
+import { interpolateAttributes } from "../util/attributes.js";
+
+/**
+ * Polygon as a point array without a repeated closing point.
+ * @param {Array<{x,y}>|{ points: Array<{x,y}> }} polygon
+ * @returns {Array<{x,y}>}
+ */
+function ringPoints(polygon) {
+	var pts = Array.isArray(polygon) ? polygon : polygon && polygon.points;
+	if (!pts || pts.length < 3) throw new Error("clipByPolygon: polygon needs at least 3 points");
+	var a = pts[0], b = pts[pts.length - 1];
+	if (pts.length > 3 && a.x === b.x && a.y === b.y) pts = pts.slice(0, -1);
+	return pts;
+}
+
+/**
+ * Clip a surface to a polygon in plan.
+ *
+ * Triangles are split exactly along the polygon edges (and the edges of
+ * any holes), and the pieces inside the polygon — or outside it, with
+ * `keep: "outside"` — are returned. Holes are excluded from the inside.
+ * Kept triangles carry `source: { mesh: "A", index }` and interpolated
+ * vertex attributes as in boolean(); a typed-array input gives a
+ * typed-array `soup`.
+ *
+ * `polylines` is the polygon boundary draped on the surface, one piece
+ * per stretch over the surface, in polygon order (outer ring, then
+ * holes). A ring lying wholly over the surface gives one closed polyline
+ * that does not repeat its first point.
+ *
+ * Example — topo inside the lease, with the lease line at ground level:
+ *   var clip = clipByPolygon(topo, lease, { holes: [tailingsDam] });
+ *   writeDXF([{ name: "TOPO", soup: clip.soup, polylines: clip.polylines }]);
+ *
+ * @param {Array<{ v0: {x,y,z}, v1: {x,y,z}, v2: {x,y,z} }>|{ positions: Float64Array, indices: Uint32Array }} soup - Surface to clip
+ * @param {Array<{x,y}>|{ points: Array<{x,y}> }} polygonXY - Closed polygon in XY (Z ignored)
+ * @param {Object} [options]
+ * @param {string} [options.keep="inside"] - "inside" or "outside"
+ * @param {Array<Array<{x,y}>|{ points: Array<{x,y}> }>} [options.holes] - Closed polygons cut out of the inside
+ * @returns {{ soup: Array, polylines: Array<{ points: Array<{x,y,z}>, closed: boolean }> }}
+ */
+export function clipByPolygon(soup, polygonXY, options) {
+	var opts = options || {};
+	var keep = opts.keep !== undefined ? opts.keep : "inside";
+	if (keep !== "inside" && keep !== "outside") {
+		throw new Error("clipByPolygon: keep must be \"inside\" or \"outside\"");
+	}
+	var rings = [ringPoints(polygonXY)];
+	var holes = opts.holes || [];
+	for (var h = 0; h < holes.length; h++) rings.push(ringPoints(holes[h]));
+
+	var typed = isTypedMesh(soup);
+	soup = asSoup(soup);
+	if (!soup) throw new Error("clipByPolygon: soup is required");
+	if (soup.length === 0) return { soup: typed ? soupToTypedMesh([]) : [], polylines: [] };
+
+	// Step 0) Centre for precision, keep provenance
+	var centroid = soupCentroid(soup, []);
+	var cx = centroid.x, cy = centroid.y, cz = centroid.z;
+	var input = tagSource(soup, "A");
+	var tris = translateSoup(input, -cx, -cy, -cz);
+	for (var r = 0; r < rings.length; r++) {
+		rings[r] = rings[r].map(function (p) { return { x: p.x - cx, y: p.y - cy }; });
+	}
+	var cellSize = estimateAvgEdge(tris) * 2;
+	var grid = buildSpatialGrid(tris, cellSize);
+
+	// Step 1) Cut every polygon edge against the triangles under it
+	var segsByTri = {};
+	var piecesByRing = [];
+	for (var ri = 0; ri < rings.length; ri++) {
+		var ringPieces = drapeSegments(tris, grid, cellSize, rings[ri], true);
+		for (var e = 0; e < ringPieces.length; e++) {
+			for (var c = 0; c < ringPieces[e].length; c++) {
+				var piece = ringPieces[e][c];
+				if (!segsByTri[piece.tri]) segsByTri[piece.tri] = [];
+				segsByTri[piece.tri].push({ p0: piece.p0, p1: piece.p1 });
+			}
+		}
+		piecesByRing.push(ringPieces);
+	}
+
+	// Step 2) Split crossed triangles, keep pieces by side
+	var kept = [];
+	for (var ti = 0; ti < tris.length; ti++) {
+		var tri = tris[ti];
+		var subs = segsByTri[ti] ? retriangulateWithSteinerPoints(tri, segsByTri[ti]) : [tri];
+		var n = triNormal(tri);
+		for (var si = 0; si < subs.length; si++) {
+			var sub = subs[si];
+			var gx = (sub.v0.x + sub.v1.x + sub.v2.x) / 3;
+			var gy = (sub.v0.y + sub.v1.y + sub.v2.y) / 3;
+			var inside = false;
+			for (var pr = 0; pr < rings.length; pr++) {
+				if (pointInPolygonXY(gx, gy, rings[pr])) inside = !inside;
+			}
+			if (inside !== (keep === "inside")) continue;
+			var sn = triNormal(sub);
+			kept.push(sn.x * n.x + sn.y * n.y + sn.z * n.z < 0
+				? { v0: sub.v0, v1: sub.v2, v2: sub.v1, source: tri.source }
+				: { v0: sub.v0, v1: sub.v1, v2: sub.v2, source: tri.source });
+		}
+	}
+
+	// Step 3) Drape: chain each ring's pieces in polygon order
+	var polylines = [];
+	for (var pi = 0; pi < piecesByRing.length; pi++) {
+		polylines = polylines.concat(chainDraped(piecesByRing[pi], true));
+	}
+
+	// Step 4) Translate back and re-attribute
+	kept = interpolateAttributes(translateSoup(kept, cx, cy, cz), [input]);
+	for (var tp = 0; tp < polylines.length; tp++) {
+		polylines[tp].points = polylines[tp].points.map(function (v) {
+			return { x: v.x + cx, y: v.y + cy, z: v.z + cz };
+		});
+	}
+
+	return { soup: typed ? soupToTypedMesh(kept) : kept, polylines: polylines };
+}
+
@@ -0,0 +1,197 @@
+/**
+ * @module terrain/contours
+ *
+ * Contour lines of a terrain surface: slice every triangle at regular Z
+ * levels, chain the pieces per level and optionally smooth / thin them.
+ *
+ * A vertex lying exactly on a level counts as above it, so every triangle
+ * crosses a level in either zero or two edges and no level ever runs
+ * along a triangle edge twice. Cut points are computed per edge in a
+ * canonical order, so the two triangles sharing an edge produce
+ * bit-identical points and lines chain without gaps.
+ */
+
+import { chainSegments, simplifyPolyline } from "../intersect/chainSegments.js";
+import { asSoup } from "../util/typedMesh.js";
+
+var CHAIN_TOLERANCE = 1e-9;
+
+/**
+ * Point where the level crosses an edge. `hi` is the endpoint at or above
+ * the level, `lo` the one below it.
+ *
+ * @param {{x,y,z}} hi
+ * @param {{x,y,z}} lo
+ * @param {number} level
+ * @returns {{x,y,z}}
+ */
+function cutEdge(hi, lo, level) {
+	if (hi.z === level) return { x: hi.x, y: hi.y, z: level };
+	var t = (level - lo.z) / (hi.z - lo.z);
+	return { x: lo.x + t * (hi.x - lo.x), y: lo.y + t * (hi.y - lo.y), z: level };
+}
+
+/**
+ * Exact plan-position key of a cut point.
+ * @param {{x,y}} p
+ * @returns {string}
+ */
+function planKey(p) {
+	return p.x + "," + p.y;
+}
+
+/**
+ * Chaikin corner cutting in plan. Points keep their elevation (all points
+ * of a contour share it); open lines keep their end points.
+ *
+ * @param {Array<{x,y,z}>} points
+ * @param {boolean} closed
+ * @returns {Array<{x,y,z}>}
+ */
+function chaikin(points, closed) {
+	var n = points.length;
+	if (n < 3) return points;
+	var out = closed ? [] : [points[0]];
+	var last = closed ? n : n - 1;
+	for (var i = 0; i < last; i++) {
+		var p = points[i];
+		var q = points[(i + 1) % n];
+		out.push({ x: 0.75 * p.x + 0.25 * q.x, y: 0.75 * p.y + 0.25 * q.y, z: p.z });
+		out.push({ x: 0.25 * p.x + 0.75 * q.x, y: 0.25 * p.y + 0.75 * q.y, z: p.z });
+	}
+	if (!closed) out.push(points[n - 1]);
+	return out;
+}
+
+/**
+ * Generate contour lines from a terrain surface.
+ *
+ * Levels are `base + k * interval` for integer k, limited to [min, max]
+ * and to the surface's own Z range. Lines are directed with higher ground
+ * on the left, so closed loops around hills run counter-clockwise in plan.
+ * Closed loops do not repeat their first point.
+ *
+ * Every `indexEvery`-th level counted from `base` is flagged as an index
+ * contour. `smooth` applies that many Chaikin passes in plan, and
+ * `spacing` then thins vertices with simplifyPolyline.
+ *
+ * Example — 1 m contours with a bold line every 5 m:
+ *   var lines = contours(topo, { interval: 1, indexEvery: 5, spacing: 0.5 });
+ *   var bold = lines.filter(function (c) { return c.index; });
+ *
+ * @param {Array<{ v0: {x,y,z}, v1: {x,y,z}, v2: {x,y,z} }>|{ positions: Float64Array, indices: Uint32Array }} soup - Terrain surface
+ * @param {Object} options
+ * @param {number} options.interval - Vertical spacing between levels (> 0)
+ * @param {number} [options.base=0] - Elevation of one level; the others are offset from it by multiples of interval
+ * @param {number} [options.min] - Lowest level to generate
+ * @param {number} [options.max] - Highest level to generate
+ * @param {number} [options.indexEvery=5] - Flag every n-th level as an index contour (0 = none)
+ * @param {number} [options.smooth=0] - Chaikin smoothing passes
+ * @param {number} [options.spacing=0] - Minimum vertex spacing after smoothing (0 = keep all)
+ * @returns {Array<{ elevation: number, points: Array<{x,y,z}>, closed: boolean, index: boolean }>} Sorted by elevation
+ */
+export function contours(soup, options) {
+	var opts = options || {};
+	var interval = opts.interval;
+	if (!(interval > 0) || !isFinite(interval)) {
+		throw new Error("contours: interval must be a positive number");
+	}
+	var base = opts.base !== undefined ? opts.base : 0;
+	var indexEvery = opts.indexEvery !== undefined ? opts.indexEvery : 5;
+	var passes = opts.smooth > 0 ? Math.floor(opts.smooth) : 0;
+	var spacing = opts.spacing > 0 ? opts.spacing : 0;
+
+	soup = asSoup(soup);
+	if (!soup || soup.length === 0) return [];
+
+	// Step 1) Level index range: options clipped to the surface's Z range
+	var zMin = Infinity, zMax = -Infinity;
+	for (var i = 0; i < soup.length; i++) {
+		var t = soup[i];
+		zMin = Math.min(zMin, t.v0.z, t.v1.z, t.v2.z);
+		zMax = Math.max(zMax, t.v0.z, t.v1.z, t.v2.z);
+	}
+	if (opts.min !== undefined) zMin = Math.max(zMin, opts.min);
+	if (opts.max !== undefined) zMax = Math.min(zMax, opts.max);
+	var kMin = Math.ceil((zMin - base) / interval);
+	var kMax = Math.floor((zMax - base) / interval);
+	if (kMax < kMin) return [];
+
+	// Step 2) Slice each triangle at the levels it spans
+	var segsByLevel = {};
+	for (var ti = 0; ti < soup.length; ti++) {
+		var tri = soup[ti];
+		var verts = [tri.v0, tri.v1, tri.v2];
+		var lo = Math.min(tri.v0.z, tri.v1.z, tri.v2.z);
+		var hi = Math.max(tri.v0.z, tri.v1.z, tri.v2.z);
+		var k0 = Math.max(kMin, Math.ceil((lo - base) / interval));
+		var k1 = Math.min(kMax, Math.floor((hi - base) / interval));
+		for (var k = k0; k <= k1; k++) {
+			var level = base + k * interval;
+
+			// The vertex on its own side of the level
+			var above = 0;
+			for (var c = 0; c < 3; c++) if (verts[c].z >= level) above++;
+			if (above === 0 || above === 3) continue;
+			var apex = 0;
+			for (var a = 0; a < 3; a++) {
+				if ((verts[a].z >= level) === (above === 1)) { apex = a; break; }
+			}
+			var pa = verts[apex];
+			var pb = verts[(apex + 1) % 3];
+			var pc = verts[(apex + 2) % 3];
+			var p = above === 1 ? cutEdge(pa, pb, level) : cutEdge(pb, pa, level);
+			var q = above === 1 ? cutEdge(pa, pc, level) : cutEdge(pc, pa, level);
+			if (p.x === q.x && p.y === q.y) continue;
+
+			// Direct the segment with higher ground on the left. The apex is
+			// never on the level here, so it gives a clean side test
+			var cross = (q.x - p.x) * (pa.y - p.y) - (q.y - p.y) * (pa.x - p.x);
+			if (!segsByLevel[k]) segsByLevel[k] = [];
+			segsByLevel[k].push((cross >= 0) === (above === 1) ? { p0: p, p1: q } : { p0: q, p1: p });
+		}
+	}
+
+	// Step 3) Chain, smooth and thin each level
+	var result = [];
+	for (var kk = kMin; kk <= kMax; kk++) {
+		var segs = segsByLevel[kk];
+		if (!segs) continue;
+		var elevation = base + kk * interval;
+		var chains = chainSegments(segs, CHAIN_TOLERANCE);
+		var directed = {};
+		for (var di = 0; di < segs.length; di++) directed[planKey(segs[di].p0) + ">" + planKey(segs[di].p1)] = true;
+		for (var ci = 0; ci < chains.length; ci++) {
+			var pts = chains[ci];
+
+			// chainSegments ignores direction; restore it by majority where
+			// a saddle vertex on the level let a chain turn back on itself
+			var votes = 0;
+			for (var vi = 0; vi + 1 < pts.length; vi++) {
+				if (directed[planKey(pts[vi]) + ">" + planKey(pts[vi + 1])]) votes++;
+				else votes--;
+			}
+			if (votes < 0) pts = pts.slice().reverse();
+			var first = pts[0], last = pts[pts.length - 1];
+			var closed = pts.length > 3 &&
+				Math.abs(first.x - last.x) <= CHAIN_TOLERANCE &&
+				Math.abs(first.y - last.y) <= CHAIN_TOLERANCE;
+			if (closed) pts = pts.slice(0, -1);
+
+			for (var s = 0; s < passes; s++) pts = chaikin(pts, closed);
+			if (spacing > 0) {
+				pts = closed
+					? simplifyPolyline(pts.concat([pts[0]]), spacing).slice(0, -1)
+					: simplifyPolyline(pts, spacing);
+			}
+
+			result.push({
+				elevation: elevation,
+				points: pts,
+				closed: closed,
+				index: indexEvery > 0 && kk % indexEvery === 0
+			});
+		}
+	}
+	return result;
+}
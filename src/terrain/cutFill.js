@@ -0,0 +1,196 @@
+/**
+ * @module terrain/cutFill
+ *
+ * Cut and fill volumes between two terrain surfaces (e.g. existing topo
+ * and a design), zone by zone.
+ *
+ * Surface A is imprinted with B's intersection seams and with vertical
+ * curtains along B's outline and the optional boundary, so every imprint
+ * region lies wholly above or below B, or off it. Each region triangle is
+ * then overlaid in plan on the B triangles beneath it; on every convex
+ * overlap both surfaces are planar, so the prism volume between them is
+ * exact:
+ *
+ *   ∫ (zA - zB) dA = area × (zA - zB) at the overlap's centroid
+ */
+
+import { imprint } from "../bms/imprint.js";
+import { extractBoundaryLoops } from "../repair/boundaryLoops.js";
+import { buildSpatialGrid, queryGrid, triBBox, computeBBox, estimateAvgEdge } from "../intersect/spatialGrid.js";
+import { pointInPolygonXY, verticalCurtain, planeZ } from "../util/planGeometry.js";
+import { soupCentroid, translateSoup } from "../util/math.js";
+import { asSoup } from "../util/typedMesh.js";
+
+/**
+ * Boundary polygon as a point array without a repeated closing point.
+ * @param {Array<{x,y}>|{ points: Array<{x,y}> }} boundary
+ * @returns {Array<{x,y}>}
+ */
+function boundaryRing(boundary) {
+	var pts = Array.isArray(boundary) ? boundary : boundary.points;
+	if (!pts || pts.length < 3) throw new Error("cutFillVolume: boundary needs at least 3 points");
+	var a = pts[0], b = pts[pts.length - 1];
+	if (pts.length > 3 && a.x === b.x && a.y === b.y) pts = pts.slice(0, -1);
+	return pts;
+}
+
+/**
+ * Plan polygon of a triangle, counter-clockwise.
+ * @param {{ v0, v1, v2 }} t
+ * @returns {Array<number[]>} [[x, y], ...]
+ */
+function planCCW(t) {
+	var area2 = (t.v1.x - t.v0.x) * (t.v2.y - t.v0.y) - (t.v1.y - t.v0.y) * (t.v2.x - t.v0.x);
+	return area2 >= 0
+		? [[t.v0.x, t.v0.y], [t.v1.x, t.v1.y], [t.v2.x, t.v2.y]]
+		: [[t.v0.x, t.v0.y], [t.v2.x, t.v2.y], [t.v1.x, t.v1.y]];
+}
+
+/**
+ * Sutherland–Hodgman clip of a convex polygon by a counter-clockwise
+ * triangle.
+ * @param {Array<number[]>} poly
+ * @param {Array<number[]>} tri
+ * @returns {Array<number[]>}
+ */
+function clipConvex(poly, tri) {
+	var out = poly;
+	for (var e = 0; e < 3 && out.length > 0; e++) {
+		var a = tri[e], b = tri[(e + 1) % 3];
+		var input = out;
+		out = [];
+		for (var i = 0; i < input.length; i++) {
+			var p = input[i], q = input[(i + 1) % input.length];
+			var dp = (b[0] - a[0]) * (p[1] - a[1]) - (b[1] - a[1]) * (p[0] - a[0]);
+			var dq = (b[0] - a[0]) * (q[1] - a[1]) - (b[1] - a[1]) * (q[0] - a[0]);
+			if (dp >= 0) out.push(p);
+			if ((dp >= 0) !== (dq >= 0)) {
+				var t = dp / (dp - dq);
+				out.push([p[0] + t * (q[0] - p[0]), p[1] + t * (q[1] - p[1])]);
+			}
+		}
+	}
+	return out;
+}
+
+/**
+ * Cut and fill volumes between two surfaces.
+ *
+ * Surface A is the existing ground and B the design: a zone is "cut"
+ * where A lies above B (material removed) and "fill" where it lies below.
+ * Zones are the regions of A bounded by the A/B intersection seams, by
+ * the edges of A and B and by the optional boundary. Only the plan
+ * overlap of the two surfaces counts towards volume and area; zones
+ * without overlap, and zones where the surfaces coincide, are omitted.
+ * Both surfaces are treated as 2.5D (one Z per plan position).
+ *
+ * Each zone's outlines are its boundary loops on surface A, at A's
+ * elevations.
+ *
+ * Example — volumes inside the lease only:
+ *   var r = cutFillVolume(topo, design, { boundary: lease });
+ *   console.log(r.cut, r.fill, r.net);
+ *
+ * @param {Array<{ v0: {x,y,z}, v1: {x,y,z}, v2: {x,y,z} }>|{ positions: Float64Array, indices: Uint32Array }} surfaceA - Existing surface
+ * @param {Array<{ v0: {x,y,z}, v1: {x,y,z}, v2: {x,y,z} }>|{ positions: Float64Array, indices: Uint32Array }} surfaceB - Design surface
+ * @param {Object} [options]
+ * @param {Array<{x,y}>|{ points: Array<{x,y}> }} [options.boundary] -
+ *   Closed polygon in XY limiting the zones
+ * @param {number} [options.tolerance] - Vertex pool merge tolerance (see imprint)
+ * @returns {{
+ *   cut: number, fill: number, net: number, cutArea: number, fillArea: number,
+ *   zones: Array<{
+ *     type: "cut"|"fill", volume: number, area: number,
+ *     outlines: Array<{ points: Array<{x,y,z}>, closed: boolean }>
+ *   }>
+ * }} Volumes are positive; net = cut - fill
+ */
+export function cutFillVolume(surfaceA, surfaceB, options) {
+	var opts = options || {};
+	var soupA = asSoup(surfaceA);
+	var soupB = asSoup(surfaceB);
+	var result = { cut: 0, fill: 0, net: 0, cutArea: 0, fillArea: 0, zones: [] };
+	if (!soupA || !soupB || soupA.length === 0 || soupB.length === 0) return result;
+	var ring = opts.boundary ? boundaryRing(opts.boundary) : null;
+
+	// Step 1) Imprint B's seams onto A, plus curtains along B's outline
+	// (seams ending at B's edge still close off a zone) and the boundary
+	var bbA = computeBBox(soupA), bbB = computeBBox(soupB);
+	var z0 = Math.min(bbA.minZ, bbB.minZ) - 1;
+	var z1 = Math.max(bbA.maxZ, bbB.maxZ) + 1;
+	var cutter = soupB;
+	var edgesB = extractBoundaryLoops(soupB).loops;
+	for (var o = 0; o < edgesB.length; o++) cutter = cutter.concat(verticalCurtain(edgesB[o], z0, z1));
+	if (ring) cutter = cutter.concat(verticalCurtain(ring, z0, z1));
+	var imp = imprint(soupA, cutter, { tolerance: opts.tolerance });
+
+	// Step 2) Centred frame; B hashed in plan
+	var centroid = soupCentroid(soupA, soupB);
+	var cx = centroid.x, cy = centroid.y, cz = centroid.z;
+	var trisA = translateSoup(imp.soup, -cx, -cy, -cz);
+	var trisB = translateSoup(soupB, -cx, -cy, -cz);
+	var cellSize = estimateAvgEdge(trisB) * 2;
+	var gridB = buildSpatialGrid(trisB, cellSize);
+
+	// Step 3) Integrate zA - zB over every A/B plan overlap, per region
+	var regionVol = new Float64Array(imp.regionCount);
+	var regionArea = new Float64Array(imp.regionCount);
+	var regionTris = new Array(imp.regionCount);
+	for (var i = 0; i < trisA.length; i++) {
+		var ta = trisA[i];
+		var gx = (ta.v0.x + ta.v1.x + ta.v2.x) / 3;
+		var gy = (ta.v0.y + ta.v1.y + ta.v2.y) / 3;
+		if (ring && !pointInPolygonXY(gx + cx, gy + cy, ring)) continue;
+		var r = imp.soup[i].region;
+		if (!regionTris[r]) regionTris[r] = [];
+		regionTris[r].push(imp.soup[i]);
+
+		var polyA = planCCW(ta);
+		var cands = queryGrid(gridB, triBBox(ta), cellSize);
+		for (var c = 0; c < cands.length; c++) {
+			var tb = trisB[cands[c]];
+			var piece = clipConvex(polyA, planCCW(tb));
+			if (piece.length < 3) continue;
+
+			// Area and centroid of the overlap
+			var a2 = 0, sx = 0, sy = 0;
+			for (var k = 0; k < piece.length; k++) {
+				var p = piece[k], q = piece[(k + 1) % piece.length];
+				var w = p[0] * q[1] - q[0] * p[1];
+				a2 += w;
+				sx += (p[0] + q[0]) * w;
+				sy += (p[1] + q[1]) * w;
+			}
+			if (a2 <= 0) continue;
+			var px = sx / (3 * a2), py = sy / (3 * a2);
+			var dz = planeZ(ta, px, py) - planeZ(tb, px, py);
+			if (isNaN(dz)) continue;
+			regionArea[r] += a2 / 2;
+			regionVol[r] += dz * a2 / 2;
+		}
+	}
+
+	// Step 4) One zone per region with overlap and a non-zero volume
+	for (var z = 0; z < imp.regionCount; z++) {
+		if (!regionTris[z] || regionArea[z] <= 0 || regionVol[z] === 0) continue;
+		var isCut = regionVol[z] > 0;
+		var loops = extractBoundaryLoops(regionTris[z]).loops;
+		var outlines = [];
+		for (var l = 0; l < loops.length; l++) outlines.push({ points: loops[l], closed: true });
+		result.zones.push({
+			type: isCut ? "cut" : "fill",
+			volume: Math.abs(regionVol[z]),
+			area: regionArea[z],
+			outlines: outlines
+		});
+		if (isCut) {
+			result.cut += regionVol[z];
+			result.cutArea += regionArea[z];
+		} else {
+			result.fill -= regionVol[z];
+			result.fillArea += regionArea[z];
+		}
+	}
+	result.net = result.cut - result.fill;
+	return result;
+}
@@ -0,0 +1,298 @@
+/**
+ * @module terrain/drape
+ *
+ * Drape plan polylines (haul road centrelines, blast boundaries, survey
+ * strings) onto a surface.
+ *
+ * Each line segment is cut against the triangles beneath it in plan,
+ * found through buildSpatialGrid. Where it crosses a triangle edge the
+ * point is taken on that edge, with the edge's endpoints in canonical
+ * order, so both triangles sharing the edge give the identical point and
+ * the draped pieces chain end to end. The pieces are planar, so the
+ * draped line follows the surface exactly.
+ */
+
+import { orient2d } from "robust-predicates";
+import { buildSpatialGrid, queryGrid, estimateAvgEdge } from "../intersect/spatialGrid.js";
+import { planeZ } from "../util/planGeometry.js";
+import { soupCentroid, translateSoup, vKey } from "../util/math.js";
+import { asSoup } from "../util/typedMesh.js";
+
+var JOIN_TOLERANCE = 1e-9;
+
+/**
+ * Point at plan position p on the edge a-b, Z interpolated along the edge.
+ * @param {{x,y,z}} a
+ * @param {{x,y,z}} b
+ * @param {{x,y}} p
+ * @returns {{x,y,z}}
+ */
+function onEdge(a, b, p) {
+	var ex = b.x - a.x, ey = b.y - a.y;
+	var s = ((p.x - a.x) * ex + (p.y - a.y) * ey) / (ex * ex + ey * ey);
+	return { x: p.x, y: p.y, z: a.z + s * (b.z - a.z) };
+}
+
+/**
+ * Plan crossing of triangle edge a-b with line segment p-q, or null.
+ * a and b must come in canonical (vKey) order so neighbouring triangles
+ * compute the same point. Touching at an end counts as a crossing;
+ * collinear overlap does not (the ends are found from the other edges).
+ *
+ * @param {{x,y,z}} a
+ * @param {{x,y,z}} b
+ * @param {{x,y}} p
+ * @param {{x,y}} q
+ * @returns {{x,y,z}|null}
+ */
+function crossPoint(a, b, p, q) {
+	var da = orient2d(p.x, p.y, q.x, q.y, a.x, a.y);
+	var db = orient2d(p.x, p.y, q.x, q.y, b.x, b.y);
+	if ((da > 0 && db > 0) || (da < 0 && db < 0) || (da === 0 && db === 0)) return null;
+	var dp = orient2d(a.x, a.y, b.x, b.y, p.x, p.y);
+	var dq = orient2d(a.x, a.y, b.x, b.y, q.x, q.y);
+	if ((dp > 0 && dq > 0) || (dp < 0 && dq < 0)) return null;
+	if (da === 0) return { x: a.x, y: a.y, z: a.z };
+	if (db === 0) return { x: b.x, y: b.y, z: b.z };
+	if (dp === 0) return onEdge(a, b, p);
+	if (dq === 0) return onEdge(a, b, q);
+	var s = da / (da - db);
+	return { x: a.x + s * (b.x - a.x), y: a.y + s * (b.y - a.y), z: a.z + s * (b.z - a.z) };
+}
+
+/**
+ * Cut every segment of a plan line against the triangles beneath it.
+ *
+ * @param {Array} tris - Triangle soup
+ * @param {Object} grid - buildSpatialGrid(tris, cellSize)
+ * @param {number} cellSize
+ * @param {Array<{x,y}>} pts - Line vertices, first point not repeated when closed
+ * @param {boolean} closed - Include the segment from the last point back to the first
+ * @returns {Array<Array<{ p0: {x,y,z}, p1: {x,y,z}, t0: number, tri: number }>>}
+ *   Draped pieces per segment; t0 is the start of the piece along the segment (0..1)
+ */
+export function drapeSegments(tris, grid, cellSize, pts, closed) {
+	var out = [];
+	var count = closed ? pts.length : pts.length - 1;
+	for (var e = 0; e < count; e++) {
+		var p = pts[e], q = pts[(e + 1) % pts.length];
+		var qx = q.x - p.x, qy = q.y - p.y;
+		var len2 = qx * qx + qy * qy;
+		var pieces = [];
+		out.push(pieces);
+		if (len2 === 0) continue;
+		var bb = {
+			minX: Math.min(p.x, q.x), minY: Math.min(p.y, q.y),
+			maxX: Math.max(p.x, q.x), maxY: Math.max(p.y, q.y)
+		};
+		var cands = queryGrid(grid, bb, cellSize);
+		for (var c = 0; c < cands.length; c++) {
+			var piece = edgeInTriangle(tris[cands[c]], p, q);
+			if (!piece) continue;
+			piece.t0 = ((piece.p0.x - p.x) * qx + (piece.p0.y - p.y) * qy) / len2;
+			piece.tri = cands[c];
+			pieces.push(piece);
+		}
+	}
+	return out;
+}
+
+/**
+ * Chain the draped pieces of one line (drapeSegments) in line order.
+ * Gaps where the line leaves the surface start a new polyline; a closed
+ * line wholly over the surface gives one closed polyline that does not
+ * repeat its first point.
+ *
+ * @param {Array<Array<{ p0, p1, t0 }>>} segmentPieces
+ * @param {boolean} closed
+ * @returns {Array<{ points: Array<{x,y,z}>, closed: boolean }>}
+ */
+export function chainDraped(segmentPieces, closed) {
+	var lines = [];
+	var cur = null;
+	for (var e = 0; e < segmentPieces.length; e++) {
+		var list = segmentPieces[e].slice().sort(function (u, v) { return u.t0 - v.t0; });
+		for (var i = 0; i < list.length; i++) {
+			var pc = list[i];
+			// A piece along a triangle edge comes from both triangles
+			if (i > 0 && samePlan(pc.p0, list[i - 1].p0)) continue;
+			if (cur && samePlan(cur[cur.length - 1], pc.p0)) {
+				cur.push(pc.p1);
+			} else {
+				cur = [pc.p0, pc.p1];
+				lines.push(cur);
+			}
+		}
+	}
+	if (closed && lines.length > 0) {
+		var head = lines[0], tail = lines[lines.length - 1];
+		if (samePlan(tail[tail.length - 1], head[0])) {
+			if (head === tail) return [{ points: head.slice(0, -1), closed: true }];
+			lines[0] = tail.concat(head.slice(1));
+			lines.pop();
+		}
+	}
+	var result = [];
+	for (var l = 0; l < lines.length; l++) result.push({ points: lines[l], closed: false });
+	return result;
+}
+
+/**
+ * Drape a plan polyline onto a surface.
+ *
+ * With `densify` (the default) a vertex is added wherever the line
+ * crosses a triangle edge, so the draped line lies on the surface along
+ * its whole length; without it only the line's own vertices are lifted.
+ * Input Z is ignored. Where the line leaves the surface it is broken into
+ * separate polylines (with `densify`, each ends on the surface edge), and
+ * the input indices of the vertices lying off the surface are listed in
+ * `offSurface`. Without `densify`, runs of a single vertex are dropped.
+ *
+ * Example — haul road centreline on the DTM:
+ *   var road = drapePolyline(dtm, { points: centreline, closed: false });
+ *   if (road.offSurface.length) console.warn("off DTM:", road.offSurface);
+ *
+ * @param {Array<{ v0: {x,y,z}, v1: {x,y,z}, v2: {x,y,z} }>|{ positions: Float64Array, indices: Uint32Array }} soup - Surface (2.5D)
+ * @param {Array<{x,y}>|{ points: Array<{x,y}>, closed?: boolean }} polyline - Plan line; a point array is open
+ * @param {Object} [options]
+ * @param {boolean} [options.densify=true] - Add a vertex at every triangle edge crossing
+ * @returns {{ polylines: Array<{ points: Array<{x,y,z}>, closed: boolean }>, offSurface: number[] }}
+ */
+export function drapePolyline(soup, polyline, options) {
+	var opts = options || {};
+	var densify = opts.densify !== false;
+	var pts = Array.isArray(polyline) ? polyline : polyline && polyline.points;
+	if (!pts) throw new Error("drapePolyline: polyline is required");
+	var closed = !Array.isArray(polyline) && !!polyline.closed;
+	if (closed && pts.length > 2 && samePlan(pts[0], pts[pts.length - 1])) pts = pts.slice(0, -1);
+
+	soup = asSoup(soup);
+	if (!soup) throw new Error("drapePolyline: soup is required");
+	var result = { polylines: [], offSurface: [] };
+	if (pts.length === 0) return result;
+	if (soup.length === 0) {
+		for (var o = 0; o < pts.length; o++) result.offSurface.push(o);
+		return result;
+	}
+
+	// Step 0) Centre for precision; surface hashed in plan
+	var centroid = soupCentroid(soup, []);
+	var cx = centroid.x, cy = centroid.y, cz = centroid.z;
+	var tris = translateSoup(soup, -cx, -cy, -cz);
+	var local = pts.map(function (p) { return { x: p.x - cx, y: p.y - cy }; });
+	var cellSize = estimateAvgEdge(tris) * 2;
+	var grid = buildSpatialGrid(tris, cellSize);
+
+	// Step 1) Lift the vertices, noting those off the surface
+	var lifted = new Array(local.length);
+	for (var i = 0; i < local.length; i++) {
+		var p = local[i];
+		var cands = queryGrid(grid, { minX: p.x, minY: p.y, maxX: p.x, maxY: p.y }, cellSize);
+		lifted[i] = null;
+		for (var c = 0; c < cands.length && !lifted[i]; c++) lifted[i] = liftPoint(tris[cands[c]], p);
+		if (!lifted[i]) result.offSurface.push(i);
+	}
+
+	// Step 2) Densified: drape every segment. Otherwise: runs of lifted vertices
+	if (densify) {
+		result.polylines = chainDraped(drapeSegments(tris, grid, cellSize, local, closed), closed);
+	} else {
+		var runs = [];
+		var cur = null;
+		for (var v = 0; v < lifted.length; v++) {
+			if (!lifted[v]) { cur = null; continue; }
+			if (!cur) { cur = []; runs.push(cur); }
+			cur.push(lifted[v]);
+		}
+		if (closed && runs.length > 0 && result.offSurface.length === 0) {
+			result.polylines.push({ points: runs[0], closed: true });
+		} else {
+			if (closed && runs.length > 1 && lifted[0] && lifted[lifted.length - 1]) {
+				runs[0] = runs.pop().concat(runs[0]);
+			}
+			for (var r = 0; r < runs.length; r++) {
+				if (runs[r].length > 1) result.polylines.push({ points: runs[r], closed: false });
+			}
+		}
+	}
+
+	// Step 3) Translate back
+	for (var t = 0; t < result.polylines.length; t++) {
+		result.polylines[t].points = result.polylines[t].points.map(function (q) {
+			return { x: q.x + cx, y: q.y + cy, z: q.z + cz };
+		});
+	}
+	return result;
+}
+
+/**
+ * Part of line segment p-q over a triangle in plan, lifted onto it.
+ * @param {{ v0, v1, v2 }} tri
+ * @param {{x,y}} p
+ * @param {{x,y}} q
+ * @returns {{ p0: {x,y,z}, p1: {x,y,z} }|null} In p-to-q order
+ */
+function edgeInTriangle(tri, p, q) {
+	var verts = [tri.v0, tri.v1, tri.v2];
+	if (orient2d(tri.v0.x, tri.v0.y, tri.v1.x, tri.v1.y, tri.v2.x, tri.v2.y) === 0) return null;
+	var pts = [];
+	for (var k = 0; k < 3; k++) {
+		var a = verts[k], b = verts[(k + 1) % 3];
+		if (vKey(b) < vKey(a)) { var tmp = a; a = b; b = tmp; }
+		var x = crossPoint(a, b, p, q);
+		if (x) pts.push(x);
+	}
+	var ends = [p, q];
+	for (var j = 0; j < 2; j++) {
+		var lifted = liftPoint(tri, ends[j]);
+		if (lifted) pts.push(lifted);
+	}
+	if (pts.length < 2) return null;
+
+	// The triangle is convex: the piece runs between the extreme points
+	var qx = q.x - p.x, qy = q.y - p.y;
+	var lo = null, hi = null, tLo = Infinity, tHi = -Infinity;
+	for (var i = 0; i < pts.length; i++) {
+		var t = (pts[i].x - p.x) * qx + (pts[i].y - p.y) * qy;
+		if (t < tLo) { tLo = t; lo = pts[i]; }
+		if (t > tHi) { tHi = t; hi = pts[i]; }
+	}
+	if (samePlan(lo, hi)) return null;
+	return { p0: lo, p1: hi };
+}
+
+/**
+ * A line vertex lifted onto a triangle it lies over (on an edge, Z
+ * along that edge), or null when it lies outside.
+ * @param {{ v0, v1, v2 }} tri
+ * @param {{x,y}} p
+ * @returns {{x,y,z}|null}
+ */
+function liftPoint(tri, p) {
+	var verts = [tri.v0, tri.v1, tri.v2];
+	var sides = [];
+	for (var k = 0; k < 3; k++) {
+		var a = verts[k], b = verts[(k + 1) % 3];
+		sides.push(orient2d(a.x, a.y, b.x, b.y, p.x, p.y));
+	}
+	var pos = sides[0] > 0 || sides[1] > 0 || sides[2] > 0;
+	var neg = sides[0] < 0 || sides[1] < 0 || sides[2] < 0;
+	if (pos && neg) return null;
+	for (var e = 0; e < 3; e++) {
+		if (sides[e] !== 0) continue;
+		var ea = verts[e], eb = verts[(e + 1) % 3];
+		return vKey(ea) < vKey(eb) ? onEdge(ea, eb, p) : onEdge(eb, ea, p);
+	}
+	return { x: p.x, y: p.y, z: planeZ(tri, p.x, p.y) };
+}
+
+/**
+ * Same plan position, within JOIN_TOLERANCE (soups often repeat a shared
+ * vertex with last-bit differences).
+ * @param {{x,y}} a
+ * @param {{x,y}} b
+ * @returns {boolean}
+ */
+function samePlan(a, b) {
+	return Math.abs(a.x - b.x) <= JOIN_TOLERANCE && Math.abs(a.y - b.y) <= JOIN_TOLERANCE;
+}
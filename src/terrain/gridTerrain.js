@@ -0,0 +1,336 @@
+/**
+ * @module terrain/gridTerrain
+ *
+ * Convert between regular elevation grids (see io/grid) and terrain
+ * triangle soups.
+ *
+ * Grid object: { cols, rows, originX, originY, cellSize, values }, node
+ * (c, r) at (originX + c * cellSize, originY + r * cellSize), row 0 south,
+ * values[r * cols + c], NaN = NODATA.
+ */
+
+import { buildTIN } from "./buildTIN.js";
+
+/**
+ * Visit every grid node lying inside a triangle's plan projection.
+ * Barycentric weights are computed about the triangle's first vertex so
+ * UTM-scale coordinates keep their precision.
+ *
+ * @param {{ v0: {x,y,z}, v1: {x,y,z}, v2: {x,y,z} }} tri
+ * @param {{ cols: number, rows: number, originX: number, originY: number, cellSize: number }} grid
+ * @param {number} eps - Barycentric tolerance (negative = strictly inside)
+ * @param {function(number, number): void} fn - Called with (node index, interpolated z)
+ */
+function forEachNodeInTriangle(tri, grid, eps, fn) {
+	var cs = grid.cellSize;
+	var ax = tri.v0.x, ay = tri.v0.y;
+	var bx = tri.v1.x - ax, by = tri.v1.y - ay;
+	var cx = tri.v2.x - ax, cy = tri.v2.y - ay;
+	var det = bx * cy - by * cx;
+	if (Math.abs(det) < 1e-12) return;
+
+	var minX = Math.min(tri.v0.x, tri.v1.x, tri.v2.x);
+	var maxX = Math.max(tri.v0.x, tri.v1.x, tri.v2.x);
+	var minY = Math.min(tri.v0.y, tri.v1.y, tri.v2.y);
+	var maxY = Math.max(tri.v0.y, tri.v1.y, tri.v2.y);
+	var c0 = Math.max(0, Math.ceil((minX - grid.originX) / cs - 1e-9));
+	var c1 = Math.min(grid.cols - 1, Math.floor((maxX - grid.originX) / cs + 1e-9));
+	var r0 = Math.max(0, Math.ceil((minY - grid.originY) / cs - 1e-9));
+	var r1 = Math.min(grid.rows - 1, Math.floor((maxY - grid.originY) / cs + 1e-9));
+
+	for (var r = r0; r <= r1; r++) {
+		var py = grid.originY + r * cs - ay;
+		for (var c = c0; c <= c1; c++) {
+			var px = grid.originX + c * cs - ax;
+			var u = (px * cy - py * cx) / det;
+			var v = (bx * py - by * px) / det;
+			var w = 1 - u - v;
+			if (u < -eps || v < -eps || w < -eps) continue;
+			fn(r * grid.cols + c, w * tri.v0.z + u * tri.v1.z + v * tri.v2.z);
+		}
+	}
+}
+
+/**
+ * Node is interior and locally planar: all 8 neighbours have data and the
+ * second differences along both axes and both diagonals are within tol.
+ *
+ * @param {{ cols: number, rows: number, values: ArrayLike<number> }} grid
+ * @param {number} c
+ * @param {number} r
+ * @param {number} tol
+ * @returns {boolean}
+ */
+function isPlanarNode(grid, c, r, tol) {
+	if (c === 0 || r === 0 || c === grid.cols - 1 || r === grid.rows - 1) return false;
+	var vals = grid.values;
+	var cols = grid.cols;
+	var z = vals[r * cols + c];
+	var dirs = [[1, 0], [0, 1], [1, 1], [1, -1]];
+	for (var d = 0; d < dirs.length; d++) {
+		var za = vals[(r + dirs[d][1]) * cols + c + dirs[d][0]];
+		var zb = vals[(r - dirs[d][1]) * cols + c - dirs[d][0]];
+		if (isNaN(za) || isNaN(zb)) return false;
+		if (Math.abs(za + zb - 2 * z) > tol) return false;
+	}
+	return true;
+}
+
+/**
+ * Convert an elevation grid to a terrain triangle soup.
+ *
+ * Every cell with four data corners becomes two triangles split along the
+ * same diagonal ("ne": south-west to north-east, or "nw"), so adjacent
+ * tiles triangulate identically. Cells with three data corners become one
+ * triangle; cells with fewer are skipped, leaving holes at NODATA.
+ *
+ * With `decimate` set, locally planar interior nodes are dropped and the
+ * rest re-triangulated with buildTIN. Nodes whose grid elevation then
+ * differs from the surface by more than `decimate` are put back until the
+ * whole grid is honoured within tolerance. The data area is the same as
+ * without decimation: its outline is kept at full resolution, so NODATA
+ * leaves the same holes.
+ *
+ * Triangles are wound counter-clockwise in plan (normals +Z), ready to use
+ * as mesh A in boolean() / splitMeshPair().
+ *
+ * @param {{ cols: number, rows: number, originX: number, originY: number, cellSize: number, values: ArrayLike<number> }} grid
+ * @param {Object} [options]
+ * @param {string} [options.diagonal="ne"] - "ne" | "nw"
+ * @param {number} [options.decimate=0] - Vertical tolerance for flat-area decimation (0 = off)
+ * @returns {Array<{ v0: {x,y,z}, v1: {x,y,z}, v2: {x,y,z} }>} Terrain triangle soup
+ */
+export function gridToSoup(grid, options) {
+	var opts = options || {};
+	var cols = grid.cols, rows = grid.rows, cs = grid.cellSize;
+	var vals = grid.values;
+
+	function node(c, r) {
+		var z = vals[r * cols + c];
+		if (isNaN(z)) return null;
+		return { x: grid.originX + c * cs, y: grid.originY + r * cs, z: z };
+	}
+
+	var nw = opts.diagonal === "nw";
+	if (opts.decimate > 0) return decimatedGridToSoup(grid, opts.decimate, nw, node);
+
+	var soup = [];
+
+	function push(a, b, c) {
+		soup.push({
+			v0: { x: a.x, y: a.y, z: a.z },
+			v1: { x: b.x, y: b.y, z: b.z },
+			v2: { x: c.x, y: c.y, z: c.z }
+		});
+	}
+
+	for (var r = 0; r + 1 < rows; r++) {
+		for (var c = 0; c + 1 < cols; c++) {
+			// Corners counter-clockwise from south-west
+			var sw = node(c, r), se = node(c + 1, r);
+			var ne = node(c + 1, r + 1), nwc = node(c, r + 1);
+			var quad = [sw, se, ne, nwc];
+			var valid = quad.filter(function (p) { return p !== null; });
+
+			if (valid.length === 4) {
+				if (nw) {
+					push(sw, se, nwc);
+					push(se, ne, nwc);
+				} else {
+					push(sw, se, ne);
+					push(sw, ne, nwc);
+				}
+			} else if (valid.length === 3) {
+				push(valid[0], valid[1], valid[2]);
+			}
+		}
+	}
+	return soup;
+}
+
+/**
+ * Corner node indices of cell (c, r) that have data, counter-clockwise
+ * from south-west.
+ *
+ * @param {{ cols: number, values: ArrayLike<number> }} grid
+ * @param {number} c
+ * @param {number} r
+ * @returns {number[]}
+ */
+function cellDataCorners(grid, c, r) {
+	var cols = grid.cols;
+	var corners = [r * cols + c, r * cols + c + 1, (r + 1) * cols + c + 1, (r + 1) * cols + c];
+	return corners.filter(function (i) { return !isNaN(grid.values[i]); });
+}
+
+/**
+ * Flat-area decimation for gridToSoup.
+ *
+ * The outline of the data area — every edge of the undecimated
+ * triangulation used by only one triangle — is built into the TIN as
+ * breaklines, so no decimated triangle spans a NODATA cell and the data
+ * area is kept exactly. Nodes are put back until every node is within
+ * tolerance; each pass adds at least one node, so this always ends.
+ *
+ * @param {Object} grid
+ * @param {number} tol - Vertical tolerance
+ * @param {boolean} nw - "nw" diagonal
+ * @param {function(number, number): ?{x,y,z}} node
+ * @returns {Array<{ v0: {x,y,z}, v1: {x,y,z}, v2: {x,y,z} }>}
+ */
+function decimatedGridToSoup(grid, tol, nw, node) {
+	var cols = grid.cols, rows = grid.rows, cs = grid.cellSize;
+	var vals = grid.values;
+
+	// Step 1) Keep every data node that is not locally planar (this
+	// includes every node on the grid edge or next to NODATA)
+	var keep = new Uint8Array(cols * rows);
+	for (var r = 0; r < rows; r++) {
+		for (var c = 0; c < cols; c++) {
+			var i = r * cols + c;
+			if (!isNaN(vals[i]) && !isPlanarNode(grid, c, r, tol)) keep[i] = 1;
+		}
+	}
+
+	// Step 2) Outline of the data area as breaklines
+	var edgeUse = {};
+	function useEdge(a, b) {
+		var key = a < b ? a + "," + b : b + "," + a;
+		edgeUse[key] = (edgeUse[key] || 0) + 1;
+	}
+	function useTri(a, b, t) {
+		useEdge(a, b);
+		useEdge(b, t);
+		useEdge(t, a);
+	}
+	for (var cr = 0; cr + 1 < rows; cr++) {
+		for (var cc = 0; cc + 1 < cols; cc++) {
+			var q = cellDataCorners(grid, cc, cr);
+			if (q.length === 4) {
+				if (nw) {
+					useTri(q[0], q[1], q[3]);
+					useTri(q[1], q[2], q[3]);
+				} else {
+					useTri(q[0], q[1], q[2]);
+					useTri(q[0], q[2], q[3]);
+				}
+			} else if (q.length === 3) {
+				useTri(q[0], q[1], q[2]);
+			}
+		}
+	}
+	var breaklines = [];
+	for (var ek in edgeUse) {
+		if (edgeUse[ek] !== 1) continue;
+		var ends = ek.split(",");
+		var e0 = +ends[0], e1 = +ends[1];
+		breaklines.push([node(e0 % cols, Math.floor(e0 / cols)), node(e1 % cols, Math.floor(e1 / cols))]);
+	}
+
+	/**
+	 * Point lies in the data area: in a four-corner cell, or in the
+	 * triangle of a three-corner cell. Cells on either side of a grid line
+	 * are both tried.
+	 */
+	function inDataArea(x, y) {
+		var u = (x - grid.originX) / cs, v = (y - grid.originY) / cs;
+		var cA = Math.floor(u - 1e-9), cB = Math.floor(u + 1e-9);
+		var rA = Math.floor(v - 1e-9), rB = Math.floor(v + 1e-9);
+		for (var rr = rA; rr <= rB; rr++) {
+			for (var ci = cA; ci <= cB; ci++) {
+				if (ci < 0 || rr < 0 || ci + 1 >= cols || rr + 1 >= rows) continue;
+				var corners = cellDataCorners(grid, ci, rr);
+				if (corners.length === 4) return true;
+				if (corners.length !== 3) continue;
+				// Corners are counter-clockwise: inside when left of all three edges
+				var inside = true;
+				for (var e = 0; e < 3; e++) {
+					var pa = corners[e], pb = corners[(e + 1) % 3];
+					var ax = pa % cols - u, ay = Math.floor(pa / cols) - v;
+					var bx = pb % cols - u, by = Math.floor(pb / cols) - v;
+					if (ax * by - ay * bx < -1e-9) inside = false;
+				}
+				if (inside) return true;
+			}
+		}
+		return false;
+	}
+
+	var soup;
+	for (;;) {
+		// Step 3) Triangulate kept nodes with the outline constrained
+		var pts = [];
+		for (var k = 0; k < keep.length; k++) {
+			if (keep[k]) pts.push(node(k % cols, Math.floor(k / cols)));
+		}
+		var tin = buildTIN(pts, { breaklines: breaklines });
+
+		// Step 4) Keep triangles in the data area; re-add nodes outside tolerance
+		soup = [];
+		var added = 0;
+		for (var t = 0; t < tin.length; t++) {
+			var tt = tin[t];
+			if (!inDataArea((tt.v0.x + tt.v1.x + tt.v2.x) / 3, (tt.v0.y + tt.v1.y + tt.v2.y) / 3)) continue;
+			soup.push(tt);
+			forEachNodeInTriangle(tt, grid, 1e-9, function (idx, z) {
+				if (!keep[idx] && !isNaN(vals[idx]) && Math.abs(z - vals[idx]) > tol) {
+					keep[idx] = 1;
+					added++;
+				}
+			});
+		}
+		if (added === 0) return soup;
+	}
+}
+
+/**
+ * Sample a triangle soup onto a regular grid (vertical ray per node).
+ *
+ * Nodes not covered by any triangle are NaN. Where several triangles
+ * cover a node (closed solids, overhangs) the highest is kept, or the
+ * lowest with `mode: "min"`. By default the origin is snapped down to a
+ * multiple of `cellSize` and the grid spans the soup's plan extents.
+ *
+ * @param {Array<{ v0: {x,y,z}, v1: {x,y,z}, v2: {x,y,z} }>} soup
+ * @param {Object} options
+ * @param {number} options.cellSize - Grid spacing
+ * @param {number} [options.originX] - X of node (0, 0)
+ * @param {number} [options.originY] - Y of node (0, 0)
+ * @param {number} [options.cols] - Column count
+ * @param {number} [options.rows] - Row count
+ * @param {string} [options.mode="max"] - "max" | "min"
+ * @returns {{ cols: number, rows: number, originX: number, originY: number, cellSize: number, values: Float64Array }}
+ */
+export function soupToGrid(soup, options) {
+	var opts = options || {};
+	var cs = opts.cellSize;
+	if (!(cs > 0)) throw new Error("soupToGrid: cellSize must be > 0");
+
+	var minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+	for (var i = 0; i < soup.length; i++) {
+		var vs = [soup[i].v0, soup[i].v1, soup[i].v2];
+		for (var k = 0; k < 3; k++) {
+			if (vs[k].x < minX) minX = vs[k].x;
+			if (vs[k].x > maxX) maxX = vs[k].x;
+			if (vs[k].y < minY) minY = vs[k].y;
+			if (vs[k].y > maxY) maxY = vs[k].y;
+		}
+	}
+
+	var originX = opts.originX !== undefined ? opts.originX : Math.floor(minX / cs) * cs;
+	var originY = opts.originY !== undefined ? opts.originY : Math.floor(minY / cs) * cs;
+	var cols = opts.cols !== undefined ? opts.cols : Math.max(0, Math.floor((maxX - originX) / cs + 1e-9) + 1);
+	var rows = opts.rows !== undefined ? opts.rows : Math.max(0, Math.floor((maxY - originY) / cs + 1e-9) + 1);
+	var useMin = opts.mode === "min";
+
+	var grid = { cols: cols, rows: rows, originX: originX, originY: originY, cellSize: cs, values: new Float64Array(cols * rows).fill(NaN) };
+	var values = grid.values;
+
+	for (var t = 0; t < soup.length; t++) {
+		forEachNodeInTriangle(soup[t], grid, 1e-9, function (idx, z) {
+			var cur = values[idx];
+			if (isNaN(cur) || (useMin ? z < cur : z > cur)) values[idx] = z;
+		});
+	}
+	return grid;
+}
@@ -0,0 +1,169 @@
+/**
+ * @module terrain/sectionProfile
+ *
+ * Long sections through several surfaces at once (topo, pit design,
+ * geology horizons) along a plan polyline.
+ *
+ * A vertical curtain is hung under the polyline and intersected with each
+ * surface (intersectMeshPairTagged); the pieces are chained
+ * (chainSegments) into runs of chainage / elevation points. The curtain
+ * is built of short panels so grid lookups stay local along long
+ * diagonal sections, and each intersection point takes its chainage from
+ * the panel that produced it.
+ */
+
+import { intersectMeshPairTagged } from "../intersect/intersectMeshPair.js";
+import { chainSegments } from "../intersect/chainSegments.js";
+import { computeBBox, estimateAvgEdge } from "../intersect/spatialGrid.js";
+import { translateSoup, vKey, distSq3 } from "../util/math.js";
+import { asSoup } from "../util/typedMesh.js";
+
+var CHAIN_TOLERANCE = 1e-6;
+
+/**
+ * Vertical curtain panels under a polyline, at most `maxLength` long each.
+ *
+ * @param {Array<{x,y}>} pts - Polyline vertices (local frame)
+ * @param {number[]} chainage - Chainage of each vertex
+ * @param {number} maxLength
+ * @param {number} z0
+ * @param {number} z1
+ * @returns {{ tris: Array<{ v0, v1, v2 }>, panels: Array<{ p: {x,y}, chainage: number }> }}
+ *   Two triangles per panel, panel i owning triangles 2i and 2i + 1
+ */
+function curtainPanels(pts, chainage, maxLength, z0, z1) {
+	var tris = [], panels = [];
+	for (var i = 0; i + 1 < pts.length; i++) {
+		var a = pts[i], b = pts[i + 1];
+		var len = chainage[i + 1] - chainage[i];
+		if (len === 0) continue;
+		var n = Math.max(1, Math.ceil(len / maxLength));
+		for (var k = 0; k < n; k++) {
+			var s0 = k / n, s1 = (k + 1) / n;
+			var p = { x: a.x + s0 * (b.x - a.x), y: a.y + s0 * (b.y - a.y) };
+			var q = k + 1 === n ? b : { x: a.x + s1 * (b.x - a.x), y: a.y + s1 * (b.y - a.y) };
+			var pb = { x: p.x, y: p.y, z: z0 }, pt = { x: p.x, y: p.y, z: z1 };
+			var qb = { x: q.x, y: q.y, z: z0 }, qt = { x: q.x, y: q.y, z: z1 };
+			tris.push({ v0: pb, v1: qb, v2: qt });
+			tris.push({ v0: pb, v1: qt, v2: pt });
+			panels.push({ p: p, chainage: chainage[i] + s0 * len });
+		}
+	}
+	return { tris: tris, panels: panels };
+}
+
+/**
+ * Profiles of several surfaces along a plan polyline.
+ *
+ * Chainage is plan distance along the polyline from its first vertex.
+ * Each surface gets `runs` — polylines of `{ x, y, z, chainage }` points
+ * directed with increasing chainage and sorted by where they start — and
+ * `gaps`, the chainage intervals in [0, length] where the section does
+ * not cut that surface (off its edge, in a hole, or no data). Surfaces
+ * folding back over themselves (overhangs) give runs whose chainage is
+ * not monotonic.
+ *
+ * Example — long section through topo, pit and two horizons:
+ *   var sec = sectionProfile([topo, pit, baseOx, topFresh], sectionLine);
+ *   sec.profiles[0].runs.forEach(function (run) { plot(run); });
+ *
+ * @param {Array<Array<{ v0: {x,y,z}, v1: {x,y,z}, v2: {x,y,z} }>|{ positions: Float64Array, indices: Uint32Array }>} surfaces
+ * @param {Array<{x,y}>|{ points: Array<{x,y}>, closed?: boolean }} polyline - Section line in plan (Z ignored)
+ * @returns {{
+ *   length: number,
+ *   profiles: Array<{ runs: Array<Array<{ x: number, y: number, z: number, chainage: number }>>, gaps: Array<{ from: number, to: number }> }>
+ * }} One profile per surface, in input order
+ */
+export function sectionProfile(surfaces, polyline) {
+	if (!Array.isArray(surfaces)) throw new Error("sectionProfile: surfaces must be an array");
+	var pts = Array.isArray(polyline) ? polyline : polyline && polyline.points;
+	if (!pts) throw new Error("sectionProfile: polyline is required");
+	if (!Array.isArray(polyline) && polyline.closed && pts.length > 2) pts = pts.concat([pts[0]]);
+
+	// Step 0) Local frame at the first vertex; chainage of every vertex
+	var ox = pts.length > 0 ? pts[0].x : 0, oy = pts.length > 0 ? pts[0].y : 0;
+	var local = pts.map(function (p) { return { x: p.x - ox, y: p.y - oy }; });
+	var chainage = [0];
+	for (var i = 1; i < local.length; i++) {
+		var dx = local[i].x - local[i - 1].x, dy = local[i].y - local[i - 1].y;
+		chainage.push(chainage[i - 1] + Math.sqrt(dx * dx + dy * dy));
+	}
+	var length = chainage[chainage.length - 1];
+	if (!(length > 0)) throw new Error("sectionProfile: polyline needs at least 2 distinct points");
+
+	// Step 1) Curtain height spans every surface
+	var soups = surfaces.map(function (s) { return asSoup(s) || []; });
+	var zMin = Infinity, zMax = -Infinity;
+	for (var si = 0; si < soups.length; si++) {
+		if (soups[si].length === 0) continue;
+		var bb = computeBBox(soups[si]);
+		zMin = Math.min(zMin, bb.minZ);
+		zMax = Math.max(zMax, bb.maxZ);
+	}
+
+	var profiles = [];
+	for (var s = 0; s < soups.length; s++) {
+		if (soups[s].length === 0) {
+			profiles.push({ runs: [], gaps: [{ from: 0, to: length }] });
+			continue;
+		}
+
+		// Step 2) Intersect a curtain panelled at this surface's scale
+		var tris = translateSoup(soups[s], -ox, -oy, 0);
+		var curtain = curtainPanels(local, chainage, estimateAvgEdge(tris) * 8, zMin - 1, zMax + 1);
+		var segs = intersectMeshPairTagged(curtain.tris, tris);
+
+		// Step 3) Chainage per point; drop touching points and repeats
+		// (the section running along a triangle edge cuts both triangles)
+		var pieces = [];
+		var seen = {};
+		for (var g = 0; g < segs.length; g++) {
+			var seg = segs[g];
+			if (distSq3(seg.p0, seg.p1) <= CHAIN_TOLERANCE * CHAIN_TOLERANCE) continue;
+			var k0 = vKey(seg.p0), k1 = vKey(seg.p1);
+			var key = k0 < k1 ? k0 + "|" + k1 : k1 + "|" + k0;
+			if (seen[key]) continue;
+			seen[key] = true;
+			var panel = curtain.panels[seg.idxA >> 1];
+			pieces.push({ p0: profilePoint(seg.p0, panel), p1: profilePoint(seg.p1, panel) });
+		}
+
+		// Step 4) Chain into runs of increasing chainage
+		var runs = chainSegments(pieces, CHAIN_TOLERANCE);
+		for (var r = 0; r < runs.length; r++) {
+			if (runs[r][0].chainage > runs[r][runs[r].length - 1].chainage) runs[r].reverse();
+			runs[r] = runs[r].map(function (p) {
+				return { x: p.x + ox, y: p.y + oy, z: p.z, chainage: p.chainage };
+			});
+		}
+		runs.sort(function (a, b) { return a[0].chainage - b[0].chainage; });
+
+		// Step 5) Gaps: chainage not covered by any run
+		var gaps = [];
+		var reach = 0;
+		for (var ri = 0; ri < runs.length; ri++) {
+			var lo = Infinity, hi = -Infinity;
+			for (var pi = 0; pi < runs[ri].length; pi++) {
+				lo = Math.min(lo, runs[ri][pi].chainage);
+				hi = Math.max(hi, runs[ri][pi].chainage);
+			}
+			if (lo - reach > CHAIN_TOLERANCE) gaps.push({ from: reach, to: lo });
+			reach = Math.max(reach, hi);
+		}
+		if (length - reach > CHAIN_TOLERANCE) gaps.push({ from: reach, to: length });
+		profiles.push({ runs: runs, gaps: gaps });
+	}
+
+	return { length: length, profiles: profiles };
+}
+
+/**
+ * Intersection point tagged with its chainage along the curtain panel.
+ * @param {{x,y,z}} p
+ * @param {{ p: {x,y}, chainage: number }} panel
+ * @returns {{ x: number, y: number, z: number, chainage: number }}
+ */
+function profilePoint(p, panel) {
+	var dx = p.x - panel.p.x, dy = p.y - panel.p.y;
+	return { x: p.x, y: p.y, z: p.z, chainage: panel.chainage + Math.sqrt(dx * dx + dy * dy) };
+}
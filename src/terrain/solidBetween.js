@@ -0,0 +1,273 @@
+/**
+ * @module terrain/solidBetween
+ *
+ * Closed solid between two open 2.5D surfaces, e.g. topo over a pit
+ * design or two seam horizons.
+ *
+ * Pipeline:
+ *   1. splitMeshPair on each surface plus a vertical curtain along the
+ *      other's outline, so both are cut at the intersection seams and at
+ *      the edge of their plan overlap
+ *   2. Keep the upper pieces lying above the lower surface (facing up) and
+ *      the lower pieces lying below the upper surface (facing down)
+ *   3. Zip vertical walls between the open upper and lower boundary runs
+ *      that remain along the outer edge of the overlap
+ */
+
+import { splitMeshPair } from "../boolean/booleanOp.js";
+import { extractBoundaryLoops } from "../repair/boundaryLoops.js";
+import { weldVertices } from "../repair/weldVertices.js";
+import { computeSignedVolume } from "../normals/classifyDirection.js";
+import { computeBBox } from "../intersect/spatialGrid.js";
+import { verticalCurtain, surfaceSampler, zipWall, zipRings } from "../util/planGeometry.js";
+import { vKey, edgeKey, countOpenEdges } from "../util/math.js";
+import { isTypedMesh, asSoup, soupToTypedMesh } from "../util/typedMesh.js";
+
+/**
+ * Keep the pieces of one split surface that lie on the wanted side of the
+ * other surface, wound to face that way.
+ *
+ * @param {Array} pieces - Split triangles of this surface
+ * @param {function(number, number): number|null} other - Sampler of the other surface
+ * @param {number} side - +1 to keep pieces above `other` facing up, -1 below facing down
+ * @returns {Array}
+ */
+function keepFacing(pieces, other, side) {
+	var kept = [];
+	for (var i = 0; i < pieces.length; i++) {
+		var t = pieces[i];
+		var area2 = (t.v1.x - t.v0.x) * (t.v2.y - t.v0.y) - (t.v1.y - t.v0.y) * (t.v2.x - t.v0.x);
+		if (area2 === 0) continue;
+		var gx = (t.v0.x + t.v1.x + t.v2.x) / 3;
+		var gy = (t.v0.y + t.v1.y + t.v2.y) / 3;
+		var gz = (t.v0.z + t.v1.z + t.v2.z) / 3;
+		var z = other(gx, gy);
+		if (z === null || (gz - z) * side <= 1e-9) continue;
+		if (area2 * side > 0) {
+			kept.push(t);
+		} else {
+			var flipped = { v0: t.v0, v1: t.v2, v2: t.v1 };
+			if (t.source) flipped.source = t.source;
+			kept.push(flipped);
+		}
+	}
+	return kept;
+}
+
+/**
+ * Plan angle from the reverse of an edge to the edge that follows it,
+ * clockwise after an upper edge (the surface lies to its left) and
+ * counter-clockwise after a lower one. The smallest angle keeps to the
+ * same piece of surface where the outline touches itself at a vertex; a
+ * lower edge running straight back under an upper one turns by zero.
+ *
+ * @param {{ from: Object, to: Object, tag: string }} cur
+ * @param {{ from: Object, to: Object }} next
+ * @returns {number} Angle in [0, 2 pi)
+ */
+function turnAngle(cur, next) {
+	var rx = cur.from.x - cur.to.x, ry = cur.from.y - cur.to.y;
+	var ox = next.to.x - next.from.x, oy = next.to.y - next.from.y;
+	var cross = rx * oy - ry * ox;
+	var a = Math.atan2(cur.tag === "up" ? -cross : cross, rx * ox + ry * oy);
+	return a < 0 ? a + 2 * Math.PI : a;
+}
+
+/**
+ * Chain the open half-edges of a soup into loops. Where several open
+ * edges leave a vertex the loop takes the tightest turn (see turnAngle).
+ *
+ * @param {Array} soup
+ * @param {Array<string>} tags - Per triangle "up" or "low"
+ * @returns {Array<Array<{ from: Object, to: Object, tag: string }>>} Loops of directed edges
+ */
+function openEdgeLoops(soup, tags) {
+	var count = {};
+	var edges = [];
+	for (var i = 0; i < soup.length; i++) {
+		var verts = [soup[i].v0, soup[i].v1, soup[i].v2];
+		for (var e = 0; e < 3; e++) {
+			var a = verts[e], b = verts[(e + 1) % 3];
+			var ka = vKey(a), kb = vKey(b);
+			var ek = edgeKey(ka, kb);
+			count[ek] = (count[ek] || 0) + 1;
+			edges.push({ from: a, to: b, ka: ka, kb: kb, ek: ek, tag: tags[i] });
+		}
+	}
+	var byStart = {};
+	for (var o = 0; o < edges.length; o++) {
+		if (count[edges[o].ek] !== 1) continue;
+		if (!byStart[edges[o].ka]) byStart[edges[o].ka] = [];
+		byStart[edges[o].ka].push(edges[o]);
+	}
+
+	var used = {};
+	var loops = [];
+	for (var s = 0; s < edges.length; s++) {
+		var seed = edges[s];
+		if (count[seed.ek] !== 1 || used[seed.ek]) continue;
+		var loop = [];
+		var cur = seed;
+		while (cur && !used[cur.ek]) {
+			used[cur.ek] = true;
+			loop.push(cur);
+			var nexts = byStart[cur.kb] || [];
+			var next = null, best = Infinity;
+			for (var k = 0; k < nexts.length; k++) {
+				if (used[nexts[k].ek]) continue;
+				var turn = turnAngle(cur, nexts[k]);
+				if (turn < best) { best = turn; next = nexts[k]; }
+			}
+			cur = next;
+		}
+		if (loop.length > 1 && loop[loop.length - 1].kb === loop[0].ka) loops.push(loop);
+	}
+	return loops;
+}
+
+/**
+ * Split a loop of open edges into upper and lower runs between seam ends.
+ * A run ends where the tag changes and also at any vertex shared by an
+ * upper and a lower run: where the solid meets the edge of the overlap at
+ * a single point, one loop passes several seam ends and its runs span
+ * more than one wall.
+ *
+ * @param {Array<{ from: Object, to: Object, tag: string }>} ordered - Loop starting where an upper run begins
+ * @returns {{ up: Array<Array<{x,y,z}>>, low: Array<Array<{x,y,z}>> }}
+ */
+function seamRuns(ordered) {
+	var tagged = { up: {}, low: {} };
+	for (var i = 0; i < ordered.length; i++) {
+		tagged[ordered[i].tag][vKey(ordered[i].from)] = true;
+		tagged[ordered[i].tag][vKey(ordered[i].to)] = true;
+	}
+	var runs = { up: [], low: [] };
+	var run = null;
+	for (var k = 0; k < ordered.length; k++) {
+		var e = ordered[k];
+		if (!run || ordered[k - 1].tag !== e.tag) {
+			run = [e.from];
+			runs[e.tag].push(run);
+		}
+		run.push(e.to);
+		var kt = vKey(e.to);
+		if (tagged.up[kt] && tagged.low[kt]) run = null;
+	}
+	return runs;
+}
+
+/**
+ * Build the closed solid between two open surfaces.
+ *
+ * Both surfaces are treated as 2.5D (one Z per plan position). The solid
+ * covers the part of their plan overlap where `upper` lies above `lower`;
+ * where the surfaces cross, the seams become edges of the solid, and
+ * along the outer edge of the overlap vertical walls join the two. The
+ * result is wound outward: upper faces up, lower faces down.
+ *
+ * Output triangles from the surfaces carry `source: { mesh, index }` with
+ * mesh "A" for upper and "B" for lower; wall triangles have none.
+ * `openEdges` counts the edges the walls could not close; it is 0 for a
+ * closed solid, and `volume` is only meaningful then.
+ *
+ * Example — the solid between topo and a pit design:
+ *   var pit = solidBetweenSurfaces(topo, pitDesign);
+ *   console.log(pit.volume);
+ *
+ * @param {Array<{ v0: {x,y,z}, v1: {x,y,z}, v2: {x,y,z} }>|{ positions: Float64Array, indices: Uint32Array }} upper - Top surface
+ * @param {Array<{ v0: {x,y,z}, v1: {x,y,z}, v2: {x,y,z} }>|{ positions: Float64Array, indices: Uint32Array }} lower - Bottom surface
+ * @returns {{ soup: Array, points: Array, triangles: Array, volume: number, openEdges: number }|{ positions: Float64Array, indices: Uint32Array, volume: number, openEdges: number }|null}
+ *   null when upper is nowhere above lower
+ */
+export function solidBetweenSurfaces(upper, lower) {
+	var typed = isTypedMesh(upper) || isTypedMesh(lower);
+	upper = asSoup(upper);
+	lower = asSoup(lower);
+	if (!upper || !lower || upper.length === 0 || lower.length === 0) return null;
+
+	// Step 1) Curtains along each surface's outline cut the other one
+	var bbU = computeBBox(upper), bbL = computeBBox(lower);
+	var z0 = Math.min(bbU.minZ, bbL.minZ) - 1;
+	var z1 = Math.max(bbU.maxZ, bbL.maxZ) + 1;
+	var cutterU = upper.slice();
+	var cutterL = lower.slice();
+	var loopsU = extractBoundaryLoops(upper).loops;
+	var loopsL = extractBoundaryLoops(lower).loops;
+	for (var lu = 0; lu < loopsU.length; lu++) cutterU = cutterU.concat(verticalCurtain(loopsU[lu], z0, z1));
+	for (var ll = 0; ll < loopsL.length; ll++) cutterL = cutterL.concat(verticalCurtain(loopsL[ll], z0, z1));
+
+	// Step 2) Split, dropping curtain pieces
+	var split = splitMeshPair(cutterU, cutterL);
+	var g = split.groups;
+	var piecesU = g.aInside.concat(g.aOutside).filter(function (t) { return t.source.index < upper.length; });
+	var piecesL = g.bInside.concat(g.bOutside).filter(function (t) { return t.source.index < lower.length; });
+
+	// Step 3) Keep the pieces facing each other
+	var top = keepFacing(piecesU, surfaceSampler(lower), 1);
+	var bottom = keepFacing(piecesL, surfaceSampler(upper), -1);
+	if (top.length === 0 || bottom.length === 0) return null;
+	var soup = top.concat(bottom);
+	var tags = [];
+	for (var t = 0; t < soup.length; t++) tags.push(t < top.length ? "up" : "low");
+
+	// Step 4) Walls between the open upper and lower runs
+	var walls = [];
+	var loops = openEdgeLoops(soup, tags);
+	var rings = { up: [], low: [] };
+	for (var li = 0; li < loops.length; li++) {
+		var loop = loops[li];
+
+		// Rotate so the loop starts where an upper run begins
+		var start = -1;
+		for (var r = 0; r < loop.length; r++) {
+			var prev = loop[(r + loop.length - 1) % loop.length];
+			if (loop[r].tag === "up" && prev.tag === "low") { start = r; break; }
+		}
+		if (start === -1) {
+			var ring = [];
+			for (var q = 0; q < loop.length; q++) ring.push(loop[q].from);
+			rings[loop[0].tag].push(ring);
+			continue;
+		}
+		var runs = seamRuns(loop.slice(start).concat(loop.slice(0, start)));
+
+		// Each upper run has its wall against the lower run between the
+		// same seam ends
+		var pairedLow = {};
+		for (var ui = 0; ui < runs.up.length; ui++) {
+			var up = runs.up[ui];
+			var ku0 = vKey(up[0]), ku1 = vKey(up[up.length - 1]);
+			for (var lr = 0; lr < runs.low.length; lr++) {
+				var low = runs.low[lr];
+				if (pairedLow[lr] || vKey(low[0]) !== ku1 || vKey(low[low.length - 1]) !== ku0) continue;
+				pairedLow[lr] = true;
+				zipWall(up, low.slice().reverse(), true, walls);
+				break;
+			}
+		}
+	}
+
+	// Step 5) Walls between whole upper and lower rings (no seam on the
+	// edge). Lower rings run the opposite way in plan: walk them backwards
+	var lowRings = [];
+	for (var wi = 0; wi < rings.low.length; wi++) lowRings.push(rings.low[wi].slice().reverse());
+	zipRings(rings.up, lowRings, walls);
+
+	// Step 5b) Drop collapsed wall triangles
+	for (var w = 0; w < walls.length; w++) {
+		var ka = vKey(walls[w].v0), kb = vKey(walls[w].v1), kc = vKey(walls[w].v2);
+		if (ka !== kb && kb !== kc && ka !== kc) soup.push(walls[w]);
+	}
+
+	// Step 6) Weld, measure and report what is left open
+	var volume = computeSignedVolume(soup);
+	var openEdges = countOpenEdges(soup).openEdges;
+	if (typed) {
+		var mesh = soupToTypedMesh(soup);
+		mesh.volume = volume;
+		mesh.openEdges = openEdges;
+		return mesh;
+	}
+	var welded = weldVertices(soup, 1e-4);
+	return { soup: soup, points: welded.points, triangles: welded.triangles, volume: volume, openEdges: openEdges };
+}
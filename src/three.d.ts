@@ -3,7 +3,7 @@
  */
 
 import type { Object3D, Mesh } from "three";
-import type { TriangleSoup, Triangle, BooleanResult, RepairConfig, RepairResult, TaggedSegment } from "./index";
+import type { TriangleSoup, Triangle, BooleanResult, BooleanOperation, RepairConfig, RepairResult, TaggedSegment } from "./index";
 
 export interface MeshOptions {
 	color?: number | string;
@@ -27,7 +27,7 @@ export function soupToMesh(soup: TriangleSoup, options?: MeshOptions): Mesh;
 export function booleanFromMeshes(
 	meshA: Object3D,
 	meshB: Object3D,
-	operation: "subtract" | "union" | "intersect",
+	operation: BooleanOperation,
 	options?: MeshOptions
 ): Mesh | null;
 
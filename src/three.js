@@ -18,6 +18,11 @@ import { intersectMeshPairTagged as coreIntersect } from "./intersect/intersectM
  * Traverses all child meshes, applies their world transforms,
  * and extracts position data as {v0, v1, v2} triangles.
  *
+ * Every other geometry attribute (uv, color, normal, ...) is copied onto
+ * each vertex as `attributes[name]`, so it survives boolean() and comes
+ * back out of soupToMesh. Normals are transformed by the world normal
+ * matrix.
+ *
  * @param {THREE.Object3D} object - THREE.Mesh or THREE.Group
  * @returns {Array<{ v0: {x,y,z}, v1: {x,y,z}, v2: {x,y,z} }>} Triangle soup
  */
@@ -36,14 +41,38 @@ export function meshToSoup(object) {
 		if (!posAttr) return;
 
 		var matrix = child.matrixWorld;
+		var normalMatrix = new THREE.Matrix3().getNormalMatrix(matrix);
 		var index = geometry.index;
 
+		var channels = [];
+		for (var name in geometry.attributes) {
+			if (name !== "position") channels.push(name);
+		}
+
 		var v = new THREE.Vector3();
+		var n = new THREE.Vector3();
 
 		function getVertex(idx) {
 			v.set(posAttr.getX(idx), posAttr.getY(idx), posAttr.getZ(idx));
 			v.applyMatrix4(matrix);
-			return { x: v.x, y: v.y, z: v.z };
+			var vert = { x: v.x, y: v.y, z: v.z };
+			if (channels.length === 0) return vert;
+
+			vert.attributes = {};
+			for (var c = 0; c < channels.length; c++) {
+				var attr = geometry.getAttribute(channels[c]);
+				if (channels[c] === "normal" && attr.itemSize === 3) {
+					n.set(attr.getX(idx), attr.getY(idx), attr.getZ(idx)).applyMatrix3(normalMatrix).normalize();
+					vert.attributes.normal = [n.x, n.y, n.z];
+					continue;
+				}
+				var vals = [attr.getX(idx)];
+				if (attr.itemSize > 1) vals.push(attr.getY(idx));
+				if (attr.itemSize > 2) vals.push(attr.getZ(idx));
+				if (attr.itemSize > 3) vals.push(attr.getW(idx));
+				vert.attributes[channels[c]] = vals;
+			}
+			return vert;
 		}
 
 		if (index) {
@@ -71,9 +100,13 @@ export function meshToSoup(object) {
 /**
  * Convert triangle soup to a THREE.Mesh with BufferGeometry.
  *
+ * Vertex `attributes` channels become buffer attributes of the same name
+ * (corners without a channel get zeros). A `normal` channel replaces the
+ * computed vertex normals; a `color` channel switches on vertexColors.
+ *
  * @param {Array<{ v0: {x,y,z}, v1: {x,y,z}, v2: {x,y,z} }>} soup
  * @param {Object} [options]
- * @param {number|string} [options.color=0x4488FF] - Mesh color
+ * @param {number|string} [options.color=0x4488FF] - Mesh color (default white when the soup has a color channel)
  * @param {boolean} [options.doubleSide=true] - Use DoubleSide material
  * @param {boolean} [options.wireframe=false] - Wireframe mode
  * @returns {THREE.Mesh}
@@ -98,12 +131,40 @@ export function soupToMesh(soup, options) {
 
 	var geometry = new THREE.BufferGeometry();
 	geometry.setAttribute("position", new THREE.BufferAttribute(positions, 3));
-	geometry.computeVertexNormals();
+
+	// Attribute channels: item size taken from the first corner that has each one
+	var itemSizes = {};
+	for (var ci = 0; ci < soup.length; ci++) {
+		var corners = [soup[ci].v0, soup[ci].v1, soup[ci].v2];
+		for (var k = 0; k < 3; k++) {
+			var attrs = corners[k].attributes;
+			if (!attrs) continue;
+			for (var ch in attrs) {
+				if (itemSizes[ch] === undefined) itemSizes[ch] = attrs[ch].length;
+			}
+		}
+	}
+	for (var name in itemSizes) {
+		var size = itemSizes[name];
+		var data = new Float32Array(soup.length * 3 * size);
+		for (var ti = 0; ti < soup.length; ti++) {
+			var tv = [soup[ti].v0, soup[ti].v1, soup[ti].v2];
+			for (var vi = 0; vi < 3; vi++) {
+				var vals = tv[vi].attributes ? tv[vi].attributes[name] : null;
+				if (!vals) continue;
+				var base = (ti * 3 + vi) * size;
+				for (var e = 0; e < size && e < vals.length; e++) data[base + e] = vals[e];
+			}
+		}
+		geometry.setAttribute(name, new THREE.BufferAttribute(data, size));
+	}
+	if (itemSizes.normal === undefined) geometry.computeVertexNormals();
 
 	var material = new THREE.MeshPhongMaterial({
-		color: options.color !== undefined ? options.color : 0x4488FF,
+		color: options.color !== undefined ? options.color : (itemSizes.color !== undefined ? 0xFFFFFF : 0x4488FF),
 		side: options.doubleSide !== false ? THREE.DoubleSide : THREE.FrontSide,
-		wireframe: !!options.wireframe
+		wireframe: !!options.wireframe,
+		vertexColors: itemSizes.color !== undefined
 	});
 
 	return new THREE.Mesh(geometry, material);
@@ -114,7 +175,7 @@ export function soupToMesh(soup, options) {
  *
  * @param {THREE.Object3D} meshA - First mesh
  * @param {THREE.Object3D} meshB - Second mesh
- * @param {"subtract"|"union"|"intersect"} operation
+ * @param {"subtract"|"reverseSubtract"|"union"|"intersect"|"xor"} operation
  * @param {Object} [options] - Options passed to soupToMesh for the result
  * @returns {THREE.Mesh|null} Result mesh, or null on failure
  */
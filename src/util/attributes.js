@@ -0,0 +1,208 @@
+/**
+ * @module util/attributes
+ *
+ * Per-vertex attribute channels (UVs, colours, normals, ...) carried
+ * through the boolean pipeline.
+ *
+ * A vertex may carry `attributes: { [channel]: number[] }`, e.g.
+ *   { x, y, z, attributes: { uv: [u, v], color: [r, g, b], normal: [nx, ny, nz] } }
+ *
+ * The geometric stages only look at x/y/z. Once a result is built, every
+ * output corner is re-attributed by barycentric interpolation on the input
+ * triangle it came from (found through triangle provenance, `source`).
+ * Original corners get their own values back; Steiner points on the
+ * intersection line get values interpolated on their parent triangle, from
+ * A for A's triangles and from B for B's.
+ *
+ * The `normal` channel is renormalised after interpolation and negated
+ * wherever the output triangle faces opposite to its parent.
+ */
+
+/**
+ * Copy a vertex together with its attribute channels.
+ *
+ * @param {{x,y,z,attributes?:Object}} v
+ * @param {boolean} [negateNormal=false] - Negate the `normal` channel (for flipped triangles)
+ * @returns {{x,y,z,attributes?:Object}}
+ */
+export function copyVertex(v, negateNormal) {
+	var out = { x: v.x, y: v.y, z: v.z };
+	if (!v.attributes) return out;
+	out.attributes = {};
+	for (var ch in v.attributes) {
+		var src = v.attributes[ch];
+		var dst = new Array(src.length);
+		var sign = negateNormal && ch === "normal" ? -1 : 1;
+		for (var k = 0; k < src.length; k++) dst[k] = src[k] * sign;
+		out.attributes[ch] = dst;
+	}
+	return out;
+}
+
+/**
+ * True when any triangle in any of the soups has an attributed corner.
+ *
+ * @param {Array<Array>} soups
+ * @returns {boolean}
+ */
+export function hasVertexAttributes(soups) {
+	for (var s = 0; s < soups.length; s++) {
+		var soup = soups[s];
+		if (!soup) continue;
+		for (var i = 0; i < soup.length; i++) {
+			if (soup[i].v0.attributes || soup[i].v1.attributes || soup[i].v2.attributes) return true;
+		}
+	}
+	return false;
+}
+
+/**
+ * Unnormalised face normal.
+ * @param {{ v0, v1, v2 }} t
+ * @returns {number[]}
+ */
+function faceNormal(t) {
+	var e1x = t.v1.x - t.v0.x, e1y = t.v1.y - t.v0.y, e1z = t.v1.z - t.v0.z;
+	var e2x = t.v2.x - t.v0.x, e2y = t.v2.y - t.v0.y, e2z = t.v2.z - t.v0.z;
+	return [e1y * e2z - e1z * e2y, e1z * e2x - e1x * e2z, e1x * e2y - e1y * e2x];
+}
+
+/**
+ * Barycentric coordinates of p projected onto the plane of triangle t.
+ * Returns null for a degenerate triangle.
+ *
+ * @param {{x,y,z}} p
+ * @param {{ v0, v1, v2 }} t
+ * @returns {number[]|null} [w0, w1, w2]
+ */
+function barycentric(p, t) {
+	var ax = t.v1.x - t.v0.x, ay = t.v1.y - t.v0.y, az = t.v1.z - t.v0.z;
+	var bx = t.v2.x - t.v0.x, by = t.v2.y - t.v0.y, bz = t.v2.z - t.v0.z;
+	var cx = p.x - t.v0.x, cy = p.y - t.v0.y, cz = p.z - t.v0.z;
+	var d00 = ax * ax + ay * ay + az * az;
+	var d01 = ax * bx + ay * by + az * bz;
+	var d11 = bx * bx + by * by + bz * bz;
+	var d20 = cx * ax + cy * ay + cz * az;
+	var d21 = cx * bx + cy * by + cz * bz;
+	var denom = d00 * d11 - d01 * d01;
+	if (Math.abs(denom) < 1e-24) return null;
+	var w1 = (d11 * d20 - d01 * d21) / denom;
+	var w2 = (d00 * d21 - d01 * d20) / denom;
+	return [1 - w1 - w2, w1, w2];
+}
+
+/**
+ * Attribute channels of a point on a parent triangle.
+ *
+ * @param {{x,y,z}} p
+ * @param {{ v0, v1, v2 }} parent - Triangle whose corners all carry attributes
+ * @param {boolean} flip - Negate the interpolated normal
+ * @returns {Object<string, number[]>}
+ */
+function interpolateAt(p, parent, flip) {
+	var corners = [parent.v0, parent.v1, parent.v2];
+	var w = barycentric(p, parent);
+
+	// Degenerate parent: take the nearest corner's values
+	if (!w) {
+		var best = 0, bestD = Infinity;
+		for (var c = 0; c < 3; c++) {
+			var dx = corners[c].x - p.x, dy = corners[c].y - p.y, dz = corners[c].z - p.z;
+			var d = dx * dx + dy * dy + dz * dz;
+			if (d < bestD) { bestD = d; best = c; }
+		}
+		w = [0, 0, 0];
+		w[best] = 1;
+	}
+
+	var out = {};
+	for (var ch in corners[0].attributes) {
+		var a0 = corners[0].attributes[ch];
+		var a1 = corners[1].attributes[ch];
+		var a2 = corners[2].attributes[ch];
+		if (!a1 || !a2) continue;
+		var vals = new Array(a0.length);
+		for (var k = 0; k < a0.length; k++) {
+			vals[k] = w[0] * a0[k] + w[1] * a1[k] + w[2] * a2[k];
+		}
+		if (ch === "normal" && vals.length === 3) {
+			var len = Math.sqrt(vals[0] * vals[0] + vals[1] * vals[1] + vals[2] * vals[2]);
+			var s = len > 1e-12 ? (flip ? -1 : 1) / len : 0;
+			vals[0] *= s; vals[1] *= s; vals[2] *= s;
+		}
+		out[ch] = vals;
+	}
+	return out;
+}
+
+/**
+ * Re-attribute every corner of `soup` from the input triangles it came from.
+ *
+ * Each output triangle's `source` is matched against the input triangles
+ * carrying the same source; when several do (sub-triangles of an earlier
+ * split share their parent's), the one containing the output triangle's
+ * centroid is used. Output triangles without a source, or whose parent
+ * has unattributed corners, are returned unchanged.
+ *
+ * Vertices are copied per corner, so texture seams (same position,
+ * different UV) survive seam-vertex deduplication.
+ *
+ * @param {Array} soup - Output soup whose triangles carry `source`
+ * @param {Array<Array>} inputs - Input soups whose triangles carry `source` (see tagSource)
+ * @returns {Array} The soup with attributed corners
+ */
+export function interpolateAttributes(soup, inputs) {
+	if (!soup || soup.length === 0 || !hasVertexAttributes(inputs)) return soup;
+
+	// Step 1) Index attributed input triangles by provenance
+	var bySource = {};
+	for (var s = 0; s < inputs.length; s++) {
+		var input = inputs[s];
+		if (!input) continue;
+		for (var i = 0; i < input.length; i++) {
+			var t = input[i];
+			if (!t.source || !t.v0.attributes || !t.v1.attributes || !t.v2.attributes) continue;
+			var key = t.source.mesh + "|" + t.source.index;
+			if (!bySource[key]) bySource[key] = [];
+			bySource[key].push(t);
+		}
+	}
+
+	// Step 2) Interpolate each corner on its parent
+	var out = new Array(soup.length);
+	for (var oi = 0; oi < soup.length; oi++) {
+		var tri = soup[oi];
+		var cands = tri.source ? bySource[tri.source.mesh + "|" + tri.source.index] : null;
+		if (!cands) {
+			out[oi] = tri;
+			continue;
+		}
+
+		var centroid = {
+			x: (tri.v0.x + tri.v1.x + tri.v2.x) / 3,
+			y: (tri.v0.y + tri.v1.y + tri.v2.y) / 3,
+			z: (tri.v0.z + tri.v1.z + tri.v2.z) / 3
+		};
+		var parent = cands[0];
+		if (cands.length > 1) {
+			var bestScore = -Infinity;
+			for (var ci = 0; ci < cands.length; ci++) {
+				var w = barycentric(centroid, cands[ci]);
+				var score = w ? Math.min(w[0], w[1], w[2]) : -Infinity;
+				if (score > bestScore) { bestScore = score; parent = cands[ci]; }
+			}
+		}
+
+		var n = faceNormal(tri);
+		var pn = faceNormal(parent);
+		var flip = n[0] * pn[0] + n[1] * pn[1] + n[2] * pn[2] < 0;
+
+		var verts = [tri.v0, tri.v1, tri.v2];
+		var copies = new Array(3);
+		for (var k = 0; k < 3; k++) {
+			copies[k] = { x: verts[k].x, y: verts[k].y, z: verts[k].z, attributes: interpolateAt(verts[k], parent, flip) };
+		}
+		out[oi] = { v0: copies[0], v1: copies[1], v2: copies[2], source: tri.source };
+	}
+	return out;
+}
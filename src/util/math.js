@@ -139,7 +139,8 @@ export function soupCentroid(soupA, soupB) {
 }
 
 /**
- * Translate a triangle soup by an offset.
+ * Translate a triangle soup by an offset. Triangle provenance (`source`)
+ * is carried over.
  */
 export function translateSoup(soup, dx, dy, dz) {
 	var out = new Array(soup.length);
@@ -150,6 +151,30 @@ export function translateSoup(soup, dx, dy, dz) {
 			v1: { x: t.v1.x + dx, y: t.v1.y + dy, z: t.v1.z + dz },
 			v2: { x: t.v2.x + dx, y: t.v2.y + dy, z: t.v2.z + dz }
 		};
+		if (t.source) out[i].source = t.source;
+	}
+	return out;
+}
+
+/**
+ * Shallow-copy a triangle soup, recording each triangle's provenance as
+ * `source: { mesh, index }` (index into `soup`). Every triangle is stamped
+ * with this call's label and index, so `source` always names the soup the
+ * caller passed in. A `source` the triangle already carried (e.g. from an
+ * earlier boolean) is kept as `source.parent`, so chained operations keep
+ * the full lineage. Vertex objects are shared, not copied.
+ *
+ * @param {Array<{ v0: {x,y,z}, v1: {x,y,z}, v2: {x,y,z} }>} soup
+ * @param {string} mesh - Source mesh label, e.g. "A" or "B"
+ * @returns {Array<{ v0: {x,y,z}, v1: {x,y,z}, v2: {x,y,z}, source: { mesh: string, index: number, parent?: Object } }>}
+ */
+export function tagSource(soup, mesh) {
+	var out = new Array(soup.length);
+	for (var i = 0; i < soup.length; i++) {
+		var t = soup[i];
+		var source = { mesh: mesh, index: i };
+		if (t.source) source.parent = t.source;
+		out[i] = { v0: t.v0, v1: t.v1, v2: t.v2, source: source };
 	}
 	return out;
 }
@@ -0,0 +1,258 @@
+/**
+ * @module util/planGeometry
+ *
+ * Plan (XY) geometry shared by the boolean and terrain layers: polygon
+ * tests, vertical curtains used as cutters along plan outlines, Z lookup
+ * on 2.5D surfaces, and walls zipped between an upper and a lower
+ * boundary that follow the same plan path.
+ */
+
+import { buildSpatialGrid, queryGrid, estimateAvgEdge } from "../intersect/spatialGrid.js";
+
+/**
+ * Ray-cast point-in-polygon test in XY.
+ * @param {number} px
+ * @param {number} py
+ * @param {Array<{x: number, y: number}>} poly
+ * @returns {boolean}
+ */
+export function pointInPolygonXY(px, py, poly) {
+	var inside = false;
+	for (var i = 0, j = poly.length - 1; i < poly.length; j = i++) {
+		var xi = poly[i].x, yi = poly[i].y;
+		var xj = poly[j].x, yj = poly[j].y;
+		if (((yi > py) !== (yj > py)) && (px < (xj - xi) * (py - yi) / (yj - yi) + xi)) {
+			inside = !inside;
+		}
+	}
+	return inside;
+}
+
+/**
+ * Vertical curtain of triangles along a closed polygon, spanning z0..z1.
+ * Used as a cutter to split a surface along a plan outline.
+ *
+ * @param {Array<{x,y}>} ring
+ * @param {number} z0
+ * @param {number} z1
+ * @returns {Array<{ v0, v1, v2 }>}
+ */
+export function verticalCurtain(ring, z0, z1) {
+	var tris = [];
+	for (var i = 0; i < ring.length; i++) {
+		var p = ring[i], q = ring[(i + 1) % ring.length];
+		var pb = { x: p.x, y: p.y, z: z0 }, pt = { x: p.x, y: p.y, z: z1 };
+		var qb = { x: q.x, y: q.y, z: z0 }, qt = { x: q.x, y: q.y, z: z1 };
+		tris.push({ v0: pb, v1: qb, v2: qt });
+		tris.push({ v0: pb, v1: qt, v2: pt });
+	}
+	return tris;
+}
+
+/**
+ * Z of a triangle's plane at (x, y), or NaN for a vertical triangle.
+ * @param {{ v0, v1, v2 }} t
+ * @param {number} x
+ * @param {number} y
+ * @returns {number}
+ */
+export function planeZ(t, x, y) {
+	var bx = t.v1.x - t.v0.x, by = t.v1.y - t.v0.y;
+	var cx = t.v2.x - t.v0.x, cy = t.v2.y - t.v0.y;
+	var det = bx * cy - by * cx;
+	if (det === 0) return NaN;
+	var px = x - t.v0.x, py = y - t.v0.y;
+	var u = (px * cy - py * cx) / det;
+	var v = (bx * py - by * px) / det;
+	return t.v0.z + u * (t.v1.z - t.v0.z) + v * (t.v2.z - t.v0.z);
+}
+
+/**
+ * Plan-position lookup of a 2.5D surface.
+ *
+ * @param {Array} soup
+ * @returns {function(number, number): number|null} Surface Z at (x, y), or null off the surface
+ */
+export function surfaceSampler(soup) {
+	var cellSize = estimateAvgEdge(soup) * 2;
+	var grid = buildSpatialGrid(soup, cellSize);
+	return function (x, y) {
+		var cands = queryGrid(grid, { minX: x, minY: y, maxX: x, maxY: y }, cellSize);
+		for (var c = 0; c < cands.length; c++) {
+			var t = soup[cands[c]];
+			var bx = t.v1.x - t.v0.x, by = t.v1.y - t.v0.y;
+			var cx = t.v2.x - t.v0.x, cy = t.v2.y - t.v0.y;
+			var det = bx * cy - by * cx;
+			if (det === 0) continue;
+			var px = x - t.v0.x, py = y - t.v0.y;
+			var u = (px * cy - py * cx) / det;
+			var v = (bx * py - by * px) / det;
+			if (u < -1e-9 || v < -1e-9 || u + v > 1 + 1e-9) continue;
+			return planeZ(t, x, y);
+		}
+		return null;
+	};
+}
+
+/**
+ * Normalised cumulative plan length along a polyline.
+ * @param {Array<{x,y}>} pts
+ * @returns {number[]}
+ */
+function planParams(pts) {
+	var s = [0];
+	for (var i = 1; i < pts.length; i++) {
+		var dx = pts[i].x - pts[i - 1].x, dy = pts[i].y - pts[i - 1].y;
+		s.push(s[i - 1] + Math.sqrt(dx * dx + dy * dy));
+	}
+	var total = s[s.length - 1];
+	for (var j = 0; j < s.length; j++) s[j] = total > 0 ? s[j] / total : j / (s.length - 1);
+	return s;
+}
+
+/**
+ * Zip a wall between an upper and a lower polyline that follow the same
+ * plan path in the same direction. Each up[i] -> up[i+1] is an open
+ * half-edge of the upper sheet and each low[j+1] -> low[j] one of the
+ * lower sheet (e.g. upward- and downward-facing surfaces), so the wall is
+ * wound to close both.
+ *
+ * @param {Array<{x,y,z}>} up
+ * @param {Array<{x,y,z}>} low
+ * @param {boolean} shared - Both ends are shared vertices (zero-height wall ends)
+ * @param {Array} out - Receives the wall triangles
+ */
+export function zipWall(up, low, shared, out) {
+	var n = up.length - 1, m = low.length - 1;
+	var su = planParams(up), sl = planParams(low);
+	var i = 0, j = 0;
+	var endI = n, endJ = m;
+	if (shared) {
+		if (n === 1 || m === 1) {
+			// Fan from the end of the single edge opposite the other run's start
+			if (n === 1) {
+				for (var fj = 0; fj < m - 1; fj++) out.push({ v0: up[1], v1: low[fj], v2: low[fj + 1] });
+			} else {
+				for (var fi = 1; fi < n; fi++) out.push({ v0: up[fi + 1], v1: up[fi], v2: low[0] });
+			}
+			return;
+		}
+		out.push({ v0: up[1], v1: up[0], v2: low[1] });
+		i = 1;
+		j = 1;
+		endI = n - 1;
+		endJ = m - 1;
+	}
+	while (i < endI || j < endJ) {
+		if (j >= endJ || (i < endI && su[i + 1] <= sl[j + 1])) {
+			out.push({ v0: up[i + 1], v1: up[i], v2: low[j] });
+			i++;
+		} else {
+			out.push({ v0: up[i], v1: low[j], v2: low[j + 1] });
+			j++;
+		}
+	}
+	if (shared) out.push({ v0: up[n], v1: up[n - 1], v2: low[m - 1] });
+}
+
+/**
+ * Plan bounding box of a ring.
+ * @param {Array<{x,y}>} ring
+ * @returns {{ minX: number, minY: number, maxX: number, maxY: number }}
+ */
+function ringBBox(ring) {
+	var bb = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+	for (var i = 0; i < ring.length; i++) {
+		if (ring[i].x < bb.minX) bb.minX = ring[i].x;
+		if (ring[i].y < bb.minY) bb.minY = ring[i].y;
+		if (ring[i].x > bb.maxX) bb.maxX = ring[i].x;
+		if (ring[i].y > bb.maxY) bb.maxY = ring[i].y;
+	}
+	return bb;
+}
+
+/**
+ * Zip walls between closed upper and lower rings that follow the same plan
+ * outlines in the same direction (see zipWall). Each upper ring is paired
+ * with the lower ring holding the vertex closest in plan to one of its
+ * own, and both are walked from that pair, so rings cut by the same
+ * vertical curtains line up corner to corner.
+ *
+ * Lower ring vertices are hashed in plan, so the closest vertex is looked
+ * up among near neighbours; only an upper ring with no lower vertex
+ * nearby falls back to scanning the lower rings whose bounding box
+ * overlaps its own.
+ *
+ * @param {Array<Array<{x,y,z}>>} upRings - Closed rings, first point not repeated
+ * @param {Array<Array<{x,y,z}>>} lowRings - Closed rings, first point not repeated
+ * @param {Array} out - Receives the wall triangles
+ */
+export function zipRings(upRings, lowRings, out) {
+	if (upRings.length === 0 || lowRings.length === 0) return;
+
+	// Step 1) Lower ring vertices as point entries of a plan grid
+	var points = [], owner = [];
+	var edgeSum = 0;
+	for (var li = 0; li < lowRings.length; li++) {
+		var rl = lowRings[li];
+		for (var b = 0; b < rl.length; b++) {
+			points.push({ v0: rl[b], v1: rl[b], v2: rl[b] });
+			owner.push([li, b]);
+			var nb = rl[(b + 1) % rl.length];
+			edgeSum += Math.sqrt((nb.x - rl[b].x) * (nb.x - rl[b].x) + (nb.y - rl[b].y) * (nb.y - rl[b].y));
+		}
+	}
+	var cellSize = edgeSum > 0 ? edgeSum / points.length : 1;
+	var grid = buildSpatialGrid(points, cellSize);
+	var lowBoxes = lowRings.map(ringBBox);
+	var used = new Array(lowRings.length);
+	var ru, best, bestU, bestL, bestD;
+
+	// Keep the closest (upper vertex, lower vertex) pair seen so far
+	function consider(a, ring, idx) {
+		var p = lowRings[ring][idx];
+		var dx = p.x - ru[a].x, dy = p.y - ru[a].y;
+		var d = dx * dx + dy * dy;
+		if (d < bestD) { bestD = d; best = ring; bestU = a; bestL = idx; }
+	}
+
+	for (var ui = 0; ui < upRings.length; ui++) {
+		ru = upRings[ui];
+		var box = ringBBox(ru);
+		best = -1;
+		bestU = 0;
+		bestL = 0;
+		bestD = Infinity;
+
+		// Step 2) Closest unused lower vertex within a cell of each upper one
+		for (var a = 0; a < ru.length; a++) {
+			var cands = queryGrid(grid, {
+				minX: ru[a].x - cellSize, minY: ru[a].y - cellSize,
+				maxX: ru[a].x + cellSize, maxY: ru[a].y + cellSize
+			}, cellSize);
+			for (var c = 0; c < cands.length; c++) {
+				if (!used[owner[cands[c]][0]]) consider(a, owner[cands[c]][0], owner[cands[c]][1]);
+			}
+		}
+
+		// Step 3) Nothing nearby: scan the overlapping lower rings
+		if (best < 0) {
+			for (var lj = 0; lj < lowRings.length; lj++) {
+				var lb = lowBoxes[lj];
+				if (used[lj] || lb.minX > box.maxX || lb.maxX < box.minX || lb.minY > box.maxY || lb.maxY < box.minY) continue;
+				for (var fa = 0; fa < ru.length; fa++) {
+					for (var fb = 0; fb < lowRings[lj].length; fb++) consider(fa, lj, fb);
+				}
+			}
+		}
+		if (best < 0) continue;
+
+		// Step 4) Walk both rings from the closest pair
+		used[best] = true;
+		var lowRing = lowRings[best];
+		var upRun = [], lowRun = [];
+		for (var ri = 0; ri <= ru.length; ri++) upRun.push(ru[(bestU + ri) % ru.length]);
+		for (var mi = 0; mi <= lowRing.length; mi++) lowRun.push(lowRing[(bestL + mi) % lowRing.length]);
+		zipWall(upRun, lowRun, false, out);
+	}
+}
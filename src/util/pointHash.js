@@ -0,0 +1,114 @@
+/**
+ * @module util/pointHash
+ *
+ * Uniform 3-D grid over point ids, stored in typed arrays.
+ *
+ * Cells live in an open-addressing table keyed by their integer grid
+ * coordinates; each cell keeps its points as a linked list in insertion
+ * order. No per-point objects or string keys are allocated, so the weld
+ * and force-close passes scale to meshes with millions of vertices.
+ *
+ * Exports:
+ *  - hashDouble(h, v)
+ *  - createPointHash(capacity, cellSize)
+ */
+
+var scratchF64 = new Float64Array(1);
+var scratchU32 = new Uint32Array(scratchF64.buffer);
+
+/**
+ * Mix the bits of one double into a running 32-bit hash.
+ * @param {number} h
+ * @param {number} v
+ * @returns {number}
+ */
+export function hashDouble(h, v) {
+	scratchF64[0] = v === 0 ? 0 : v; // -0 and 0 hash the same
+	h = Math.imul(h ^ scratchU32[0], 0x9E3779B1);
+	h = Math.imul(h ^ scratchU32[1], 0x85EBCA77);
+	return h ^ (h >>> 15);
+}
+
+/**
+ * Create an empty point grid.
+ *
+ * `insert(id, x, y, z)` files point `id` (0 <= id < capacity, each id at
+ * most once) under the cell containing (x, y, z). `near(x, y, z, visit)`
+ * calls `visit(id)` for the points in the 3×3×3 cells around (x, y, z),
+ * cell by cell in dx, dy, dz order and in insertion order within a cell;
+ * `at` does the same for the one cell containing (x, y, z). Both stop at
+ * the first id for which `visit` returns true and return it, else -1.
+ *
+ * @param {number} capacity - Largest number of points that will be inserted
+ * @param {number} cellSize - Cell edge length (world units)
+ * @returns {{
+ *   insert: function(number, number, number, number): void,
+ *   near: function(number, number, number, function(number): boolean): number,
+ *   at: function(number, number, number, function(number): boolean): number
+ * }}
+ */
+export function createPointHash(capacity, cellSize) {
+	var cap = 16;
+	while (cap < capacity * 2) cap *= 2;
+	var mask = cap - 1;
+	var table = new Int32Array(cap).fill(-1);
+	var cellCoords = new Float64Array(capacity * 3);
+	var head = new Int32Array(capacity);
+	var tail = new Int32Array(capacity);
+	var next = new Int32Array(capacity);
+	var nCells = 0;
+
+	/** Cell id of grid coordinates (gx, gy, gz), or -1 (or a new cell when `create`) */
+	function findCell(gx, gy, gz, create) {
+		var h = hashDouble(hashDouble(hashDouble(0x811C9DC5, gx), gy), gz) & mask;
+		while (table[h] !== -1) {
+			var o = table[h] * 3;
+			if (cellCoords[o] === gx && cellCoords[o + 1] === gy && cellCoords[o + 2] === gz) return table[h];
+			h = (h + 1) & mask;
+		}
+		if (!create) return -1;
+		var cell = nCells++;
+		cellCoords[cell * 3] = gx;
+		cellCoords[cell * 3 + 1] = gy;
+		cellCoords[cell * 3 + 2] = gz;
+		head[cell] = -1;
+		table[h] = cell;
+		return cell;
+	}
+
+	function visitCell(cell, visit) {
+		for (var id = cell < 0 ? -1 : head[cell]; id !== -1; id = next[id]) {
+			if (visit(id)) return id;
+		}
+		return -1;
+	}
+
+	return {
+		insert: function (id, x, y, z) {
+			var cell = findCell(Math.floor(x / cellSize), Math.floor(y / cellSize), Math.floor(z / cellSize), true);
+			next[id] = -1;
+			if (head[cell] === -1) head[cell] = id;
+			else next[tail[cell]] = id;
+			tail[cell] = id;
+		},
+
+		near: function (x, y, z, visit) {
+			var gx = Math.floor(x / cellSize);
+			var gy = Math.floor(y / cellSize);
+			var gz = Math.floor(z / cellSize);
+			for (var dx = -1; dx <= 1; dx++) {
+				for (var dy = -1; dy <= 1; dy++) {
+					for (var dz = -1; dz <= 1; dz++) {
+						var found = visitCell(findCell(gx + dx, gy + dy, gz + dz, false), visit);
+						if (found !== -1) return found;
+					}
+				}
+			}
+			return -1;
+		},
+
+		at: function (x, y, z, visit) {
+			return visitCell(findCell(Math.floor(x / cellSize), Math.floor(y / cellSize), Math.floor(z / cellSize), false), visit);
+		}
+	};
+}
@@ -0,0 +1,259 @@
+/**
+ * @module util/typedMesh
+ *
+ * Typed-array indexed meshes: { positions: Float64Array, indices: Uint32Array }.
+ *
+ * positions holds x,y,z per vertex; indices holds three vertex indices per
+ * triangle. boolean, splitMeshPair, mergeSplitGroups, bmsBooleanOp and
+ * repairMesh accept this format and return it when given it.
+ *
+ * Indexing a soup (soupToTypedMesh), welding (weldPositions) and
+ * force-closing (forceCloseTypedMesh) run on the typed arrays without
+ * per-vertex objects or string keys, and typed results are indexed
+ * straight from the result soup without the welded points / triangles a
+ * soup result carries. Intersection, splitting, classification and the
+ * repairMesh stages still work on the object soup, so a typed input is
+ * expanded once on the way in; moving those onto the indices is not done.
+ *
+ * Triangle provenance and vertex attribute channels travel as optional
+ * parallel arrays, so a typed result keeps what a soup result carries:
+ *   sourceMesh: Array<string|null>, sourceIndex: Int32Array  — per triangle (-1 = none)
+ *   attributes: { [channel]: { itemSize: number, array: Float64Array } } — per vertex
+ *
+ * Welding back to indices uses an open-addressing hash table over the raw
+ * coordinates (and attribute values).
+ */
+
+import { hashDouble } from "./pointHash.js";
+
+/**
+ * True when `mesh` is a typed-array indexed mesh rather than a soup.
+ * @param {*} mesh
+ * @returns {boolean}
+ */
+export function isTypedMesh(mesh) {
+	return !!mesh && !Array.isArray(mesh) && mesh.positions !== undefined && mesh.indices !== undefined;
+}
+
+/**
+ * Convert a typed-array indexed mesh to a triangle soup.
+ *
+ * `positions` may be a Float64Array, Float32Array (e.g. a three.js position
+ * attribute array, read in place) or plain array. When `indices` is null
+ * every three consecutive vertices form a triangle. `sourceMesh` /
+ * `sourceIndex` and `attributes` (see module header) are put back as
+ * triangle `source` and vertex `attributes`.
+ *
+ * @param {{ positions: ArrayLike<number>, indices: ArrayLike<number>|null, sourceMesh?: Array<string|null>, sourceIndex?: ArrayLike<number>, attributes?: Object }} mesh
+ * @returns {Array<{ v0: {x,y,z}, v1: {x,y,z}, v2: {x,y,z} }>}
+ */
+export function typedMeshToSoup(mesh) {
+	var pos = mesh.positions;
+	var idx = mesh.indices;
+	var nTri = idx ? Math.floor(idx.length / 3) : Math.floor(pos.length / 9);
+	var soup = new Array(nTri);
+	var channels = mesh.attributes ? Object.keys(mesh.attributes) : [];
+
+	function vert(i) {
+		var o = i * 3;
+		if (o + 2 >= pos.length) throw new Error("typedMeshToSoup: index " + i + " out of range");
+		var v = { x: pos[o], y: pos[o + 1], z: pos[o + 2] };
+		for (var c = 0; c < channels.length; c++) {
+			var attr = mesh.attributes[channels[c]];
+			var a = i * attr.itemSize;
+			// NaN marks a vertex without this channel
+			if (a >= attr.array.length || attr.array[a] !== attr.array[a]) continue;
+			if (!v.attributes) v.attributes = {};
+			v.attributes[channels[c]] = Array.prototype.slice.call(attr.array, a, a + attr.itemSize);
+		}
+		return v;
+	}
+
+	for (var t = 0; t < nTri; t++) {
+		var b = t * 3;
+		soup[t] = idx
+			? { v0: vert(idx[b]), v1: vert(idx[b + 1]), v2: vert(idx[b + 2]) }
+			: { v0: vert(b), v1: vert(b + 1), v2: vert(b + 2) };
+		if (mesh.sourceIndex && mesh.sourceIndex[t] >= 0) {
+			soup[t].source = { mesh: mesh.sourceMesh[t], index: mesh.sourceIndex[t] };
+		}
+	}
+	return soup;
+}
+
+/**
+ * Attribute channels present on any corner of a soup, with their sizes.
+ * @param {Array} soup
+ * @returns {Array<{ name: string, itemSize: number }>}
+ */
+function soupChannels(soup) {
+	var sizes = {};
+	var list = [];
+	for (var t = 0; t < soup.length; t++) {
+		var vs = [soup[t].v0, soup[t].v1, soup[t].v2];
+		for (var k = 0; k < 3; k++) {
+			var attrs = vs[k].attributes;
+			if (!attrs) continue;
+			for (var ch in attrs) {
+				if (sizes[ch] === undefined) {
+					sizes[ch] = list.length;
+					list.push({ name: ch, itemSize: attrs[ch].length });
+				} else if (attrs[ch].length > list[sizes[ch]].itemSize) {
+					list[sizes[ch]].itemSize = attrs[ch].length;
+				}
+			}
+		}
+	}
+	return list;
+}
+
+/**
+ * Convert a triangle soup to a typed-array indexed mesh.
+ *
+ * With tolerance 0 (default) only bit-identical coordinates share a
+ * vertex — the seam vertices of boolean output are already exact. With a
+ * tolerance, coordinates are rounded to multiples of it before matching
+ * and the first vertex seen keeps its exact position. Triangles that
+ * collapse onto a repeated vertex are dropped.
+ *
+ * Triangle `source` and vertex `attributes` become the parallel arrays
+ * described in the module header; corners at one position with different
+ * attribute values (texture seams) stay separate vertices. Channels a
+ * vertex lacks are NaN.
+ *
+ * @param {Array<{ v0: {x,y,z}, v1: {x,y,z}, v2: {x,y,z} }>} soup
+ * @param {number} [tolerance=0]
+ * @returns {{ positions: Float64Array, indices: Uint32Array, sourceMesh?: Array<string|null>, sourceIndex?: Int32Array, attributes?: Object }}
+ */
+export function soupToTypedMesh(soup, tolerance) {
+	var tol = tolerance > 0 ? tolerance : 0;
+	var maxVerts = soup.length * 3;
+	var positions = new Float64Array(maxVerts * 3);
+	var keys = tol > 0 ? new Float64Array(maxVerts * 3) : positions;
+	var indices = new Uint32Array(soup.length * 3);
+	var channels = soupChannels(soup);
+	var values = channels.map(function (ch) { return new Float64Array(maxVerts * ch.itemSize).fill(NaN); });
+	var hasSource = false;
+	for (var s = 0; s < soup.length && !hasSource; s++) hasSource = !!soup[s].source;
+	var sourceMesh = hasSource ? [] : null;
+	var sourceIndex = hasSource ? new Int32Array(soup.length) : null;
+
+	// Step 1) Power-of-two open-addressing table, load factor <= 0.5
+	var cap = 16;
+	while (cap < maxVerts * 2) cap *= 2;
+	var table = new Int32Array(cap).fill(-1);
+	var mask = cap - 1;
+	var nVerts = 0;
+	var nIdx = 0;
+
+	/** Vertex id `id` holds the same attribute values as corner v */
+	function sameAttributes(id, v) {
+		for (var c = 0; c < channels.length; c++) {
+			var a = v.attributes && v.attributes[channels[c].name];
+			var o = id * channels[c].itemSize;
+			for (var k = 0; k < channels[c].itemSize; k++) {
+				var want = a && k < a.length ? a[k] : NaN;
+				var have = values[c][o + k];
+				if (have !== want && (have === have || want === want)) return false;
+			}
+		}
+		return true;
+	}
+
+	function vertexIndex(v) {
+		var kx = tol > 0 ? Math.round(v.x / tol) : v.x;
+		var ky = tol > 0 ? Math.round(v.y / tol) : v.y;
+		var kz = tol > 0 ? Math.round(v.z / tol) : v.z;
+		var h = hashDouble(hashDouble(hashDouble(0x811C9DC5, kx), ky), kz);
+		if (v.attributes) {
+			for (var c = 0; c < channels.length; c++) {
+				var a = v.attributes[channels[c].name];
+				if (!a) continue;
+				for (var k = 0; k < a.length; k++) h = hashDouble(h, a[k]);
+			}
+		}
+		h &= mask;
+
+		while (table[h] !== -1) {
+			var o = table[h] * 3;
+			if (keys[o] === kx && keys[o + 1] === ky && keys[o + 2] === kz && sameAttributes(table[h], v)) return table[h];
+			h = (h + 1) & mask;
+		}
+
+		var id = nVerts++;
+		var p = id * 3;
+		positions[p] = v.x;
+		positions[p + 1] = v.y;
+		positions[p + 2] = v.z;
+		if (tol > 0) {
+			keys[p] = kx;
+			keys[p + 1] = ky;
+			keys[p + 2] = kz;
+		}
+		if (v.attributes) {
+			for (var ci = 0; ci < channels.length; ci++) {
+				var src = v.attributes[channels[ci].name];
+				if (src) values[ci].set(src, id * channels[ci].itemSize);
+			}
+		}
+		table[h] = id;
+		return id;
+	}
+
+	// Step 2) Index every corner, provenance per kept triangle
+	for (var t = 0; t < soup.length; t++) {
+		var tri = soup[t];
+		var a = vertexIndex(tri.v0);
+		var b = vertexIndex(tri.v1);
+		var c = vertexIndex(tri.v2);
+		if (a === b || b === c || a === c) continue;
+		if (hasSource) {
+			sourceMesh.push(tri.source ? tri.source.mesh : null);
+			sourceIndex[nIdx / 3] = tri.source ? tri.source.index : -1;
+		}
+		indices[nIdx++] = a;
+		indices[nIdx++] = b;
+		indices[nIdx++] = c;
+	}
+
+	var mesh = {
+		positions: positions.slice(0, nVerts * 3),
+		indices: nIdx === indices.length ? indices : indices.slice(0, nIdx)
+	};
+	if (hasSource) {
+		mesh.sourceMesh = sourceMesh;
+		mesh.sourceIndex = sourceIndex.slice(0, nIdx / 3);
+	}
+	if (channels.length > 0) {
+		mesh.attributes = {};
+		for (var ch = 0; ch < channels.length; ch++) {
+			mesh.attributes[channels[ch].name] = {
+				itemSize: channels[ch].itemSize,
+				array: values[ch].slice(0, nVerts * channels[ch].itemSize)
+			};
+		}
+	}
+	return mesh;
+}
+
+/**
+ * Soup view of a mesh argument: typed meshes are converted, soups pass through.
+ * Internal helper for the public entry points.
+ *
+ * @param {Array|{ positions: ArrayLike<number>, indices: ArrayLike<number> }} mesh
+ * @returns {Array}
+ */
+export function asSoup(mesh) {
+	return isTypedMesh(mesh) ? typedMeshToSoup(mesh) : mesh;
+}
+
+/**
+ * Convert each soup in a groups object to a typed mesh.
+ * @param {Object<string, Array>} groups
+ * @returns {Object<string, { positions: Float64Array, indices: Uint32Array }>}
+ */
+export function groupsToTypedMeshes(groups) {
+	var out = {};
+	for (var k in groups) out[k] = soupToTypedMesh(groups[k]);
+	return out;
+}
@@ -10,8 +10,22 @@ import {
 	classifyPointMultiAxis,
 	buildSpatialGrid,
 	buildSpatialGridOnAxes,
-	estimateAvgEdge
+	estimateAvgEdge,
+	bmsBooleanOp,
+	isTypedMesh,
+	typedMeshToSoup,
+	soupToTypedMesh,
+	triNormal,
+	evaluateCSG,
+	imprint,
+	sliceByPlane,
+	buildCurtainAndCap,
+	computeSignedVolume,
+	fanTriangulate,
+	vKey,
+	edgeKey
 } from "../src/index.js";
+import { splitCentred } from "../src/boolean/booleanOp.js";
 import { createCube, createFlatPatch, createWavyPatch } from "./fixtures/meshes.js";
 
 /**
@@ -187,6 +201,47 @@ describe("splitMeshPair", function () {
 	});
 });
 
+describe("fan re-triangulation", function () {
+	function planArea(soup) {
+		var a = 0;
+		for (var i = 0; i < soup.length; i++) {
+			var t = soup[i];
+			a += Math.abs((t.v1.x - t.v0.x) * (t.v2.y - t.v0.y) - (t.v1.y - t.v0.y) * (t.v2.x - t.v0.x)) / 2;
+		}
+		return a;
+	}
+
+	it("falls back to the CDT when the fans would fold over a concave chain", function () {
+		var tri = { v0: { x: 0, y: 0, z: 0 }, v1: { x: 4, y: 0, z: 0 }, v2: { x: 0, y: 4, z: 0 }, source: { mesh: "A", index: 3 } };
+		var chain = [{ x: 3, y: 0, z: 0 }, { x: 1, y: 1, z: 0 }, { x: 1, y: 2.8, z: 0 }, { x: 0, y: 2.8, z: 0 }];
+		var segments = [];
+		for (var i = 0; i + 1 < chain.length; i++) segments.push({ p0: chain[i], p1: chain[i + 1] });
+
+		var subs = fanTriangulate(tri, segments);
+		expect(planArea(subs)).toBeCloseTo(8, 12);
+		var edges = {};
+		subs.forEach(function (t) {
+			edges[edgeKey(vKey(t.v0), vKey(t.v1))] = true;
+			edges[edgeKey(vKey(t.v1), vKey(t.v2))] = true;
+			edges[edgeKey(vKey(t.v2), vKey(t.v0))] = true;
+		});
+		for (var j = 0; j + 1 < chain.length; j++) {
+			expect(edges[edgeKey(vKey(chain[j]), vKey(chain[j + 1]))]).toBe(true);
+		}
+	});
+
+	it("does not fold sub-triangles in splitMeshPair or imprint where the seam turns a corner", function () {
+		// The cube's vertical edges pierce patch triangles away from their edges
+		var patch = createFlatPatch(0, 0, 0.25, 2, 2, 4, 4);
+		var cube = createCube(0.31, -0.17, 0, 1);
+
+		var split = splitMeshPair(patch, cube);
+		expect(planArea(split.groups.aInside)).toBeCloseTo(1, 9);
+		expect(planArea(split.groups.aInside.concat(split.groups.aOutside))).toBeCloseTo(4, 9);
+		expect(planArea(imprint(patch, cube).soup)).toBeCloseTo(4, 9);
+	});
+});
+
 describe("repairMesh enhanced config", function () {
 	it("accepts sliverRatio config", async function () {
 		var cube = createCube(0, 0, 0, 2);
@@ -209,3 +264,605 @@ describe("repairMesh enhanced config", function () {
 		expect(result.soup.length).toBeGreaterThan(0);
 	});
 });
+
+describe("typed-array meshes", function () {
+	it("round-trips soup through soupToTypedMesh / typedMeshToSoup", function () {
+		var cube = createCube(478000, 6772000, 300, 10);
+		var typed = soupToTypedMesh(cube);
+
+		expect(typed.positions).toBeInstanceOf(Float64Array);
+		expect(typed.indices).toBeInstanceOf(Uint32Array);
+		expect(typed.positions.length).toBe(8 * 3);
+		expect(typed.indices.length).toBe(12 * 3);
+		expect(typedMeshToSoup(typed)).toEqual(cube);
+	});
+
+	it("reads Float32Array positions and non-indexed meshes", function () {
+		var soup = typedMeshToSoup({ positions: new Float32Array([0, 0, 0, 1, 0, 0, 0, 1, 0]), indices: null });
+		expect(soup).toEqual([{ v0: { x: 0, y: 0, z: 0 }, v1: { x: 1, y: 0, z: 0 }, v2: { x: 0, y: 1, z: 0 } }]);
+	});
+
+	it("merges vertices within a rounding tolerance and drops collapsed triangles", function () {
+		var soup = [
+			{ v0: { x: 0, y: 0, z: 0 }, v1: { x: 1, y: 0, z: 0 }, v2: { x: 0, y: 1, z: 0 } },
+			{ v0: { x: 1.0000001, y: 0, z: 0 }, v1: { x: 1, y: 1, z: 0 }, v2: { x: 0, y: 1.0000001, z: 0 } },
+			{ v0: { x: 0, y: 0, z: 0 }, v1: { x: 0.0000001, y: 0, z: 0 }, v2: { x: 0, y: 1, z: 0 } }
+		];
+		var typed = soupToTypedMesh(soup, 1e-4);
+		expect(typed.positions.length).toBe(4 * 3);
+		expect(Array.from(typed.indices)).toEqual([0, 1, 2, 1, 3, 2]);
+	});
+
+	it("returns a typed mesh from boolean given typed inputs", function () {
+		var cubeA = createCube(0, 0, 0, 2);
+		var cubeB = createCube(1, 1, 1, 2);
+		var fromSoup = boolean(cubeA, cubeB, "subtract");
+		var fromTyped = boolean(soupToTypedMesh(cubeA), soupToTypedMesh(cubeB), "subtract");
+
+		expect(isTypedMesh(fromTyped)).toBe(true);
+		expect(fromTyped.indices.length).toBe(soupToTypedMesh(fromSoup.soup).indices.length);
+	});
+
+	it("force-closes typed results over the indices without moving vertices", function () {
+		var cubeA = soupToTypedMesh(createCube(0, 0, 0, 2));
+		var cubeB = soupToTypedMesh(createCube(1, 1, 1, 2));
+		var plain = boolean(cubeA, cubeB, "subtract");
+		var closed = boolean(cubeA, cubeB, "subtract", { forceClose: true });
+
+		expect(closed.positions).toEqual(plain.positions);
+		expect(Array.from(closed.indices.subarray(0, plain.indices.length))).toEqual(Array.from(plain.indices));
+	});
+
+	it("carries provenance and attributes as parallel arrays on typed results", function () {
+		var cubeA = createCube(0, 0, 0, 2).map(function (t) {
+			function uv(v) { return { x: v.x, y: v.y, z: v.z, attributes: { uv: [v.x, v.y] } }; }
+			return { v0: uv(t.v0), v1: uv(t.v1), v2: uv(t.v2) };
+		});
+		var fromSoup = boolean(cubeA, createCube(1, 1, 1, 2), "subtract");
+		var typed = boolean(soupToTypedMesh(cubeA), soupToTypedMesh(createCube(1, 1, 1, 2)), "subtract");
+
+		var nTri = typed.indices.length / 3;
+		expect(typed.sourceMesh.length).toBe(nTri);
+		expect(typed.sourceIndex.length).toBe(nTri);
+		expect(typed.attributes.uv.itemSize).toBe(2);
+		expect(typed.attributes.uv.array.length).toBe(typed.positions.length / 3 * 2);
+
+		// Back to soup: same provenance and interpolated UVs as the soup call
+		var soup = typedMeshToSoup(typed);
+		var key = function (t) { return t.source.mesh + t.source.index + "|" + vKey(t.v0) + vKey(t.v1) + vKey(t.v2); };
+		var expected = {};
+		fromSoup.soup.forEach(function (t) { expected[key(t)] = t; });
+		for (var i = 0; i < soup.length; i++) {
+			var ref = expected[key(soup[i])];
+			expect(ref).toBeDefined();
+			if (soup[i].source.mesh === "A") expect(soup[i].v0.attributes.uv).toEqual(ref.v0.attributes.uv);
+			else expect(soup[i].v0.attributes).toBeUndefined();
+		}
+	});
+
+	it("returns typed groups from splitMeshPair and merges them", function () {
+		var split = splitMeshPair(soupToTypedMesh(createCube(0, 0, 0, 2)), createCube(1, 1, 1, 2));
+		expect(isTypedMesh(split.groups.aInside)).toBe(true);
+		expect(split.groups.aOutside.indices.length).toBeGreaterThan(0);
+
+		var merged = mergeSplitGroups(split.groups, "union");
+		expect(isTypedMesh(merged)).toBe(true);
+		expect(merged.indices.length).toBeGreaterThan(0);
+	});
+
+	it("returns typed groups and result from bmsBooleanOp", function () {
+		var out = bmsBooleanOp(soupToTypedMesh(createCube(0, 0, 0, 2)), soupToTypedMesh(createCube(1, 1, 1, 2)), "intersect");
+		expect(isTypedMesh(out.groups.bInside)).toBe(true);
+		expect(isTypedMesh(out.result)).toBe(true);
+		expect(out.result.indices.length).toBeGreaterThan(0);
+	});
+
+	it("repairs a typed mesh", async function () {
+		var patch = soupToTypedMesh(createFlatPatch(0, 0, 0, 10, 10, 4, 4));
+		var repaired = await repairMesh(patch, { closeMode: "weld", snapTolerance: 1e-4 });
+		expect(isTypedMesh(repaired)).toBe(true);
+		expect(repaired.indices.length).toBe(patch.indices.length);
+	});
+});
+
+/**
+ * Helper: true when every corner of `tri` lies in the plane of `parent`.
+ */
+function liesOnTriangle(tri, parent) {
+	var e1x = parent.v1.x - parent.v0.x, e1y = parent.v1.y - parent.v0.y, e1z = parent.v1.z - parent.v0.z;
+	var e2x = parent.v2.x - parent.v0.x, e2y = parent.v2.y - parent.v0.y, e2z = parent.v2.z - parent.v0.z;
+	var nx = e1y * e2z - e1z * e2y, ny = e1z * e2x - e1x * e2z, nz = e1x * e2y - e1y * e2x;
+	var len = Math.sqrt(nx * nx + ny * ny + nz * nz);
+	var verts = [tri.v0, tri.v1, tri.v2];
+	for (var i = 0; i < 3; i++) {
+		var d = ((verts[i].x - parent.v0.x) * nx + (verts[i].y - parent.v0.y) * ny + (verts[i].z - parent.v0.z) * nz) / len;
+		if (Math.abs(d) > 1e-6) return false;
+	}
+	return true;
+}
+
+describe("triangle provenance", function () {
+	it("tags every split triangle with its source mesh and parent index", function () {
+		var cubeA = createCube(478000, 6772000, 300, 2);
+		var cubeB = createCube(478001, 6772001, 301, 2);
+		var split = splitMeshPair(cubeA, cubeB);
+		var expected = { aInside: "A", aOutside: "A", bInside: "B", bOutside: "B" };
+
+		for (var g in expected) {
+			var group = split.groups[g];
+			expect(group.length).toBeGreaterThan(0);
+			for (var i = 0; i < group.length; i++) {
+				var src = group[i].source;
+				expect(src.mesh).toBe(expected[g]);
+				var parent = (src.mesh === "A" ? cubeA : cubeB)[src.index];
+				expect(liesOnTriangle(group[i], parent)).toBe(true);
+			}
+		}
+		// Inputs are left untouched
+		expect(cubeA[0].source).toBeUndefined();
+	});
+
+	it("keeps provenance through boolean, including flipped B faces and pre-repair", function () {
+		var cubeA = createCube(0, 0, 0, 2);
+		var cubeB = createCube(1, 1, 1, 2);
+		var results = [boolean(cubeA, cubeB, "subtract"), boolean(cubeA, cubeB, "subtract", { preRepair: true })];
+
+		for (var r = 0; r < results.length; r++) {
+			var soup = results[r].soup;
+			var meshes = {};
+			for (var i = 0; i < soup.length; i++) {
+				var src = soup[i].source;
+				meshes[src.mesh] = true;
+				expect(liesOnTriangle(soup[i], (src.mesh === "A" ? cubeA : cubeB)[src.index])).toBe(true);
+			}
+			expect(meshes).toEqual({ A: true, B: true });
+			expect(results[r].triangles[0].source).toBeDefined();
+		}
+	});
+
+	it("stamps chained booleans with this call's inputs and keeps the lineage", function () {
+		var cubeA = createCube(0, 0, 0, 2);
+		var cubeB = createCube(1, 1, 1, 2);
+		var cubeC = createCube(-0.5, 0.5, 0.3, 1);
+		var first = boolean(cubeA, cubeB, "union");
+		var second = boolean(first.soup, cubeC, "subtract");
+
+		var soup = second.soup;
+		for (var i = 0; i < soup.length; i++) {
+			var src = soup[i].source;
+			var input = src.mesh === "A" ? first.soup : cubeC;
+			expect(liesOnTriangle(soup[i], input[src.index])).toBe(true);
+			if (src.mesh === "A") {
+				expect(src.parent).toBe(first.soup[src.index].source);
+				expect(liesOnTriangle(soup[i], (src.parent.mesh === "A" ? cubeA : cubeB)[src.parent.index])).toBe(true);
+			} else {
+				expect(src.parent).toBeUndefined();
+			}
+		}
+	});
+
+	it("keeps provenance through the BMS pipeline", function () {
+		var cubeA = createCube(0, 0, 0, 2);
+		var cubeB = createCube(1, 1, 1, 2);
+		var out = bmsBooleanOp(cubeA, cubeB, "union");
+
+		var soup = out.result.soup;
+		for (var i = 0; i < soup.length; i++) {
+			var src = soup[i].source;
+			expect(liesOnTriangle(soup[i], (src.mesh === "A" ? cubeA : cubeB)[src.index])).toBe(true);
+		}
+	});
+});
+
+/**
+ * Helper: copy a soup giving every corner a uv that is a linear function of
+ * position and a normal equal to its face normal.
+ */
+function withAttributes(soup, uvScale) {
+	return soup.map(function (t) {
+		var n = triNormal(t);
+		function corner(v) {
+			return { x: v.x, y: v.y, z: v.z, attributes: { uv: [v.x * uvScale + v.z, v.y * uvScale - v.z], normal: [n.x, n.y, n.z] } };
+		}
+		return { v0: corner(t.v0), v1: corner(t.v1), v2: corner(t.v2) };
+	});
+}
+
+describe("vertex attributes", function () {
+	it("interpolates uv onto Steiner points and flips normals with reversed faces", function () {
+		var cubeA = withAttributes(createCube(0, 0, 0, 2), 0.5);
+		var cubeB = withAttributes(createCube(1, 1, 1, 2), 0.25);
+		var result = boolean(cubeA, cubeB, "subtract");
+		var soup = result.soup;
+
+		expect(soup.length).toBeGreaterThan(12);
+		for (var i = 0; i < soup.length; i++) {
+			var t = soup[i];
+			var scale = t.source.mesh === "A" ? 0.5 : 0.25;
+			var n = triNormal(t);
+			var corners = [t.v0, t.v1, t.v2];
+			for (var c = 0; c < 3; c++) {
+				var v = corners[c];
+				expect(v.attributes.uv[0]).toBeCloseTo(v.x * scale + v.z, 9);
+				expect(v.attributes.uv[1]).toBeCloseTo(v.y * scale - v.z, 9);
+				expect(v.attributes.normal[0]).toBeCloseTo(n.x, 9);
+				expect(v.attributes.normal[1]).toBeCloseTo(n.y, 9);
+				expect(v.attributes.normal[2]).toBeCloseTo(n.z, 9);
+			}
+		}
+	});
+
+	it("keeps attributes through split groups and bmsBooleanOp", function () {
+		var cubeA = withAttributes(createCube(0, 0, 0, 2), 1);
+		var cubeB = withAttributes(createCube(1, 1, 1, 2), 1);
+		var split = splitMeshPair(cubeA, cubeB);
+		var bms = bmsBooleanOp(cubeA, cubeB, "intersect");
+		var soups = [split.groups.aInside, split.groups.bOutside, bms.groups.aInside, bms.result.soup];
+
+		for (var s = 0; s < soups.length; s++) {
+			expect(soups[s].length).toBeGreaterThan(0);
+			for (var i = 0; i < soups[s].length; i++) {
+				var v = soups[s][i].v1;
+				expect(v.attributes.uv[0]).toBeCloseTo(v.x + v.z, 9);
+			}
+		}
+	});
+
+	it("carries attributes onto the welded triangles of boolean and evaluateCSG", function () {
+		var cubeA = withAttributes(createCube(0, 0, 0, 2), 0.5);
+		var cubeB = withAttributes(createCube(1, 1, 1, 2), 0.5);
+		var results = [
+			boolean(cubeA, cubeB, "subtract", { preRepair: true }),
+			evaluateCSG({ op: "union", a: cubeA, b: cubeB })
+		];
+
+		for (var r = 0; r < results.length; r++) {
+			var tris = results[r].triangles;
+			expect(tris.length).toBe(results[r].soup.length);
+			for (var i = 0; i < tris.length; i++) {
+				for (var c = 0; c < 3; c++) {
+					var v = tris[i].vertices[c];
+					expect(v.attributes.uv[0]).toBeCloseTo(v.x * 0.5 + v.z, 6);
+					expect(v.attributes.uv[1]).toBeCloseTo(v.y * 0.5 - v.z, 6);
+				}
+			}
+			expect(results[r].points[0].attributes).toBeUndefined();
+		}
+	});
+
+	it("leaves unattributed meshes as plain x/y/z", function () {
+		var result = boolean(createCube(0, 0, 0, 2), createCube(1, 1, 1, 2), "union");
+		expect(result.soup[0].v0.attributes).toBeUndefined();
+	});
+});
+
+/**
+ * Helper: enclosed volume via the divergence theorem.
+ */
+function signedVolume(soup) {
+	var vol = 0;
+	for (var i = 0; i < soup.length; i++) {
+		var a = soup[i].v0, b = soup[i].v1, c = soup[i].v2;
+		vol += (a.x * (b.y * c.z - b.z * c.y) - a.y * (b.x * c.z - b.z * c.x) + a.z * (b.x * c.y - b.y * c.x)) / 6;
+	}
+	return vol;
+}
+
+describe("reverseSubtract and xor", function () {
+	it("gives B - A and the symmetric difference from the same split groups", function () {
+		var cubeA = createCube(0, 0, 0, 2);
+		var cubeB = createCube(1, 1, 1, 2);
+		var groups = splitMeshPair(cubeA, cubeB).groups;
+		var sub = mergeSplitGroups(groups, "subtract");
+		var rsub = mergeSplitGroups(groups, "reverseSubtract");
+		var xor = mergeSplitGroups(groups, "xor");
+
+		expect(signedVolume(rsub.soup)).toBeCloseTo(signedVolume(boolean(cubeB, cubeA, "subtract").soup), 9);
+		expect(signedVolume(xor.soup)).toBeCloseTo(signedVolume(sub.soup) + signedVolume(rsub.soup), 9);
+		expect(xor.soup.length).toBe(sub.soup.length + rsub.soup.length);
+		expect(countOpenEdges(rsub.soup).openEdges).toBe(0);
+	});
+
+	it("winds open inputs like subtract with the operands swapped", function () {
+		var topo = createFlatPatch(0, 0, 0, 10, 10, 10, 10);
+		var pit = createCube(0, 0, 0, 2);
+		var rsub = boolean(topo, pit, "reverseSubtract");
+		expect(signedVolume(rsub.soup)).toBeCloseTo(signedVolume(boolean(pit, topo, "subtract").soup), 9);
+
+		var bms = bmsBooleanOp(topo, pit, "xor");
+		expect(bms.result.soup.length).toBe(
+			bmsBooleanOp(topo, pit, "subtract").result.soup.length + bmsBooleanOp(topo, pit, "reverseSubtract").result.soup.length
+		);
+	});
+
+	it("keeps B for reverseSubtract and both meshes for xor when they do not touch", function () {
+		var cubeA = createCube(0, 0, 0, 1);
+		var cubeB = createCube(5, 0, 0, 1);
+		expect(boolean(cubeA, cubeB, "reverseSubtract").soup[0].v0.x).toBe(4.5);
+		expect(boolean(cubeA, cubeB, "xor").soup.length).toBe(24);
+	});
+});
+
+describe("evaluateCSG", function () {
+	it("matches chained boolean calls for n-ary subtract and union", function () {
+		var c1 = createCube(0, 0, 0, 2);
+		var c2 = createCube(1, 1, 1, 2);
+		var c3 = createCube(-1, -1, -1, 2);
+
+		var sub = evaluateCSG({ op: "subtract", of: [c1, c2, c3] });
+		var subChained = boolean(boolean(c1, c2, "subtract").soup, c3, "subtract");
+		expect(signedVolume(sub.soup)).toBeCloseTo(signedVolume(subChained.soup), 6);
+
+		var uni = evaluateCSG({ op: "union", of: [c1, c2, c3] });
+		var uniChained = boolean(boolean(c1, c2, "union").soup, c3, "union");
+		expect(signedVolume(uni.soup)).toBeCloseTo(signedVolume(uniChained.soup), 6);
+		expect(uni.points.length).toBeGreaterThan(0);
+	});
+
+	it("keeps an open surface open through a nested tree", function () {
+		var topo = createFlatPatch(0, 0, 0, 10, 10, 10, 10);
+		var pitA = createCube(0, 0, 0, 2);
+		var pitB = createCube(3, 0, 0, 2);
+
+		var result = evaluateCSG({ op: "subtract", a: topo, b: { op: "union", a: pitA, b: pitB } });
+		expect(result.soup.length).toBeGreaterThan(topo.length);
+		expect(countOpenEdges(result.soup).openEdges).toBeGreaterThan(0);
+		expect(countOpenEdges(result.soup).overShared).toBe(0);
+	});
+
+	it("labels provenance by leaf name and returns typed meshes for typed leaves", function () {
+		var cubeA = createCube(0, 0, 0, 2);
+		var cubeB = createCube(1, 1, 1, 2);
+
+		var named = evaluateCSG({ op: "intersect", a: { name: "block", mesh: cubeA }, b: cubeB });
+		var labels = {};
+		for (var i = 0; i < named.soup.length; i++) labels[named.soup[i].source.mesh] = true;
+		expect(Object.keys(labels).sort()).toEqual(["B", "block"]);
+
+		var typed = evaluateCSG({ op: "intersect", a: soupToTypedMesh(cubeA), b: cubeB });
+		expect(isTypedMesh(typed)).toBe(true);
+		expect(typed.indices.length / 3).toBe(named.soup.length);
+	});
+
+	it("builds the grids of a soup split twice only once", function () {
+		var shared = createCube(0, 0, 0, 2);
+		var cache = [];
+		splitCentred(createCube(1, 1, 1, 2), shared, cache);
+		expect(cache.length).toBe(2);
+		var entry = cache.filter(function (e) { return e.soup === shared; })[0];
+		var grids = [entry.xy, entry.yz, entry.xz];
+
+		splitCentred(createCube(-1, -1, -1, 2), shared, cache);
+		expect(cache.length).toBe(3);
+		var again = cache.filter(function (e) { return e.soup === shared; });
+		expect(again.length).toBe(1);
+		expect(again[0].xy).toBe(grids[0]);
+		expect(again[0].yz).toBe(grids[1]);
+		expect(again[0].xz).toBe(grids[2]);
+	});
+
+	it("follows boolean semantics for disjoint operands and rejects unknown ops", function () {
+		var c1 = createCube(0, 0, 0, 1);
+		var c2 = createCube(5, 0, 0, 1);
+		expect(evaluateCSG({ op: "intersect", a: c1, b: c2 })).toBeNull();
+		expect(evaluateCSG({ op: "union", of: [c1, c2] }).soup.length).toBe(24);
+		expect(evaluateCSG({ op: "subtract", a: c1, b: c2 }).soup.length).toBe(12);
+		expect(evaluateCSG({ op: "xor", a: c1, b: c2 }).soup.length).toBe(24);
+		expect(function () { evaluateCSG({ op: "difference", a: c1, b: c2 }); }).toThrow(/unknown op/);
+	});
+});
+
+describe("imprint", function () {
+	it("keeps all of A, cut along a closed seam with inside and outside sides", function () {
+		var topo = createFlatPatch(478000, 6772000, 300, 10, 10, 10, 10);
+		var pit = createCube(478000.3, 6772000.2, 300, 3);
+		var imp = imprint(topo, pit);
+
+		expect(imp.soup.length).toBeGreaterThan(topo.length);
+		expect(imp.faces.length).toBe(imp.soup.length);
+		expect(imp.regionCount).toBe(2);
+		expect(imp.seams.length).toBe(1);
+		expect(imp.seams[0].closed).toBe(true);
+
+		// Total area is unchanged; the pit's 3 x 3 footprint lies behind its walls
+		var area = { front: 0, back: 0 };
+		for (var i = 0; i < imp.soup.length; i++) {
+			var t = imp.soup[i];
+			expect(t.source.mesh).toBe("A");
+			area[t.side] += Math.abs((t.v1.x - t.v0.x) * (t.v2.y - t.v0.y) - (t.v1.y - t.v0.y) * (t.v2.x - t.v0.x)) / 2;
+		}
+		expect(area.front + area.back).toBeCloseTo(100, 6);
+		expect(area.back).toBeCloseTo(9, 6);
+
+		// Seam indices land on the intersection line, and are mesh edges
+		var edges = {};
+		for (var f = 0; f < imp.faces.length; f++) {
+			for (var c = 0; c < 3; c++) {
+				var a = imp.faces[f][c], b = imp.faces[f][(c + 1) % 3];
+				edges[Math.min(a, b) + "," + Math.max(a, b)] = true;
+			}
+		}
+		var seam = imp.seams[0].indices;
+		for (var s = 0; s < seam.length; s++) {
+			expect(imp.points[seam[s]].z).toBeCloseTo(300, 9);
+			var n = seam[(s + 1) % seam.length];
+			expect(edges[Math.min(seam[s], n) + "," + Math.max(seam[s], n)]).toBe(true);
+		}
+	});
+
+	it("returns A unchanged with null sides when B does not touch it", function () {
+		var topo = createFlatPatch(0, 0, 0, 10, 10, 4, 4);
+		var imp = imprint(topo, createCube(100, 0, 0, 1));
+		expect(imp.soup.length).toBe(topo.length);
+		expect(imp.seams).toEqual([]);
+		expect(imp.soup[0].side).toBeNull();
+	});
+});
+
+describe("sliceByPlane", function () {
+	it("cuts a cube into two closed capped solids at UTM coordinates", function () {
+		var cube = createCube(478000, 6772000, 300, 2);
+		var cut = sliceByPlane(cube, { x: 478000, y: 6772000, z: 300.5 }, { x: 0, y: 0, z: 1 }, { cap: true });
+
+		expect(countOpenEdges(cut.above).openEdges).toBe(0);
+		expect(countOpenEdges(cut.below).openEdges).toBe(0);
+		var shift = function (soup) {
+			return soup.map(function (t) {
+				var v = function (p) { return { x: p.x - 478000, y: p.y - 6772000, z: p.z - 300 }; };
+				return { v0: v(t.v0), v1: v(t.v1), v2: v(t.v2) };
+			});
+		};
+		expect(signedVolume(shift(cut.above))).toBeCloseTo(2, 9);
+		expect(signedVolume(shift(cut.below))).toBeCloseTo(6, 9);
+
+		expect(cut.polylines.length).toBe(1);
+		expect(cut.polylines[0].closed).toBe(true);
+		for (var i = 0; i < cut.polylines[0].points.length; i++) {
+			expect(cut.polylines[0].points[i].z).toBe(300.5);
+		}
+	});
+
+	it("splits an oblique plane through a solid into equal halves", function () {
+		var cut = sliceByPlane(createCube(0, 0, 0, 2), { x: 0, y: 0, z: 0 }, { x: 1, y: 1, z: 1 }, { cap: true });
+		expect(signedVolume(cut.above)).toBeCloseTo(4, 9);
+		expect(signedVolume(cut.below)).toBeCloseTo(4, 9);
+		expect(cut.polylines.length).toBe(1);
+		expect(cut.polylines[0].closed).toBe(true);
+	});
+
+	it("sections an open surface without capping and keeps provenance", function () {
+		var terrain = createWavyPatch(0, 0, 0, 10, 10, 8, 0.5);
+		var cut = sliceByPlane(terrain, { x: 0.3, y: 0, z: 0 }, { x: 1, y: 0, z: 0 }, { cap: true });
+
+		expect(cut.polylines.length).toBe(1);
+		expect(cut.polylines[0].closed).toBe(false);
+		for (var i = 0; i < cut.polylines[0].points.length; i++) {
+			expect(cut.polylines[0].points[i].x).toBe(0.3);
+		}
+		expect(cut.above.length + cut.below.length).toBeGreaterThan(terrain.length);
+		for (var j = 0; j < cut.above.length; j++) {
+			expect(cut.above[j].source.mesh).toBe("A");
+			expect(Math.min(cut.above[j].v0.x, cut.above[j].v1.x, cut.above[j].v2.x)).toBeGreaterThanOrEqual(0.3);
+		}
+	});
+
+	it("does not re-cap a loop closed by faces lying in the plane", function () {
+		var cut = sliceByPlane(createCube(0, 0, 0, 2), { x: 0, y: 0, z: -1 }, { x: 0, y: 0, z: 1 }, { cap: true });
+		expect(cut.above.length).toBe(12);
+		expect(cut.below.length).toBe(0);
+		expect(function () { sliceByPlane(createCube(), { x: 0, y: 0, z: 0 }, { x: 0, y: 0, z: 0 }); }).toThrow(/non-zero/);
+	});
+
+	it("reports the outline of a face in the plane from either side", function () {
+		var top = sliceByPlane(createCube(0, 0, 0, 2), { x: 0, y: 0, z: 1 }, { x: 0, y: 0, z: 1 });
+		var bottom = sliceByPlane(createCube(0, 0, 0, 2), { x: 0, y: 0, z: -1 }, { x: 0, y: 0, z: 1 });
+		expect(top.polylines.length).toBe(1);
+		expect(top.polylines[0].closed).toBe(true);
+		expect(top.polylines[0].points.length).toBe(4);
+		expect(bottom.polylines.length).toBe(1);
+		expect(bottom.polylines[0].closed).toBe(true);
+		expect(bottom.polylines[0].points.length).toBe(4);
+	});
+
+	it("caps a hollow shell with a ring", function () {
+		var inner = createCube(0, 0, 0, 2).map(function (t) { return { v0: t.v0, v1: t.v2, v2: t.v1 }; });
+		var shell = createCube(0, 0, 0, 4).concat(inner);
+		var cut = sliceByPlane(shell, { x: 0, y: 0, z: 0.5 }, { x: 0, y: 0, z: 1 }, { cap: true });
+
+		expect(cut.polylines.length).toBe(2);
+		expect(countOpenEdges(cut.above).openEdges).toBe(0);
+		expect(countOpenEdges(cut.below).openEdges).toBe(0);
+		expect(signedVolume(cut.above)).toBeCloseTo(16 * 1.5 - 4 * 0.5, 9);
+		expect(signedVolume(cut.below)).toBeCloseTo(16 * 2.5 - 4 * 1.5, 9);
+	});
+
+	it("cuts an edge whose ends sit within rounding of an oblique plane", function () {
+		// Float distances to the plane disagree with the exact side test here
+		var tri = {
+			v0: { x: 1.8188645972007475e-9, y: 2.417363691216431e-9, z: 5.7324760234563855e-9 },
+			v1: { x: 2.9570928185548017e-9, y: 4.01943066133044e-9, z: 9.632368086824338e-9 },
+			v2: { x: 1.5, y: -3.5, z: 1 }
+		};
+		var cut = sliceByPlane([tri], { x: 0, y: 0, z: 0 }, { x: 0.3, y: -0.7, z: 0.2 });
+
+		expect(cut.above.length + cut.below.length).toBeGreaterThan(1);
+		cut.above.concat(cut.below).forEach(function (t) {
+			[t.v0, t.v1, t.v2].forEach(function (p) {
+				expect(isFinite(p.x) && isFinite(p.y) && isFinite(p.z)).toBe(true);
+			});
+		});
+	});
+});
+
+describe("buildCurtainAndCap", function () {
+	// Tilted floor z = 0.1x + 0.2y, wider than the patches it closes
+	function tiltedFloor(z) {
+		return createFlatPatch(0, 0, 0, 5, 5, 7, 7).map(function (t) {
+			function lift(v) { return { x: v.x, y: v.y, z: z + 0.1 * v.x + 0.2 * v.y }; }
+			return { v0: lift(t.v0), v1: lift(t.v1), v2: lift(t.v2) };
+		});
+	}
+
+	it("drops walls to a flat floor below the mesh", function () {
+		var patch = createFlatPatch(0, 0, 5, 2, 2, 2, 2);
+		var solid = patch.concat(buildCurtainAndCap(patch, 1));
+		expect(countOpenEdges(solid).openEdges).toBe(0);
+		expect(computeSignedVolume(solid)).toBeCloseTo(4, 9);
+	});
+
+	it("winds the flat-floor cap with the boundary for either facing", function () {
+		// Reversing every cap triangle regardless of the loop direction left
+		// the cap of an upward-facing patch facing up, inside-out against
+		// the walls (volume 2.58 here, not 4)
+		var up = createFlatPatch(0, 0, 5, 2, 2, 2, 2);
+		var down = up.map(function (t) { return { v0: t.v0, v1: t.v2, v2: t.v1 }; });
+		var extraUp = buildCurtainAndCap(up, 1);
+		var extraDown = buildCurtainAndCap(down, 1);
+		function capFacing(extra) {
+			return extra.filter(function (t) { return t.v0.z === 4 && t.v1.z === 4 && t.v2.z === 4; })
+				.map(function (t) { return Math.sign(triNormal(t).z); });
+		}
+		expect(capFacing(extraUp).length).toBeGreaterThan(0);
+		capFacing(extraUp).forEach(function (s) { expect(s).toBe(-1); });
+		capFacing(extraDown).forEach(function (s) { expect(s).toBe(1); });
+
+		var solidUp = up.concat(extraUp);
+		var solidDown = down.concat(extraDown);
+		expect(countOpenEdges(solidUp).overShared).toBe(0);
+		expect(computeSignedVolume(solidUp)).toBeCloseTo(4, 9);
+		expect(computeSignedVolume(solidDown)).toBeCloseTo(-4, 9);
+	});
+
+	it("extrudes down to a floor surface, capped with the piece of it inside the boundary", function () {
+		var patch = createFlatPatch(0.13, -0.07, 5, 2, 2, 4, 4);
+		var extra = buildCurtainAndCap(patch, tiltedFloor(0));
+		var solid = patch.concat(extra);
+		var quality = countOpenEdges(solid);
+		expect(quality.openEdges).toBe(0);
+		expect(quality.overShared).toBe(0);
+		// Plane floor: mean depth is 5 minus the floor Z at the patch centre
+		expect(computeSignedVolume(solid)).toBeCloseTo(4 * (5 - (0.1 * 0.13 - 0.2 * 0.07)), 9);
+		for (var i = 0; i < extra.length; i++) {
+			var t = extra[i];
+			expect(Math.max(t.v0.z, t.v1.z, t.v2.z)).toBeLessThanOrEqual(5);
+		}
+	});
+
+	it("extrudes up to a floor surface above, keeping holes open", function () {
+		// Downward-facing patch with a 1 × 1 hole
+		var patch = createFlatPatch(0.13, -0.07, 5, 2, 2, 4, 4).filter(function (t) {
+			var gx = (t.v0.x + t.v1.x + t.v2.x) / 3 - 0.13, gy = (t.v0.y + t.v1.y + t.v2.y) / 3 + 0.07;
+			return Math.abs(gx) > 0.5 || Math.abs(gy) > 0.5;
+		}).map(function (t) { return { v0: t.v0, v1: t.v2, v2: t.v1 }; });
+		var solid = patch.concat(buildCurtainAndCap(patch, soupToTypedMesh(tiltedFloor(9))));
+		var quality = countOpenEdges(solid);
+		expect(quality.openEdges).toBe(0);
+		expect(quality.overShared).toBe(0);
+		expect(computeSignedVolume(solid)).toBeCloseTo(3 * (9 + (0.1 * 0.13 - 0.2 * 0.07) - 5), 9);
+	});
+
+	it("throws when the boundary does not project onto the floor surface", function () {
+		var patch = createFlatPatch(3, 0, 5, 2, 2, 2, 2);
+		expect(function () { buildCurtainAndCap(patch, tiltedFloor(0)); }).toThrow(/does not project/);
+	});
+});
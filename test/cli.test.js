@@ -0,0 +1,119 @@
+import { describe, it, expect, beforeAll, afterAll } from "vitest";
+import { mkdtempSync, rmSync, readFileSync, existsSync, writeFileSync } from "node:fs";
+import { join } from "node:path";
+import { tmpdir } from "node:os";
+import { runCli } from "../src/cli.js";
+import { writeSTL, parseSTL, parseOBJ, parseDXF, writeOBJ } from "../src/index.js";
+import { createCube, createWavyPatch } from "./fixtures/meshes.js";
+
+var dir;
+var messages;
+
+/**
+ * Helper: run the CLI with captured console output.
+ */
+function run(argv) {
+	messages = [];
+	return runCli(argv, {
+		log: function (s) { messages.push(s); },
+		error: function (s) { messages.push(s); }
+	});
+}
+
+beforeAll(function () {
+	dir = mkdtempSync(join(tmpdir(), "trimesh-cli-"));
+	writeFileSync(join(dir, "a.stl"), writeSTL(createCube(0, 0, 0, 2)));
+	writeFileSync(join(dir, "b.stl"), writeSTL(createCube(1, 1, 1, 2)));
+	writeFileSync(join(dir, "terrain.obj"), writeOBJ([{ name: "terrain", soup: createWavyPatch(0, 0, 0, 10, 10, 8, 0.2) }]));
+});
+
+afterAll(function () {
+	rmSync(dir, { recursive: true, force: true });
+});
+
+describe("trimesh-boolean CLI", function () {
+	it("runs a boolean with flags mapped to options", async function () {
+		var out = join(dir, "sub.stl");
+		var code = await run(["boolean", join(dir, "a.stl"), join(dir, "b.stl"), "--op", "subtract", "--pre-repair", "-o", out]);
+		expect(code).toBe(0);
+		expect(parseSTL(readFileSync(out)).length).toBeGreaterThan(0);
+	});
+
+	it("writes binary STL with --binary", async function () {
+		var out = join(dir, "union.stl");
+		var code = await run(["boolean", join(dir, "a.stl"), join(dir, "b.stl"), "--op=union", "--binary", "-o", out]);
+		expect(code).toBe(0);
+		var bytes = readFileSync(out);
+		expect(bytes.length).toBe(84 + new DataView(bytes.buffer, bytes.byteOffset).getUint32(80, true) * 50);
+	});
+
+	it("writes the four split groups as objects or as one file per group", async function () {
+		var objOut = join(dir, "split.obj");
+		expect(await run(["split", join(dir, "a.stl"), join(dir, "b.stl"), "-o", objOut])).toBe(0);
+		expect(parseOBJ(readFileSync(objOut)).map(function (o) { return o.name; })).toEqual(["aInside", "aOutside", "bInside", "bOutside"]);
+
+		var stlOut = join(dir, "split.stl");
+		expect(await run(["split", join(dir, "a.stl"), join(dir, "b.stl"), "-o", stlOut])).toBe(0);
+		expect(existsSync(join(dir, "split-aInside.stl"))).toBe(true);
+		expect(existsSync(join(dir, "split-bOutside.stl"))).toBe(true);
+	});
+
+	it("repairs with RepairConfig flags", async function () {
+		var out = join(dir, "fixed.ply");
+		var code = await run(["repair", join(dir, "terrain.obj"), "--close-mode", "weld", "--snap-tolerance", "0.001", "--no-remove-degenerate", "-o", out]);
+		expect(code).toBe(0);
+		expect(messages[0]).toMatch(/^repair: \d+ triangles$/);
+		expect(existsSync(out)).toBe(true);
+	});
+
+	it("writes chained intersection polylines", async function () {
+		var out = join(dir, "lines.dxf");
+		var code = await run(["intersect", join(dir, "a.stl"), join(dir, "b.stl"), "-o", out]);
+		expect(code).toBe(0);
+		var layers = parseDXF(readFileSync(out));
+		expect(layers[0].name).toBe("INTERSECTION");
+		expect(layers[0].polylines.length).toBeGreaterThan(0);
+	});
+
+	it("intersects georeferenced meshes in place", async function () {
+		writeFileSync(join(dir, "utmA.stl"), writeSTL(createCube(500000, 6000000, 100, 2)));
+		writeFileSync(join(dir, "utmB.stl"), writeSTL(createCube(500001, 6000001, 101, 2)));
+		var out = join(dir, "utm.dxf");
+		expect(await run(["intersect", join(dir, "utmA.stl"), join(dir, "utmB.stl"), "-o", out])).toBe(0);
+		var pts = parseDXF(readFileSync(out))[0].polylines[0].points;
+		for (var i = 0; i < pts.length; i++) {
+			expect(pts[i].x).toBeGreaterThanOrEqual(500000 - 1e-6);
+			expect(pts[i].x).toBeLessThanOrEqual(500001 + 1e-6);
+			expect(pts[i].y).toBeGreaterThanOrEqual(6000000 - 1e-6);
+			expect(pts[i].y).toBeLessThanOrEqual(6000001 + 1e-6);
+		}
+	});
+
+	it("fails cleanly when the meshes do not meet", async function () {
+		writeFileSync(join(dir, "far.stl"), writeSTL(createCube(50, 50, 50, 2)));
+		expect(await run(["intersect", join(dir, "a.stl"), join(dir, "far.stl"), "-o", join(dir, "none.dxf")])).toBe(1);
+		expect(messages[0]).toBe("trimesh-boolean: Meshes do not intersect");
+	});
+
+	it("reports unknown flags, formats and missing options", async function () {
+		expect(await run(["boolean", join(dir, "a.stl"), join(dir, "b.stl"), "--op", "union", "--bogus", "-o", "x.stl"])).toBe(1);
+		expect(messages[0]).toContain("Unknown flag --bogus");
+
+		expect(await run(["boolean", join(dir, "a.stl"), join(dir, "b.stl"), "-o", "x.stl"])).toBe(1);
+		expect(messages[0]).toContain("--op");
+
+		expect(await run(["boolean", join(dir, "a.stl"), join(dir, "b.stl"), "--op", "unoin", "-o", join(dir, "typo.stl")])).toBe(1);
+		expect(messages[0]).toContain("Unknown --op 'unoin'");
+		expect(existsSync(join(dir, "typo.stl"))).toBe(false);
+
+		expect(await run(["repair", join(dir, "a.stl"), "--close-mode", "stich", "-o", join(dir, "typo.ply")])).toBe(1);
+		expect(messages[0]).toContain("Unknown --close-mode 'stich'");
+		expect(existsSync(join(dir, "typo.ply"))).toBe(false);
+
+		expect(await run(["repair", join(dir, "a.stl"), "-o", join(dir, "out.xyz")])).toBe(1);
+		expect(messages[0]).toContain("Unsupported output format");
+
+		expect(await run(["repair", join(dir, "a.stl"), "--snap-tolerance", "abc", "-o", "x.stl"])).toBe(1);
+		expect(messages[0]).toContain("expects a number");
+	});
+});
@@ -0,0 +1,518 @@
+import { describe, it, expect } from "vitest";
+import {
+	parseSTL,
+	writeSTL,
+	parseOBJ,
+	writeOBJ,
+	parseLandXML,
+	writeLandXML,
+	parseSurpacSTR,
+	parseSurpacDTM,
+	writeSurpacSTR,
+	writeSurpacDTM,
+	parseDXF,
+	writeDXF,
+	parsePLY,
+	writePLY,
+	parseOFF,
+	writeOFF,
+	parseESRIGrid,
+	writeESRIGrid,
+	parseXYZGrid,
+	writeXYZGrid,
+	writeGLTF,
+	repairMesh,
+	intersectMeshPairTagged,
+	chainSegments,
+	boolean,
+	splitMeshPair,
+	weldVertices,
+	triNormal
+} from "../src/index.js";
+import { createCube, createFlatPatch, createWavyPatch } from "./fixtures/meshes.js";
+
+describe("STL", function () {
+	it("round-trips ASCII STL", function () {
+		var cube = createCube(0, 0, 0, 2);
+		var text = writeSTL(cube);
+		expect(text.indexOf("solid trimesh-boolean")).toBe(0);
+
+		var soup = parseSTL(text);
+		expect(soup.length).toBe(12);
+		expect(soup[3].v2).toEqual(cube[3].v2);
+	});
+
+	it("writes facet normals from triNormal", function () {
+		var cube = createCube(0, 0, 0, 2);
+		var text = writeSTL(cube.slice(0, 1));
+		var n = triNormal(cube[0]);
+		expect(text).toContain("facet normal " + n.x + " " + n.y + " " + n.z);
+	});
+
+	it("round-trips binary STL", function () {
+		var cube = createCube(1, 2, 3, 2);
+		var buffer = writeSTL(cube, { binary: true });
+		expect(buffer.byteLength).toBe(84 + 12 * 50);
+
+		var soup = parseSTL(buffer);
+		expect(soup.length).toBe(12);
+		expect(soup[5].v1).toEqual(cube[5].v1);
+	});
+
+	it("detects binary STL whose header starts with 'solid'", function () {
+		var cube = createCube(0, 0, 0, 1);
+		var bytes = new Uint8Array(writeSTL(cube, { binary: true }));
+		var header = "solid exported-by-cad";
+		for (var i = 0; i < header.length; i++) bytes[i] = header.charCodeAt(i);
+
+		var soup = parseSTL(bytes);
+		expect(soup.length).toBe(12);
+	});
+
+	it("detects a 'solid' header binary STL with trailing bytes", function () {
+		var cube = createCube(0, 0, 0, 1);
+		var binary = new Uint8Array(writeSTL(cube, { binary: true }));
+		var bytes = new Uint8Array(binary.length + 7);
+		bytes.set(binary);
+		var header = "solid exported-by-cad";
+		for (var i = 0; i < header.length; i++) bytes[i] = header.charCodeAt(i);
+
+		expect(parseSTL(bytes).length).toBe(12);
+	});
+
+	it("reads an empty binary STL whose header starts with 'solid'", function () {
+		var bytes = new Uint8Array(writeSTL([], { binary: true }));
+		var header = "solid exported-by-cad";
+		for (var i = 0; i < header.length; i++) bytes[i] = header.charCodeAt(i);
+
+		expect(bytes.length).toBe(84);
+		expect(parseSTL(bytes)).toEqual([]);
+	});
+
+	it("throws when ASCII STL has no facets", function () {
+		expect(function () { parseSTL("solid junk\nnot a facet\n"); }).toThrow(/no facets/);
+		expect(parseSTL("solid empty\nendsolid empty\n")).toEqual([]);
+	});
+
+	it("parses ASCII STL from a byte buffer", function () {
+		var text = writeSTL(createCube(0, 0, 0, 1));
+		var soup = parseSTL(new TextEncoder().encode(text).buffer);
+		expect(soup.length).toBe(12);
+	});
+
+	it("throws on a truncated facet", function () {
+		var text = "solid bad\nfacet normal 0 0 1\nouter loop\nvertex 0 0 0\nvertex 1 0 0\nendloop\nendfacet\nendsolid bad\n";
+		expect(function () { parseSTL(text); }).toThrow();
+	});
+});
+
+describe("OBJ", function () {
+	it("parses named groups with negative indices and n-gons", function () {
+		var text = [
+			"o pit",
+			"v 0 0 0", "v 1 0 0", "v 1 1 0", "v 0 1 0",
+			"f 1 2 3 4",
+			"g design",
+			"v 0 0 1", "v 1 0 1", "v 1 1 1", "v 0.5 1.5 1", "v 0 1 1",
+			"f -5/1/1 -4/2/2 -3 -2 -1"
+		].join("\n");
+		var objects = parseOBJ(text);
+		expect(objects.length).toBe(2);
+		expect(objects[0].name).toBe("pit");
+		expect(objects[0].soup.length).toBe(2);
+		expect(objects[1].name).toBe("design");
+		expect(objects[1].soup.length).toBe(3);
+		expect(objects[1].soup[0].v0).toEqual({ x: 0, y: 0, z: 1 });
+	});
+
+	it("writes split groups as named objects with shared vertices", function () {
+		var cubeA = createCube(0, 0, 0, 2);
+		var cubeB = createCube(1, 0, 0, 2);
+		var split = splitMeshPair(cubeA, cubeB);
+
+		var text = writeOBJ(split.groups);
+		var objects = parseOBJ(text);
+		var names = objects.map(function (o) { return o.name; });
+		expect(names).toEqual(["aInside", "aOutside", "bInside", "bOutside"]);
+		expect(objects[1].soup.length).toBe(split.groups.aOutside.length);
+	});
+
+	it("writes welded meshes as indexed vertices", function () {
+		var welded = weldVertices(createCube(0, 0, 0, 1), 1e-4);
+		var text = writeOBJ([{ name: "cube", points: welded.points, triangles: welded.triangles }]);
+		expect(text.match(/^v /gm).length).toBe(8);
+		expect(text.match(/^f /gm).length).toBe(12);
+	});
+
+	it("throws on out-of-range face index", function () {
+		expect(function () { parseOBJ("v 0 0 0\nf 1 2 3\n"); }).toThrow();
+	});
+});
+
+describe("LandXML", function () {
+	var SAMPLE = [
+		"<?xml version=\"1.0\"?>",
+		"<LandXML><Surfaces>",
+		"<Surface name=\"Topo &amp; Fill\"><Definition surfType=\"TIN\">",
+		"<Pnts><P id=\"10\">6772000 478000 100</P><P id=\"11\">6772000 478010 101</P><P id=\"12\">6772010 478000 102</P></Pnts>",
+		"<Faces><F>10 11 12</F><F i=\"1\">10 12 11</F><F>10 11 99</F></Faces>",
+		"</Definition></Surface>",
+		"</Surfaces></LandXML>"
+	].join("\n");
+
+	it("reads surfaces with names and N E Z point order", function () {
+		var surfaces = parseLandXML(SAMPLE);
+		expect(surfaces.length).toBe(1);
+		expect(surfaces[0].name).toBe("Topo & Fill");
+		expect(surfaces[0].soup.length).toBe(1);
+		expect(surfaces[0].skippedFaces).toBe(1);
+		expect(surfaces[0].soup[0].v1).toEqual({ x: 478010, y: 6772000, z: 101 });
+	});
+
+	it("round-trips a boolean result", function () {
+		var topo = createWavyPatch(0, 0, 0, 10, 10, 6, 1);
+		var design = createFlatPatch(0, 0, 0.2, 6, 6, 3, 3);
+		var cut = boolean(topo, design, "subtract");
+
+		var text = writeLandXML([{ name: "cut", points: cut.points, triangles: cut.triangles }, { name: "design", soup: design }]);
+		var surfaces = parseLandXML(text);
+		expect(surfaces.map(function (s) { return s.name; })).toEqual(["cut", "design"]);
+		expect(surfaces[0].soup.length).toBe(cut.triangles.length);
+		expect(surfaces[1].soup.length).toBe(design.length);
+		expect(surfaces[1].soup[0].v0).toEqual(design[0].v0);
+	});
+});
+
+describe("Surpac", function () {
+	it("reads strings, segments and description fields", function () {
+		var text = [
+			"pit,19-Oct-26,design,",
+			"0, 0.000, 0.000, 0.000, 0.000, 0.000, 0.000",
+			"2, 100.000, 200.000, 10.000, crest",
+			"2, 110.000, 200.000, 10.000, crest",
+			"2, 110.000, 210.000, 10.000, crest",
+			"2, 100.000, 200.000, 10.000, crest",
+			"0, 0.000, 0.000, 0.000,",
+			"7, 50.000, 60.000, 5.000",
+			"7, 51.000, 61.000, 5.500",
+			"0, 0.000, 0.000, 0.000,",
+			"0, 0.000, 0.000, 0.000, END"
+		].join("\n");
+		var str = parseSurpacSTR(text);
+		expect(str.header.name).toBe("pit");
+		expect(str.strings.length).toBe(2);
+		expect(str.strings[0].stringNumber).toBe(2);
+		expect(str.strings[0].closed).toBe(true);
+		expect(str.strings[0].points[1]).toEqual({ x: 200, y: 110, z: 10, d: ["crest"] });
+		expect(str.strings[1].closed).toBe(false);
+		expect(str.points.length).toBe(6);
+	});
+
+	it("round-trips a DTM through the .str/.dtm pair", function () {
+		var topo = createWavyPatch(478000, 6772000, 400, 10, 10, 4, 1);
+		var files = writeSurpacDTM(topo, { name: "topo" });
+		expect(files.dtm.indexOf("topo.str,")).toBe(0);
+
+		var objects = parseSurpacDTM(files.dtm, files.str);
+		expect(objects.length).toBe(1);
+		expect(objects[0].soup.length).toBe(topo.length);
+		expect(objects[0].soup[0].v0.x).toBeCloseTo(topo[0].v0.x, 3);
+		expect(objects[0].soup[0].v0.y).toBeCloseTo(topo[0].v0.y, 3);
+	});
+
+	it("writes intersection polylines with a configurable string number", function () {
+		var topo = createWavyPatch(0, 0, 0, 10, 10, 8, 1);
+		var cube = createCube(0.3, 0.2, 0, 4);
+		var lines = chainSegments(intersectMeshPairTagged(topo, cube), 1e-3);
+		expect(lines.length).toBeGreaterThan(0);
+
+		var text = writeSurpacSTR(lines, { stringNumber: 42 });
+		var str = parseSurpacSTR(text);
+		expect(str.strings.length).toBe(lines.length);
+		for (var i = 0; i < str.strings.length; i++) {
+			expect(str.strings[i].stringNumber).toBe(42);
+			expect(str.strings[i].points.length).toBe(lines[i].length);
+		}
+	});
+
+	it("rejects out-of-range string numbers", function () {
+		expect(function () { writeSurpacSTR([], { stringNumber: 40000 }); }).toThrow();
+	});
+});
+
+describe("DXF", function () {
+	function dxf(pairs) {
+		return ["0", "SECTION", "2", "ENTITIES"].concat(pairs, ["0", "ENDSEC", "0", "EOF"]).join("\n");
+	}
+
+	it("reads 3DFACE triangles and quads per layer", function () {
+		var text = dxf([
+			"0", "3DFACE", "8", "TOPO",
+			"10", "0", "20", "0", "30", "0", "11", "1", "21", "0", "31", "0",
+			"12", "1", "22", "1", "32", "0", "13", "1", "23", "1", "33", "0",
+			"0", "3DFACE", "8", "PIT",
+			"10", "0", "20", "0", "30", "1", "11", "1", "21", "0", "31", "1",
+			"12", "1", "22", "1", "32", "1", "13", "0", "23", "1", "33", "1"
+		]);
+		var layers = parseDXF(text);
+		expect(layers.map(function (l) { return l.name; })).toEqual(["TOPO", "PIT"]);
+		expect(layers[0].soup.length).toBe(1);
+		expect(layers[1].soup.length).toBe(2);
+		expect(layers[1].soup[1].v2).toEqual({ x: 0, y: 1, z: 1 });
+	});
+
+	it("reads polyface meshes", function () {
+		var text = dxf([
+			"0", "POLYLINE", "8", "SOLID", "66", "1", "70", "64", "71", "4", "72", "1",
+			"0", "VERTEX", "8", "SOLID", "10", "0", "20", "0", "30", "0", "70", "192",
+			"0", "VERTEX", "8", "SOLID", "10", "1", "20", "0", "30", "0", "70", "192",
+			"0", "VERTEX", "8", "SOLID", "10", "1", "20", "1", "30", "0", "70", "192",
+			"0", "VERTEX", "8", "SOLID", "10", "0", "20", "1", "30", "0", "70", "192",
+			"0", "VERTEX", "8", "SOLID", "10", "0", "20", "0", "30", "0", "70", "128",
+			"71", "1", "72", "-2", "73", "3", "74", "4",
+			"0", "SEQEND", "8", "SOLID"
+		]);
+		var layers = parseDXF(text);
+		expect(layers.length).toBe(1);
+		expect(layers[0].soup.length).toBe(2);
+		expect(layers[0].soup[0].v1).toEqual({ x: 1, y: 0, z: 0 });
+	});
+
+	it("round-trips a soup and intersection polylines on separate layers", function () {
+		var topo = createWavyPatch(0, 0, 0, 10, 10, 8, 1);
+		var cube = createCube(0.3, 0.2, 0, 4);
+		var lines = chainSegments(intersectMeshPairTagged(topo, cube), 1e-3);
+
+		var text = writeDXF([{ name: "TOPO", soup: topo }, { name: "CREST", polylines: lines }]);
+		var layers = parseDXF(text);
+		expect(layers[0].name).toBe("TOPO");
+		expect(layers[0].soup.length).toBe(topo.length);
+		expect(layers[1].name).toBe("CREST");
+		expect(layers[1].polylines.length).toBe(lines.length);
+		expect(layers[1].polylines[0].points[0]).toEqual(lines[0][0]);
+	});
+
+	it("writes closed LWPOLYLINE with elevation", function () {
+		var square = [{ x: 0, y: 0, z: 5 }, { x: 1, y: 0, z: 5 }, { x: 1, y: 1, z: 5 }, { x: 0, y: 0, z: 5 }];
+		var text = writeDXF([{ name: "BOUNDARY", polylines: [square] }], { polylineType: "LWPOLYLINE" });
+		var layers = parseDXF(text);
+		expect(layers[0].polylines[0].closed).toBe(true);
+		expect(layers[0].polylines[0].points.length).toBe(3);
+		expect(layers[0].polylines[0].points[2]).toEqual({ x: 1, y: 1, z: 5 });
+	});
+});
+
+describe("PLY", function () {
+	var ASCII_PLY = [
+		"ply",
+		"format ascii 1.0",
+		"comment scanner export",
+		"element vertex 4",
+		"property float x", "property float y", "property float z",
+		"property uchar red", "property uchar green", "property uchar blue",
+		"element face 1",
+		"property list uchar int vertex_indices",
+		"end_header",
+		"0 0 0 255 0 0", "1 0 0 0 255 0", "1 1 0 0 0 255", "0 1 0 10 20 30",
+		"4 0 1 2 3"
+	].join("\n");
+
+	it("reads ASCII PLY with vertex colours and fan-triangulates quads", function () {
+		var mesh = parsePLY(ASCII_PLY);
+		expect(mesh.points.length).toBe(4);
+		expect(mesh.soup.length).toBe(2);
+		expect(mesh.faces).toEqual([[0, 1, 2], [0, 2, 3]]);
+		expect(mesh.colors[3]).toEqual({ r: 10, g: 20, b: 30 });
+	});
+
+	it("scales float colours to 0-255 so they survive writePLY", function () {
+		var text = [
+			"ply", "format ascii 1.0",
+			"element vertex 3",
+			"property float x", "property float y", "property float z",
+			"property float red", "property float green", "property float blue",
+			"element face 1",
+			"property list uchar int vertex_indices",
+			"end_header",
+			"0 0 0 1 0.5 0.25", "1 0 0 0 1 0", "0 1 0 0 0 1",
+			"3 0 1 2"
+		].join("\n");
+		var mesh = parsePLY(text);
+		expect(mesh.colors[0]).toEqual({ r: 255, g: 127.5, b: 63.75 });
+
+		var back = parsePLY(writePLY(mesh));
+		expect(back.colors[0]).toEqual({ r: 255, g: 128, b: 64 });
+	});
+
+	it("round-trips binary little-endian PLY with colours", function () {
+		var mesh = parsePLY(ASCII_PLY);
+		var buffer = writePLY(mesh, { binary: true });
+		var back = parsePLY(buffer);
+		expect(back.points).toEqual(mesh.points);
+		expect(back.faces).toEqual(mesh.faces);
+		expect(back.colors).toEqual(mesh.colors);
+	});
+
+	it("carries colours through repairMesh via colorSource", async function () {
+		var soup = createWavyPatch(478000, 6772000, 400, 10, 10, 4, 1);
+		var welded = weldVertices(soup, 1e-4);
+		var colors = welded.points.map(function (p, i) { return { r: i % 256, g: 0, b: 0 }; });
+		var scan = parsePLY(writePLY(welded, { colors: colors }));
+
+		var fixed = await repairMesh(scan.soup, { closeMode: "weld", snapTolerance: 1e-4 });
+		var out = parsePLY(writePLY(fixed, { colorSource: scan }));
+		expect(out.colors.length).toBe(out.points.length);
+		var idx = scan.points.findIndex(function (p) {
+			return p.x === out.points[5].x && p.y === out.points[5].y && p.z === out.points[5].z;
+		});
+		expect(idx).toBeGreaterThanOrEqual(0);
+		expect(out.colors[5]).toEqual(scan.colors[idx]);
+	});
+});
+
+describe("OFF", function () {
+	it("reads OFF with comments and polygons", function () {
+		var text = "OFF\n# cube corner\n4 1 0\n0 0 0\n1 0 0\n1 1 0\n0 1 0\n4 0 1 2 3 255 0 0\n";
+		var mesh = parseOFF(text);
+		expect(mesh.soup.length).toBe(2);
+		expect(mesh.colors).toBeNull();
+	});
+
+	it("round-trips a cube through OFF", function () {
+		var text = writeOFF(createCube(0, 0, 0, 2));
+		var mesh = parseOFF(text);
+		expect(mesh.points.length).toBe(8);
+		expect(mesh.soup.length).toBe(12);
+	});
+
+	it("writes COFF when colours are present", function () {
+		var mesh = parseOFF("COFF 3 1 0\n0 0 0 255 0 0 255\n1 0 0 0 255 0 255\n0 1 0 0 0 255 255\n3 0 1 2\n");
+		expect(mesh.colors[1]).toEqual({ r: 0, g: 255, b: 0, a: 255 });
+		var text = writeOFF(mesh);
+		expect(text.indexOf("COFF")).toBe(0);
+		expect(parseOFF(text).colors).toEqual(mesh.colors);
+	});
+});
+
+describe("ESRI / XYZ grid", function () {
+	var ASC = [
+		"ncols 3",
+		"nrows 2",
+		"xllcorner 478000",
+		"yllcorner 6772000",
+		"cellsize 10",
+		"NODATA_value -9999",
+		"1 2 3",
+		"4 -9999 6"
+	].join("\n");
+
+	it("reads ESRI ASCII with the north row first and NODATA as NaN", function () {
+		var grid = parseESRIGrid(ASC);
+		expect(grid.cols).toBe(3);
+		expect(grid.rows).toBe(2);
+		expect(grid.originX).toBe(478005);
+		expect(grid.originY).toBe(6772005);
+		expect(grid.values[0]).toBe(4);
+		expect(isNaN(grid.values[1])).toBe(true);
+		expect(grid.values[3]).toBe(1);
+	});
+
+	it("round-trips ESRI ASCII", function () {
+		var grid = parseESRIGrid(ASC);
+		var back = parseESRIGrid(writeESRIGrid(grid));
+		expect(back.originX).toBe(grid.originX);
+		expect(back.originY).toBe(grid.originY);
+		expect(Array.from(back.values)).toEqual(Array.from(grid.values));
+	});
+
+	it("round-trips gridded XYZ with missing nodes", function () {
+		var grid = parseESRIGrid(ASC);
+		var text = writeXYZGrid(grid, { delimiter: "," });
+		expect(text.split("\n").filter(Boolean).length).toBe(5);
+
+		var back = parseXYZGrid("X,Y,Z\n" + text);
+		expect(back.cellSize).toBe(10);
+		expect(back.cols).toBe(3);
+		expect(back.rows).toBe(2);
+		expect(Array.from(back.values)).toEqual(Array.from(grid.values));
+	});
+
+	it("rejects a header without cell size", function () {
+		expect(function () { parseESRIGrid("ncols 1\nnrows 1\nxllcorner 0\nyllcorner 0\n5"); }).toThrow();
+	});
+});
+
+/**
+ * Helper: split a GLB into its JSON and BIN chunks.
+ */
+function readGLB(buffer) {
+	var view = new DataView(buffer);
+	var jsonLen = view.getUint32(12, true);
+	var json = JSON.parse(new TextDecoder().decode(new Uint8Array(buffer, 20, jsonLen)));
+	var binStart = 20 + jsonLen;
+	var bin = binStart < buffer.byteLength ? new DataView(buffer, binStart + 8, view.getUint32(binStart, true)) : null;
+	return { magic: view.getUint32(0, true), version: view.getUint32(4, true), length: view.getUint32(8, true), json: json, bin: bin };
+}
+
+describe("glTF", function () {
+	it("writes one node, mesh and named material per split group", function () {
+		var split = splitMeshPair(createCube(0, 0, 0, 2), createCube(1, 1, 1, 2));
+		var glb = writeGLTF(split.groups);
+		var out = readGLB(glb);
+
+		expect(out.magic).toBe(0x46546C67);
+		expect(out.version).toBe(2);
+		expect(out.length).toBe(glb.byteLength);
+		expect(out.json.nodes.map(function (n) { return n.name; })).toEqual(["aInside", "aOutside", "bInside", "bOutside"]);
+		expect(out.json.meshes.length).toBe(4);
+		expect(out.json.materials[0].name).toBe("aInside");
+		expect(out.json.materials[0].doubleSided).toBe(true);
+
+		// Indexed geometry matches weldVertices
+		var welded = weldVertices(split.groups.aOutside, 1e-4);
+		var prim = out.json.meshes[1].primitives[0];
+		expect(out.json.accessors[prim.attributes.POSITION].count).toBe(welded.points.length);
+		expect(out.json.accessors[prim.indices].count).toBe(welded.triangles.length * 3);
+	});
+
+	it("keeps UTM positions via node translation and converts to Y-up", function () {
+		var soup = createCube(478000, 6772000, 350, 10);
+		var out = readGLB(writeGLTF({ pit: soup }));
+		var node = out.json.nodes[0];
+		var acc = out.json.accessors[0];
+
+		expect(node.translation).toEqual([478000, 350, -6772000]);
+		expect(acc.min).toEqual([-5, -5, -5]);
+		expect(acc.max).toEqual([5, 5, 5]);
+
+		// First welded point round-trips to the original coordinates
+		var p0 = weldVertices(soup, 1e-4).points[0];
+		var bv = out.json.bufferViews[acc.bufferView];
+		var x = out.bin.getFloat32(bv.byteOffset, true) + node.translation[0];
+		var y = -(out.bin.getFloat32(bv.byteOffset + 8, true) + node.translation[2]);
+		var z = out.bin.getFloat32(bv.byteOffset + 4, true) + node.translation[1];
+		expect(x).toBeCloseTo(p0.x, 6);
+		expect(y).toBeCloseTo(p0.y, 6);
+		expect(z).toBeCloseTo(p0.z, 6);
+	});
+
+	it("writes .gltf JSON with an embedded buffer and material overrides", function () {
+		var text = writeGLTF([{ name: "terrain", soup: createFlatPatch(0, 0, 0, 10, 4) }], {
+			binary: false,
+			recenter: true,
+			materials: { terrain: { color: "#FFFFFF", opacity: 0.5 } }
+		});
+		var json = JSON.parse(text);
+
+		expect(json.buffers[0].uri.indexOf("data:application/octet-stream;base64,")).toBe(0);
+		expect(json.nodes[0].translation).toBeUndefined();
+		expect(json.materials[0].pbrMetallicRoughness.baseColorFactor).toEqual([1, 1, 1, 0.5]);
+		expect(json.materials[0].alphaMode).toBe("BLEND");
+	});
+
+	it("skips empty groups", function () {
+		var out = readGLB(writeGLTF({ aInside: [], aOutside: createCube(0, 0, 0, 1) }));
+		expect(out.json.nodes.length).toBe(1);
+		expect(out.json.nodes[0].name).toBe("aOutside");
+	});
+});
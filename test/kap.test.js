@@ -0,0 +1,85 @@
+import { describe, it, expect } from "vitest";
+import { readFileSync } from "fs";
+import JSZip from "jszip";
+import { parseKapSurfaces, writeKap, buildMinimalKapBlob, kirraSurfaceToSoup } from "../src/kap.js";
+import { createCube } from "./fixtures/meshes.js";
+
+var KAP_PATH = new URL("../examples/KirraExampleFiles-for-trimesh-boolean.kap", import.meta.url);
+
+describe("parseKapSurfaces", function () {
+	it("reads triangulated surfaces with their record properties", async function () {
+		var result = await parseKapSurfaces(readFileSync(KAP_PATH));
+		expect(result.surfaces.length).toBe(4);
+		expect(result.surfaces[0].name).toBe("terrain");
+		expect(result.surfaces[0].soup.length).toBeGreaterThan(0);
+		expect(result.surfaces[0].props.hillshadeColor).toBeDefined();
+		expect(result.surfaces[0].props.triangles).toBeUndefined();
+		expect(result.manifest.application).toBe("Kirra2D");
+	});
+
+	it("returns structured warnings for unusable surfaces", async function () {
+		var zip = new JSZip();
+		zip.file("manifest.json", "{not json");
+		zip.file("surfaces.json", JSON.stringify([
+			{ id: "tex", isTexturedMesh: true, triangles: [] },
+			{ id: "empty", triangles: [{ vertices: [] }] },
+			{ id: "ok", triangles: [{ vertices: [{ x: 0, y: 0, z: 0 }, { x: 1, y: 0, z: 0 }, { x: 0, y: 1, z: 0 }] }] }
+		]));
+		var result = await parseKapSurfaces(await zip.generateAsync({ type: "uint8array" }));
+		var codes = result.warnings.map(function (w) { return w.code; });
+		expect(codes).toEqual(["manifest-invalid", "textured-no-triangles", "no-triangles"]);
+		expect(result.warnings[2].surfaceId).toBe("empty");
+		expect(result.surfaces.length).toBe(1);
+	});
+});
+
+describe("writeKap", function () {
+	it("updates a surface in place and keeps every other archive entry", async function () {
+		var source = await parseKapSurfaces(readFileSync(KAP_PATH));
+		var target = source.surfaces[1];
+		var cube = createCube(0, 0, 0, 2);
+
+		var bytes = await writeKap({
+			source: source,
+			surfaces: [{ id: target.id, soup: cube }],
+			type: "uint8array"
+		});
+
+		var zip = await JSZip.loadAsync(bytes);
+		expect(zip.file("layers.json")).not.toBeNull();
+
+		var surfaces = JSON.parse(await zip.file("surfaces.json").async("string"));
+		expect(surfaces.length).toBe(4);
+		expect(surfaces[1].id).toBe(target.id);
+		expect(surfaces[1].points).toBeUndefined();
+		expect(surfaces[1].hillshadeColor).toBe(target.props.hillshadeColor);
+		expect(surfaces[1].layerId).toBe(target.props.layerId);
+		expect(kirraSurfaceToSoup(surfaces[1]).length).toBe(12);
+		expect(surfaces[0].triangles.length).toBe(source.surfaces[0].soup.length);
+
+		var manifest = JSON.parse(await zip.file("manifest.json").async("string"));
+		expect(manifest.application).toBe("Kirra2D");
+		expect(manifest.counts.surfaces).toBe(4);
+	});
+
+	it("appends new surfaces and can replace the rest", async function () {
+		var source = await parseKapSurfaces(readFileSync(KAP_PATH));
+		var bytes = await writeKap({
+			source: source,
+			surfaces: [{ id: "result", name: "Boolean result", soup: createCube(), props: { hillshadeColor: "#FF0000" } }],
+			replaceSurfaces: true,
+			type: "uint8array"
+		});
+		var reread = await parseKapSurfaces(bytes);
+		expect(reread.surfaces.length).toBe(1);
+		expect(reread.surfaces[0].id).toBe("result");
+		expect(reread.surfaces[0].props.hillshadeColor).toBe("#FF0000");
+		expect(reread.manifest.counts.surfaces).toBe(1);
+	});
+
+	it("buildMinimalKapBlob writes Mesh A and B", async function () {
+		var bytes = await buildMinimalKapBlob({ soupA: createCube(), soupB: createCube(2, 0, 0, 1), type: "uint8array" });
+		var reread = await parseKapSurfaces(bytes);
+		expect(reread.surfaces.map(function (s) { return s.id; })).toEqual(["demo-mesh-a", "demo-mesh-b"]);
+	});
+});
@@ -3,6 +3,7 @@ import {
 	deduplicateSeamVertices,
 	resolveTJunctions,
 	weldVertices,
+	weldPositions,
 	weldedToSoup,
 	removeDegenerateTriangles,
 	extractBoundaryLoops,
@@ -13,6 +14,10 @@ import {
 	weldBoundaryVertices,
 	countOpenEdges,
 	repairMesh,
+	forceCloseIndexedMesh,
+	forceCloseTypedMesh,
+	soupToTypedMesh,
+	typedMeshToSoup,
 	dist3
 } from "../src/index.js";
 import { createCube, createFlatPatch } from "./fixtures/meshes.js";
@@ -56,6 +61,22 @@ describe("weldVertices", function () {
 	});
 });
 
+describe("weldPositions", function () {
+	it("maps each vertex to the first vertex within tolerance", function () {
+		var positions = new Float64Array([0, 0, 0, 1, 0, 0, 0.00005, 0, 0, 1, 0.00005, 0, 2, 0, 0]);
+		var result = weldPositions(positions, 1e-4);
+		expect(Array.from(result.remap)).toEqual([0, 1, 0, 1, 4]);
+		expect(result.count).toBe(3);
+	});
+
+	it("merges only identical positions with tolerance 0", function () {
+		var positions = new Float64Array([0, 0, 0, 0.00005, 0, 0, 0, 0, 0]);
+		var result = weldPositions(positions, 0);
+		expect(Array.from(result.remap)).toEqual([0, 1, 0]);
+		expect(result.count).toBe(2);
+	});
+});
+
 describe("weldedToSoup", function () {
 	it("converts back to soup format", function () {
 		var welded = [
@@ -156,6 +177,53 @@ describe("countOpenEdges", function () {
 	});
 });
 
+describe("force-close", function () {
+	// Cube with a per-triangle uv channel, so no two triangles share a typed vertex
+	function seamedCube() {
+		return createCube(0, 0, 0, 2).map(function (t, i) {
+			function uv(v) { return { x: v.x, y: v.y, z: v.z, attributes: { uv: [i, 0] } }; }
+			return { v0: uv(t.v0), v1: uv(t.v1), v2: uv(t.v2), source: { mesh: "A", index: i } };
+		});
+	}
+	function withoutOne(soup) {
+		return soup.slice(1);
+	}
+
+	function triangleKeys(soup) {
+		return soup.map(function (t) { return [t.v0, t.v1, t.v2].map(function (v) { return v.x + "," + v.y + "," + v.z; }).join("|"); }).sort();
+	}
+
+	it("appends fan triangles on the boundary edges of an indexed mesh", function () {
+		var welded = weldVertices(withoutOne(seamedCube()), 1e-4);
+		var closed = forceCloseIndexedMesh(welded.points, welded.triangles);
+		expect(closed.triangles.length).toBeGreaterThan(11);
+		expect(closed.triangles[0].source).toEqual({ mesh: "A", index: 1 });
+		expect(closed.triangles[11].source).toBeUndefined();
+	});
+
+	it("fills a typed mesh over its indices, sharing positions and attributes", function () {
+		var open = soupToTypedMesh(withoutOne(seamedCube()));
+		var closed = forceCloseTypedMesh(open);
+		var welded = weldVertices(withoutOne(seamedCube()), 1e-4);
+		var fromObjects = forceCloseIndexedMesh(welded.points, welded.triangles);
+
+		expect(closed.positions).toBe(open.positions);
+		expect(closed.attributes).toBe(open.attributes);
+		expect(Array.from(closed.indices.subarray(0, open.indices.length))).toEqual(Array.from(open.indices));
+		expect(triangleKeys(typedMeshToSoup(closed))).toEqual(triangleKeys(weldedToSoup(fromObjects.triangles)));
+
+		var nFill = closed.indices.length / 3 - 11;
+		expect(closed.sourceMesh.slice(11)).toEqual(new Array(nFill).fill(null));
+		expect(Array.from(closed.sourceIndex.subarray(11))).toEqual(new Array(nFill).fill(-1));
+	});
+
+	it("leaves a closed typed mesh split at attribute seams as it is", function () {
+		var cube = soupToTypedMesh(seamedCube());
+		expect(cube.positions.length).toBe(36 * 3);
+		expect(forceCloseTypedMesh(cube)).toBe(cube);
+	});
+});
+
 describe("cleanCrossingTriangles", function () {
 	it("handles clean mesh without changes", function () {
 		var cube = createCube(0, 0, 0, 1);
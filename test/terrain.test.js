@@ -0,0 +1,639 @@
+import { describe, it, expect } from "vitest";
+import {
+	buildTIN,
+	gridToSoup,
+	soupToGrid,
+	contours,
+	cutFillVolume,
+	solidBetweenSurfaces,
+	clipByPolygon,
+	drapePolyline,
+	sectionProfile,
+	splitMeshPair,
+	triNormal,
+	countOpenEdges,
+	vKey,
+	edgeKey,
+	isTypedMesh,
+	soupToTypedMesh
+} from "../src/index.js";
+import { createCube, createFlatPatch } from "./fixtures/meshes.js";
+
+/**
+ * Helper: regular grid of survey points with z = f(x, y).
+ */
+function gridPoints(x0, y0, n, step, f) {
+	var pts = [];
+	for (var i = 0; i < n; i++) {
+		for (var j = 0; j < n; j++) {
+			var x = x0 + i * step;
+			var y = y0 + j * step;
+			pts.push({ x: x, y: y, z: f(x - x0, y - y0) });
+		}
+	}
+	return pts;
+}
+
+/**
+ * Helper: copy of a soup with z replaced by f(vertex).
+ */
+function reshape(soup, f) {
+	return soup.map(function (t) {
+		return {
+			v0: { x: t.v0.x, y: t.v0.y, z: f(t.v0) },
+			v1: { x: t.v1.x, y: t.v1.y, z: f(t.v1) },
+			v2: { x: t.v2.x, y: t.v2.y, z: f(t.v2) }
+		};
+	});
+}
+
+/**
+ * Helper: set of edge keys present in a soup.
+ */
+function edgeSet(soup) {
+	var set = {};
+	for (var i = 0; i < soup.length; i++) {
+		var v = [soup[i].v0, soup[i].v1, soup[i].v2];
+		for (var e = 0; e < 3; e++) set[edgeKey(vKey(v[e]), vKey(v[(e + 1) % 3]))] = true;
+	}
+	return set;
+}
+
+/**
+ * Helper: plan area of a soup (counter-clockwise positive).
+ */
+function planArea(soup) {
+	var a = 0;
+	for (var i = 0; i < soup.length; i++) {
+		var t = soup[i];
+		a += ((t.v1.x - t.v0.x) * (t.v2.y - t.v0.y) - (t.v1.y - t.v0.y) * (t.v2.x - t.v0.x)) / 2;
+	}
+	return a;
+}
+
+describe("buildTIN", function () {
+	it("triangulates a UTM-scale grid with upward normals", function () {
+		var pts = gridPoints(478000, 6772000, 6, 10, function (x, y) { return 100 + 0.1 * x - 0.05 * y; });
+		var tin = buildTIN(pts);
+
+		expect(tin.length).toBe(2 * 5 * 5);
+		for (var i = 0; i < tin.length; i++) {
+			expect(triNormal(tin[i]).z).toBeGreaterThan(0);
+		}
+		var stats = countOpenEdges(tin);
+		expect(stats.overShared).toBe(0);
+		expect(stats.openEdges).toBe(4 * 5);
+	});
+
+	it("honours breaklines as triangle edges", function () {
+		var pts = gridPoints(0, 0, 11, 1, function () { return 0; });
+		var line = [{ x: 0.3, y: 0.6, z: 5 }, { x: 4.1, y: 2.2, z: 5 }, { x: 9.7, y: 4.1, z: 5 }];
+		var tin = buildTIN(pts, { breaklines: [line] });
+
+		var edges = edgeSet(tin);
+		expect(edges[edgeKey(vKey(line[0]), vKey(line[1]))]).toBe(true);
+		expect(edges[edgeKey(vKey(line[1]), vKey(line[2]))]).toBe(true);
+	});
+
+	it("splits breaklines at survey points lying on them", function () {
+		var pts = gridPoints(0, 0, 11, 1, function () { return 0; });
+		var line = [{ x: 0.5, y: 5, z: 1 }, { x: 9.5, y: 5, z: 1 }];
+		var tin = buildTIN(pts, { breaklines: [line] });
+
+		var edges = edgeSet(tin);
+		expect(edges[edgeKey(vKey(line[0]), vKey({ x: 1, y: 5, z: 0 }))]).toBe(true);
+		for (var x = 1; x < 9; x++) {
+			expect(edges[edgeKey(vKey({ x: x, y: 5, z: 0 }), vKey({ x: x + 1, y: 5, z: 0 }))]).toBe(true);
+		}
+		expect(edges[edgeKey(vKey({ x: 9, y: 5, z: 0 }), vKey(line[1]))]).toBe(true);
+		expect(countOpenEdges(tin).overShared).toBe(0);
+	});
+
+	it("joins crossing breaklines at the crossing, or at a vertex given there", function () {
+		var pts = gridPoints(0, 0, 11, 1, function () { return 0; });
+		var a = [{ x: 0.3, y: 0.6, z: 5 }, { x: 9.7, y: 9.1, z: 5 }];
+		var b = [{ x: 0.4, y: 9.3, z: 2 }, { x: 9.6, y: 0.2, z: 2 }];
+		var crossed = buildTIN(pts, { breaklines: [a, b] });
+		var zAtCrossing = [];
+		crossed.forEach(function (t) {
+			[t.v0, t.v1, t.v2].forEach(function (p) {
+				if (Math.abs(p.x - 5) < 0.2 && Math.abs(p.y - 5) < 0.2 && p.z > 0) zAtCrossing.push(p.z);
+			});
+		});
+		expect(zAtCrossing.length).toBeGreaterThan(0);
+		zAtCrossing.forEach(function (z) { expect(z).toBe(5); });
+		expect(countOpenEdges(crossed).overShared).toBe(0);
+
+		var mid = { x: 5.05, y: 4.85, z: 5 };
+		var tin = buildTIN(pts, { breaklines: [[a[0], mid, a[1]], [b[0], mid, b[1]]] });
+		var edges = edgeSet(tin);
+		expect(edges[edgeKey(vKey(b[0]), vKey(mid))]).toBe(true);
+		expect(edges[edgeKey(vKey(mid), vKey(b[1]))]).toBe(true);
+	});
+
+	it("trims to a boundary polygon", function () {
+		var pts = gridPoints(0, 0, 11, 1, function (x, y) { return x + y; });
+		var boundary = [{ x: 2, y: 2 }, { x: 8, y: 2 }, { x: 8, y: 8 }, { x: 2, y: 8 }];
+		var tin = buildTIN(pts, { boundary: boundary });
+
+		expect(tin.length).toBe(2 * 6 * 6);
+		for (var i = 0; i < tin.length; i++) {
+			var cx = (tin[i].v0.x + tin[i].v1.x + tin[i].v2.x) / 3;
+			var cy = (tin[i].v0.y + tin[i].v1.y + tin[i].v2.y) / 3;
+			expect(cx > 2 && cx < 8 && cy > 2 && cy < 8).toBe(true);
+		}
+	});
+
+	it("constrains a boundary that carries Z", function () {
+		var pts = gridPoints(0, 0, 11, 1, function () { return 0; });
+		var boundary = [{ x: 1.5, y: 1.5, z: 2 }, { x: 8.5, y: 1.5, z: 2 }, { x: 8.5, y: 8.5, z: 2 }, { x: 1.5, y: 8.5, z: 2 }];
+		var tin = buildTIN(pts, { boundary: boundary });
+
+		// Trimmed edge follows the boundary exactly: area = 7 x 7
+		var area = 0;
+		for (var i = 0; i < tin.length; i++) {
+			var t = tin[i];
+			area += 0.5 * ((t.v1.x - t.v0.x) * (t.v2.y - t.v0.y) - (t.v1.y - t.v0.y) * (t.v2.x - t.v0.x));
+		}
+		expect(area).toBeCloseTo(49, 6);
+	});
+
+	it("peels long hull triangles with maxEdgeLength", function () {
+		var pts = gridPoints(0, 0, 5, 1, function () { return 0; });
+		pts.push({ x: 30, y: 2, z: 0 });
+
+		expect(buildTIN(pts).length).toBeGreaterThan(32);
+		var tin = buildTIN(pts, { maxEdgeLength: 5 });
+		expect(tin.length).toBe(32);
+	});
+
+	it("returns an empty soup for fewer than three distinct points", function () {
+		expect(buildTIN([{ x: 0, y: 0, z: 0 }, { x: 0, y: 0, z: 1 }, { x: 1, y: 0, z: 0 }])).toEqual([]);
+	});
+});
+
+/**
+ * Helper: elevation grid from a function, NaN where f returns NaN.
+ */
+function makeGrid(cols, rows, originX, originY, cellSize, f) {
+	var values = new Float64Array(cols * rows);
+	for (var r = 0; r < rows; r++) {
+		for (var c = 0; c < cols; c++) values[r * cols + c] = f(c, r);
+	}
+	return { cols: cols, rows: rows, originX: originX, originY: originY, cellSize: cellSize, values: values };
+}
+
+describe("gridToSoup", function () {
+	it("splits every cell on the chosen diagonal with upward normals", function () {
+		var grid = makeGrid(4, 3, 478000, 6772000, 5, function (c, r) { return c + r * r; });
+		var ne = gridToSoup(grid);
+		var nw = gridToSoup(grid, { diagonal: "nw" });
+
+		expect(ne.length).toBe(2 * 3 * 2);
+		expect(nw.length).toBe(2 * 3 * 2);
+		for (var i = 0; i < ne.length; i++) {
+			expect(triNormal(ne[i]).z).toBeGreaterThan(0);
+			expect(triNormal(nw[i]).z).toBeGreaterThan(0);
+		}
+		// "ne" diagonal joins the SW and NE corners of the first cell
+		var edges = edgeSet(ne);
+		expect(edges[edgeKey(vKey({ x: 478000, y: 6772000, z: 0 }), vKey({ x: 478005, y: 6772005, z: 2 }))]).toBe(true);
+	});
+
+	it("skips NODATA cells and keeps three-corner cells as one triangle", function () {
+		var grid = makeGrid(3, 3, 0, 0, 1, function (c, r) { return c === 2 && r === 2 ? NaN : 1; });
+		var soup = gridToSoup(grid);
+		expect(soup.length).toBe(3 * 2 + 1);
+		for (var i = 0; i < soup.length; i++) {
+			expect(soup[i].v0.z + soup[i].v1.z + soup[i].v2.z).toBe(3);
+		}
+	});
+
+	it("decimates flat areas within tolerance", function () {
+		// Flat pad with a raised bench along the east side
+		var grid = makeGrid(21, 21, 0, 0, 1, function (c) { return c < 15 ? 100 : 100 + (c - 15) * 2; });
+		var full = gridToSoup(grid);
+		var dec = gridToSoup(grid, { decimate: 0.01 });
+
+		expect(dec.length).toBeLessThan(full.length / 2);
+		var back = soupToGrid(dec, { cellSize: 1, originX: 0, originY: 0, cols: 21, rows: 21 });
+		for (var i = 0; i < back.values.length; i++) {
+			expect(Math.abs(back.values[i] - grid.values[i])).toBeLessThan(0.01 + 1e-9);
+		}
+		expect(countOpenEdges(dec).overShared).toBe(0);
+	});
+
+	it("decimates to tolerance on gently curved ground", function () {
+		// Every interior node passes the planarity test, so the surface is
+		// only held to tolerance by the re-add passes
+		var grid = makeGrid(31, 31, 0, 0, 1, function (c, r) { return 0.002 * (c * c + r * r); });
+		var dec = gridToSoup(grid, { decimate: 0.01 });
+		var back = soupToGrid(dec, { cellSize: 1, originX: 0, originY: 0, cols: 31, rows: 31 });
+		for (var i = 0; i < back.values.length; i++) {
+			expect(Math.abs(back.values[i] - grid.values[i])).toBeLessThan(0.01 + 1e-9);
+		}
+	});
+
+	it("keeps the undecimated data area around NODATA", function () {
+		var grid = makeGrid(21, 21, 478000, 6772000, 1, function (c, r) {
+			return c >= 9 && c <= 11 && r >= 9 && r <= 11 ? NaN : 100;
+		});
+		var full = gridToSoup(grid);
+		var dec = gridToSoup(grid, { decimate: 0.01 });
+
+		expect(dec.length).toBeLessThan(full.length / 4);
+		expect(planArea(dec)).toBeCloseTo(planArea(full), 6);
+		expect(countOpenEdges(dec).openEdges).toBe(countOpenEdges(full).openEdges);
+	});
+
+	it("plugs into splitMeshPair as mesh A", function () {
+		var grid = makeGrid(9, 9, -2, -2, 0.5, function () { return 0.25; });
+		var split = splitMeshPair(gridToSoup(grid), createCube(0, 0, 0, 2));
+		expect(split.segments.length).toBeGreaterThan(0);
+		expect(split.groups.aInside.length).toBeGreaterThan(0);
+		expect(split.groups.aOutside.length).toBeGreaterThan(0);
+	});
+});
+
+describe("soupToGrid", function () {
+	it("samples a terrain back to the grid it came from", function () {
+		var grid = makeGrid(6, 5, 478000, 6772000, 2, function (c, r) { return 50 + 0.3 * c - 0.2 * r; });
+		var back = soupToGrid(gridToSoup(grid), { cellSize: 2 });
+
+		expect(back.cols).toBe(6);
+		expect(back.rows).toBe(5);
+		expect(back.originX).toBe(478000);
+		for (var i = 0; i < grid.values.length; i++) {
+			expect(back.values[i]).toBeCloseTo(grid.values[i], 9);
+		}
+	});
+
+	it("keeps the top or bottom of a closed solid and NaN outside it", function () {
+		var cube = createCube(0, 0, 0, 2);
+		var top = soupToGrid(cube, { cellSize: 0.5, originX: -2, originY: -2, cols: 9, rows: 9 });
+		var bottom = soupToGrid(cube, { cellSize: 0.5, originX: -2, originY: -2, cols: 9, rows: 9, mode: "min" });
+
+		expect(top.values[4 * 9 + 4]).toBeCloseTo(1, 9);
+		expect(bottom.values[4 * 9 + 4]).toBeCloseTo(-1, 9);
+		expect(isNaN(top.values[0])).toBe(true);
+	});
+
+	it("requires a positive cellSize", function () {
+		expect(function () { soupToGrid(createCube(0, 0, 0, 1), {}); }).toThrow();
+	});
+});
+
+describe("contours", function () {
+	// Cone peaking at z = 110 over a UTM-scale grid
+	var cone = buildTIN(gridPoints(500000, 6800000, 21, 1, function (x, y) {
+		return 110 - Math.sqrt((x - 10) * (x - 10) + (y - 10) * (y - 10));
+	}));
+
+	it("tags lines with their level and closes loops around a hill", function () {
+		var lines = contours(cone, { interval: 1, min: 101 });
+
+		expect(lines.map(function (c) { return c.elevation; })).toEqual([101, 102, 103, 104, 105, 106, 107, 108, 109]);
+		for (var i = 0; i < lines.length; i++) {
+			var c = lines[i];
+			expect(c.closed).toBe(true);
+			var area = 0;
+			for (var k = 0; k < c.points.length; k++) {
+				var p = c.points[k], q = c.points[(k + 1) % c.points.length];
+				expect(p.z).toBe(c.elevation);
+				area += (p.x - 500010) * (q.y - 6800010) - (q.x - 500010) * (p.y - 6800010);
+			}
+			// Higher ground on the left: loops around the peak run counter-clockwise
+			expect(area).toBeGreaterThan(0);
+		}
+		expect(lines[4].index).toBe(true);
+		expect(lines[3].index).toBe(false);
+	});
+
+	it("leaves lines open where they run off the surface", function () {
+		var ramp = buildTIN(gridPoints(0, 0, 5, 1, function (x) { return x; }));
+		var lines = contours(ramp, { interval: 0.5, base: 0.25 });
+
+		expect(lines.map(function (c) { return c.elevation; })).toEqual([0.25, 0.75, 1.25, 1.75, 2.25, 2.75, 3.25, 3.75]);
+		for (var i = 0; i < lines.length; i++) {
+			expect(lines[i].closed).toBe(false);
+			var ends = [lines[i].points[0], lines[i].points[lines[i].points.length - 1]];
+			expect(ends[0].x).toBeCloseTo(lines[i].elevation, 9);
+			expect(Math.min(ends[0].y, ends[1].y)).toBe(0);
+			expect(Math.max(ends[0].y, ends[1].y)).toBe(4);
+		}
+	});
+
+	it("smooths and thins with the configured spacing", function () {
+		var raw = contours(cone, { interval: 5, min: 105, max: 105 })[0];
+		var smooth = contours(cone, { interval: 5, min: 105, max: 105, smooth: 2 })[0];
+		var thin = contours(cone, { interval: 5, min: 105, max: 105, smooth: 2, spacing: 1 })[0];
+
+		expect(smooth.points.length).toBe(raw.points.length * 4);
+		expect(thin.points.length).toBeLessThan(smooth.points.length);
+		expect(thin.closed).toBe(true);
+		expect(thin.elevation).toBe(105);
+	});
+
+	it("requires a positive interval", function () {
+		expect(function () { contours(cone, {}); }).toThrow(/interval/);
+		expect(function () { contours(cone, { interval: -1 }); }).toThrow(/interval/);
+	});
+});
+
+describe("cutFillVolume", function () {
+	var X = 478000, Y = 6772000;
+	var topo = createFlatPatch(X, Y, 100, 2, 2, 4, 4);
+	// Design tilted about x = X: below topo to the west, above it to the east
+	var design = reshape(createFlatPatch(X, Y, 100, 2, 2, 5, 5), function (v) { return 100 + 0.5 * (v.x - X); });
+
+	it("splits the overlap into exact cut and fill zones at the seam", function () {
+		var r = cutFillVolume(topo, design);
+
+		expect(r.cut).toBeCloseTo(0.5, 6);
+		expect(r.fill).toBeCloseTo(0.5, 6);
+		expect(r.net).toBeCloseTo(0, 6);
+		expect(r.cutArea).toBeCloseTo(2, 6);
+		expect(r.fillArea).toBeCloseTo(2, 6);
+		expect(r.zones.length).toBe(2);
+		for (var i = 0; i < r.zones.length; i++) {
+			var zone = r.zones[i];
+			expect(zone.outlines.length).toBe(1);
+			expect(zone.outlines[0].closed).toBe(true);
+			var west = zone.outlines[0].points.every(function (p) { return p.x <= X + 1e-6; });
+			expect(west).toBe(zone.type === "cut");
+		}
+	});
+
+	it("limits zones to the boundary polygon", function () {
+		var lease = [
+			{ x: X - 0.5, y: Y - 0.5 }, { x: X + 0.5, y: Y - 0.5 },
+			{ x: X + 0.5, y: Y + 0.5 }, { x: X - 0.5, y: Y + 0.5 }
+		];
+		var r = cutFillVolume(topo, design, { boundary: lease });
+
+		expect(r.cut).toBeCloseTo(0.0625, 6);
+		expect(r.fill).toBeCloseTo(0.0625, 6);
+		expect(r.cutArea + r.fillArea).toBeCloseTo(1, 6);
+		r.zones.forEach(function (zone) {
+			zone.outlines[0].points.forEach(function (p) {
+				expect(Math.abs(p.x - X)).toBeLessThanOrEqual(0.5 + 1e-6);
+				expect(Math.abs(p.y - Y)).toBeLessThanOrEqual(0.5 + 1e-6);
+			});
+		});
+	});
+
+	it("counts only where both surfaces exist", function () {
+		// Design covers the east half only, 1 m above topo
+		var pad = createFlatPatch(X + 0.5, Y, 101, 1, 2, 2, 2);
+		var r = cutFillVolume(topo, pad);
+
+		expect(r.cut).toBe(0);
+		expect(r.fill).toBeCloseTo(2, 6);
+		expect(r.fillArea).toBeCloseTo(2, 6);
+	});
+
+	it("closes zones whose seam ends at the edge of the design", function () {
+		// Overlap x in [-0.5, 1], y in [-0.5, 1]; the seam at x = X stops at the pad's edge
+		var pad = createFlatPatch(X + 0.5, Y + 0.5, 100, 2, 2, 3, 3);
+		var tilted = reshape(topo, function (v) { return 100 + 0.5 * (v.x - X); });
+		var r = cutFillVolume(tilted, pad);
+
+		expect(r.zones.length).toBe(2);
+		expect(r.cut).toBeCloseTo(0.375, 6);
+		expect(r.fill).toBeCloseTo(0.09375, 6);
+		expect(r.cutArea).toBeCloseTo(1.5, 6);
+		expect(r.fillArea).toBeCloseTo(0.75, 6);
+	});
+});
+
+describe("solidBetweenSurfaces", function () {
+	var X = 478000, Y = 6772000;
+
+	/**
+	 * Helper: solid is closed and wound outward.
+	 */
+	function expectClosedOutward(r) {
+		expect(r.openEdges).toBe(0);
+		expect(countOpenEdges(r.soup).openEdges).toBe(0);
+		expect(countOpenEdges(r.soup).overShared).toBe(0);
+		expect(r.volume).toBeGreaterThan(0);
+	}
+
+	it("walls in two stacked surfaces with different triangulations", function () {
+		var r = solidBetweenSurfaces(createFlatPatch(X, Y, 101, 2, 2, 4, 4), createFlatPatch(X, Y, 100, 2, 2, 3, 3));
+
+		expectClosedOutward(r);
+		expect(r.volume).toBeCloseTo(4, 9);
+	});
+
+	it("ends at the seams where the surfaces cross", function () {
+		var flat = createFlatPatch(X, Y, 100, 2, 2, 4, 4);
+		var tilted = reshape(createFlatPatch(X, Y, 100, 2, 2, 5, 5), function (v) { return 100 + 0.5 * (v.x - X); });
+		var r = solidBetweenSurfaces(flat, tilted);
+
+		expectClosedOutward(r);
+		expect(r.volume).toBeCloseTo(0.5, 6);
+		// Only the west half, where the flat surface is on top
+		r.soup.forEach(function (t) {
+			expect(Math.max(t.v0.x, t.v1.x, t.v2.x)).toBeLessThanOrEqual(X + 1e-6);
+		});
+	});
+
+	it("limits the solid to the plan overlap", function () {
+		var r = solidBetweenSurfaces(createFlatPatch(X, Y, 101, 2, 2, 4, 4), createFlatPatch(X + 0.31, Y - 0.17, 99, 1, 1, 3, 3));
+
+		expectClosedOutward(r);
+		expect(r.volume).toBeCloseTo(2, 6);
+		expect(r.volume).toBeCloseTo(cutFillVolume(createFlatPatch(X, Y, 101, 2, 2, 4, 4), createFlatPatch(X + 0.31, Y - 0.17, 99, 1, 1, 3, 3)).cut, 6);
+	});
+
+	it("walls in both lobes where the overlap touches itself at a vertex", function () {
+		// Lower surface of two cells touching at (X, Y); the seams z = 0.5 +
+		// 0.75 (y - x) reach the outline on both sides of that vertex
+		var lower = createFlatPatch(X + 0.5, Y + 0.5, 100, 1, 1, 2, 2).concat(createFlatPatch(X - 0.5, Y - 0.5, 100, 1, 1, 2, 2));
+		var tilted = reshape(createFlatPatch(X, Y, 100, 2, 2, 4, 4), function (v) { return 100.5 + 0.75 * (v.y - Y - (v.x - X)); });
+		var r = solidBetweenSurfaces(tilted, lower);
+
+		expect(r.openEdges).toBe(0);
+		expect(r.volume).toBeCloseTo(109 / 108, 6);
+	});
+
+	it("pairs the walls of separate overlaps ring by ring", function () {
+		var upper = createFlatPatch(X, Y, 101, 2, 2, 4, 4).concat(createFlatPatch(X + 5, Y, 102, 2, 2, 5, 5));
+		var lower = createFlatPatch(X + 5, Y, 100, 2, 2, 3, 3).concat(createFlatPatch(X, Y, 100, 2, 2, 3, 3));
+		var r = solidBetweenSurfaces(upper, lower);
+
+		expectClosedOutward(r);
+		expect(r.volume).toBeCloseTo(4 + 8, 6);
+	});
+
+	it("returns null when the upper surface is never above the lower", function () {
+		expect(solidBetweenSurfaces(createFlatPatch(X, Y, 99, 2, 2, 2, 2), createFlatPatch(X, Y, 100, 2, 2, 2, 2))).toBe(null);
+	});
+});
+
+describe("clipByPolygon", function () {
+	var X = 478000, Y = 6772000;
+
+	// Tilted 4 × 4 plane, z = 2 + 0.3 dx - 0.1 dy about (X, Y)
+	var plane = createFlatPatch(X, Y, 0, 4, 4, 5, 5).map(function (t) {
+		function lift(v) { return { x: v.x, y: v.y, z: 2 + 0.3 * (v.x - X) - 0.1 * (v.y - Y) }; }
+		return { v0: lift(t.v0), v1: lift(t.v1), v2: lift(t.v2) };
+	});
+	var lease = [
+		{ x: X - 1.03, y: Y - 0.77 }, { x: X + 1.21, y: Y - 1.1 },
+		{ x: X + 0.9, y: Y + 1.3 }, { x: X - 0.4, y: Y + 0.6 }
+	];
+
+	it("splits along the polygon so inside and outside tile the surface", function () {
+		var inside = clipByPolygon(plane, lease);
+		var outside = clipByPolygon(plane, lease, { keep: "outside" });
+		var leaseArea = 0;
+		for (var i = 0; i < lease.length; i++) {
+			var p = lease[i], q = lease[(i + 1) % lease.length];
+			leaseArea += ((p.x - X) * (q.y - Y) - (q.x - X) * (p.y - Y)) / 2;
+		}
+		expect(planArea(inside.soup)).toBeCloseTo(leaseArea, 6);
+		expect(planArea(outside.soup)).toBeCloseTo(16 - leaseArea, 6);
+		// Together the two parts re-form the surface: no cracks along the cut
+		var joined = countOpenEdges(inside.soup.concat(outside.soup));
+		expect(joined.openEdges).toBe(countOpenEdges(plane).openEdges);
+		expect(joined.overShared).toBe(0);
+		expect(inside.soup[0].source.mesh).toBe("A");
+	});
+
+	it("returns the polygon draped on the surface", function () {
+		var r = clipByPolygon(plane, { points: lease.concat([lease[0]]) });
+		expect(r.polylines.length).toBe(1);
+		expect(r.polylines[0].closed).toBe(true);
+		var pts = r.polylines[0].points;
+		expect(pts.length).toBeGreaterThan(lease.length);
+		for (var i = 0; i < pts.length; i++) {
+			expect(pts[i].z).toBeCloseTo(2 + 0.3 * (pts[i].x - X) - 0.1 * (pts[i].y - Y), 9);
+		}
+	});
+
+	it("cuts out holes and drapes only where the polygon is over the surface", function () {
+		var r = clipByPolygon(soupToTypedMesh(plane), [
+			{ x: X - 1, y: Y - 1 }, { x: X + 3, y: Y - 1 }, { x: X + 3, y: Y + 1 }, { x: X - 1, y: Y + 1 }
+		], {
+			holes: [[{ x: X - 0.5, y: Y - 0.5 }, { x: X, y: Y - 0.5 }, { x: X, y: Y }, { x: X - 0.5, y: Y }]]
+		});
+		expect(isTypedMesh(r.soup)).toBe(true);
+		expect(r.polylines.length).toBe(2);
+		// Outer ring leaves the surface at x = X + 2: one open run, ends at the edge
+		expect(r.polylines[0].closed).toBe(false);
+		expect(r.polylines[0].points[0].x).toBeCloseTo(X + 2, 9);
+		expect(r.polylines[0].points[r.polylines[0].points.length - 1].x).toBeCloseTo(X + 2, 9);
+		expect(r.polylines[1].closed).toBe(true);
+	});
+
+	it("rejects bad options", function () {
+		expect(function () { clipByPolygon(plane, lease, { keep: "both" }); }).toThrow(/keep/);
+		expect(function () { clipByPolygon(plane, lease.slice(0, 2)); }).toThrow(/3 points/);
+	});
+});
+
+describe("drapePolyline", function () {
+	var X = 478000, Y = 6772000;
+
+	// Ridge along x = X: z = 5 - |dx|, on a 4 × 4 patch about (X, Y)
+	var ridge = createFlatPatch(X, Y, 0, 4, 4, 4, 4).map(function (t) {
+		function lift(v) { return { x: v.x, y: v.y, z: 5 - Math.abs(v.x - X) }; }
+		return { v0: lift(t.v0), v1: lift(t.v1), v2: lift(t.v2) };
+	});
+
+	it("adds a vertex at every triangle edge crossing", function () {
+		var r = drapePolyline(ridge, [{ x: X - 1.5, y: Y + 0.3, z: 0 }, { x: X + 1.5, y: Y - 0.2, z: 0 }]);
+		expect(r.offSurface).toEqual([]);
+		expect(r.polylines.length).toBe(1);
+		var pts = r.polylines[0].points;
+		expect(pts.length).toBeGreaterThan(2);
+		expect(pts[0].z).toBeCloseTo(3.5, 9);
+		expect(pts[pts.length - 1].z).toBeCloseTo(3.5, 9);
+		// The ridge crest is a triangle edge, so the line goes over it
+		var top = Math.max.apply(null, pts.map(function (p) { return p.z; }));
+		expect(top).toBeCloseTo(5, 9);
+		for (var i = 0; i < pts.length; i++) expect(pts[i].z).toBeCloseTo(5 - Math.abs(pts[i].x - X), 9);
+	});
+
+	it("lifts only the vertices without densify", function () {
+		var r = drapePolyline(ridge, [{ x: X - 1.5, y: Y }, { x: X + 1.5, y: Y }], { densify: false });
+		expect(r.polylines[0].points.length).toBe(2);
+		expect(r.polylines[0].points[0].z).toBeCloseTo(3.5, 9);
+	});
+
+	it("breaks the line where it leaves the surface and reports the vertices off it", function () {
+		var loop = {
+			points: [{ x: X - 1, y: Y - 1 }, { x: X + 3, y: Y - 1 }, { x: X + 3, y: Y + 1 }, { x: X - 1, y: Y + 1 }],
+			closed: true
+		};
+		var r = drapePolyline(soupToTypedMesh(ridge), loop);
+		expect(r.offSurface).toEqual([1, 2]);
+		expect(r.polylines.length).toBe(1);
+		var pts = r.polylines[0].points;
+		expect(r.polylines[0].closed).toBe(false);
+		expect(pts[0].x).toBeCloseTo(X + 2, 9);
+		expect(pts[pts.length - 1].x).toBeCloseTo(X + 2, 9);
+
+		var inside = drapePolyline(ridge, { points: [{ x: X - 1, y: Y - 1 }, { x: X + 1, y: Y - 1 }, { x: X, y: Y + 1 }], closed: true });
+		expect(inside.polylines.length).toBe(1);
+		expect(inside.polylines[0].closed).toBe(true);
+	});
+});
+
+describe("sectionProfile", function () {
+	var X = 478000, Y = 6772000;
+
+	/**
+	 * Helper: 10 × 10 patch about (X, Y) with z = f(dx, dy).
+	 */
+	function surface(f) {
+		return createFlatPatch(X, Y, 0, 10, 10, 10, 10).map(function (t) {
+			function lift(v) { return { x: v.x, y: v.y, z: f(v.x - X, v.y - Y) }; }
+			return { v0: lift(t.v0), v1: lift(t.v1), v2: lift(t.v2) };
+		});
+	}
+
+	// 6 m east, then 9.1 m north (leaving the patches at chainage 13.1)
+	var line = [{ x: X - 3.3, y: Y - 2.1 }, { x: X + 2.7, y: Y - 2.1 }, { x: X + 2.7, y: Y + 7 }];
+
+	it("profiles each surface by chainage along a bent section", function () {
+		var sec = sectionProfile([surface(function (dx) { return 100 + 0.5 * dx; })], line);
+		expect(sec.length).toBeCloseTo(15.1, 6);
+		var runs = sec.profiles[0].runs;
+		expect(runs.length).toBe(1);
+		expect(runs[0][0].chainage).toBeCloseTo(0, 6);
+		expect(runs[0][runs[0].length - 1].chainage).toBeCloseTo(13.1, 6);
+		for (var i = 0; i < runs[0].length; i++) {
+			var p = runs[0][i];
+			expect(p.z).toBeCloseTo(100 + 0.5 * (p.x - X), 6);
+			var expected = p.y < Y - 2.1 + 1e-6 ? p.x - (X - 3.3) : 6 + p.y - (Y - 2.1);
+			expect(p.chainage).toBeCloseTo(expected, 6);
+			if (i > 0) expect(p.chainage).toBeGreaterThan(runs[0][i - 1].chainage);
+		}
+		expect(sec.profiles[0].gaps.length).toBe(1);
+		expect(sec.profiles[0].gaps[0].from).toBeCloseTo(13.1, 6);
+		expect(sec.profiles[0].gaps[0].to).toBeCloseTo(15.1, 6);
+	});
+
+	it("splits runs at holes and reports surfaces without data", function () {
+		var horizon = surface(function (dx, dy) { return 90 - 0.2 * dy; }).filter(function (t) {
+			var gx = (t.v0.x + t.v1.x + t.v2.x) / 3 - X;
+			return gx < 0 || gx > 1;
+		});
+		var sec = sectionProfile([horizon, soupToTypedMesh(surface(function () { return 80; })), []], line);
+		var runs = sec.profiles[0].runs;
+		expect(runs.length).toBe(2);
+		expect(runs[0][runs[0].length - 1].chainage).toBeCloseTo(3.3, 6);
+		expect(runs[1][0].chainage).toBeCloseTo(4.3, 6);
+		expect(sec.profiles[0].gaps[0].from).toBeCloseTo(3.3, 6);
+		expect(sec.profiles[0].gaps[0].to).toBeCloseTo(4.3, 6);
+		expect(sec.profiles[1].runs.length).toBe(1);
+		expect(sec.profiles[2]).toEqual({ runs: [], gaps: [{ from: 0, to: sec.length }] });
+	});
+
+	it("rejects a degenerate section line", function () {
+		expect(function () { sectionProfile([surface(function () { return 0; })], [{ x: X, y: Y }, { x: X, y: Y }]); }).toThrow(/distinct/);
+	});
+});
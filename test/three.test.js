@@ -0,0 +1,42 @@
+import { describe, it, expect } from "vitest";
+import * as THREE from "three";
+import { meshToSoup, soupToMesh, booleanFromMeshes } from "../src/three.js";
+
+describe("three.js adapter attributes", function () {
+	it("round-trips uv, color and normal buffers", function () {
+		var geometry = new THREE.BoxGeometry(2, 2, 2).toNonIndexed();
+		var count = geometry.getAttribute("position").count;
+		var colors = new Float32Array(count * 3);
+		for (var i = 0; i < colors.length; i++) colors[i] = (i % 7) / 7;
+		geometry.setAttribute("color", new THREE.BufferAttribute(colors, 3));
+
+		var soup = meshToSoup(new THREE.Mesh(geometry));
+		expect(soup[0].v0.attributes.uv.length).toBe(2);
+
+		var back = soupToMesh(soup).geometry;
+		var names = ["uv", "color", "normal"];
+		for (var n = 0; n < names.length; n++) {
+			var src = geometry.getAttribute(names[n]).array;
+			var dst = back.getAttribute(names[n]).array;
+			expect(dst.length).toBe(src.length);
+			for (var k = 0; k < src.length; k++) expect(dst[k]).toBeCloseTo(src[k], 6);
+		}
+	});
+
+	it("applies the world transform to normals", function () {
+		var mesh = new THREE.Mesh(new THREE.PlaneGeometry(1, 1));
+		mesh.rotation.x = -Math.PI / 2;
+		var normal = meshToSoup(mesh)[0].v0.attributes.normal;
+		expect(normal[1]).toBeCloseTo(1, 9);
+	});
+
+	it("carries uvs through booleanFromMeshes", function () {
+		var a = new THREE.Mesh(new THREE.BoxGeometry(2, 2, 2));
+		var b = new THREE.Mesh(new THREE.BoxGeometry(2, 2, 2));
+		b.position.set(1, 1, 1);
+		var result = booleanFromMeshes(a, b, "subtract");
+		var uv = result.geometry.getAttribute("uv");
+		expect(uv.count).toBe(result.geometry.getAttribute("position").count);
+		expect(result.material.vertexColors).toBe(false);
+	});
+});